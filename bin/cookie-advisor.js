@@ -0,0 +1,294 @@
+#!/usr/bin/env node
+/**
+ * cookie-advisor.js
+ *
+ * Command-line front end. Runs the same CookieAdvisor flows as the browser
+ * console (analyze, showAll, plan, timeTo, goldenCookies, ascension,
+ * heavenlyUpgrades, debug) on a save string or a snapshot JSON file, so CLI
+ * and console results match.
+ *
+ * Usage:
+ *   node bin/cookie-advisor.js [analyze|show-all|plan|time-to|golden|ascension|heavenly|debug|snapshot] <file> [options]
+ *   node bin/cookie-advisor.js plan <file> --horizon 3600
+ *   node bin/cookie-advisor.js time-to <file> --target 1e9     (or --target Farm, --cps 500)
+ *   node bin/cookie-advisor.js analyze --save "<save string>"
+ *   node bin/cookie-advisor.js diff <before.json> <after.json>
+ *
+ * The file may hold an exported save string (Options → Export save), a
+ * snapshot (CookieAdvisor.snapshot()) or a normalized game state as JSON.
+ * Use "-" to read it from stdin.
+ */
+
+const fs = require('fs');
+const { parseArgs } = require('util');
+const { Constants, CookieAdvisor, OutputRenderer, SaveImporter, Snapshot, StrategyEngine } = require('../src/index.js');
+
+const COMMANDS = ['analyze', 'show-all', 'plan', 'time-to', 'golden', 'ascension', 'heavenly', 'debug', 'snapshot', 'diff'];
+
+const USAGE = `Usage: cookie-advisor [command] <file> [options]
+       cookie-advisor diff <before> <after> [options]
+
+Commands:
+  analyze    Rank purchases with the current strategy (default)
+  show-all   Rank every purchase, without the ROI time filter
+  plan       Timed shopping list for the next --horizon seconds
+  time-to    Fastest path to --target or --cps, against just waiting
+  golden     Golden cookie income and the Lucky bank to keep
+  ascension  Prestige gained this run and when to ascend
+  heavenly   What to buy with heavenly chips, in order
+  debug      Show game state and candidate details
+  snapshot   Print a snapshot of the input (to share or keep as a fixture)
+  diff       Compare two snapshots
+
+Options:
+  --save <string>       Save string to analyze instead of a file
+  --catalogue <file>    Upgrade catalogue JSON, to name upgrades in save strings
+  --strategy <name>     ${StrategyEngine.getStrategyNames().join(', ')} (default: greedy)
+  --horizon <seconds>   Time span for plan (default: ${Constants.PLAN_DEFAULT_HORIZON_SECONDS})
+  --target <goal>       For time-to: cookies in the bank (e.g. 1e9), or a building/upgrade name
+  --cps <amount>        For time-to: cookies per second to reach
+  --json                Print results as JSON on stdout (messages go to stderr)
+  -h, --help            Show this message`;
+
+/**
+ * Renderer that keeps the recommendation instead of printing it (for --json).
+ */
+class CaptureRenderer extends OutputRenderer {
+  renderRecommendation(topChoice, alternatives, gameState, options = {}) {
+    this.captured = { recommendation: topChoice, alternatives: alternatives, ascension: options.ascension, toggles: options.toggles };
+  }
+
+  renderCandidateTable() {
+    // Candidates are part of debug()'s return value already
+  }
+
+  renderSnapshotDiff(report) {
+    this.captured = report;
+  }
+
+  renderPlan(plan) {
+    this.captured = plan;
+  }
+
+  renderGoal(result) {
+    this.captured = result;
+  }
+
+  renderGoldenCookies(report) {
+    this.captured = report;
+  }
+
+  renderAscension(report) {
+    this.captured = report;
+  }
+
+  renderHeavenlyPlan(plan) {
+    this.captured = plan;
+  }
+}
+
+/**
+ * Reads a file, or stdin when the path is "-".
+ *
+ * @param {string} path - File path
+ * @returns {string} File contents
+ */
+function readInput(path) {
+  return fs.readFileSync(path === '-' ? 0 : path, 'utf8');
+}
+
+/**
+ * Turns a save string, snapshot or game state JSON into a normalized game state.
+ *
+ * @param {string} text - Save string or JSON
+ * @param {Array|null} catalogue - Upgrade catalogue for save strings
+ * @returns {Object} Normalized game state
+ * @throws {Error} If the input is none of these
+ */
+function loadGameState(text, catalogue) {
+  const trimmed = text.trim();
+
+  if (trimmed.startsWith('{')) {
+    const json = JSON.parse(trimmed);
+    if (json.format) {
+      return Snapshot.parse(trimmed).gameState;
+    }
+    // Accept a bare game state or a wrapper with a gameState field
+    return json.gameState || json;
+  }
+
+  return new SaveImporter(trimmed, { upgradeCatalogue: catalogue }).getGameState();
+}
+
+/**
+ * Turns the time-to options into a CookieAdvisor.timeTo() target.
+ *
+ * @param {string|undefined} target - --target: a number of cookies or a purchase name
+ * @param {string|undefined} cps - --cps: cookies per second
+ * @returns {number|string|Object} Target
+ */
+function parseTarget(target, cps) {
+  if (cps !== undefined) {
+    return { cps: Number(cps) };
+  }
+  const amount = Number(target);
+  return target.trim() !== '' && !isNaN(amount) ? amount : target;
+}
+
+/**
+ * Compares two snapshot files.
+ *
+ * @param {string} beforePath - Earlier snapshot file
+ * @param {string} afterPath - Later snapshot file
+ * @param {boolean} json - Print the report as JSON
+ * @returns {number} Exit code
+ */
+function runDiff(beforePath, afterPath, json) {
+  let before;
+  let after;
+  try {
+    before = readInput(beforePath);
+    after = readInput(afterPath);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    return 1;
+  }
+
+  const renderer = json ? new CaptureRenderer() : new OutputRenderer();
+  CookieAdvisor.setRenderer(renderer);
+
+  const report = CookieAdvisor.diff(before, after);
+  if (json && report) {
+    process.stdout.write(JSON.stringify({ command: 'diff', ...report }, null, 2) + '\n');
+  }
+
+  return report ? 0 : 1;
+}
+
+/**
+ * Runs the CLI.
+ *
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {number} Exit code
+ */
+function main(argv) {
+  let args;
+  try {
+    args = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        save: { type: 'string' },
+        catalogue: { type: 'string' },
+        strategy: { type: 'string' },
+        horizon: { type: 'string' },
+        target: { type: 'string' },
+        cps: { type: 'string' },
+        json: { type: 'boolean', default: false },
+        help: { type: 'boolean', short: 'h', default: false }
+      }
+    });
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    console.error(USAGE);
+    return 2;
+  }
+
+  const { values, positionals } = args;
+  if (values.help) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  // A lone positional is the input file; with more, the first must be a command
+  if (positionals.length > 1 && !COMMANDS.includes(positionals[0])) {
+    console.error(`❌ Unknown command: ${positionals[0]}`);
+    console.error(USAGE);
+    return 2;
+  }
+
+  const command = COMMANDS.includes(positionals[0]) ? positionals.shift() : 'analyze';
+  const file = positionals[0];
+  if (command === 'diff' && positionals.length !== 2) {
+    console.error('❌ diff needs two snapshot files: <before> <after>.');
+    console.error(USAGE);
+    return 2;
+  }
+  if (command === 'time-to' && (values.target === undefined) === (values.cps === undefined)) {
+    console.error('❌ time-to needs one goal: --target <cookies|name> or --cps <amount>.');
+    console.error(USAGE);
+    return 2;
+  }
+  if (!file && !values.save) {
+    console.error('❌ No input: pass a save/snapshot file or --save <string>.');
+    console.error(USAGE);
+    return 2;
+  }
+
+  // In JSON mode (and for snapshots) stdout carries only the result
+  if (values.json || command === 'snapshot') {
+    console.log = (...messages) => console.error(...messages);
+  }
+
+  if (command === 'diff') {
+    return runDiff(positionals[0], positionals[1], values.json);
+  }
+
+  let gameState;
+  try {
+    const catalogue = values.catalogue ? JSON.parse(readInput(values.catalogue)) : null;
+    gameState = loadGameState(values.save || readInput(file), catalogue);
+
+    if (values.strategy) {
+      CookieAdvisor.setStrategy(StrategyEngine.createStrategy(values.strategy));
+    }
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    return 1;
+  }
+
+  const renderer = values.json ? new CaptureRenderer() : new OutputRenderer();
+  CookieAdvisor.setRenderer(renderer);
+
+  if (command === 'snapshot') {
+    const json = CookieAdvisor.snapshot(gameState);
+    if (json) {
+      // Snapshots are JSON already; print them as-is in both modes
+      process.stdout.write(json + '\n');
+    }
+    return json ? 0 : 1;
+  }
+
+  let result;
+  if (command === 'debug') {
+    result = CookieAdvisor.debug(gameState);
+  } else if (command === 'plan') {
+    const horizonSeconds = values.horizon === undefined ? undefined : Number(values.horizon);
+    result = CookieAdvisor.plan({ horizonSeconds: horizonSeconds }, gameState);
+  } else if (command === 'golden') {
+    result = CookieAdvisor.goldenCookies(gameState);
+  } else if (command === 'ascension') {
+    result = CookieAdvisor.ascension(gameState);
+  } else if (command === 'heavenly') {
+    result = CookieAdvisor.heavenlyUpgrades(gameState);
+  } else if (command === 'time-to') {
+    result = CookieAdvisor.timeTo(parseTarget(values.target, values.cps), gameState);
+  } else {
+    const topChoice = command === 'show-all'
+      ? CookieAdvisor.showAll(gameState)
+      : CookieAdvisor.analyze(gameState);
+    result = topChoice ? renderer.captured || { recommendation: topChoice } : null;
+  }
+
+  if (values.json) {
+    process.stdout.write(JSON.stringify({
+      command: command,
+      strategy: CookieAdvisor.getStrategyName(),
+      ...(result || {})
+    }, null, 2) + '\n');
+  }
+
+  return result ? 0 : 1;
+}
+
+process.exitCode = main(process.argv.slice(2));
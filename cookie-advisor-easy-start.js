@@ -12,9 +12,19 @@
  * 4. Paste and press Enter
  * 5. Run: CookieAdvisor.analyze()
  *
+ * Also loads as a mod (Game.LoadMod(url of this file), or as main.js of a
+ * Steam mod folder); either way it registers with Game.registerMod and keeps
+ * settings, history and monitor state in the game save.
+ *
  * COMMANDS:
  * - CookieAdvisor.analyze()              → Show best investment (1-hour filter)
  * - CookieAdvisor.showAll()              → Show ALL options (no time filter)
+ * - CookieAdvisor.plan()                 → What to buy over the next 30 minutes
+ * - CookieAdvisor.timeTo(1e9)            → Invest first or save? (also 'Farm', { cps: 500 })
+ * - CookieAdvisor.goldenCookies()        → Golden cookie income and Lucky bank
+ * - CookieAdvisor.ascension()            → Prestige this run and when to ascend
+ * - CookieAdvisor.heavenlyUpgrades()     → What to buy with heavenly chips
+ * - CookieAdvisor.configure({...})       → Change the filter and other settings
  * - CookieAdvisor.help()                 → View all commands
  * - CookieAdvisor.debug()                → Show debug information
  *
@@ -29,9 +39,17 @@
  *
  * Central configuration for the Cookie Clicker ROI Advisor.
  * All magic numbers and thresholds are defined here with explanations.
+ *
+ * Values marked "Configurable" can be changed at runtime with
+ * CookieAdvisor.configure() (see Config.js).
  */
 
 const Constants = {
+  /**
+   * Advisor release, shown by CookieAdvisor.version().
+   */
+  VERSION: '2.0.0',
+
   // ═══════════════════════════════════════════════════════════════
   // ROI THRESHOLDS
   // ═══════════════════════════════════════════════════════════════
@@ -40,6 +58,7 @@ const Constants = {
    * Maximum reasonable ROI time (in seconds).
    * Investments with ROI time > 1 hour are considered too long-term
    * and filtered out of recommendations.
+   * Configurable (Infinity turns the filter off).
    */
   MAX_REASONABLE_ROI: 3600, // 1 hour
 
@@ -47,9 +66,133 @@ const Constants = {
    * Minimum meaningful CPS delta.
    * Purchases that increase CPS by less than this are considered
    * negligible and assigned Infinity ROI to filter them out.
+   * Configurable.
    */
   MIN_VALID_DELTA_CPS: 0.001,
 
+  // ═══════════════════════════════════════════════════════════════
+  // GAME MECHANICS
+  // ═══════════════════════════════════════════════════════════════
+
+  /**
+   * Building price growth per unit owned.
+   * Every purchase of a building raises its next price by 15%.
+   */
+  BUILDING_PRICE_GROWTH: 1.15,
+
+  /**
+   * Bulk purchase sizes offered as candidates (matches the in-game store buttons).
+   */
+  BULK_QUANTITIES: [10, 100],
+
+  /**
+   * Building counts that unlock tiered upgrades and achievements.
+   */
+  BUILDING_MILESTONES: [1, 5, 25, 50, 100, 150, 200, 250, 300, 350, 400, 450, 500, 550, 600, 650, 700],
+
+  // ═══════════════════════════════════════════════════════════════
+  // STRATEGY SETTINGS
+  // ═══════════════════════════════════════════════════════════════
+
+  /**
+   * Default weights for BalancedStrategy (overridable via constructor options).
+   * Lower blended score = better recommendation.
+   */
+  BALANCED_STRATEGY: {
+    SHORT_TERM_WEIGHT: 0.5,      // ROI time rank
+    LONG_TERM_WEIGHT: 0.3,       // Net cookies gained over the horizon
+    DIVERSIFICATION_WEIGHT: 0.2, // Penalty for dominating the building count
+    MILESTONE_WEIGHT: 0.3,       // Bonus for nearing an ownership milestone
+    HORIZON_SECONDS: 3600,       // Long-term horizon (1 hour)
+    MILESTONE_WINDOW: 10         // Purchases before a milestone that earn a bonus
+  },
+
+  // ═══════════════════════════════════════════════════════════════
+  // PURCHASE PLANS
+  // ═══════════════════════════════════════════════════════════════
+
+  /**
+   * Default horizon for CookieAdvisor.plan() (seconds).
+   */
+  PLAN_DEFAULT_HORIZON_SECONDS: 1800, // 30 minutes
+
+  /**
+   * Most purchases in one plan (or one path to a goal, see timeTo()).
+   * Early games can afford many cheap items quickly; this keeps a long
+   * horizon from simulating thousands.
+   */
+  PLAN_MAX_PURCHASES: 200,
+
+  // ═══════════════════════════════════════════════════════════════
+  // GOLDEN COOKIES
+  // ═══════════════════════════════════════════════════════════════
+
+  /**
+   * Golden cookie rules from the game (non-wrath cookies), used by
+   * GoldenCookieAnalyzer. Times are before golden cookie upgrades
+   * (UpgradeDatabase.GOLDEN_COOKIE) are applied.
+   *
+   * A golden cookie can spawn from MIN_SPAWN_SECONDS on; each frame after
+   * that the chance is ((t - min) / (max - min))^5, so it almost always
+   * appears well before MAX_SPAWN_SECONDS.
+   *
+   * OUTCOMES are approximate shares of each effect; the rest (building
+   * specials, cookie chains and storms) are not valued.
+   */
+  GOLDEN_COOKIE: {
+    MIN_SPAWN_SECONDS: 300,     // 5 minutes
+    MAX_SPAWN_SECONDS: 900,     // 15 minutes
+    FPS: 30,                    // Game frames per second (spawn chance is per frame)
+    OUTCOMES: {
+      FRENZY: 0.44,
+      LUCKY: 0.44,
+      CLICK_FRENZY: 0.03
+    },
+    FRENZY: { MULTIPLIER: 7, SECONDS: 77 },         // CPS ×7
+    CLICK_FRENZY: { MULTIPLIER: 777, SECONDS: 13 }, // Clicks ×777
+    LUCKY: {
+      BANK_SHARE: 0.15,   // Pays 15% of the bank...
+      CPS_SECONDS: 900,   // ...up to 15 minutes of CPS...
+      FLAT: 13            // ...plus 13 cookies
+    }
+  },
+
+  /**
+   * Bank to keep for golden cookies. Recommendations that would leave
+   * less in the bank are flagged.
+   * - 'lucky':  enough for a full Lucky payout (CPS × 6000)
+   * - 'frenzy': enough for a full Lucky during a Frenzy (CPS × 42000)
+   * - 'none':   no flags
+   * No flags either with the idle click profile (golden cookies are
+   * assumed not clicked).
+   * Configurable.
+   */
+  LUCKY_BANK_TARGET: 'lucky',
+
+  // ═══════════════════════════════════════════════════════════════
+  // ASCENSION
+  // ═══════════════════════════════════════════════════════════════
+
+  /**
+   * Cookies baked (all ascensions) for the first prestige level. As in the
+   * game, prestige level = floor(cbrt(cookies baked / PRESTIGE_COOKIES)),
+   * so level n needs n³ × PRESTIGE_COOKIES.
+   */
+  PRESTIGE_COOKIES: 1e12,
+
+  /**
+   * Search limit for AscensionAnalyzer's peak (seconds from now); a peak
+   * further away is reported as unknown.
+   */
+  ASCENSION_MAX_SECONDS: 365 * 86400, // 1 year
+
+  /**
+   * Order in which HeavenlyPlanner goes for heavenly upgrades: permanent
+   * CPS first, then offline production, then key unlocks. Within a
+   * category, the most value per chip (cheapest first for unlocks).
+   */
+  HEAVENLY_PRIORITY: ['cps', 'offline', 'unlock'],
+
   // ═══════════════════════════════════════════════════════════════
   // UPGRADE PATTERN RECOGNITION
   // ═══════════════════════════════════════════════════════════════
@@ -68,39 +211,106 @@ const Constants = {
     // Matches: "gains +10 cookies per click"
     FLAT_COOKIE_BONUS: /\+(\d+\.?\d*)\s+cookies?\s+per/i,
 
-    // Matches building names in descriptions
-    BUILDING_REFERENCE: /(cursor|grandma|farm|mine|factory|bank|temple|wizard tower|shipment|alchemy lab|portal|time machine|antimatter condenser|prism|chancemaker|fractal engine|javascript console|idleverse)/i
+    // Matches building names in descriptions (built from BUILDINGS, see below)
+    BUILDING_REFERENCE: null,
+
+    // Matches: "Grandmas are twice as efficient"
+    TWICE_EFFICIENT: /twice\s+as\s+efficient/i,
+
+    // Matches: "Farms gain +1% CpS per grandma", "Mines gain +1% CpS per 2 grandmas"
+    CPS_PER_BUILDING: /^(.+?)\s+gains?\s+\+(\d+\.?\d*)%\s+cps\s+per\s+(?:(\d+)\s+)?(.+)$/i,
+
+    // Matches: "The mouse and cursors gain +0.1 cookies for each non-cursor object owned"
+    NON_CURSOR_BONUS: /\+(\d+\.?\d*)\s+cookies?\s+for\s+each\s+non-cursor/i,
+
+    // Matches: "Clicking gains +1% of your CpS"
+    CLICK_CPS_PERCENT: /clicking\s+gains\s+\+?(\d+\.?\d*)%\s+of\s+your\s+cps/i,
+
+    // Matches: "Clicking is 10% more powerful"
+    CLICK_POWER: /clicking\s+is\s+(\d+\.?\d*)%\s+more\s+powerful/i,
+
+    // Matches: "Cookie production multiplier +2%"
+    COOKIE_PRODUCTION: /cookie\s+production\s+multiplier\s+\+(\d+\.?\d*)%/i
+  },
+
+  /**
+   * Upgrade pools (the game's upgrade.pool) that EconomicModel does not
+   * value like ordinary store upgrades.
+   * - SKIPPED: never purchase candidates (debug tools, heavenly upgrades
+   *   bought with chips, retired upgrades)
+   * - TOGGLE:  switches (seasons, Elder Pledge and Covenant, golden switch),
+   *   listed apart from the ranking with what they do
+   * - COOKIE:  cookies, always a permanent boost to all production
+   */
+  UPGRADE_POOLS: {
+    SKIPPED: ['debug', 'prestige', 'prestigeDecor', 'unused'],
+    TOGGLE: 'toggle',
+    COOKIE: 'cookie'
   },
 
   /**
    * Default CPS estimation multipliers for upgrades.
-   * Used when description doesn't match any pattern.
+   * Used when the upgrade isn't in UpgradeDatabase and its
+   * description doesn't match any pattern.
+   * Configurable (each field separately).
    */
   UPGRADE_ESTIMATES: {
     CONSERVATIVE_BOOST: 0.02,  // 2% of total CPS for unknown upgrades
-    CLICK_UPGRADE_WEIGHT: 0.01, // Click upgrades valued at 1% of CPS
+    CLICK_UPGRADE_WEIGHT: 0.1, // Unrecognized click upgrades add 10% to click income
     SYNERGY_MULTIPLIER: 0.5    // 50% boost for building-specific upgrades
   },
 
+  /**
+   * Clicking profiles: clicks per second on the big cookie.
+   * Click income (clicks/sec × cookies per click) is what mouse,
+   * "+N% of CpS per click" and finger upgrades are valued against.
+   */
+  CLICK_PROFILES: {
+    IDLE: 0,           // Never clicks
+    CASUAL: 1.5,       // Clicks now and then
+    ACTIVE: 6,         // Clicks steadily by hand
+    AUTOCLICKER: 20    // Clicks with a tool or macro
+  },
+
+  /**
+   * Profile used until the player picks one or measures their rate.
+   */
+  DEFAULT_CLICK_PROFILE: 'CASUAL',
+
+  /**
+   * Default sampling window for measuring the player's click rate (seconds).
+   */
+  CLICK_MEASUREMENT_SECONDS: 10,
+
   // ═══════════════════════════════════════════════════════════════
   // DISPLAY SETTINGS
   // ═══════════════════════════════════════════════════════════════
 
   /**
    * Number of alternative recommendations to show.
+   * Configurable.
    */
   TOP_ALTERNATIVES_COUNT: 5,
 
   /**
    * Decimal places for displaying numbers.
+   * Configurable.
    */
   NUMBER_PRECISION: 2,
 
   /**
    * Suffixes for formatting large numbers.
-   * K = thousand, M = million, B = billion, T = trillion, Qa = quadrillion
+   * K = thousand, M = million, B = billion, T = trillion, Qa = quadrillion,
+   * Qi = quintillion, Sx = sextillion, Sp = septillion, Oc = octillion,
+   * No = nonillion, Dc = decillion. Beyond 1000Dc, exponent notation.
    */
   NUMBER_SUFFIXES: [
+    { threshold: 1e33, suffix: 'Dc' },
+    { threshold: 1e30, suffix: 'No' },
+    { threshold: 1e27, suffix: 'Oc' },
+    { threshold: 1e24, suffix: 'Sp' },
+    { threshold: 1e21, suffix: 'Sx' },
+    { threshold: 1e18, suffix: 'Qi' },
     { threshold: 1e15, suffix: 'Qa' },
     { threshold: 1e12, suffix: 'T' },
     { threshold: 1e9, suffix: 'B' },
@@ -108,6 +318,26 @@ const Constants = {
     { threshold: 1e3, suffix: 'K' }
   ],
 
+  /**
+   * DOM id of the in-game overlay panel (its stylesheet uses id + '-style').
+   */
+  OVERLAY_ELEMENT_ID: 'cookie-advisor-overlay',
+
+  /**
+   * How often the overlay checks the game for changes (milliseconds).
+   */
+  OVERLAY_REFRESH_MS: 1000,
+
+  /**
+   * CSS class for store highlights (badges use class + '-badge').
+   */
+  HIGHLIGHT_CLASS: 'cookie-advisor-highlight',
+
+  /**
+   * How often store highlights are re-applied after the game redraws the store (milliseconds).
+   */
+  HIGHLIGHT_REFRESH_MS: 1000,
+
   // ═══════════════════════════════════════════════════════════════
   // COOKIE CLICKER BUILDING NAMES
   // ═══════════════════════════════════════════════════════════════
@@ -134,9 +364,104 @@ const Constants = {
     'Chancemaker',
     'Fractal engine',
     'Javascript console',
-    'Idleverse'
+    'Idleverse',
+    'Cortex baker',
+    'You'
   ],
 
+  /**
+   * Base price and base CPS per building, before any upgrades.
+   * Used to rebuild building state when no live Game object is available
+   * (e.g. SaveImporter). Current price = basePrice × BUILDING_PRICE_GROWTH^owned.
+   */
+  BUILDING_STATS: {
+    'Cursor': { basePrice: 15, baseCPS: 0.1 },
+    'Grandma': { basePrice: 100, baseCPS: 1 },
+    'Farm': { basePrice: 1100, baseCPS: 8 },
+    'Mine': { basePrice: 12000, baseCPS: 47 },
+    'Factory': { basePrice: 130000, baseCPS: 260 },
+    'Bank': { basePrice: 1.4e6, baseCPS: 1400 },
+    'Temple': { basePrice: 2e7, baseCPS: 7800 },
+    'Wizard tower': { basePrice: 3.3e8, baseCPS: 44000 },
+    'Shipment': { basePrice: 5.1e9, baseCPS: 260000 },
+    'Alchemy lab': { basePrice: 7.5e10, baseCPS: 1.6e6 },
+    'Portal': { basePrice: 1e12, baseCPS: 1e7 },
+    'Time machine': { basePrice: 1.4e13, baseCPS: 6.5e7 },
+    'Antimatter condenser': { basePrice: 1.7e14, baseCPS: 4.3e8 },
+    'Prism': { basePrice: 2.1e15, baseCPS: 2.9e9 },
+    'Chancemaker': { basePrice: 2.6e16, baseCPS: 2.1e10 },
+    'Fractal engine': { basePrice: 3.1e17, baseCPS: 1.5e11 },
+    'Javascript console': { basePrice: 7.1e19, baseCPS: 1.1e12 },
+    'Idleverse': { basePrice: 1.2e22, baseCPS: 8.3e12 },
+    'Cortex baker': { basePrice: 1.9e24, baseCPS: 6.4e13 },
+    'You': { basePrice: 5.4e26, baseCPS: 5.1e14 }
+  },
+
+  // ═══════════════════════════════════════════════════════════════
+  // AUTO MONITOR
+  // ═══════════════════════════════════════════════════════════════
+
+  /**
+   * Default time between monitor checks (milliseconds).
+   */
+  MONITOR_INTERVAL_MS: 5000,
+
+  /**
+   * Shortest allowed monitor interval (milliseconds); each check runs the full pipeline.
+   */
+  MONITOR_MIN_INTERVAL_MS: 500,
+
+  /**
+   * How long Game.Notify popups stay on screen (seconds).
+   */
+  MONITOR_NOTIFY_SECONDS: 6,
+
+  // ═══════════════════════════════════════════════════════════════
+  // SETTINGS
+  // ═══════════════════════════════════════════════════════════════
+
+  /**
+   * localStorage key under which CookieAdvisor.configure() overrides are saved.
+   */
+  CONFIG_STORAGE_KEY: 'cookieAdvisor.config',
+
+  // ═══════════════════════════════════════════════════════════════
+  // MOD INTEGRATION
+  // ═══════════════════════════════════════════════════════════════
+
+  /**
+   * Id passed to Game.registerMod(); the game keys the mod's save data by it.
+   * Word characters only (the game replaces anything else).
+   */
+  MOD_ID: 'cookieRoiAdvisor',
+
+  /**
+   * Version of the data stored in the game save. Bump when the layout
+   * changes; data from newer versions is ignored.
+   */
+  MOD_SAVE_VERSION: 1,
+
+  /**
+   * Number of past top recommendations kept by CookieAdvisor.getHistory()
+   * (and in the game save).
+   */
+  HISTORY_LIMIT: 50,
+
+  // ═══════════════════════════════════════════════════════════════
+  // SNAPSHOTS
+  // ═══════════════════════════════════════════════════════════════
+
+  /**
+   * Format tag written into every snapshot document.
+   */
+  SNAPSHOT_FORMAT: 'cookie-advisor-snapshot',
+
+  /**
+   * Snapshot document version. Bump when the layout changes;
+   * snapshots from newer versions are rejected.
+   */
+  SNAPSHOT_VERSION: 1,
+
   // ═══════════════════════════════════════════════════════════════
   // CONSOLE OUTPUT STYLING
   // ═══════════════════════════════════════════════════════════════
@@ -159,10 +484,19 @@ const Constants = {
     ALTERNATIVES: '📊',
     ARROW: '→',
     BUILDING: '🏢',
-    UPGRADE: '⬆️'
+    UPGRADE: '⬆️',
+    ASCENSION: '👼',
+    TOGGLE: '🔀'
   }
 };
 
+// Whole building names, singular or plural ("factories" is the only irregular
+// plural); group 1 is the name without a regular plural "s"
+Constants.UPGRADE_PATTERNS.BUILDING_REFERENCE = new RegExp(
+  `\\b(${Constants.BUILDINGS.map(name => name.toLowerCase().replace(/y$/, '(?:y|ies)')).join('|')})s?\\b`,
+  'i'
+);
+
 // Export for use in other modules
 // (In browser console, this becomes a global)
 if (typeof module !== 'undefined' && module.exports) {
@@ -415,1379 +749,7417 @@ if (typeof module !== 'undefined' && module.exports) {
   module.exports = Validators;
 }
 /**
- * GameStateAdapter.js
+ * UpgradeDatabase.js
  *
- * Extracts and normalizes game state from the Cookie Clicker Game object.
- * This module is READ-ONLY and never mutates the game state.
+ * Known upgrade effects keyed by upgrade name.
+ * EconomicModel consults this table first and only falls back to parsing
+ * descriptions (Constants.UPGRADE_PATTERNS) for upgrades not listed here.
  *
- * Purpose: Provide a clean, normalized interface to game data for downstream modules.
+ * Effect families (returned by lookup()):
+ * - tiered:  { family, building, multiplier, tier } "Farms are twice as efficient"
+ * - cookie:  { family, percent }                 "Cookie production multiplier +2%"
+ * - kitten:  { family, factor }                  CPS × (1 + milk × factor)
+ * - grandma: { family, building, perGrandmas }   Grandmas ×2, building +1% per N grandmas
+ * - synergy: { family, buildings: [low, high] }  low +5% per high, high +0.1% per low
+ * - golden:  { family, spawn, duration, gain }   Golden cookie timing and payouts
+ * - mouse:   { family, percent }                 Clicking gains +N% of CPS
+ * - fingers: { family, bonus } or { family, multiplier, previous }
+ *            Cursors and clicks gain +bonus per non-cursor building
+ * - research: { family, percent } or { family, building, multiplier }
+ *            or { family, building, baseCps, per, note }
+ *            Grandmapocalypse research ('tech' pool), see RESEARCH
+ *
+ * Heavenly upgrades (bought with heavenly chips between ascensions) have
+ * their own table and lookupHeavenly(); toggles ('toggle' pool) are not
+ * valued, TOGGLES and lookupToggle() describe what they do.
+ *
+ * Saves store upgrades by game id: IDS and nameForId() name them.
  */
 
-class GameStateAdapter {
+const UpgradeDatabase = {
   /**
-   * Creates a new GameStateAdapter.
-   *
-   * @param {Object} gameObject - The Cookie Clicker Game object (window.Game)
-   * @throws {Error} If gameObject is invalid
+   * Tiered "twice as efficient" upgrades, in unlock order per building.
+   * The Cursor entries also double the base value of a click.
    */
-  constructor(gameObject) {
-    if (!Validators.isValidGameObject(gameObject)) {
-      throw new Error('Invalid Game object provided to GameStateAdapter');
-    }
-    this.game = gameObject;
-  }
+  TIERED: {
+    'Cursor': [
+      'Reinforced index finger', 'Carpal tunnel prevention cream', 'Ambidextrous'
+    ],
+    'Grandma': [
+      'Forwards from grandma', 'Steel-plated rolling pins', 'Lubricated dentures',
+      'Prune juice', 'Double-thick glasses', 'Aging agents', 'Xtreme walkers',
+      'The Unbridling', 'Reverse dementia', 'Timeproof hair dyes'
+    ],
+    'Farm': [
+      'Cheap hoes', 'Fertilizer', 'Cookie trees', 'Genetically-modified cookies',
+      'Gingerbread scarecrows', 'Pulsar sprinklers', 'Fudge fungus', 'Wheat triffids',
+      'Humane pesticides', 'Barnstars'
+    ],
+    'Mine': [
+      'Sugar gas', 'Megadrill', 'Ultradrill', 'Ultimadrill', 'H-bomb mining',
+      'Coreforge', 'Planetsplitters', 'Canola oil wells', 'Mole people', 'Mine canaries'
+    ],
+    'Factory': [
+      'Sturdier conveyor belts', 'Child labor', 'Sweatshop', 'Radium reactors',
+      'Recombobulators', 'Deep-bake process', 'Cyborg workforce', '78-hour days',
+      'Machine learning', 'Brownie point system'
+    ],
+    'Bank': [
+      'Taller tellers', 'Scissor-resistant credit cards', 'Acid-proof vaults',
+      'Chocolate coins', 'Exponential interest rates', 'Financial zen',
+      'Way of the wallet', 'The stuff rationale', 'Edible money', 'Grand supercycle'
+    ],
+    'Temple': [
+      'Golden idols', 'Sacrifices', 'Delicious blessing', 'Sun festival',
+      'Enlarged pantheon', 'Great Baker in the sky', 'Creation myth', 'Theocracy',
+      'Sick rap prayers', 'Psalm-reading'
+    ],
+    'Wizard tower': [
+      'Pointier hats', 'Beardlier beards', 'Ancient grimoires', 'Kitchen curses',
+      'School of sorcery', 'Dark formulas', 'Cookiemancy', 'Rabbit trick',
+      'Deluxe tailored wands', 'Immobile spellcasting'
+    ],
+    'Shipment': [
+      'Vanilla nebulae', 'Wormholes', 'Frequent flyer', 'Warp drive',
+      'Chocolate monoliths', 'Generation ship', 'Dyson sphere', 'The final frontier',
+      'Autopilot', 'Restaurants at the end of the universe'
+    ],
+    'Alchemy lab': [
+      'Antimony', 'Essence of dough', 'True chocolate', 'Ambrosia', 'Aqua crustulae',
+      'Origin crucible', 'Theory of atomic fluidity', 'Beige goo',
+      'The advent of chemistry', 'On second thought'
+    ],
+    'Portal': [
+      'Ancient tablet', 'Insane oatling workers', 'Soul bond', 'Sanity dance',
+      'Brane transplant', 'Deity-sized portals', 'End of times back-up plan',
+      'Maddening chants', 'The real world', 'Dimensional garbage gulper'
+    ],
+    'Time machine': [
+      'Flux capacitors', 'Time paradox resolver', 'Quantum conundrum',
+      'Causality enforcer', 'Yestermorrow comparators', 'Far future enactment',
+      'Great loop hypothesis', 'Cookietopian moments of maybe', 'Second seconds',
+      'Additional clock hands'
+    ],
+    'Antimatter condenser': [
+      'Sugar bosons', 'String theory', 'Large macaron collider', 'Big bang bake',
+      'Reverse cyclotrons', 'Nanocosmics', 'The Pulse',
+      'Some other super-tiny fundamental particle? Probably?', 'Quantum comb',
+      'Baking Nobel prize'
+    ],
+    'Prism': [
+      'Gem polish', '9th color', 'Chocolate light', 'Grainbow', 'Pure cosmic light',
+      'Glow-in-the-dark', 'Lux sanctorum', 'Reverse shadows', 'Crystal mirrors',
+      'Reverse theory of light'
+    ],
+    'Chancemaker': [
+      'Your lucky cookie', '"All Bets Are Off" magic coin', 'Winning lottery ticket',
+      'Four-leaf clover field', 'A recipe book about books', 'Leprechaun village',
+      'Improbability drive', 'Antisuperstistronics', 'Bunnypedes',
+      'Revised probabilistics'
+    ],
+    'Fractal engine': [
+      'Metabakeries', 'Mandelbrown sugar', 'Fractoids', 'Nested universe theory',
+      'Menger sponge cake', 'One particularly good-humored cow', 'Chocolate ouroboros',
+      'Nested', 'Space-filling fibers', 'Endless book of prose'
+    ],
+    'Javascript console': [
+      'The JavaScript console for dummies', '64bit arrays', 'Stack overflow',
+      'Enterprise compiler', 'Syntactic sugar', 'A nice cup of coffee',
+      'Just-in-time baking', 'cookies++', 'Software updates', 'Game.Loop'
+    ],
+    'Idleverse': [
+      'Manifest destiny', 'The multiverse in a nutshell', 'All-conversion',
+      'Multiverse agents', 'Escape plan', 'Game design', 'Sandbox universes',
+      'Multiverse wars', 'Mobile ports', 'Encapsulated realities'
+    ]
+  },
 
   /**
-   * Extracts and normalizes the complete game state.
-   *
-   * @returns {Object} Normalized game state
-   * @returns {number} returns.cookies - Current cookie count
-   * @returns {number} returns.cookiesPerSecond - Current CPS
-   * @returns {Array<Object>} returns.buildings - Array of normalized buildings
-   * @returns {Array<Object>} returns.upgrades - Array of normalized upgrades
+   * Grandma-type upgrades: Grandmas ×2, and the named building gains
+   * +1% CpS per N grandmas, where N = building position - 1 (Farm: 1, Mine: 2...).
    */
-  getGameState() {
-    return {
-      cookies: this.game.cookies,
-      cookiesPerSecond: this.game.cookiesPs,
-      buildings: this._extractBuildings(),
-      upgrades: this._extractUpgrades()
-    };
-  }
+  GRANDMA_TYPES: {
+    'Farmer grandmas': 'Farm',
+    'Miner grandmas': 'Mine',
+    'Worker grandmas': 'Factory',
+    'Banker grandmas': 'Bank',
+    'Priestess grandmas': 'Temple',
+    'Witch grandmas': 'Wizard tower',
+    'Cosmic grandmas': 'Shipment',
+    'Transmuted grandmas': 'Alchemy lab',
+    'Altered grandmas': 'Portal',
+    'Grandmas\' grandmas': 'Time machine',
+    'Antigrandmas': 'Antimatter condenser',
+    'Rainbow grandmas': 'Prism',
+    'Lucky grandmas': 'Chancemaker',
+    'Metagrandmas': 'Fractal engine',
+    'Binary grandmas': 'Javascript console',
+    'Alternate grandmas': 'Idleverse'
+  },
 
   /**
-   * Extracts all buildings from Game.Objects.
-   *
-   * @private
-   * @returns {Array<Object>} Array of normalized building objects
+   * Synergy upgrades between two buildings.
+   * The lower-tier building gains +5% CpS per higher-tier building,
+   * the higher-tier building gains +0.1% CpS per lower-tier building.
    */
-  _extractBuildings() {
-    const buildings = [];
-
-    // Iterate through all building types
-    for (const buildingKey in this.game.Objects) {
-      const building = this.game.Objects[buildingKey];
+  SYNERGIES: {
+    'Future almanacs': ['Farm', 'Time machine'],
+    'Rain prayer': ['Farm', 'Temple'],
+    'Seismic magic': ['Mine', 'Wizard tower'],
+    'Asteroid mining': ['Mine', 'Shipment'],
+    'Quantum electronics': ['Factory', 'Antimatter condenser'],
+    'Temporal overclocking': ['Factory', 'Time machine'],
+    'Contracts from beyond': ['Bank', 'Portal'],
+    'Printing presses': ['Factory', 'Bank'],
+    'Paganism': ['Temple', 'Portal'],
+    'God particle': ['Temple', 'Antimatter condenser'],
+    'Arcane knowledge': ['Wizard tower', 'Alchemy lab'],
+    'Magical botany': ['Farm', 'Wizard tower'],
+    'Fossil fuels': ['Mine', 'Shipment'],
+    'Shipyards': ['Factory', 'Shipment'],
+    'Primordial ores': ['Mine', 'Alchemy lab'],
+    'Gold fund': ['Bank', 'Alchemy lab'],
+    'Infernal crops': ['Farm', 'Portal'],
+    'Abysmal glimmer': ['Portal', 'Prism'],
+    'Relativistic parsec-skipping': ['Shipment', 'Time machine'],
+    'Primeval glow': ['Time machine', 'Prism'],
+    'Extra physics funding': ['Bank', 'Antimatter condenser'],
+    'Chemical proficiency': ['Alchemy lab', 'Antimatter condenser'],
+    'Light magic': ['Wizard tower', 'Prism'],
+    'Mystical energies': ['Temple', 'Prism']
+  },
 
-      // Validate before processing
-      if (!Validators.isValidBuilding(building)) {
-        console.warn(`Invalid building skipped: ${buildingKey}`);
-        continue;
-      }
+  /**
+   * Flavoured cookies: permanent +N% cookie production.
+   */
+  FLAVOURED_COOKIES: {
+    'Plain cookies': 1,
+    'Sugar cookies': 1,
+    'Oatmeal raisin cookies': 1,
+    'Peanut butter cookies': 1,
+    'Coconut cookies': 2,
+    'White chocolate cookies': 2,
+    'Macadamia nut cookies': 2,
+    'Double-chip cookies': 2,
+    'White chocolate macadamia nut cookies': 2,
+    'All-chocolate cookies': 2,
+    'Dark chocolate-coated cookies': 5,
+    'White chocolate-coated cookies': 5,
+    'Eclipse cookies': 2,
+    'Zebra cookies': 2,
+    'Snickerdoodles': 2,
+    'Stroopwafels': 2,
+    'Macaroons': 2,
+    'Empire biscuits': 2,
+    'Madeleines': 2,
+    'Palmiers': 2,
+    'Palets': 2,
+    'Sablés': 2,
+    'Gingerbread men': 2,
+    'Gingerbread trees': 2,
+    'Ladyfingers': 3,
+    'Tuiles': 3,
+    'Chocolate-stuffed biscuits': 3,
+    'Checker cookies': 3,
+    'Butter cookies': 3,
+    'Cream cookies': 3,
+    'Gingersnaps': 4,
+    'Cinnamon cookies': 4,
+    'Vanity cookies': 4,
+    'Cigars': 4,
+    'Pinwheel cookies': 4,
+    'Fudge squares': 4,
+    'Shortbread biscuits': 4,
+    'Millionaires\' shortbreads': 4,
+    'Caramel cookies': 4,
+    'Pecan sandies': 4,
+    'Moravian spice cookies': 4,
+    'Anzac biscuits': 4,
+    'Buttercakes': 4,
+    'Ice cream sandwiches': 4
+  },
 
-      buildings.push(this._extractBuildingState(building, buildingKey));
-    }
+  /**
+   * Kitten upgrades: CPS × (1 + milk × factor), milk = achievements / 25.
+   */
+  KITTENS: {
+    'Kitten helpers': 0.1,
+    'Kitten workers': 0.125,
+    'Kitten engineers': 0.15,
+    'Kitten overseers': 0.175,
+    'Kitten managers': 0.2,
+    'Kitten accountants': 0.2,
+    'Kitten specialists': 0.2,
+    'Kitten experts': 0.2,
+    'Kitten consultants': 0.2,
+    'Kitten assistants to the regional manager': 0.175,
+    'Kitten marketeers': 0.15,
+    'Kitten analysts': 0.125,
+    'Kitten executives': 0.115
+  },
 
-    return buildings;
-  }
+  /**
+   * Grandmapocalypse research, in the order the Bingo center unlocks it:
+   * - percent:    cookie production +N%
+   * - multiplier: grandmas are N times as efficient
+   * - baseCps:    each grandma gains +baseCps base CPS per building of the
+   *               'per' type (before grandma upgrades and the global multiplier)
+   * Notes flag the steps that anger the grandmas.
+   */
+  RESEARCH: {
+    'Bingo center/Research facility': { building: 'Grandma', multiplier: 4 },
+    'Specialized chocolate chips': { percent: 1 },
+    'Designer cocoa beans': { percent: 2 },
+    'Ritual rolling pins': { building: 'Grandma', multiplier: 2 },
+    'Underworld ovens': { percent: 3 },
+    'One mind': { building: 'Grandma', baseCps: 0.02, per: 'Grandma', note: 'Starts the Grandmapocalypse' },
+    'Exotic nuts': { percent: 4 },
+    'Communal brainsweep': { building: 'Grandma', baseCps: 0.02, per: 'Grandma', note: 'The grandmas grow angrier' },
+    'Arcane sugar': { percent: 5 },
+    'Elder Pact': { building: 'Grandma', baseCps: 0.05, per: 'Portal', note: 'The grandmas at their angriest' }
+  },
 
   /**
-   * Extracts and normalizes a single building's state.
-   *
-   * @private
-   * @param {Object} building - Building object from Game.Objects
-   * @param {string} key - Building key/identifier
-   * @returns {Object} Normalized building data
+   * Toggles: switches that change how the game plays rather than adding
+   * CPS. Never ranked; listed with what they do.
    */
-  _extractBuildingState(building, key) {
-    // In Cookie Clicker, building.cps is a FUNCTION that returns base CPS
-    const baseCPS = typeof building.cps === 'function'
-      ? building.cps(building)
-      : (building.cps || 0);
+  TOGGLES: {
+    'Elder Pledge': 'Calms the grandmas for a while: no wrath cookies',
+    'Elder Covenant': 'Ends the Grandmapocalypse for good, at -5% CPS',
+    'Revoke Elder Covenant': 'Brings the Grandmapocalypse back (and the 5% CPS)',
+    'Festive biscuit': 'Switches to Christmas',
+    'Ghostly biscuit': 'Switches to Halloween',
+    'Lovesick biscuit': 'Switches to Valentine\'s day',
+    'Fool\'s biscuit': 'Switches to Business day',
+    'Bunny biscuit': 'Switches to Easter',
+    'Golden switch [off]': '+50% CPS, but no golden cookies',
+    'Golden switch [on]': 'Golden cookies come back, the +50% CPS goes',
+    'Shimmering veil [off]': '+50% CPS until the veil breaks',
+    'Shimmering veil [on]': 'Takes the veil down',
+    'Sugar frenzy': 'CPS ×3 for an hour, for a sugar lump'
+  },
 
-    return {
-      id: key,
-      name: building.name,
-      owned: building.amount,
-      cost: building.price,
-      baseCPS: baseCPS, // Base CPS per individual building
-      totalCPS: building.storedCps || 0, // Total CPS from all owned buildings of this type
-      // Additional metadata for future use
-      unlocked: building.unlocked !== 0,
-      bought: building.bought // Total ever purchased (including sold)
-    };
-  }
+  /**
+   * Heavenly upgrades that unlock prestige's CPS bonus (+1% per prestige level).
+   * Values are the share of that bonus each one unlocks; they add up to 100%.
+   */
+  HEAVENLY_POWER: {
+    'Heavenly chip secret': 0.05,
+    'Heavenly cookie stand': 0.20,
+    'Heavenly bakery': 0.25,
+    'Heavenly confectionery': 0.25,
+    'Heavenly key': 0.25
+  },
 
   /**
-   * Calculates the CPS contribution from a single building type.
-   * This accounts for all multipliers currently active.
-   *
-   * @private
-   * @param {Object} building - Building object from Game.Objects
-   * @returns {number} Total CPS from this building type
+   * Heavenly upgrades worth planning for, by what they bring:
+   * - cps:     permanent CPS, as a flat percent or a kitten factor (milk × factor);
+   *            HEAVENLY_POWER upgrades are added by lookupHeavenly()
+   * - offline: percent of CPS earned while the game is closed
+   * - unlock:  a mechanic or shortcut, described by note
+   * Heavenly upgrades not listed here are cosmetic or minor.
    */
-  _calculateBuildingCPS(building) {
-    // Cookie Clicker stores total CPS in storedCps
-    if (typeof building.storedCps === 'number') {
-      return building.storedCps;
-    }
+  HEAVENLY: {
+    'Heavenly cookies': { category: 'cps', percent: 10 },
+    'Kitten angels': { category: 'cps', kitten: 0.1 },
+    'Twin Gates of Transcendence': { category: 'offline', percent: 5 },
+    'Angels': { category: 'offline', percent: 10 },
+    'Archangels': { category: 'offline', percent: 10 },
+    'Virtues': { category: 'offline', percent: 10 },
+    'Dominions': { category: 'offline', percent: 10 },
+    'Cherubim': { category: 'offline', percent: 10 },
+    'Seraphim': { category: 'offline', percent: 10 },
+    'God': { category: 'offline', percent: 10 },
+    'Chimera': { category: 'offline', percent: 5 },
+    'Persistent memory': { category: 'unlock', note: 'Research is 10 times as fast' },
+    'Permanent upgrade slot I': { category: 'unlock', note: 'Keep an upgrade across ascensions' },
+    'Permanent upgrade slot II': { category: 'unlock', note: 'Keep a second upgrade across ascensions' },
+    'Permanent upgrade slot III': { category: 'unlock', note: 'Keep a third upgrade across ascensions' },
+    'Permanent upgrade slot IV': { category: 'unlock', note: 'Keep a fourth upgrade across ascensions' },
+    'Permanent upgrade slot V': { category: 'unlock', note: 'Keep a fifth upgrade across ascensions' },
+    'Synergies Vol. I': { category: 'unlock', note: 'Unlocks the first synergy upgrades' },
+    'Synergies Vol. II': { category: 'unlock', note: 'Unlocks the second synergy upgrades' },
+    'Season switcher': { category: 'unlock', note: 'Switch seasons at will' },
+    'How to bake your dragon': { category: 'unlock', note: 'Unlocks the dragon' },
+    'Starter kit': { category: 'unlock', note: 'Start each run with 10 cursors' },
+    'Starter kitchen': { category: 'unlock', note: 'Start each run with 5 grandmas' },
+    'Inspired checklist': { category: 'unlock', note: 'Buy all store upgrades at once' }
+  },
 
-    // Fallback: calculate from base CPS and amount
-    // (Less accurate due to missing multipliers, but better than nothing)
-    // In Cookie Clicker, building.cps is a FUNCTION
-    const baseCPS = typeof building.cps === 'function'
-      ? building.cps(building)
-      : (building.cps || 0);
-    const amount = building.amount || 0;
-    return baseCPS * amount;
-  }
+  /**
+   * Golden cookie upgrades, as factors on the time between golden cookies
+   * (spawn), on how long their effects last (duration) and on Lucky
+   * payouts (gain).
+   */
+  GOLDEN_COOKIE: {
+    'Lucky day': { spawn: 0.5 },
+    'Serendipity': { spawn: 0.5 },
+    'Get lucky': { duration: 2 },
+    'Golden goose egg': { spawn: 0.95 },
+    'Heavenly luck': { spawn: 0.95 },
+    'Lasting fortune': { duration: 1.1 },
+    'Green yeast digestives': { spawn: 0.99, duration: 1.01, gain: 1.01 }
+  },
 
   /**
-   * Extracts all available upgrades from Game.UpgradesInStore.
-   *
-   * @private
-   * @returns {Array<Object>} Array of normalized upgrade objects
+   * Mouse upgrades: clicking gains +1% of CPS each.
    */
-  _extractUpgrades() {
-    const upgrades = [];
+  MOUSE: [
+    'Plastic mouse', 'Iron mouse', 'Titanium mouse', 'Adamantium mouse',
+    'Unobtainium mouse', 'Eludium mouse', 'Wishalloy mouse', 'Fantasteel mouse',
+    'Nevercrack mouse', 'Armythril mouse', 'Technobsidian mouse', 'Plasmarble mouse'
+  ],
 
-    // UpgradesInStore contains upgrades that are unlocked and not yet purchased
-    for (let i = 0; i < this.game.UpgradesInStore.length; i++) {
-      const upgrade = this.game.UpgradesInStore[i];
+  /**
+   * Finger upgrades, in unlock order. Thousand fingers grants the base
+   * bonus per non-cursor building; each later one multiplies it.
+   */
+  FINGERS: [
+    { name: 'Thousand fingers', bonus: 0.1 },
+    { name: 'Million fingers', multiplier: 5 },
+    { name: 'Billion fingers', multiplier: 10 },
+    { name: 'Trillion fingers', multiplier: 20 },
+    { name: 'Quadrillion fingers', multiplier: 20 },
+    { name: 'Quintillion fingers', multiplier: 20 },
+    { name: 'Sextillion fingers', multiplier: 20 },
+    { name: 'Septillion fingers', multiplier: 20 },
+    { name: 'Octillion fingers', multiplier: 20 },
+    { name: 'Nonillion fingers', multiplier: 20 }
+  ],
 
-      // Validate before processing
-      if (!Validators.isValidUpgrade(upgrade)) {
-        console.warn(`Invalid upgrade skipped: ${upgrade?.name || 'unknown'}`);
-        continue;
-      }
-
-      upgrades.push(this._extractUpgradeState(upgrade, i));
-    }
-
-    return upgrades;
-  }
+  /**
+   * Upgrade names by game id (Game.UpgradesById), in the order the game
+   * declares them. Covers ids 0-201: tiers 1-6 of the first fourteen
+   * buildings, fingers, mice, kittens, grandma types, flavoured cookies,
+   * the Grandmapocalypse and heavenly power up to there. Later ids
+   * (higher tiers, newer buildings) need a catalogue from the game.
+   */
+  IDS: [
+    // 0
+    'Reinforced index finger', 'Carpal tunnel prevention cream', 'Ambidextrous',
+    'Thousand fingers', 'Million fingers', 'Billion fingers', 'Trillion fingers',
+    'Forwards from grandma', 'Steel-plated rolling pins', 'Lubricated dentures',
+    // 10
+    'Cheap hoes', 'Fertilizer', 'Cookie trees',
+    'Sturdier conveyor belts', 'Child labor', 'Sweatshop',
+    'Sugar gas', 'Megadrill', 'Ultradrill',
+    'Vanilla nebulae',
+    // 20
+    'Wormholes', 'Frequent flyer',
+    'Antimony', 'Essence of dough', 'True chocolate',
+    'Ancient tablet', 'Insane oatling workers', 'Soul bond',
+    'Flux capacitors', 'Time paradox resolver',
+    // 30
+    'Quantum conundrum',
+    'Kitten helpers', 'Kitten workers',
+    'Plain cookies', 'Sugar cookies', 'Oatmeal raisin cookies', 'Peanut butter cookies',
+    'Coconut cookies', 'White chocolate cookies', 'Macadamia nut cookies',
+    // 40
+    'Double-chip cookies', 'White chocolate macadamia nut cookies', 'All-chocolate cookies',
+    'Quadrillion fingers', 'Prune juice', 'Genetically-modified cookies', 'Radium reactors',
+    'Ultimadrill', 'Warp drive', 'Ambrosia',
+    // 50
+    'Sanity dance', 'Causality enforcer',
+    'Lucky day', 'Serendipity', 'Kitten engineers',
+    'Dark chocolate-coated cookies', 'White chocolate-coated cookies',
+    'Farmer grandmas', 'Worker grandmas', 'Miner grandmas',
+    // 60
+    'Cosmic grandmas', 'Transmuted grandmas', 'Altered grandmas', 'Grandmas\' grandmas',
+    'Bingo center/Research facility', 'Specialized chocolate chips', 'Designer cocoa beans',
+    'Ritual rolling pins', 'Underworld ovens', 'One mind',
+    // 70
+    'Exotic nuts', 'Communal brainsweep', 'Arcane sugar', 'Elder Pact', 'Elder Pledge',
+    'Plastic mouse', 'Iron mouse', 'Titanium mouse', 'Adamantium mouse',
+    'Ultrascience',
+    // 80
+    'Eclipse cookies', 'Zebra cookies', 'Quintillion fingers', 'Gold hoard',
+    'Elder Covenant', 'Revoke Elder Covenant', 'Get lucky', 'Sacrificial rolling pins',
+    'Snickerdoodles', 'Stroopwafels',
+    // 90
+    'Macaroons', 'Neuromancy', 'Empire biscuits', 'British tea biscuits',
+    'Chocolate british tea biscuits', 'Round british tea biscuits',
+    'Round chocolate british tea biscuits', 'Round british tea biscuits with heart motif',
+    'Round chocolate british tea biscuits with heart motif', 'Sugar bosons',
+    // 100
+    'String theory', 'Large macaron collider', 'Big bang bake', 'Antigrandmas',
+    'Madeleines', 'Palmiers', 'Palets', 'Sablés', 'Kitten overseers', 'Sextillion fingers',
+    // 110
+    'Double-thick glasses', 'Gingerbread scarecrows', 'Recombobulators', 'H-bomb mining',
+    'Chocolate monoliths', 'Aqua crustulae', 'Brane transplant', 'Yestermorrow comparators',
+    'Reverse cyclotrons', 'Unobtainium mouse',
+    // 120
+    'Caramoas', 'Sagalongs', 'Shortfoils', 'Win mints', 'Perfect idling',
+    'Fig gluttons', 'Loreols', 'Jaffa cakes', 'Grease\'s cups', 'Heavenly chip secret',
+    // 130
+    'Heavenly cookie stand', 'Heavenly bakery', 'Heavenly confectionery', 'Heavenly key',
+    'Skull cookies', 'Ghost cookies', 'Bat cookies', 'Slime cookies', 'Pumpkin cookies',
+    'Eyeball cookies',
+    // 140
+    'Spider cookies', 'Persistent memory', 'Wrinkler doormat',
+    'Christmas tree biscuits', 'Snowflake biscuits', 'Snowman biscuits', 'Holly biscuits',
+    'Candy cane biscuits', 'Bell biscuits', 'Present biscuits',
+    // 150
+    'Gingerbread men', 'Gingerbread trees',
+    'A festive hat', 'Increased merriness', 'Improved jolliness', 'A lump of coal',
+    'An itchy sweater', 'Reindeer baking grounds', 'Weighted sleighs',
+    'Ho ho ho-flavored frosting',
+    // 160
+    'Season savings', 'Toy workshop', 'Naughty list', 'Santa\'s bottomless bag',
+    'Santa\'s helpers', 'Santa\'s legacy', 'Santa\'s milk and cookies', 'Reindeer season',
+    'Santa\'s dominion', 'Pure heart biscuits',
+    // 170
+    'Ardent heart biscuits', 'Sour heart biscuits', 'Weeping heart biscuits',
+    'Golden heart biscuits', 'Eternal heart biscuits',
+    'Gem polish', '9th color', 'Chocolate light', 'Grainbow', 'Pure cosmic light',
+    // 180
+    'Rainbow grandmas', 'Season switcher', 'Festive biscuit', 'Ghostly biscuit',
+    'Lovesick biscuit', 'Fool\'s biscuit', 'Eternal seasons', 'Kitten managers',
+    'Septillion fingers', 'Octillion fingers',
+    // 190
+    'Eludium mouse', 'Wishalloy mouse', 'Aging agents', 'Pulsar sprinklers',
+    'Deep-bake process', 'Coreforge', 'Generation ship', 'Origin crucible',
+    'Deity-sized portals', 'Far future enactment',
+    // 200
+    'Nanocosmics', 'Glow-in-the-dark'
+  ],
 
   /**
-   * Extracts and normalizes a single upgrade's state.
+   * Names an upgrade by game id.
    *
-   * @private
-   * @param {Object} upgrade - Upgrade object from Game.UpgradesInStore
-   * @param {number} index - Index in UpgradesInStore array
-   * @returns {Object} Normalized upgrade data
+   * @param {number} id - Game upgrade id
+   * @returns {string|null} Upgrade name, or null if the id is not in IDS
    */
-  _extractUpgradeState(upgrade, index) {
-    // Get cost - some upgrades use getPrice(), others have basePrice
-    let cost = 0;
-    if (typeof upgrade.getPrice === 'function') {
-      cost = upgrade.getPrice();
-    } else if (typeof upgrade.basePrice === 'number') {
-      cost = upgrade.basePrice;
-    }
-
-    return {
-      id: `upgrade_${index}`,
-      name: upgrade.name,
-      cost: cost,
-      // Description contains hints about what the upgrade does
-      description: upgrade.desc || '',
-      descriptionDetail: upgrade.ddesc || '',
-      // Upgrade type/category if available
-      pool: upgrade.pool || 'standard',
-      // Is this upgrade unlocked and available?
-      unlocked: this._isUpgradeUnlocked(upgrade)
-    };
-  }
+  nameForId(id) {
+    return this.IDS[id] || null;
+  },
 
   /**
-   * Checks if an upgrade is truly unlocked and available for purchase.
+   * Looks up the known effect of an upgrade.
    *
-   * @private
-   * @param {Object} upgrade - Upgrade object
-   * @returns {boolean} True if unlocked, false otherwise
+   * @param {string} name - Upgrade name as shown in game
+   * @returns {Object|null} Effect description (see file header), or null if unknown
    */
-  _isUpgradeUnlocked(upgrade) {
-    // If upgrade is in UpgradesInStore, it's already unlocked
-    // But we do an additional check for safety
-    if (upgrade.unlocked === false) {
-      return false;
+  lookup(name) {
+    for (const building in this.TIERED) {
+      const tier = this.TIERED[building].indexOf(name);
+      if (tier !== -1) {
+        return { family: 'tiered', building: building, multiplier: 2, tier: tier + 1 };
+      }
     }
 
-    // Check if upgrade has been bought already
-    if (upgrade.bought) {
-      return false;
+    if (name in this.GRANDMA_TYPES) {
+      const building = this.GRANDMA_TYPES[name];
+      return {
+        family: 'grandma',
+        building: building,
+        perGrandmas: Constants.BUILDINGS.indexOf(building) - 1
+      };
     }
 
-    return true;
-  }
+    if (name in this.SYNERGIES) {
+      return { family: 'synergy', buildings: this.SYNERGIES[name] };
+    }
 
-  /**
-   * Gets the current multiplier effect on a specific building.
-   * This is useful for calculating the actual CPS gain from buying one more.
-   *
-   * @private
-   * @param {Object} building - Building object
-   * @returns {number} Multiplier (1.0 = no multiplier, 2.0 = double, etc.)
-   */
-  _getBuildingMultiplier(building) {
-    // In Cookie Clicker, building.cps is a FUNCTION
-    const baseCPS = typeof building.cps === 'function'
-      ? building.cps(building)
-      : (building.cps || 0);
+    if (name in this.FLAVOURED_COOKIES) {
+      return { family: 'cookie', percent: this.FLAVOURED_COOKIES[name] };
+    }
 
-    // If building has some owned and has storedCps, we can calculate multiplier
-    if (building.amount > 0 && building.storedCps > 0 && baseCPS > 0) {
-      const baseTotal = baseCPS * building.amount;
-      const multiplier = building.storedCps / baseTotal;
-      return multiplier;
+    if (name in this.KITTENS) {
+      return { family: 'kitten', factor: this.KITTENS[name] };
     }
 
-    // Default: no multiplier
-    return 1.0;
-  }
+    if (name in this.GOLDEN_COOKIE) {
+      return { family: 'golden', spawn: 1, duration: 1, gain: 1, ...this.GOLDEN_COOKIE[name] };
+    }
+
+    if (this.MOUSE.includes(name)) {
+      return { family: 'mouse', percent: 1 };
+    }
+
+    const fingerIndex = this.FINGERS.findIndex(f => f.name === name);
+    if (fingerIndex !== -1) {
+      const finger = this.FINGERS[fingerIndex];
+      if (finger.bonus) {
+        return { family: 'fingers', bonus: finger.bonus };
+      }
+
+      // Bonus already granted by the earlier finger upgrades (assumed owned)
+      const previous = this.FINGERS
+        .slice(0, fingerIndex)
+        .reduce((bonus, f) => (f.bonus ? f.bonus : bonus * f.multiplier), 0);
+      return { family: 'fingers', multiplier: finger.multiplier, previous: previous };
+    }
+
+    if (name in this.RESEARCH) {
+      return { family: 'research', ...this.RESEARCH[name] };
+    }
+
+    return null;
+  },
 
   /**
-   * Gets a specific building by name.
+   * Looks up what a toggle does.
    *
-   * @param {string} buildingName - Name of the building (e.g., "Cursor", "Grandma")
-   * @returns {Object|null} Normalized building object, or null if not found
+   * @param {string} name - Toggle name as shown in game
+   * @returns {string|null} Description, or null if unknown
    */
-  getBuilding(buildingName) {
-    const building = this.game.Objects[buildingName];
-    if (!building || !Validators.isValidBuilding(building)) {
-      return null;
-    }
-    return this._extractBuildingState(building, buildingName);
-  }
+  lookupToggle(name) {
+    return name in this.TOGGLES ? this.TOGGLES[name] : null;
+  },
 
   /**
-   * Gets current cookies and CPS (quick access for calculations).
+   * Looks up what a heavenly upgrade is worth planning for.
    *
-   * @returns {Object} Current financial state
-   * @returns {number} returns.cookies - Current cookies
-   * @returns {number} returns.cps - Cookies per second
+   * @param {string} name - Heavenly upgrade name
+   * @returns {Object|null} { category, ... } (see HEAVENLY; prestige power upgrades
+   *   are { category: 'cps', prestigeShare }), or null if not worth planning for
    */
-  getFinancialState() {
-    return {
-      cookies: this.game.cookies,
-      cps: this.game.cookiesPs
-    };
+  lookupHeavenly(name) {
+    if (name in this.HEAVENLY_POWER) {
+      return { category: 'cps', prestigeShare: this.HEAVENLY_POWER[name] };
+    }
+    return name in this.HEAVENLY ? { ...this.HEAVENLY[name] } : null;
   }
-}
+};
 
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
-  module.exports = GameStateAdapter;
+  module.exports = UpgradeDatabase;
 }
 /**
- * EconomicModel.js
+ * Config.js
  *
- * Calculates ROI (Return on Investment) metrics for all purchase candidates.
+ * Runtime overrides for the tunable values in Constants (ROI filter,
+ * number of alternatives, number precision, upgrade estimates, Lucky
+ * bank), so they can be changed without editing the bundle.
  *
- * ROI Formula: roiTime = cost / deltaCPS
- * - Lower ROI time = better investment (pays back faster)
- * - deltaCPS = increase in cookies per second from purchase
+ * Overrides are validated, written into Constants in place (every module
+ * reads Constants when it runs, so the next analysis uses them) and saved
+ * in localStorage under Constants.CONFIG_STORAGE_KEY; as a mod, the advisor
+ * also keeps them in the game save. Only the overridden values are saved;
+ * resetting restores the values Constants had when the Config was created.
  *
- * Buildings: Straightforward calculation using base CPS and multipliers
- * Upgrades: Heuristic-based estimation by parsing upgrade descriptions
+ * JSON has no Infinity, so non-finite numbers (MAX_REASONABLE_ROI: Infinity
+ * turns the ROI filter off) are saved as strings, as in snapshots.
  */
 
-class EconomicModel {
+class Config {
   /**
-   * Creates a new EconomicModel.
+   * @param {Object} options - Configuration options
+   * @param {Storage|null} [options.storage] - Where overrides are saved (defaults to localStorage; null to not save)
+   * @param {Object} [options.target] - Object the values are written into (defaults to Constants)
+   */
+  constructor(options = {}) {
+    this.storage = 'storage' in options ? options.storage : Config._getDefaultStorage();
+    this.target = options.target || Constants;
+    this.defaults = this._copyValues(this.target);
+    this.overrides = {};
+  }
+
+  /**
+   * Gets the current value of every setting.
    *
-   * @param {Object} gameState - Normalized game state from GameStateAdapter
+   * @returns {Object} Setting name → value (a copy)
    */
-  constructor(gameState) {
-    if (!Validators.isValidGameState(gameState)) {
-      throw new Error('Invalid game state provided to EconomicModel');
-    }
-    this.gameState = gameState;
+  get() {
+    return this._copyValues(this.target);
   }
 
   /**
-   * Gets all purchase candidates with ROI calculations.
+   * Gets only the settings that differ from the defaults.
    *
-   * @returns {Array<Object>} Array of candidates (buildings + upgrades) with ROI data
+   * @returns {Object} Setting name → overridden value (a copy)
    */
-  getAllCandidates() {
-    const candidates = [];
+  getOverrides() {
+    return this._copyValues(this.overrides);
+  }
 
-    // Add all buildings
-    for (const building of this.gameState.buildings) {
-      const roi = this.calculateBuildingROI(building);
-      if (roi) {
-        candidates.push(roi);
-      }
-    }
+  /**
+   * Validates overrides, applies them and saves them. Object settings are
+   * merged, so { UPGRADE_ESTIMATES: { CONSERVATIVE_BOOST: 0.05 } } keeps
+   * the other estimates.
+   *
+   * @param {Object} overrides - Setting name → new value
+   * @returns {Object} Current value of every setting
+   * @throws {Error} If a setting is unknown or a value is invalid (nothing is changed)
+   */
+  set(overrides) {
+    const valid = Config.validate(overrides);
 
-    // Add all upgrades
-    for (const upgrade of this.gameState.upgrades) {
-      const roi = this.calculateUpgradeROI(upgrade);
-      if (roi) {
-        candidates.push(roi);
-      }
+    for (const [key, value] of Object.entries(valid)) {
+      this.overrides[key] = Config._isObjectSetting(key)
+        ? Object.assign({}, this.overrides[key], value)
+        : value;
     }
 
-    return candidates;
+    this._apply();
+    this._save();
+    return this.get();
   }
 
   /**
-   * Calculates ROI for purchasing one more of a building.
+   * Replaces every override (e.g. with the ones stored in a game save):
+   * settings not given go back to their defaults.
    *
-   * @param {Object} building - Normalized building object
-   * @returns {Object|null} ROI data, or null if invalid
+   * @param {Object} overrides - Setting name → value
+   * @returns {Object} Current value of every setting
+   * @throws {Error} If a setting is unknown or a value is invalid (nothing is changed)
    */
-  calculateBuildingROI(building) {
-    // Extract building properties
-    const cost = building.cost;
-    const baseCPS = building.baseCPS;
-    const owned = building.owned;
-    const totalCPS = building.totalCPS;
-
-    // Guard: invalid data
-    if (cost <= 0 || baseCPS < 0) {
-      return null;
-    }
+  replace(overrides) {
+    const valid = Config.validate(overrides);
+    this.overrides = {};
+    return this.set(valid);
+  }
 
-    // Calculate multiplier from current state
-    // Multiplier accounts for all upgrades affecting this building
-    let multiplier = 1.0;
-    if (owned > 0 && totalCPS > 0) {
-      const baseTotal = baseCPS * owned;
-      if (baseTotal > 0) {
-        multiplier = totalCPS / baseTotal;
+  /**
+   * Restores the default values and deletes the saved overrides.
+   *
+   * @returns {Object} Current value of every setting
+   */
+  reset() {
+    this.overrides = {};
+    this._apply();
+
+    if (this.storage) {
+      try {
+        this.storage.removeItem(Constants.CONFIG_STORAGE_KEY);
+      } catch (error) {
+        console.warn(`⚠️ Could not delete saved settings: ${error.message}`);
       }
     }
 
-    // Delta CPS = what we gain from buying one more
-    const deltaCPS = baseCPS * multiplier;
-
-    // Calculate ROI time
-    const roiTime = this._calculateROITime(cost, deltaCPS);
-
-    return {
-      id: building.id,
-      type: 'building',
-      name: building.name,
-      cost: cost,
-      deltaCPS: deltaCPS,
-      roiTime: roiTime,
-      currentOwned: owned,
-      // Metadata for display
-      displayName: `${building.name} (#${owned + 1})`
-    };
+    return this.get();
   }
 
   /**
-   * Calculates ROI for purchasing an upgrade.
-   * Uses heuristic pattern matching to estimate CPS impact.
+   * Applies overrides saved by an earlier session. Saved settings that
+   * no longer validate are discarded with a warning.
    *
-   * @param {Object} upgrade - Normalized upgrade object
-   * @returns {Object|null} ROI data, or null if invalid
+   * @returns {Array<string>} Names of the settings restored
    */
-  calculateUpgradeROI(upgrade) {
-    // Extract upgrade properties
-    const cost = upgrade.cost;
-    const description = upgrade.descriptionDetail || upgrade.description || '';
-
-    // Guard: invalid data
-    if (cost <= 0) {
-      return null;
+  load() {
+    if (!this.storage) {
+      return [];
     }
 
-    // Estimate CPS delta using pattern matching
-    const deltaCPS = this._estimateUpgradeCPS(upgrade, description);
+    try {
+      const saved = this.storage.getItem(Constants.CONFIG_STORAGE_KEY);
+      if (!saved) {
+        return [];
+      }
 
-    // Calculate ROI time
-    const roiTime = this._calculateROITime(cost, deltaCPS);
+      this.overrides = Config.parse(saved);
+      this._apply();
+      return Object.keys(this.overrides);
 
-    return {
-      id: upgrade.id,
-      type: 'upgrade',
-      name: upgrade.name,
-      cost: cost,
-      deltaCPS: deltaCPS,
-      roiTime: roiTime,
-      isPermanent: true, // Upgrades are permanent
-      // Metadata for display
-      displayName: `[Upgrade] ${upgrade.name}`
-    };
+    } catch (error) {
+      console.warn(`⚠️ Ignoring saved settings: ${error.message}`);
+      return [];
+    }
   }
 
   /**
-   * Estimates CPS increase from an upgrade by parsing its description.
-   * This is heuristic-based since upgrade effects vary wildly.
+   * Checks overrides against the setting rules.
    *
-   * @private
-   * @param {Object} upgrade - Upgrade object
-   * @param {string} description - Upgrade description text
-   * @returns {number} Estimated deltaCPS
+   * @param {Object} overrides - Setting name → new value
+   * @returns {Object} Copy of the overrides
+   * @throws {Error} Listing every unknown setting and invalid value
    */
-  _estimateUpgradeCPS(upgrade, description) {
-    const desc = description.toLowerCase();
-    const currentCPS = this.gameState.cookiesPerSecond;
+  static validate(overrides) {
+    if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+      throw new Error('Settings must be an object, e.g. { MAX_REASONABLE_ROI: 7200 }');
+    }
 
-    // Pattern 1: Multiplier upgrades (e.g., "Grandmas are 2x as efficient")
-    const multiplierMatch = desc.match(Constants.UPGRADE_PATTERNS.MULTIPLIER);
-    if (multiplierMatch) {
-      const multiplier = parseFloat(multiplierMatch[1]);
-      const affectedBuilding = this._findAffectedBuilding(desc);
-      if (affectedBuilding) {
-        // Increase is (multiplier - 1) * current CPS from that building
-        return affectedBuilding.totalCPS * (multiplier - 1);
+    const schema = Config._getSchema();
+    const problems = [];
+    const valid = {};
+
+    for (const [key, value] of Object.entries(overrides)) {
+      const rule = schema[key];
+      if (!rule) {
+        problems.push(`unknown setting "${key}"`);
+        continue;
       }
-    }
 
-    // Pattern 2: Percentage boost (e.g., "Cursors gain 50% of your CPS")
-    const percentMatch = desc.match(Constants.UPGRADE_PATTERNS.PERCENTAGE_BOOST);
-    if (percentMatch) {
-      const percent = parseFloat(percentMatch[1]);
-      const affectedBuilding = this._findAffectedBuilding(desc);
+      if (!rule.fields) {
+        if (rule.check(value)) {
+          valid[key] = value;
+        } else {
+          problems.push(`${key} must be ${rule.expected}`);
+        }
+        continue;
+      }
 
-      if (affectedBuilding) {
-        // Percentage boost to specific building
-        return affectedBuilding.totalCPS * (percent / 100);
-      } else {
-        // General percentage boost to all CPS
-        return currentCPS * (percent / 100);
+      if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        problems.push(`${key} must be an object with ${Object.keys(rule.fields).join(', ')}`);
+        continue;
       }
-    }
 
-    // Pattern 3: Flat bonus (e.g., "Cursors gain +0.1 cookies per click")
-    const flatMatch = desc.match(Constants.UPGRADE_PATTERNS.FLAT_COOKIE_BONUS);
-    if (flatMatch) {
-      // Click bonuses are harder to value, use conservative estimate
-      // Assume player clicks 1-2 times per second when active
-      const bonusPerClick = parseFloat(flatMatch[1]);
-      const estimatedClicksPerSec = 1.5;
-      return bonusPerClick * estimatedClicksPerSec;
+      valid[key] = {};
+      for (const [field, fieldValue] of Object.entries(value)) {
+        const fieldRule = rule.fields[field];
+        if (!fieldRule) {
+          problems.push(`unknown setting "${key}.${field}"`);
+        } else if (!fieldRule.check(fieldValue)) {
+          problems.push(`${key}.${field} must be ${fieldRule.expected}`);
+        } else {
+          valid[key][field] = fieldValue;
+        }
+      }
     }
 
-    // Pattern 4: Building-specific upgrade (e.g., "Steel-plated rolling pins")
-    const affectedBuilding = this._findAffectedBuilding(desc);
-    if (affectedBuilding) {
-      // Assume 50% boost to that building type
-      return affectedBuilding.totalCPS * Constants.UPGRADE_ESTIMATES.SYNERGY_MULTIPLIER;
+    if (problems.length > 0) {
+      throw new Error(`Invalid settings: ${problems.join('; ')}`);
     }
 
-    // Pattern 5: Click upgrade (e.g., mentions "clicking" or "cursor")
-    if (desc.includes('click') || desc.includes('cursor')) {
-      // Click upgrades have indirect value, assign conservative estimate
-      return currentCPS * Constants.UPGRADE_ESTIMATES.CLICK_UPGRADE_WEIGHT;
-    }
+    return valid;
+  }
 
-    // Fallback: Unknown upgrade type
-    // Assign conservative 2% boost to total CPS
-    return currentCPS * Constants.UPGRADE_ESTIMATES.CONSERVATIVE_BOOST;
+  /**
+   * Serializes overrides, writing non-finite numbers as strings.
+   *
+   * @param {Object} overrides - Setting name → value
+   * @returns {string} JSON text
+   */
+  static stringify(overrides) {
+    return JSON.stringify(overrides, (key, value) =>
+      typeof value === 'number' && !isFinite(value) ? String(value) : value
+    );
   }
 
   /**
-   * Finds which building is affected by an upgrade based on description.
+   * Parses and validates overrides written by stringify().
    *
-   * @private
-   * @param {string} description - Upgrade description (lowercase)
-   * @returns {Object|null} Affected building, or null if none/unknown
+   * @param {string} json - JSON text
+   * @returns {Object} Setting name → value
+   * @throws {Error} If the JSON or a setting is invalid
    */
-  _findAffectedBuilding(description) {
-    // Check if description mentions any building name
-    const buildingMatch = description.match(Constants.UPGRADE_PATTERNS.BUILDING_REFERENCE);
-    if (!buildingMatch) {
-      return null;
-    }
+  static parse(json) {
+    const overrides = JSON.parse(json, (key, value) =>
+      value === 'Infinity' || value === '-Infinity' || value === 'NaN' ? Number(value) : value
+    );
+    return Config.validate(overrides);
+  }
 
-    const buildingName = buildingMatch[1];
+  /**
+   * Lists the settings that can be changed.
+   *
+   * @returns {Array<string>} Setting names
+   */
+  static getSettingNames() {
+    return Object.keys(Config._getSchema());
+  }
 
-    // Find the building in our game state
-    // Need to match case-insensitively
-    for (const building of this.gameState.buildings) {
-      if (building.name.toLowerCase() === buildingName.toLowerCase()) {
-        return building;
+  /**
+   * Writes defaults plus overrides into the target. Object settings are
+   * updated in place, so references to them stay current.
+   *
+   * @private
+   */
+  _apply() {
+    for (const key of Config.getSettingNames()) {
+      if (Config._isObjectSetting(key)) {
+        Object.assign(this.target[key], this.defaults[key], this.overrides[key]);
+      } else {
+        this.target[key] = key in this.overrides ? this.overrides[key] : this.defaults[key];
       }
     }
-
-    return null;
   }
 
   /**
-   * Calculates ROI time with safety checks.
+   * Saves the overrides. Settings still apply for this session if saving fails.
    *
    * @private
-   * @param {number} cost - Cost of purchase
-   * @param {number} deltaCPS - CPS increase
-   * @returns {number} ROI time in seconds, or Infinity if invalid
    */
-  _calculateROITime(cost, deltaCPS) {
-    // Guard against zero or negative deltaCPS
-    if (deltaCPS < Constants.MIN_VALID_DELTA_CPS) {
-      return Infinity;
+  _save() {
+    if (!this.storage) {
+      return;
     }
 
-    // ROI time = how many seconds until investment pays for itself
-    const roiTime = cost / deltaCPS;
-
-    // Sanity check
-    if (!isFinite(roiTime) || roiTime < 0) {
-      return Infinity;
+    try {
+      this.storage.setItem(Constants.CONFIG_STORAGE_KEY, Config.stringify(this.overrides));
+    } catch (error) {
+      console.warn(`⚠️ Could not save settings: ${error.message}`);
     }
-
-    return roiTime;
   }
 
   /**
-   * Gets candidate by ID.
+   * Copies the settings present in an object.
    *
-   * @param {string} id - Candidate ID
-   * @returns {Object|null} Candidate with ROI data, or null if not found
+   * @private
+   * @param {Object} source - Constants or overrides
+   * @returns {Object} Setting name → value
    */
-  getCandidate(id) {
-    const candidates = this.getAllCandidates();
-    return candidates.find(c => c.id === id) || null;
+  _copyValues(source) {
+    const copy = {};
+    for (const key of Config.getSettingNames()) {
+      if (key in source) {
+        copy[key] = Config._isObjectSetting(key) ? Object.assign({}, source[key]) : source[key];
+      }
+    }
+    return copy;
   }
 
   /**
-   * Filters candidates by type.
-   *
-   * @param {string} type - 'building' or 'upgrade'
-   * @returns {Array<Object>} Filtered candidates
+   * @private
+   * @param {string} key - Setting name
+   * @returns {boolean} True for settings made of several fields
    */
-  getCandidatesByType(type) {
-    return this.getAllCandidates().filter(c => c.type === type);
+  static _isObjectSetting(key) {
+    return Boolean(Config._getSchema()[key].fields);
   }
 
   /**
-   * Gets only affordable candidates (can be purchased now).
+   * The page's localStorage, if it can be used.
    *
-   * @returns {Array<Object>} Affordable candidates
+   * @private
+   * @returns {Storage|null} localStorage, or null (Node.js, or storage blocked by the browser)
    */
-  getAffordableCandidates() {
-    const currentCookies = this.gameState.cookies;
-    return this.getAllCandidates().filter(c =>
-      Validators.isAffordable(c.cost, currentCookies)
-    );
+  static _getDefaultStorage() {
+    try {
+      return typeof localStorage !== 'undefined' ? localStorage : null;
+    } catch (error) {
+      return null;
+    }
   }
 
   /**
-   * Gets only valid candidates (finite ROI, reasonable time).
+   * Rules for each setting: check(value) and a description of valid values.
    *
-   * @returns {Array<Object>} Valid candidates for recommendation
+   * @private
+   * @returns {Object} Setting name → { check, expected } or { fields: { name → { check, expected } } }
    */
-  getValidCandidates() {
-    return this.getAllCandidates().filter(c =>
-      Validators.isValidROI(c.roiTime) &&
-      c.roiTime <= Constants.MAX_REASONABLE_ROI
-    );
+  static _getSchema() {
+    const nonNegative = {
+      check: value => typeof value === 'number' && isFinite(value) && value >= 0,
+      expected: 'a non-negative number'
+    };
+    const integerBetween = (min, max) => ({
+      check: value => Number.isInteger(value) && value >= min && value <= max,
+      expected: `a whole number from ${min} to ${max}`
+    });
+
+    return {
+      MAX_REASONABLE_ROI: {
+        check: value => typeof value === 'number' && value > 0,
+        expected: 'a positive number of seconds (Infinity to turn the ROI filter off)'
+      },
+      MIN_VALID_DELTA_CPS: nonNegative,
+      TOP_ALTERNATIVES_COUNT: integerBetween(0, 20),
+      NUMBER_PRECISION: integerBetween(0, 10),
+      LUCKY_BANK_TARGET: {
+        check: value => ['lucky', 'frenzy', 'none'].includes(value),
+        expected: "'lucky', 'frenzy' or 'none'"
+      },
+      UPGRADE_ESTIMATES: {
+        fields: {
+          CONSERVATIVE_BOOST: nonNegative,
+          CLICK_UPGRADE_WEIGHT: nonNegative,
+          SYNERGY_MULTIPLIER: nonNegative
+        }
+      }
+    };
   }
 }
 
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
-  module.exports = EconomicModel;
+  module.exports = Config;
 }
 /**
- * StrategyEngine.js
- *
- * Pluggable strategy pattern for ranking purchase candidates.
+ * GameStateAdapter.js
  *
- * Architecture:
- * - Strategy base class defines interface
- * - Concrete strategies implement different ranking algorithms
- * - StrategyEngine orchestrates strategy execution
+ * Extracts and normalizes game state from the Cookie Clicker Game object.
+ * This module is READ-ONLY and never mutates the game state.
  *
- * v1: GreedyStrategy (lowest ROI time first)
- * Future: LookaheadStrategy, SynergyStrategy, BalancedStrategy
+ * Purpose: Provide a clean, normalized interface to game data for downstream modules.
  */
 
-/**
- * Base Strategy class (interface).
- * All strategies must implement the evaluate() method.
- */
-class Strategy {
+class GameStateAdapter {
   /**
-   * Evaluates and ranks purchase candidates.
+   * Creates a new GameStateAdapter.
    *
-   * @param {Array<Object>} candidates - Array of candidates with ROI data
-   * @returns {Array<Object>} Sorted array of recommendations
+   * @param {Object} gameObject - The Cookie Clicker Game object (window.Game)
+   * @throws {Error} If gameObject is invalid
    */
-  evaluate(candidates) {
-    throw new Error('Strategy.evaluate() must be implemented by subclass');
+  constructor(gameObject) {
+    if (!Validators.isValidGameObject(gameObject)) {
+      throw new Error('Invalid Game object provided to GameStateAdapter');
+    }
+    this.game = gameObject;
   }
 
   /**
-   * Gets the strategy name.
+   * Extracts and normalizes the complete game state.
    *
-   * @returns {string} Human-readable strategy name
+   * @returns {Object} Normalized game state
+   * @returns {number} returns.cookies - Current cookie count
+   * @returns {number} returns.cookiesPerSecond - Buff-free baseline CPS (used for all estimates)
+   * @returns {number} returns.currentCPS - CPS as reported by the game, buffs included
+   * @returns {Array<Object>} returns.buffs - Active buffs ({ name, multCpS, multClick, timeLeft })
+   * @returns {number} returns.buffMultiplier - Combined CPS multiplier of active buffs
+   * @returns {number} returns.cookiesPerClick - Cookies per click on the big cookie (buffs excluded)
+   * @returns {number} returns.milk - Milk progress (achievements / 25), used by kitten upgrades
+   * @returns {number} returns.globalMultiplier - Multiplier applied on top of every building's CPS (buffs excluded)
+   * @returns {number} returns.kittenMultiplier - Combined CPS factor from owned kitten upgrades
+   * @returns {Array<Object>} returns.buildings - Array of normalized buildings
+   * @returns {Array<Object>} returns.upgrades - Array of normalized upgrades
+   * @returns {Array<string>} returns.ownedUpgrades - Names of upgrades already bought
+   * @returns {number} returns.cookiesEarned - Cookies baked this ascension
+   * @returns {number} returns.cookiesReset - Cookies baked in previous ascensions
+   * @returns {number} returns.prestige - Prestige level
+   * @returns {number} returns.heavenlyChips - Unspent heavenly chips
+   * @returns {number|null} returns.startDate - When this ascension started (ms timestamp), null if unknown
+   * @returns {Array<Object>} returns.heavenlyUpgrades - Heavenly upgrade tree ({ id, name, cost, parents, bought, description })
    */
-  getName() {
-    return this.constructor.name;
+  getGameState() {
+    const buildings = this._extractBuildings();
+    const ownedUpgrades = this._extractOwnedUpgrades();
+    const milk = typeof this.game.milkProgress === 'number' ? this.game.milkProgress : 0;
+    const buffs = this._extractBuffs();
+    const buffMultiplier = buffs.reduce((multiplier, buff) => multiplier * buff.multCpS, 1.0);
+    const baselineCPS = this._getBaselineCPS(buffMultiplier);
+    const number = name => (typeof this.game[name] === 'number' ? this.game[name] : 0);
+
+    return {
+      cookies: this.game.cookies,
+      cookiesPerSecond: baselineCPS,
+      currentCPS: this.game.cookiesPs,
+      buffs: buffs,
+      buffMultiplier: buffMultiplier,
+      cookiesPerClick: this._getCookiesPerClick(buffs),
+      milk: milk,
+      globalMultiplier: this._getGlobalMultiplier(buildings, baselineCPS, buffMultiplier),
+      kittenMultiplier: this._getKittenMultiplier(ownedUpgrades, milk),
+      buildings: buildings,
+      upgrades: this._extractUpgrades(),
+      ownedUpgrades: ownedUpgrades,
+      cookiesEarned: number('cookiesEarned'),
+      cookiesReset: number('cookiesReset'),
+      prestige: number('prestige'),
+      heavenlyChips: number('heavenlyChips'),
+      startDate: this.game.startDate > 0 ? this.game.startDate : null,
+      heavenlyUpgrades: this._extractHeavenlyUpgrades()
+    };
   }
-}
 
-/**
- * Greedy Strategy: Recommend purchase with lowest ROI time.
- *
- * Algorithm:
- * 1. Filter out invalid candidates (Infinity ROI, too expensive, locked)
- * 2. Sort by ascending ROI time (lower = better)
- * 3. Return ordered recommendations
- *
- * Pros: Simple, intuitive, optimal for single-purchase horizon
- * Cons: Doesn't consider synergies or lookahead
- */
-class GreedyStrategy extends Strategy {
   /**
-   * Evaluates candidates using greedy algorithm.
+   * Extracts all buildings from Game.Objects.
    *
-   * @param {Array<Object>} candidates - Array of candidates with ROI data
-   * @returns {Array<Object>} Sorted recommendations (best first)
+   * @private
+   * @returns {Array<Object>} Array of normalized building objects
    */
-  evaluate(candidates) {
-    return candidates
-      // Filter 1: Valid ROI (finite, positive)
-      .filter(c => Validators.isValidROI(c.roiTime))
-
-      // Filter 2: Reasonable timeframe (< 1 hour)
-      .filter(c => c.roiTime <= Constants.MAX_REASONABLE_ROI)
+  _extractBuildings() {
+    const buildings = [];
 
-      // Filter 3: Valid candidate structure
-      .filter(c => Validators.isValidCandidate(c))
+    // Iterate through all building types
+    for (const buildingKey in this.game.Objects) {
+      const building = this.game.Objects[buildingKey];
 
-      // Sort: Ascending by ROI time (lowest first)
-      .sort((a, b) => {
-        // Primary: ROI time (lower is better)
-        if (a.roiTime !== b.roiTime) {
-          return a.roiTime - b.roiTime;
-        }
+      // Validate before processing
+      if (!Validators.isValidBuilding(building)) {
+        console.warn(`Invalid building skipped: ${buildingKey}`);
+        continue;
+      }
 
-        // Tiebreaker: Higher absolute CPS gain
-        return b.deltaCPS - a.deltaCPS;
-      });
-  }
-}
+      buildings.push(this._extractBuildingState(building, buildingKey));
+    }
 
-/**
- * Lookahead Strategy (Future implementation).
- *
- * Algorithm:
- * 1. Simulate purchasing each candidate
- * 2. For each purchase, calculate next N best purchases
- * 3. Rank by cumulative CPS gain over sequence
- *
- * Pros: Considers multi-step optimization
- * Cons: More complex, computationally expensive
- */
-class LookaheadStrategy extends Strategy {
-  constructor(depth = 3) {
-    super();
-    this.depth = depth; // How many purchases to look ahead
+    return buildings;
   }
 
-  evaluate(candidates) {
-    // TODO: Implement lookahead simulation
-    // For now, fall back to greedy
-    console.warn('LookaheadStrategy not yet implemented, using greedy fallback');
-    return new GreedyStrategy().evaluate(candidates);
-  }
-}
+  /**
+   * Extracts and normalizes a single building's state.
+   *
+   * @private
+   * @param {Object} building - Building object from Game.Objects
+   * @param {string} key - Building key/identifier
+   * @returns {Object} Normalized building data
+   */
+  _extractBuildingState(building, key) {
+    // In Cookie Clicker, building.cps is a FUNCTION that returns base CPS
+    const baseCPS = typeof building.cps === 'function'
+      ? building.cps(building)
+      : (building.cps || 0);
 
-/**
- * Synergy Strategy (Future implementation).
- *
- * Algorithm:
- * 1. Identify upgrades that combo with owned buildings
- * 2. Boost ROI for synergistic purchases
- * 3. Rank considering synergy multipliers
- *
- * Example: If you own many grandmas, prioritize grandma upgrades
- *
- * Pros: Maximizes building-upgrade synergies
- * Cons: Requires synergy database/detection
- */
-class SynergyStrategy extends Strategy {
-  evaluate(candidates) {
-    // TODO: Implement synergy detection
-    console.warn('SynergyStrategy not yet implemented, using greedy fallback');
-    return new GreedyStrategy().evaluate(candidates);
-  }
-}
+    const totalCPS = this._calculateBuildingCPS(building);
+    const perUnitCPS = this._getPerUnitCPS(building, baseCPS, totalCPS);
 
-/**
- * Balanced Strategy (Future implementation).
- *
- * Algorithm:
- * 1. Mix ROI optimization with diversification
- * 2. Avoid over-investing in single building type
- * 3. Balance short-term and long-term gains
- *
- * Pros: More robust, reduces variance
- * Cons: May not be pure optimal
- */
-class BalancedStrategy extends Strategy {
-  evaluate(candidates) {
-    // TODO: Implement balanced approach
-    console.warn('BalancedStrategy not yet implemented, using greedy fallback');
-    return new GreedyStrategy().evaluate(candidates);
+    return {
+      id: key,
+      name: building.name,
+      owned: building.amount,
+      cost: building.price,
+      baseCPS: baseCPS, // Base CPS per individual building
+      perUnitCPS: perUnitCPS, // CPS of one more building, before the global multiplier
+      totalCPS: totalCPS, // Total CPS from all owned buildings of this type
+      multiplier: this._getBuildingMultiplier(building, perUnitCPS), // Building-specific upgrades
+      // Additional metadata for future use
+      unlocked: building.unlocked !== 0,
+      bought: building.bought // Total ever purchased (including sold)
+    };
   }
-}
 
-/**
- * StrategyEngine orchestrates strategy execution.
- * Allows hot-swapping strategies at runtime.
- */
-class StrategyEngine {
   /**
-   * Creates a new StrategyEngine.
+   * Calculates the CPS contribution from a single building type.
+   * This accounts for all multipliers currently active.
    *
-   * @param {Strategy} strategy - Initial strategy (defaults to Greedy)
+   * @private
+   * @param {Object} building - Building object from Game.Objects
+   * @returns {number} Total CPS from this building type
    */
-  constructor(strategy = null) {
-    this.strategy = strategy || new GreedyStrategy();
+  _calculateBuildingCPS(building) {
+    // Cookie Clicker stores the per-building CPS in storedCps and the total in storedTotalCps
+    if (typeof building.storedTotalCps === 'number') {
+      return building.storedTotalCps;
+    }
 
-    // Validate strategy
-    if (!(this.strategy instanceof Strategy)) {
-      throw new Error('Strategy must extend Strategy base class');
+    // Older snapshots only carry storedCps, holding the total
+    if (typeof building.storedCps === 'number') {
+      return building.storedCps;
     }
+
+    // Fallback: calculate from base CPS and amount
+    // (Less accurate due to missing multipliers, but better than nothing)
+    // In Cookie Clicker, building.cps is a FUNCTION
+    const baseCPS = typeof building.cps === 'function'
+      ? building.cps(building)
+      : (building.cps || 0);
+    const amount = building.amount || 0;
+    return baseCPS * amount;
   }
 
   /**
-   * Gets recommendations using current strategy.
+   * Extracts all available upgrades from Game.UpgradesInStore.
    *
-   * @param {Array<Object>} candidates - Array of candidates with ROI data
-   * @returns {Array<Object>} Sorted recommendations
+   * @private
+   * @returns {Array<Object>} Array of normalized upgrade objects
    */
-  recommend(candidates) {
-    // Validate input
-    if (!Array.isArray(candidates)) {
-      throw new Error('Candidates must be an array');
-    }
+  _extractUpgrades() {
+    const upgrades = [];
 
-    // Execute strategy
-    try {
-      const recommendations = this.strategy.evaluate(candidates);
+    // UpgradesInStore contains upgrades that are unlocked and not yet purchased
+    for (let i = 0; i < this.game.UpgradesInStore.length; i++) {
+      const upgrade = this.game.UpgradesInStore[i];
 
-      // Validate output
-      if (!Array.isArray(recommendations)) {
-        throw new Error('Strategy.evaluate() must return an array');
+      // Validate before processing
+      if (!Validators.isValidUpgrade(upgrade)) {
+        console.warn(`Invalid upgrade skipped: ${upgrade?.name || 'unknown'}`);
+        continue;
       }
 
-      return recommendations;
-    } catch (error) {
-      console.error('Strategy execution failed:', error);
-      // Fallback to greedy if strategy fails
-      if (!(this.strategy instanceof GreedyStrategy)) {
-        console.warn('Falling back to GreedyStrategy');
-        this.strategy = new GreedyStrategy();
-        return this.strategy.evaluate(candidates);
-      }
-      // Re-throw if greedy also fails
-      throw error;
+      upgrades.push(this._extractUpgradeState(upgrade, i));
     }
+
+    return upgrades;
   }
 
   /**
-   * Changes the active strategy.
+   * Extracts and normalizes a single upgrade's state.
    *
-   * @param {Strategy} newStrategy - New strategy to use
+   * @private
+   * @param {Object} upgrade - Upgrade object from Game.UpgradesInStore
+   * @param {number} index - Index in UpgradesInStore array
+   * @returns {Object} Normalized upgrade data
    */
-  setStrategy(newStrategy) {
-    if (!(newStrategy instanceof Strategy)) {
-      throw new Error('Strategy must extend Strategy base class');
+  _extractUpgradeState(upgrade, index) {
+    // Get cost - some upgrades use getPrice(), others have basePrice
+    let cost = 0;
+    if (typeof upgrade.getPrice === 'function') {
+      cost = upgrade.getPrice();
+    } else if (typeof upgrade.basePrice === 'number') {
+      cost = upgrade.basePrice;
     }
-    this.strategy = newStrategy;
-  }
 
-  /**
-   * Gets the current strategy name.
-   *
-   * @returns {string} Strategy name
-   */
-  getStrategyName() {
-    return this.strategy.getName();
+    return {
+      id: `upgrade_${index}`,
+      name: upgrade.name,
+      cost: cost,
+      // Description contains hints about what the upgrade does
+      description: upgrade.desc || '',
+      descriptionDetail: upgrade.ddesc || '',
+      // Upgrade type/category if available
+      pool: upgrade.pool || 'standard',
+      // Is this upgrade unlocked and available?
+      unlocked: this._isUpgradeUnlocked(upgrade)
+    };
   }
 
   /**
-   * Gets the top N recommendations.
+   * Checks if an upgrade is truly unlocked and available for purchase.
    *
-   * @param {Array<Object>} candidates - Candidates to evaluate
-   * @param {number} count - Number of recommendations to return
-   * @returns {Array<Object>} Top N recommendations
+   * @private
+   * @param {Object} upgrade - Upgrade object
+   * @returns {boolean} True if unlocked, false otherwise
    */
-  getTopRecommendations(candidates, count = Constants.TOP_ALTERNATIVES_COUNT) {
-    const all = this.recommend(candidates);
-    return all.slice(0, count);
-  }
-}
+  _isUpgradeUnlocked(upgrade) {
+    // If upgrade is in UpgradesInStore, it's already unlocked
+    // But we do an additional check for safety
+    if (upgrade.unlocked === false) {
+      return false;
+    }
 
-// Export for use in other modules
-if (typeof module !== 'undefined' && module.exports) {
-  module.exports = {
-    Strategy,
-    GreedyStrategy,
-    LookaheadStrategy,
-    SynergyStrategy,
-    BalancedStrategy,
-    StrategyEngine
-  };
-}
-/**
- * OutputRenderer.js
- *
- * Formats recommendations for console output with clean, readable display.
- *
- * Features:
- * - ASCII art borders for visual hierarchy
- * - Number formatting (K, M, B, T suffixes)
- * - Time formatting (seconds → human readable)
- * - Color-coded output (where supported)
- */
+    // Check if upgrade has been bought already
+    if (upgrade.bought) {
+      return false;
+    }
+
+    return true;
+  }
 
-class OutputRenderer {
   /**
-   * Renders the main recommendation output to console.
+   * Gets the CPS one more of this building produces, before the global multiplier.
+   * The game computes this itself (storedCps), including fingers for Cursors
+   * and grandma-type bonuses for Grandmas, and it is valid even when none are owned.
    *
-   * @param {Object} topChoice - Best recommendation
-   * @param {Array<Object>} alternatives - Alternative recommendations (top 5)
-   * @param {Object} gameState - Current game state
+   * @private
+   * @param {Object} building - Building object from Game.Objects
+   * @param {number} baseCPS - Value of building.cps()
+   * @param {number} totalCPS - Total CPS from this building type
+   * @returns {number} Per-building CPS
    */
-  renderRecommendation(topChoice, alternatives, gameState) {
-    // Clear console for clean output (optional)
-    // console.clear();
-
-    // Header
-    this._renderHeader();
-
-    // Current game status
-    this._renderGameStatus(gameState);
-
-    // Best investment
-    if (topChoice) {
-      this._renderBestChoice(topChoice, gameState);
-    } else {
-      this._renderNoRecommendation();
+  _getPerUnitCPS(building, baseCPS, totalCPS) {
+    if (typeof building.storedTotalCps === 'number' && typeof building.storedCps === 'number') {
+      return building.storedCps;
     }
 
-    // Top alternatives
-    if (alternatives && alternatives.length > 0) {
-      this._renderAlternatives(alternatives);
+    // Fallback: average of the owned buildings, or the base value if none owned
+    if (building.amount > 0 && totalCPS > 0) {
+      return totalCPS / building.amount;
     }
-
-    // Footer (optional tips)
-    this._renderFooter();
+    return baseCPS;
   }
 
   /**
-   * Renders the header banner.
+   * Gets the current multiplier effect on a specific building.
+   * This is the building-specific part only (tiered upgrades, grandma types,
+   * synergies); the global multiplier is captured separately.
    *
    * @private
+   * @param {Object} building - Building object
+   * @param {number} perUnitCPS - CPS of one building from _getPerUnitCPS()
+   * @returns {number} Multiplier (1.0 = no multiplier, 2.0 = double, etc.)
    */
-  _renderHeader() {
-    const line = this._repeat(Constants.BORDERS.DOUBLE_LINE, 51);
-    console.log(line);
-    console.log(`  ${Constants.ICONS.COOKIE} COOKIE CLICKER ROI ADVISOR`);
-    console.log(line);
-    console.log('');
+  _getBuildingMultiplier(building, perUnitCPS) {
+    // building.baseCps is the unupgraded value; building.cps() already includes upgrades
+    if (typeof building.baseCps === 'number' && building.baseCps > 0) {
+      return perUnitCPS / building.baseCps;
+    }
+
+    // Default: no multiplier
+    return 1.0;
   }
 
   /**
-   * Renders current game status.
+   * Gets the multiplier the game applies to every building's CPS
+   * (flavoured cookies, kittens, prestige), with active buffs divided out.
    *
    * @private
-   * @param {Object} gameState - Current game state
+   * @param {Array<Object>} buildings - Normalized buildings
+   * @param {number} baselineCPS - Buff-free CPS
+   * @param {number} buffMultiplier - Combined CPS multiplier of active buffs
+   * @returns {number} Global multiplier (1.0 if unknown)
    */
-  _renderGameStatus(gameState) {
-    console.log('Current Status:');
-    console.log(`  Cookies: ${this._formatCurrency(gameState.cookies)}`);
-    console.log(`  CPS: ${this._formatCurrency(gameState.cookiesPerSecond)}/sec`);
-    console.log('');
+  _getGlobalMultiplier(buildings, baselineCPS, buffMultiplier) {
+    // Game.globalCpsMult includes buffs (Frenzy ×7, Clot ×0.5, ...)
+    if (typeof this.game.globalCpsMult === 'number' && this.game.globalCpsMult > 0 && buffMultiplier > 0) {
+      return this.game.globalCpsMult / buffMultiplier;
+    }
+
+    // Fallback: ratio of baseline CPS to the sum of building CPS
+    const buildingTotal = buildings.reduce((sum, b) => sum + b.totalCPS, 0);
+    if (buildingTotal > 0 && baselineCPS > 0) {
+      return baselineCPS / buildingTotal;
+    }
+    return 1.0;
   }
 
   /**
-   * Renders the best investment recommendation.
+   * Extracts the active buffs from Game.buffs.
+   * Buff time is stored in frames; timeLeft is converted to seconds.
    *
    * @private
-   * @param {Object} choice - Top recommendation
-   * @param {Object} gameState - Current game state
+   * @returns {Array<Object>} Active buffs ({ name, multCpS, multClick, timeLeft })
    */
-  _renderBestChoice(choice, gameState) {
-    const line = this._repeat(Constants.BORDERS.SINGLE_LINE, 51);
-    console.log(line);
-    console.log(`${Constants.ICONS.BEST} BEST INVESTMENT ${Constants.ICONS.BEST}`);
-    console.log(line);
-    console.log('');
-
-    // Determine if affordable
-    const affordable = Validators.isAffordable(choice.cost, gameState.cookies);
-    const timeToAfford = affordable
-      ? 0
-      : (choice.cost - gameState.cookies) / gameState.cookiesPerSecond;
+  _extractBuffs() {
+    const buffs = [];
+    if (!this.game.buffs || typeof this.game.buffs !== 'object') {
+      return buffs;
+    }
 
-    // Main recommendation
-    console.log(`  ${Constants.ICONS.ARROW} ${choice.displayName || choice.name}`);
-    console.log(`    Cost: ${this._formatCurrency(choice.cost)} cookies`);
-    console.log(`    Benefit: +${this._formatCurrency(choice.deltaCPS)} CPS`);
-    console.log(`    ROI Time: ${this._formatTime(choice.roiTime)}`);
+    const fps = this.game.fps || 30;
+    for (const key in this.game.buffs) {
+      const buff = this.game.buffs[key];
+      if (!buff || typeof buff !== 'object') {
+        continue;
+      }
 
-    // Affordability message
-    if (!affordable && timeToAfford < 3600) {
-      console.log(`    Wait: ${this._formatTime(timeToAfford)} until affordable`);
-    } else if (!affordable) {
-      console.log(`    Status: Not yet affordable`);
-    } else {
-      console.log(`    Status: ✓ Affordable now!`);
+      buffs.push({
+        name: buff.name || key,
+        multCpS: typeof buff.multCpS === 'number' ? buff.multCpS : 1,
+        multClick: typeof buff.multClick === 'number' ? buff.multClick : 1,
+        timeLeft: typeof buff.time === 'number' ? buff.time / fps : 0
+      });
     }
 
-    console.log('');
+    return buffs;
   }
 
   /**
-   * Renders message when no recommendation is available.
+   * Gets the CPS the game would report without buffs.
+   * Prefers Game.unbuffedCps; otherwise divides the buffs back out.
+   * A buff that stops production entirely (multiplier 0) cannot be divided
+   * out, so the reported CPS is used as-is.
    *
    * @private
+   * @param {number} buffMultiplier - Combined CPS multiplier of active buffs
+   * @returns {number} Baseline CPS
    */
-  _renderNoRecommendation() {
-    console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
-    console.log('No recommendations available.');
-    console.log('This might mean:');
-    console.log('  - All purchases have very long ROI times (>1 hour)');
-    console.log('  - No purchases are currently unlocked');
-    console.log('  - Game state could not be read properly');
-    console.log('');
+  _getBaselineCPS(buffMultiplier) {
+    if (typeof this.game.unbuffedCps === 'number') {
+      return this.game.unbuffedCps;
+    }
+    if (buffMultiplier > 0) {
+      return this.game.cookiesPs / buffMultiplier;
+    }
+    return this.game.cookiesPs;
   }
 
   /**
-   * Renders alternative recommendations.
+   * Gets the cookies earned per click, with click buffs (Click frenzy,
+   * Dragonflight, ...) divided out.
    *
    * @private
-   * @param {Array<Object>} alternatives - Top alternatives
+   * @param {Array<Object>} buffs - Active buffs from _extractBuffs()
+   * @returns {number} Cookies per click (1 if unknown)
    */
-  _renderAlternatives(alternatives) {
-    const line = this._repeat(Constants.BORDERS.SINGLE_LINE, 51);
-    console.log(line);
-    console.log(`${Constants.ICONS.ALTERNATIVES} TOP ${alternatives.length} ALTERNATIVES`);
-    console.log(line);
-    console.log('');
-
-    alternatives.forEach((alt, index) => {
-      const rank = index + 1;
-      const displayName = alt.displayName || alt.name;
-      const cost = this._formatCurrency(alt.cost);
-      const deltaCPS = this._formatCurrency(alt.deltaCPS);
-      const roi = this._formatTime(alt.roiTime);
-
-      console.log(`${rank}. ${displayName}`);
-      console.log(`   Cost: ${cost} | +${deltaCPS} CPS | ROI: ${roi}`);
-    });
+  _getCookiesPerClick(buffs) {
+    if (typeof this.game.computedMouseCps !== 'number') {
+      return 1;
+    }
 
-    console.log('');
+    const clickMultiplier = buffs.reduce((multiplier, buff) => multiplier * buff.multClick, 1.0);
+    return clickMultiplier > 0
+      ? this.game.computedMouseCps / clickMultiplier
+      : this.game.computedMouseCps;
   }
 
   /**
-   * Renders footer with tips.
+   * Combines the CPS factors of owned kitten upgrades at the current milk.
    *
    * @private
+   * @param {Array<string>} ownedUpgrades - Names of bought upgrades
+   * @param {number} milk - Milk progress
+   * @returns {number} Kitten multiplier (1.0 = no kittens)
    */
-  _renderFooter() {
-    const line = this._repeat(Constants.BORDERS.THIN_LINE, 51);
-    console.log(line);
-    console.log('Run CookieAdvisor.analyze() again after purchasing.');
-    console.log(line);
+  _getKittenMultiplier(ownedUpgrades, milk) {
+    return ownedUpgrades.reduce((multiplier, name) => {
+      const effect = UpgradeDatabase.lookup(name);
+      return effect && effect.family === 'kitten'
+        ? multiplier * (1 + milk * effect.factor)
+        : multiplier;
+    }, 1.0);
   }
 
   /**
-   * Formats a number as currency with K/M/B/T suffixes.
+   * Lists the names of upgrades already bought.
+   * Reads Game.UpgradesById when present, otherwise Game.Upgrades.
    *
    * @private
-   * @param {number} amount - Number to format
-   * @returns {string} Formatted string (e.g., "1.23M")
+   * @returns {Array<string>} Owned upgrade names (empty if unavailable)
    */
-  _formatCurrency(amount) {
-    if (amount === 0) {
-      return '0';
+  _extractOwnedUpgrades() {
+    const source = this.game.UpgradesById || this.game.Upgrades;
+    if (!source || typeof source !== 'object') {
+      return [];
     }
 
-    if (amount < 1000) {
-      return amount.toFixed(Constants.NUMBER_PRECISION);
-    }
+    return Object.values(source)
+      .filter(upgrade => upgrade && upgrade.bought && typeof upgrade.name === 'string')
+      .map(upgrade => upgrade.name);
+  }
 
-    // Find appropriate suffix
-    for (const { threshold, suffix } of Constants.NUMBER_SUFFIXES) {
-      if (amount >= threshold) {
-        const scaled = amount / threshold;
-        return scaled.toFixed(Constants.NUMBER_PRECISION) + suffix;
-      }
+  /**
+   * Lists the heavenly upgrade tree: every upgrade in the 'prestige' pool,
+   * bought or not, with its parents. Costs are in heavenly chips.
+   * Reads Game.UpgradesById when present, otherwise Game.Upgrades.
+   *
+   * @private
+   * @returns {Array<Object>} { id, name, cost, parents, bought, description } (empty if unavailable)
+   */
+  _extractHeavenlyUpgrades() {
+    const source = this.game.UpgradesById || this.game.Upgrades;
+    if (!source || typeof source !== 'object') {
+      return [];
     }
 
-    // Fallback: no suffix
-    return amount.toFixed(Constants.NUMBER_PRECISION);
+    return Object.values(source)
+      .filter(upgrade => Validators.isValidUpgrade(upgrade) && upgrade.pool === 'prestige')
+      .map(upgrade => ({
+        id: upgrade.id,
+        name: upgrade.name,
+        cost: typeof upgrade.basePrice === 'number' ? upgrade.basePrice : upgrade.getPrice(),
+        // The game links parents as upgrade objects (-1 for none)
+        parents: (upgrade.parents || [])
+          .map(parent => (typeof parent === 'string' ? parent : parent && parent.name))
+          .filter(name => typeof name === 'string'),
+        bought: Boolean(upgrade.bought),
+        description: upgrade.desc || ''
+      }));
   }
 
   /**
-   * Formats time in seconds to human-readable format.
+   * Gets a specific building by name.
    *
-   * @private
-   * @param {number} seconds - Time in seconds
-   * @returns {string} Formatted string (e.g., "1h 23m 45s")
+   * @param {string} buildingName - Name of the building (e.g., "Cursor", "Grandma")
+   * @returns {Object|null} Normalized building object, or null if not found
    */
-  _formatTime(seconds) {
-    if (!isFinite(seconds) || seconds < 0) {
-      return '∞';
+  getBuilding(buildingName) {
+    const building = this.game.Objects[buildingName];
+    if (!building || !Validators.isValidBuilding(building)) {
+      return null;
     }
+    return this._extractBuildingState(building, buildingName);
+  }
 
-    if (seconds < 1) {
-      return '<1s';
+  /**
+   * Gets current cookies and CPS (quick access for calculations).
+   *
+   * @returns {Object} Current financial state
+   * @returns {number} returns.cookies - Current cookies
+   * @returns {number} returns.cps - Cookies per second
+   */
+  getFinancialState() {
+    return {
+      cookies: this.game.cookies,
+      cps: this.game.cookiesPs
+    };
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = GameStateAdapter;
+}
+/**
+ * SaveImporter.js
+ *
+ * Decodes an exported Cookie Clicker save string into the same normalized
+ * game state GameStateAdapter.getGameState() produces, so EconomicModel and
+ * StrategyEngine can run without a browser (e.g. under Node).
+ *
+ * Save format (Options → Export save):
+ *   escape(base64(utf8(data)) + '!END!'), where data is split by '|':
+ *   [0] version  [2] run details  [4] misc stats  [5] buildings
+ *   [6] upgrades (two bits per upgrade id: unlocked, bought)
+ *   [7] achievements (one bit per achievement id)
+ *
+ * The save does not store CPS. It is rebuilt from Constants.BUILDING_STATS
+ * and the owned upgrades known to UpgradeDatabase, so it is an estimate:
+ * effects the database doesn't know (e.g. research, seasons, minigames) are
+ * missing. Upgrades are stored by numeric id only: UpgradeDatabase.IDS
+ * names the early ones; pass an upgrade catalogue to name the rest and to
+ * get prices and descriptions. Ids left unnamed are reported (a warning,
+ * and unknownUpgradeIds in the game state), since they make CPS low.
+ */
+
+class SaveImporter {
+  /**
+   * Creates a new SaveImporter.
+   *
+   * @param {string} saveString - Exported save string
+   * @param {Object} options - Import options
+   * @param {Array<string|Object>} options.upgradeCatalogue - Upgrades indexed by game id:
+   *   a name, or { name, price, desc, pool, parents } (e.g. Game.UpgradesById mapped to plain
+   *   objects; parents are names, needed for the heavenly upgrade tree)
+   * @throws {Error} If the save string is missing or cannot be decoded
+   */
+  constructor(saveString, options = {}) {
+    if (typeof saveString !== 'string' || saveString.trim().length === 0) {
+      throw new Error('Invalid save string provided to SaveImporter');
     }
 
-    if (seconds < 60) {
-      return `${Math.round(seconds)}s`;
+    this.sections = SaveImporter.decode(saveString).split('|');
+    if (this.sections.length < 6) {
+      throw new Error('Save string is missing sections (expected at least 6)');
     }
 
-    const hours = Math.floor(seconds / 3600);
-    const minutes = Math.floor((seconds % 3600) / 60);
-    const secs = Math.round(seconds % 60);
+    this.upgradeCatalogue = Array.isArray(options.upgradeCatalogue) ? options.upgradeCatalogue : null;
+  }
 
-    const parts = [];
-    if (hours > 0) {
-      parts.push(`${hours}h`);
-    }
-    if (minutes > 0) {
-      parts.push(`${minutes}m`);
+  /**
+   * Decodes a save string into its raw '|'-separated text.
+   *
+   * @param {string} saveString - Exported save string
+   * @returns {string} Decoded save data
+   * @throws {Error} If the string is not valid base64
+   */
+  static decode(saveString) {
+    let data = unescape(saveString.replace(/\s+/g, ''));
+    const endIndex = data.indexOf('!END!');
+    if (endIndex !== -1) {
+      data = data.substring(0, endIndex);
     }
-    if (secs > 0 && hours === 0) {
-      // Only show seconds if < 1 hour
-      parts.push(`${secs}s`);
+
+    try {
+      const binary = typeof atob === 'function'
+        ? atob(data)
+        : Buffer.from(data, 'base64').toString('binary');
+      // The game base64-encodes UTF-8 bytes (bakery names may contain any character)
+      return decodeURIComponent(escape(binary));
+    } catch (error) {
+      throw new Error(`Could not decode save string: ${error.message}`);
     }
+  }
 
-    return parts.join(' ');
+  /**
+   * Builds the normalized game state from the save.
+   *
+   * @returns {Object} Normalized game state (same fields as GameStateAdapter.getGameState(),
+   *   plus version, bakeryName, savedDate, unlockedUpgradeIds, boughtUpgradeIds and
+   *   unknownUpgradeIds: { bought, store }, the ids left out for want of a name or price)
+   */
+  getGameState() {
+    const misc = this._parseMisc();
+    const upgradeFlags = this._parseUpgradeFlags();
+    const ownedUpgrades = this._getUpgradeNames(upgradeFlags.bought);
+    const unknownUpgradeIds = this._getUnknownUpgradeIds(upgradeFlags);
+    const milk = this._parseAchievementCount() / 25;
+    const run = (this.sections[2] || '').split(';'); // startDate;fullDate;lastDate;bakeryName;...
+
+    const owned = new Set(ownedUpgrades);
+    const buildings = this._extractBuildings(owned, misc.cookiesEarned);
+    const kittenMultiplier = this._getKittenMultiplier(owned, milk);
+    const globalMultiplier = this._getGlobalMultiplier(owned, kittenMultiplier, misc.prestige);
+
+    const buildingTotal = buildings.reduce((sum, b) => sum + b.totalCPS, 0);
+    const cookiesPerSecond = buildingTotal * globalMultiplier;
+
+    return {
+      cookies: misc.cookies,
+      cookiesPerSecond: cookiesPerSecond,
+      currentCPS: cookiesPerSecond,
+      buffs: [], // Buffs are excluded from estimates anyway
+      buffMultiplier: 1.0,
+      cookiesPerClick: this._getCookiesPerClick(owned, buildings, cookiesPerSecond),
+      milk: milk,
+      globalMultiplier: globalMultiplier,
+      kittenMultiplier: kittenMultiplier,
+      buildings: buildings,
+      upgrades: this._extractStoreUpgrades(upgradeFlags),
+      ownedUpgrades: ownedUpgrades,
+      cookiesEarned: misc.cookiesEarned,
+      cookiesReset: misc.cookiesReset,
+      prestige: misc.prestige,
+      heavenlyChips: misc.heavenlyChips,
+      startDate: parseInt(run[0], 10) || null,
+      heavenlyUpgrades: this._extractHeavenlyUpgrades(upgradeFlags),
+      // Save-only data
+      version: parseFloat(this.sections[0]) || 0,
+      bakeryName: run[3] || '',
+      savedDate: parseInt(run[2], 10) || null,
+      unlockedUpgradeIds: upgradeFlags.unlocked,
+      boughtUpgradeIds: upgradeFlags.bought,
+      unknownUpgradeIds: unknownUpgradeIds
+    };
   }
 
   /**
-   * Repeats a character N times.
+   * Parses the misc stats section ([4], ';'-separated).
    *
    * @private
-   * @param {string} char - Character to repeat
-   * @param {number} count - Number of repetitions
-   * @returns {string} Repeated string
+   * @returns {Object} { cookies, cookiesEarned, cookieClicks, cookiesReset, prestige, heavenlyChips }
    */
-  _repeat(char, count) {
-    return char.repeat(count);
+  _parseMisc() {
+    const fields = (this.sections[4] || '').split(';');
+    const number = index => parseFloat(fields[index]) || 0;
+
+    return {
+      cookies: number(0),
+      cookiesEarned: number(1), // This ascension
+      cookieClicks: number(2),
+      cookiesReset: number(8), // Baked in previous ascensions
+      prestige: number(25),
+      heavenlyChips: number(26)
+    };
   }
 
   /**
-   * Renders a simple summary (for programmatic use).
+   * Parses the upgrade bit pairs ([6]) into id lists.
    *
-   * @param {Object} recommendation - Top recommendation
-   * @returns {string} Summary string
+   * @private
+   * @returns {Object} { unlocked: number[], bought: number[] }
    */
-  renderSummary(recommendation) {
-    if (!recommendation) {
-      return 'No recommendation available';
+  _parseUpgradeFlags() {
+    const bits = this.sections[6] || '';
+    const unlocked = [];
+    const bought = [];
+
+    for (let id = 0; id * 2 < bits.length; id++) {
+      if (bits.charAt(id * 2) === '1') {
+        unlocked.push(id);
+      }
+      if (bits.charAt(id * 2 + 1) === '1') {
+        bought.push(id);
+      }
     }
 
-    return `${recommendation.name}: Cost ${this._formatCurrency(recommendation.cost)}, ` +
-           `+${this._formatCurrency(recommendation.deltaCPS)} CPS, ` +
-           `ROI ${this._formatTime(recommendation.roiTime)}`;
+    return { unlocked, bought };
   }
 
   /**
-   * Renders detailed candidate information (for debugging).
+   * Counts won achievements ([7], one bit per achievement).
+   * Shadow achievements can't be told apart without a catalogue, so
+   * milk may be slightly overestimated.
    *
-   * @param {Object} candidate - Candidate with ROI data
+   * @private
+   * @returns {number} Achievements won
    */
-  renderCandidateDetail(candidate) {
-    console.log('─────────────────────────────────────────────');
-    console.log(`${candidate.type.toUpperCase()}: ${candidate.name}`);
-    console.log('─────────────────────────────────────────────');
-    console.log(`ID: ${candidate.id}`);
-    console.log(`Cost: ${this._formatCurrency(candidate.cost)} cookies`);
-    console.log(`Delta CPS: +${this._formatCurrency(candidate.deltaCPS)}`);
-    console.log(`ROI Time: ${this._formatTime(candidate.roiTime)}`);
-
-    if (candidate.type === 'building') {
-      console.log(`Currently Owned: ${candidate.currentOwned}`);
+  _parseAchievementCount() {
+    const bits = this.sections[7] || '';
+    let count = 0;
+    for (const bit of bits) {
+      if (bit === '1') {
+        count++;
+      }
     }
+    return count;
+  }
 
-    if (candidate.type === 'upgrade') {
-      console.log(`Permanent: ${candidate.isPermanent ? 'Yes' : 'No'}`);
+  /**
+   * Looks up an upgrade by id: in the catalogue, else by name only in
+   * UpgradeDatabase.IDS (price 0: unknown).
+   *
+   * @private
+   * @param {number} id - Game upgrade id
+   * @returns {Object|null} { name, price, desc, pool, parents }, or null if unknown
+   */
+  _getCatalogueEntry(id) {
+    const entry = (this.upgradeCatalogue && this.upgradeCatalogue[id]) || UpgradeDatabase.nameForId(id);
+    if (typeof entry === 'string') {
+      return { name: entry, price: 0, desc: '', pool: '', parents: [] };
     }
-
-    console.log('─────────────────────────────────────────────');
+    if (entry && typeof entry.name === 'string') {
+      return {
+        name: entry.name,
+        price: entry.price || entry.basePrice || 0,
+        desc: entry.desc || '',
+        pool: entry.pool || '',
+        parents: Array.isArray(entry.parents) ? entry.parents : []
+      };
+    }
+    return null;
   }
 
   /**
-   * Renders a comparison table of all candidates (for debugging).
+   * Maps upgrade ids to names using the catalogue and UpgradeDatabase.IDS.
    *
-   * @param {Array<Object>} candidates - All candidates
+   * @private
+   * @param {Array<number>} ids - Game upgrade ids
+   * @returns {Array<string>} Known names
    */
-  renderCandidateTable(candidates) {
-    if (candidates.length === 0) {
-      console.log('No candidates available.');
-      return;
-    }
+  _getUpgradeNames(ids) {
+    return ids
+      .map(id => this._getCatalogueEntry(id))
+      .filter(entry => entry !== null)
+      .map(entry => entry.name);
+  }
 
-    console.log('All Candidates (sorted by ROI):');
-    console.log('─────────────────────────────────────────────');
+  /**
+   * Lists the upgrade ids left out of the game state, and warns about them:
+   * bought upgrades without a name (their effect is missing from CPS) and
+   * store upgrades without a price (they cannot be ranked).
+   *
+   * @private
+   * @param {Object} upgradeFlags - Result of _parseUpgradeFlags()
+   * @returns {Object} { bought: number[], store: number[] }
+   */
+  _getUnknownUpgradeIds(upgradeFlags) {
+    const bought = new Set(upgradeFlags.bought);
+    const unknown = {
+      bought: upgradeFlags.bought.filter(id => this._getCatalogueEntry(id) === null),
+      store: upgradeFlags.unlocked
+        .filter(id => !bought.has(id))
+        .filter(id => {
+          const entry = this._getCatalogueEntry(id);
+          return entry === null || !(entry.price > 0);
+        })
+    };
 
-    // Sort by ROI
-    const sorted = [...candidates].sort((a, b) => a.roiTime - b.roiTime);
+    if (unknown.bought.length > 0) {
+      console.warn(`⚠️ ${unknown.bought.length} bought upgrades have no name (ids ${unknown.bought.join(', ')}): ` +
+        'CPS is underestimated. Pass an upgrade catalogue from the game to include them.');
+    }
+    if (unknown.store.length > 0) {
+      console.warn(`⚠️ ${unknown.store.length} upgrades in the store have no price and are left out. ` +
+        'Pass an upgrade catalogue from the game to rank them.');
+    }
+    return unknown;
+  }
 
-    // Table header
-    console.log(
-      'Rank'.padEnd(6) +
-      'Name'.padEnd(25) +
-      'Cost'.padEnd(12) +
-      'CPS'.padEnd(12) +
-      'ROI'.padEnd(10)
-    );
-    console.log('─────────────────────────────────────────────');
+  /**
+   * Builds the store: upgrades unlocked but not bought, cheapest first
+   * (the order the game shows them in). Upgrades without a price (not in
+   * the catalogue) are left out.
+   *
+   * @private
+   * @param {Object} upgradeFlags - Result of _parseUpgradeFlags()
+   * @returns {Array<Object>} Normalized upgrades (empty without a catalogue)
+   */
+  _extractStoreUpgrades(upgradeFlags) {
+    const bought = new Set(upgradeFlags.bought);
+
+    return upgradeFlags.unlocked
+      .filter(id => !bought.has(id))
+      .map(id => this._getCatalogueEntry(id))
+      .filter(entry => entry !== null && entry.price > 0)
+      .sort((a, b) => a.price - b.price)
+      .map((entry, index) => ({
+        id: `upgrade_${index}`,
+        name: entry.name,
+        cost: entry.price,
+        description: entry.desc,
+        descriptionDetail: '',
+        pool: entry.pool || 'standard',
+        unlocked: true
+      }));
+  }
 
-    // Table rows
-    sorted.forEach((candidate, index) => {
-      const rank = (index + 1).toString().padEnd(6);
-      const name = candidate.name.substring(0, 22).padEnd(25);
-      const cost = this._formatCurrency(candidate.cost).padEnd(12);
-      const cps = ('+' + this._formatCurrency(candidate.deltaCPS)).padEnd(12);
-      const roi = this._formatTime(candidate.roiTime).padEnd(10);
+  /**
+   * Builds the heavenly upgrade tree from the catalogue's 'prestige' pool.
+   *
+   * @private
+   * @param {Object} upgradeFlags - Result of _parseUpgradeFlags()
+   * @returns {Array<Object>} Same shape as GameStateAdapter's heavenlyUpgrades (empty without a catalogue)
+   */
+  _extractHeavenlyUpgrades(upgradeFlags) {
+    const bought = new Set(upgradeFlags.bought);
+
+    return (this.upgradeCatalogue || [])
+      .map((item, id) => ({ id: id, entry: this._getCatalogueEntry(id) }))
+      .filter(({ entry }) => entry !== null && entry.pool === 'prestige')
+      .map(({ id, entry }) => ({
+        id: id,
+        name: entry.name,
+        cost: entry.price,
+        parents: entry.parents,
+        bought: bought.has(id),
+        description: entry.desc
+      }));
+  }
 
-      console.log(rank + name + cost + cps + roi);
+  /**
+   * Parses the buildings section ([5]) and rebuilds each building's CPS.
+   * Entries are ';'-separated in building order: "amount,bought,...".
+   *
+   * @private
+   * @param {Set<string>} owned - Owned upgrade names
+   * @param {number} cookiesEarned - Cookies baked this ascension (unlocks buildings)
+   * @returns {Array<Object>} Normalized buildings
+   */
+  _extractBuildings(owned, cookiesEarned) {
+    const entries = (this.sections[5] || '').split(';');
+    const counts = {};
+    Constants.BUILDINGS.forEach((name, index) => {
+      const fields = (entries[index] || '').split(',');
+      counts[name] = {
+        amount: parseInt(fields[0], 10) || 0,
+        bought: parseInt(fields[1], 10) || 0
+      };
     });
 
-    console.log('─────────────────────────────────────────────');
+    const fingerAdd = this._getFingerBonus(owned) * Constants.BUILDINGS
+      .filter(name => name !== 'Cursor')
+      .reduce((sum, name) => sum + counts[name].amount, 0);
+
+    return Constants.BUILDINGS.map(name => {
+      const stats = Constants.BUILDING_STATS[name];
+      const { amount, bought } = counts[name];
+      const multiplier = this._getBuildingMultiplier(name, owned, counts);
+      const perUnitCPS = stats.baseCPS * multiplier + (name === 'Cursor' ? fingerAdd : 0);
+
+      return {
+        id: name,
+        name: name,
+        owned: amount,
+        cost: stats.basePrice * Math.pow(Constants.BUILDING_PRICE_GROWTH, amount),
+        baseCPS: stats.baseCPS,
+        perUnitCPS: perUnitCPS,
+        totalCPS: perUnitCPS * amount,
+        multiplier: multiplier,
+        unlocked: amount > 0 || bought > 0 || cookiesEarned >= stats.basePrice,
+        bought: bought
+      };
+    });
   }
-}
 
-// Export for use in other modules
-if (typeof module !== 'undefined' && module.exports) {
-  module.exports = OutputRenderer;
-}
-/**
- * advisor.js
- *
- * Main entry point for the Cookie Clicker ROI Advisor.
- * Orchestrates all modules and exposes a clean public API.
- *
- * Usage:
- *   CookieAdvisor.analyze()           - Run analysis and show recommendations
- *   CookieAdvisor.setStrategy(strat)  - Change ranking strategy
- *   CookieAdvisor.getRecommendation() - Get top recommendation without rendering
- *
- * This file should be loaded AFTER all other modules.
- */
+  /**
+   * Rebuilds a building's multiplier from owned upgrades:
+   * tiered ×2 each, grandma types (×2 for Grandmas, +1% per N grandmas for
+   * the partner) and synergies (+5% / +0.1% per partner building).
+   *
+   * @private
+   * @param {string} name - Building name
+   * @param {Set<string>} owned - Owned upgrade names
+   * @param {Object} counts - Building name → { amount, bought }
+   * @returns {number} Building multiplier
+   */
+  _getBuildingMultiplier(name, owned, counts) {
+    const amount = building => (counts[building] ? counts[building].amount : 0);
+    let multiplier = 1.0;
 
-const CookieAdvisor = (function() {
-  'use strict';
+    for (const upgradeName of owned) {
+      const effect = UpgradeDatabase.lookup(upgradeName);
+      if (!effect) {
+        continue;
+      }
 
-  // ═══════════════════════════════════════════════════════════════
-  // PRIVATE STATE
-  // ═══════════════════════════════════════════════════════════════
+      if (effect.family === 'tiered' && effect.building === name) {
+        multiplier *= effect.multiplier;
+      } else if (effect.family === 'grandma') {
+        if (name === 'Grandma') {
+          multiplier *= 2;
+        } else if (effect.building === name) {
+          multiplier *= 1 + 0.01 * amount('Grandma') / effect.perGrandmas;
+        }
+      } else if (effect.family === 'synergy') {
+        const [low, high] = effect.buildings;
+        if (name === low) {
+          multiplier *= 1 + 0.05 * amount(high);
+        } else if (name === high) {
+          multiplier *= 1 + 0.001 * amount(low);
+        }
+      }
+    }
 
-  let currentStrategy = new GreedyStrategy();
-  let lastRecommendation = null;
+    return multiplier;
+  }
 
-  // ═══════════════════════════════════════════════════════════════
-  // PUBLIC API
-  // ═══════════════════════════════════════════════════════════════
+  /**
+   * Gets the finger bonus per non-cursor building from owned finger upgrades.
+   *
+   * @private
+   * @param {Set<string>} owned - Owned upgrade names
+   * @returns {number} Cookies per cursor (and click) per non-cursor building
+   */
+  _getFingerBonus(owned) {
+    return UpgradeDatabase.FINGERS.reduce((bonus, finger) => {
+      if (!owned.has(finger.name)) {
+        return bonus;
+      }
+      return finger.bonus ? finger.bonus : bonus * finger.multiplier;
+    }, 0);
+  }
 
   /**
-   * Runs full analysis and displays recommendations to console.
+   * Combines owned kitten upgrades at the given milk.
    *
-   * @returns {Object|null} Top recommendation, or null if none available
+   * @private
+   * @param {Set<string>} owned - Owned upgrade names
+   * @param {number} milk - Milk progress
+   * @returns {number} Kitten multiplier
    */
-  function analyze() {
-    try {
-      // Step 1: Validate Game object exists
-      if (typeof window === 'undefined' || !window.Game) {
-        console.error('❌ Cookie Clicker Game object not found!');
-        console.log('Make sure you are running this in the Cookie Clicker browser console.');
-        return null;
+  _getKittenMultiplier(owned, milk) {
+    let multiplier = 1.0;
+    for (const name of owned) {
+      const effect = UpgradeDatabase.lookup(name);
+      if (effect && effect.family === 'kitten') {
+        multiplier *= 1 + milk * effect.factor;
       }
+    }
+    return multiplier;
+  }
 
-      if (!Validators.isValidGameObject(window.Game)) {
-        console.error('❌ Game object is invalid or incomplete.');
-        console.log('Make sure Cookie Clicker has finished loading.');
-        return null;
+  /**
+   * Rebuilds the global multiplier: flavoured cookies, kittens and the
+   * prestige bonus (+1% per level, scaled by owned heavenly power upgrades).
+   *
+   * @private
+   * @param {Set<string>} owned - Owned upgrade names
+   * @param {number} kittenMultiplier - From _getKittenMultiplier()
+   * @param {number} prestige - Prestige level
+   * @returns {number} Global multiplier
+   */
+  _getGlobalMultiplier(owned, kittenMultiplier, prestige) {
+    let multiplier = kittenMultiplier;
+    let heavenlyPower = 0;
+
+    for (const name of owned) {
+      const effect = UpgradeDatabase.lookup(name);
+      if (effect && effect.family === 'cookie') {
+        multiplier *= 1 + effect.percent / 100;
       }
+      if (name in UpgradeDatabase.HEAVENLY_POWER) {
+        heavenlyPower += UpgradeDatabase.HEAVENLY_POWER[name];
+      }
+    }
 
-      // Step 2: Extract game state
-      const adapter = new GameStateAdapter(window.Game);
-      const gameState = adapter.getGameState();
+    return multiplier * (1 + prestige * 0.01 * heavenlyPower);
+  }
 
-      // Validate extracted state
-      if (!Validators.isValidGameState(gameState)) {
-        console.error('❌ Failed to extract valid game state.');
+  /**
+   * Rebuilds cookies per click: base 1 (doubled by the first Cursor tiers),
+   * plus fingers per non-cursor building, plus 1% of CPS per mouse upgrade.
+   *
+   * @private
+   * @param {Set<string>} owned - Owned upgrade names
+   * @param {Array<Object>} buildings - Normalized buildings
+   * @param {number} cookiesPerSecond - Rebuilt CPS
+   * @returns {number} Cookies per click
+   */
+  _getCookiesPerClick(owned, buildings, cookiesPerSecond) {
+    const doublings = UpgradeDatabase.TIERED.Cursor.filter(name => owned.has(name)).length;
+    const nonCursorOwned = buildings
+      .filter(b => b.name !== 'Cursor')
+      .reduce((sum, b) => sum + b.owned, 0);
+    const mousePercent = UpgradeDatabase.MOUSE.filter(name => owned.has(name)).length;
+
+    return Math.pow(2, doublings) +
+      this._getFingerBonus(owned) * nonCursorOwned +
+      cookiesPerSecond * mousePercent / 100;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SaveImporter;
+}
+/**
+ * GoldenCookieAnalyzer.js
+ *
+ * Estimates what golden cookies are worth and how big a bank they need.
+ *
+ * Income per second = expected value of one golden cookie / average time
+ * between golden cookies, where (Constants.GOLDEN_COOKIE):
+ * - Frenzy:       CPS × 6 extra for 77s × duration
+ * - Lucky:        min(bank × 15%, CPS × 900) × gain + 13
+ * - Click frenzy: click income × 776 extra for 13s × duration
+ * - Average time: min + (max - min) × Γ(7/6) × (6 / frames)^(1/6), with
+ *   min/max scaled by spawn; this is the mean of the game's per-frame
+ *   spawn chance ((t - min) / (max - min))^5 over frames = (max - min) × fps
+ * spawn, duration and gain come from the golden cookie upgrades owned
+ * (UpgradeDatabase.GOLDEN_COOKIE).
+ *
+ * Lucky banks: Lucky pays its maximum once 15% of the bank reaches 15
+ * minutes of CPS, i.e. bank = CPS × 6000; during a Frenzy CPS is ×7, so
+ * a Lucky + Frenzy combo needs CPS × 42000.
+ *
+ * Golden cookies only pay when clicked: with the idle click profile
+ * (0 clicks/sec) their income is 0. CPS is the unbuffed CPS from
+ * GameStateAdapter, so a running Frenzy does not inflate the banks.
+ */
+
+class GoldenCookieAnalyzer {
+  /**
+   * @param {Object} gameState - Normalized game state
+   */
+  constructor(gameState) {
+    this.gameState = gameState;
+    this.ownedUpgrades = new Set(gameState.ownedUpgrades || []);
+  }
+
+  /**
+   * Combined effect of the golden cookie upgrades owned.
+   *
+   * @param {Object} [extra] - Effect of one more upgrade (from UpgradeDatabase.lookup())
+   * @returns {Object} { spawn, duration, gain } factors
+   */
+  getModifiers(extra = null) {
+    const effects = Object.entries(UpgradeDatabase.GOLDEN_COOKIE)
+      .filter(([name]) => this.ownedUpgrades.has(name))
+      .map(([, effect]) => effect);
+    if (extra) {
+      effects.push(extra);
+    }
+
+    return effects.reduce((modifiers, effect) => ({
+      spawn: modifiers.spawn * (effect.spawn || 1),
+      duration: modifiers.duration * (effect.duration || 1),
+      gain: modifiers.gain * (effect.gain || 1)
+    }), { spawn: 1, duration: 1, gain: 1 });
+  }
+
+  /**
+   * Average time between golden cookies.
+   *
+   * @param {Object} [modifiers] - From getModifiers() (default: upgrades owned)
+   * @returns {number} Seconds
+   */
+  getAverageSpawnSeconds(modifiers = this.getModifiers()) {
+    const GAMMA_7_6 = 0.9277; // Γ(7/6)
+    const rules = Constants.GOLDEN_COOKIE;
+    const min = rules.MIN_SPAWN_SECONDS * modifiers.spawn;
+    const span = (rules.MAX_SPAWN_SECONDS - rules.MIN_SPAWN_SECONDS) * modifiers.spawn;
+    const frames = span * rules.FPS;
+
+    return min + span * Math.min(1, GAMMA_7_6 * Math.pow(6 / frames, 1 / 6));
+  }
+
+  /**
+   * What a Lucky pays.
+   *
+   * @param {number} [cookies] - Bank (default: cookies now)
+   * @param {Object} [modifiers] - From getModifiers() (default: upgrades owned)
+   * @returns {number} Cookies
+   */
+  getLuckyPayout(cookies = this.gameState.cookies, modifiers = this.getModifiers()) {
+    const lucky = Constants.GOLDEN_COOKIE.LUCKY;
+    const cps = this.gameState.cookiesPerSecond;
+    return Math.min(Math.max(0, cookies) * lucky.BANK_SHARE, cps * lucky.CPS_SECONDS) * modifiers.gain + lucky.FLAT;
+  }
+
+  /**
+   * Banks needed for full Lucky payouts.
+   *
+   * @returns {Object} { lucky, frenzy }: bank for a full Lucky, and for a full Lucky during a Frenzy
+   */
+  getBankTargets() {
+    const rules = Constants.GOLDEN_COOKIE;
+    const lucky = this.gameState.cookiesPerSecond * rules.LUCKY.CPS_SECONDS / rules.LUCKY.BANK_SHARE;
+    return { lucky: lucky, frenzy: lucky * rules.FRENZY.MULTIPLIER };
+  }
+
+  /**
+   * Expected cookies from one golden cookie, by effect.
+   *
+   * @param {Object} [modifiers] - From getModifiers() (default: upgrades owned)
+   * @returns {Object} { frenzy, lucky, clickFrenzy, total }, already weighted by Constants.GOLDEN_COOKIE.OUTCOMES
+   */
+  getExpectedValue(modifiers = this.getModifiers()) {
+    const rules = Constants.GOLDEN_COOKIE;
+    const cps = this.gameState.cookiesPerSecond;
+
+    const frenzy = rules.OUTCOMES.FRENZY *
+      cps * (rules.FRENZY.MULTIPLIER - 1) * rules.FRENZY.SECONDS * modifiers.duration;
+    const lucky = rules.OUTCOMES.LUCKY * this.getLuckyPayout(this.gameState.cookies, modifiers);
+    const clickFrenzy = rules.OUTCOMES.CLICK_FRENZY *
+      this._getClickIncome() * (rules.CLICK_FRENZY.MULTIPLIER - 1) * rules.CLICK_FRENZY.SECONDS * modifiers.duration;
+
+    return { frenzy: frenzy, lucky: lucky, clickFrenzy: clickFrenzy, total: frenzy + lucky + clickFrenzy };
+  }
+
+  /**
+   * Average golden cookie income.
+   *
+   * @param {Object} [modifiers] - From getModifiers() (default: upgrades owned)
+   * @returns {number} Cookies per second (0 if golden cookies are not clicked)
+   */
+  getIncome(modifiers = this.getModifiers()) {
+    if (!this.isClicking()) {
+      return 0;
+    }
+    return this.getExpectedValue(modifiers).total / this.getAverageSpawnSeconds(modifiers);
+  }
+
+  /**
+   * Extra golden cookie income from buying a golden cookie upgrade.
+   *
+   * @param {Object} effect - Golden effect from UpgradeDatabase.lookup()
+   * @returns {number} Cookies per second gained
+   */
+  getUpgradeValue(effect) {
+    return this.getIncome(this.getModifiers(effect)) - this.getIncome();
+  }
+
+  /**
+   * Checks whether buying a candidate drops the bank below the target
+   * (Constants.LUCKY_BANK_TARGET). A candidate that is not affordable yet
+   * is assumed bought as soon as it is, leaving an empty bank. A bank
+   * already below the target is not flagged: every purchase would be.
+   *
+   * @param {Object} candidate - Purchase candidate
+   * @returns {Object|null} { target, bank, bankAfter, timeToKeepBank }, or null if the bank stays
+   *   full enough or is below the target already
+   */
+  checkBank(candidate) {
+    const target = Constants.LUCKY_BANK_TARGET;
+    if (target === 'none' || !this.isClicking()) {
+      return null;
+    }
+
+    const { cookies, cookiesPerSecond } = this.gameState;
+    const bank = this.getBankTargets()[target];
+    const bankAfter = Math.max(0, cookies - candidate.cost);
+    if (cookies < bank || bankAfter >= bank) {
+      return null;
+    }
+
+    // Time until cookies cover the purchase and the bank
+    const shortfall = candidate.cost + bank - cookies;
+    return {
+      target: target,
+      bank: bank,
+      bankAfter: bankAfter,
+      timeToKeepBank: cookiesPerSecond > 0 ? shortfall / cookiesPerSecond : Infinity
+    };
+  }
+
+  /**
+   * Copies recommendations, adding bankWarning (from checkBank()) to the
+   * ones that would drop the bank below the target.
+   *
+   * @param {Array<Object>} recommendations - Ranked candidates
+   * @returns {Array<Object>} Same order, flagged where needed
+   */
+  flagRecommendations(recommendations) {
+    return recommendations.map(candidate => {
+      const warning = this.checkBank(candidate);
+      return warning ? { ...candidate, bankWarning: warning } : candidate;
+    });
+  }
+
+  /**
+   * Everything about golden cookies in one report.
+   *
+   * @returns {Object} { upgrades, modifiers, clicking, spawnSeconds, perCookie, perSecond,
+   *   percentOfCps, lucky: { payout, maxPayout }, bank: { cookies, lucky, frenzy, target } }
+   */
+  analyze() {
+    const modifiers = this.getModifiers();
+    const { cookies, cookiesPerSecond } = this.gameState;
+    const banks = this.getBankTargets();
+    const perSecond = this.getIncome(modifiers);
+
+    return {
+      upgrades: Object.keys(UpgradeDatabase.GOLDEN_COOKIE).filter(name => this.ownedUpgrades.has(name)),
+      modifiers: modifiers,
+      clicking: this.isClicking(),
+      spawnSeconds: this.getAverageSpawnSeconds(modifiers),
+      perCookie: this.getExpectedValue(modifiers),
+      perSecond: perSecond,
+      percentOfCps: cookiesPerSecond > 0 ? perSecond / cookiesPerSecond * 100 : null,
+      lucky: {
+        payout: this.getLuckyPayout(cookies, modifiers),
+        maxPayout: this.getLuckyPayout(banks.lucky, modifiers)
+      },
+      bank: {
+        cookies: cookies,
+        lucky: banks.lucky,
+        frenzy: banks.frenzy,
+        target: Constants.LUCKY_BANK_TARGET
+      }
+    };
+  }
+
+  /**
+   * Whether the player clicks golden cookies (any click profile but idle).
+   *
+   * @returns {boolean} True if golden cookies are assumed clicked
+   */
+  isClicking() {
+    return this._getClicksPerSecond() > 0;
+  }
+
+  /**
+   * @private
+   * @returns {number} Clicks per second (default profile if not set)
+   */
+  _getClicksPerSecond() {
+    const rate = this.gameState.clicksPerSecond;
+    return typeof rate === 'number' && rate >= 0
+      ? rate
+      : Constants.CLICK_PROFILES[Constants.DEFAULT_CLICK_PROFILE];
+  }
+
+  /**
+   * @private
+   * @returns {number} Cookies per second from clicking
+   */
+  _getClickIncome() {
+    const cookiesPerClick = typeof this.gameState.cookiesPerClick === 'number' ? this.gameState.cookiesPerClick : 1;
+    return this._getClicksPerSecond() * cookiesPerClick;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = GoldenCookieAnalyzer;
+}
+/**
+ * AscensionAnalyzer.js
+ *
+ * Tracks prestige gained this ascension and estimates when to ascend.
+ *
+ * Prestige follows the game: level = floor(cbrt(cookies baked / 1e12))
+ * over all ascensions (Constants.PRESTIGE_COOKIES), so each level costs
+ * more cookies than the last. Two rates matter:
+ * - Current rate:  levels gained per second right now, at the current CPS
+ * - Average rate:  levels gained this run / time since the run started
+ * The usual advice is to ascend when the average rate peaks: until then
+ * staying raises it, after that every extra level comes slower than the
+ * run has averaged so far. The peak is where the two rates are equal.
+ *
+ * Finding the peak assumes the current (unbuffed) CPS from here on. More
+ * purchases push the real peak later, so it is a lower bound; a peak that
+ * has already passed means ascending now.
+ *
+ * Rates use fractional levels (cbrt without floor) so they change
+ * smoothly; levels gained are whole levels, as the game awards them.
+ */
+
+class AscensionAnalyzer {
+  /**
+   * @param {Object} gameState - Normalized game state (cookiesEarned, cookiesReset,
+   *   prestige, heavenlyChips and startDate from GameStateAdapter or SaveImporter)
+   * @param {number} [now] - Current time (ms timestamp), for the run length
+   *   (default: when the save was made for imported saves, otherwise now)
+   */
+  constructor(gameState, now = gameState.savedDate || Date.now()) {
+    this.gameState = gameState;
+    this.now = now;
+  }
+
+  /**
+   * Whether the game state carries prestige data (states built by hand or
+   * loaded from older snapshots may not).
+   *
+   * @returns {boolean} True if analyze() can report
+   */
+  isAvailable() {
+    return typeof this.gameState.cookiesEarned === 'number' && typeof this.gameState.cookiesReset === 'number';
+  }
+
+  /**
+   * Fractional prestige for an amount of cookies baked (over all ascensions).
+   *
+   * @param {number} cookies - Cookies baked
+   * @returns {number} Prestige (floor it for the game's level)
+   */
+  getPrestige(cookies) {
+    return Math.cbrt(Math.max(0, cookies) / Constants.PRESTIGE_COOKIES);
+  }
+
+  /**
+   * Cookies baked (over all ascensions) needed for a prestige level.
+   *
+   * @param {number} level - Prestige level
+   * @returns {number} Cookies
+   */
+  getCookiesForLevel(level) {
+    return Math.pow(level, 3) * Constants.PRESTIGE_COOKIES;
+  }
+
+  /**
+   * Time since this ascension started.
+   *
+   * @returns {number|null} Seconds, or null if the start is unknown
+   */
+  getRunSeconds() {
+    const startDate = this.gameState.startDate;
+    if (typeof startDate !== 'number' || startDate <= 0) {
+      return null;
+    }
+    return Math.max(0, (this.now - startDate) / 1000);
+  }
+
+  /**
+   * Prestige levels gained this run, i.e. what ascending now would add.
+   *
+   * @param {number} [seconds] - Seconds from now at the current CPS (default: now)
+   * @returns {number} Whole levels
+   */
+  getLevelsGained(seconds = 0) {
+    const baked = this._getCookiesBaked() + this.gameState.cookiesPerSecond * seconds;
+    return Math.max(0, Math.floor(this.getPrestige(baked)) - this._getLevel());
+  }
+
+  /**
+   * Rate of prestige gain at the current CPS.
+   *
+   * @param {number} [seconds] - Seconds from now (default: now)
+   * @returns {number} Levels per second
+   */
+  getCurrentRate(seconds = 0) {
+    const cps = this.gameState.cookiesPerSecond;
+    const baked = this._getCookiesBaked() + cps * seconds;
+    if (cps <= 0) {
+      return 0;
+    }
+    if (baked <= 0) {
+      return Infinity;
+    }
+    // d/dt cbrt(baked / k) = cps / (3k) × (baked / k)^(-2/3)
+    const k = Constants.PRESTIGE_COOKIES;
+    return cps / (3 * k) * Math.pow(baked / k, -2 / 3);
+  }
+
+  /**
+   * Average rate of prestige gain over this run.
+   *
+   * @param {number} [seconds] - Seconds from now at the current CPS (default: now)
+   * @returns {number|null} Levels per second, or null if the run length is unknown
+   */
+  getAverageRate(seconds = 0) {
+    const runSeconds = this.getRunSeconds();
+    if (runSeconds === null || runSeconds + seconds <= 0) {
+      return null;
+    }
+    return this._getFractionalGain(seconds) / (runSeconds + seconds);
+  }
+
+  /**
+   * Finds when the average rate peaks, assuming the current CPS from now on.
+   *
+   * @returns {Object|null} { seconds, runSeconds, levelsGained, averageRate, passed }: seconds from
+   *   now (0 if passed), run length and levels gained at the peak, or null if it cannot be
+   *   estimated (unknown run length, no CPS, or later than Constants.ASCENSION_MAX_SECONDS)
+   */
+  findPeak() {
+    const runSeconds = this.getRunSeconds();
+    if (runSeconds === null || this.gameState.cookiesPerSecond <= 0) {
+      return null;
+    }
+
+    // True while staying raises the average
+    const rising = seconds => (runSeconds + seconds > 0 ? this.getCurrentRate(seconds) > this.getAverageRate(seconds) : true);
+
+    let seconds = 0;
+    if (rising(0)) {
+      let low = 0;
+      let high = Math.max(runSeconds, 60);
+      while (rising(high)) {
+        if (high >= Constants.ASCENSION_MAX_SECONDS) {
+          return null;
+        }
+        low = high;
+        high = Math.min(high * 2, Constants.ASCENSION_MAX_SECONDS);
+      }
+      while (high - low > 1) {
+        const middle = (low + high) / 2;
+        if (rising(middle)) {
+          low = middle;
+        } else {
+          high = middle;
+        }
+      }
+      seconds = high;
+    }
+
+    return {
+      seconds: seconds,
+      runSeconds: runSeconds + seconds,
+      levelsGained: this.getLevelsGained(seconds),
+      averageRate: this.getAverageRate(seconds),
+      passed: seconds === 0
+    };
+  }
+
+  /**
+   * Everything about this ascension in one report.
+   *
+   * @returns {Object|null} { prestige, heavenlyChips, cookiesBaked, levelsGained, nextLevel:
+   *   { level, cookies, time }, runSeconds, currentRate, averageRate, peak }, rates in levels
+   *   per second; null if the game state has no prestige data
+   */
+  analyze() {
+    if (!this.isAvailable()) {
+      return null;
+    }
+
+    const baked = this._getCookiesBaked();
+    const cps = this.gameState.cookiesPerSecond;
+    const nextLevel = Math.max(Math.floor(this.getPrestige(baked)), this._getLevel()) + 1;
+    const cookiesToNext = Math.max(0, this.getCookiesForLevel(nextLevel) - baked);
+
+    return {
+      prestige: this._getLevel(),
+      heavenlyChips: this.gameState.heavenlyChips || 0,
+      cookiesBaked: baked,
+      levelsGained: this.getLevelsGained(),
+      nextLevel: {
+        level: nextLevel,
+        cookies: cookiesToNext,
+        time: cps > 0 ? cookiesToNext / cps : Infinity
+      },
+      runSeconds: this.getRunSeconds(),
+      currentRate: this.getCurrentRate(),
+      averageRate: this.getAverageRate(),
+      peak: this.findPeak()
+    };
+  }
+
+  /**
+   * @private
+   * @returns {number} Cookies baked over all ascensions, this one included
+   */
+  _getCookiesBaked() {
+    return this.gameState.cookiesReset + this.gameState.cookiesEarned;
+  }
+
+  /**
+   * @private
+   * @returns {number} Prestige level before this run (the game's, else from cookiesReset)
+   */
+  _getLevel() {
+    const prestige = this.gameState.prestige;
+    return typeof prestige === 'number' && prestige > 0
+      ? prestige
+      : Math.floor(this.getPrestige(this.gameState.cookiesReset));
+  }
+
+  /**
+   * @private
+   * @param {number} seconds - Seconds from now at the current CPS
+   * @returns {number} Fractional levels gained this run
+   */
+  _getFractionalGain(seconds) {
+    const baked = this._getCookiesBaked() + this.gameState.cookiesPerSecond * seconds;
+    return this.getPrestige(baked) - this.getPrestige(this.gameState.cookiesReset);
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = AscensionAnalyzer;
+}
+/**
+ * HeavenlyPlanner.js
+ *
+ * Plans what to buy with heavenly chips after ascending.
+ *
+ * The heavenly upgrade tree comes from the game state (heavenlyUpgrades:
+ * the 'prestige' pool with parents and costs in chips). An upgrade can be
+ * bought once all its parents are, so the way to any upgrade is its
+ * unbought ancestors, parents first, then itself.
+ *
+ * Goals are the upgrades UpgradeDatabase.lookupHeavenly() knows, ranked by
+ * Constants.HEAVENLY_PRIORITY (permanent CPS, then offline production,
+ * then key unlocks) and, within a category, by value per chip of the whole
+ * path. The purchase order repeatedly buys the path to the best goal the
+ * remaining chips cover; the best goal left after that is what to save for.
+ */
+
+class HeavenlyPlanner {
+  /**
+   * @param {Object} gameState - Normalized game state (heavenlyUpgrades, heavenlyChips, prestige, milk)
+   */
+  constructor(gameState) {
+    this.gameState = gameState;
+    this.tree = new Map((gameState.heavenlyUpgrades || []).map(upgrade => [upgrade.name, upgrade]));
+  }
+
+  /**
+   * Whether the game state carries the heavenly upgrade tree (imported
+   * saves only do with a catalogue listing pools and parents).
+   *
+   * @returns {boolean} True if there is a tree to plan on
+   */
+  hasTree() {
+    return this.tree.size > 0;
+  }
+
+  /**
+   * What a heavenly upgrade brings.
+   *
+   * @param {string} name - Heavenly upgrade name
+   * @returns {Object|null} { category, value, note }: value is the percent of CPS gained (cps)
+   *   or earned while the game is closed (offline), 1 for unlocks; null if not worth planning for
+   */
+  getBenefit(name) {
+    const effect = UpgradeDatabase.lookupHeavenly(name);
+    if (!effect) {
+      return null;
+    }
+
+    let value = 1;
+    if (effect.category === 'cps') {
+      if (typeof effect.prestigeShare === 'number') {
+        value = (this.gameState.prestige || 0) * effect.prestigeShare; // +1% per level, this share of it
+      } else if (typeof effect.kitten === 'number') {
+        value = (this.gameState.milk || 0) * effect.kitten * 100;
+      } else {
+        value = effect.percent;
+      }
+    } else if (effect.category === 'offline') {
+      value = effect.percent;
+    }
+
+    return { category: effect.category, value: value, note: effect.note || '' };
+  }
+
+  /**
+   * Upgrades to buy to get one: its unbought ancestors, parents first,
+   * then the upgrade itself.
+   *
+   * @param {string} name - Heavenly upgrade name
+   * @param {Set<string>} [bought] - Names already bought (default: from the tree)
+   * @returns {Array<Object>|null} Tree entries in buying order, or null if it (or a parent) is not in the tree
+   */
+  getPath(name, bought = this._getBought()) {
+    const path = [];
+    const visit = current => {
+      if (bought.has(current) || path.some(upgrade => upgrade.name === current)) {
+        return true;
+      }
+      const upgrade = this.tree.get(current);
+      if (!upgrade || !upgrade.parents.every(visit)) {
+        return false;
+      }
+      path.push(upgrade);
+      return true;
+    };
+
+    return visit(name) ? path : null;
+  }
+
+  /**
+   * Ranks the goals not bought yet (see file header).
+   *
+   * @param {Set<string>} [bought] - Names already bought (default: from the tree)
+   * @returns {Array<Object>} { name, category, value, note, cost, purchases: [{ name, cost }] },
+   *   best first; cost is the whole path's
+   */
+  rankGoals(bought = this._getBought()) {
+    const priority = goal => Constants.HEAVENLY_PRIORITY.indexOf(goal.category);
+    const goals = [];
+
+    for (const name of this.tree.keys()) {
+      const benefit = bought.has(name) ? null : this.getBenefit(name);
+      if (!benefit || benefit.value <= 0 || !Constants.HEAVENLY_PRIORITY.includes(benefit.category)) {
+        continue;
+      }
+      const path = this.getPath(name, bought);
+      if (!path) {
+        continue;
+      }
+
+      goals.push({
+        name: name,
+        ...benefit,
+        cost: path.reduce((sum, upgrade) => sum + upgrade.cost, 0),
+        purchases: path.map(upgrade => ({ name: upgrade.name, cost: upgrade.cost }))
+      });
+    }
+
+    return goals.sort((a, b) =>
+      priority(a) - priority(b) ||
+      b.value / b.cost - a.value / a.cost ||
+      a.cost - b.cost
+    );
+  }
+
+  /**
+   * Builds the purchase order for the chips available.
+   *
+   * @param {number} [chips] - Heavenly chips to spend (default: gameState.heavenlyChips)
+   * @returns {Object} { chips, prestige, recommendations, saving }: recommendations are goals from
+   *   rankGoals() in buying order, each with chipsLeft; saving is the best goal left
+   *   (with chipsNeeded), or null if every goal is bought
+   */
+  plan(chips = this.gameState.heavenlyChips || 0) {
+    const bought = this._getBought();
+    const recommendations = [];
+    let left = chips;
+
+    for (;;) {
+      const next = this.rankGoals(bought).find(goal => goal.cost <= left);
+      if (!next) {
+        break;
+      }
+      next.purchases.forEach(purchase => bought.add(purchase.name));
+      left -= next.cost;
+      recommendations.push({ ...next, chipsLeft: left });
+    }
+
+    const saving = this.rankGoals(bought)[0];
+    return {
+      chips: chips,
+      prestige: this.gameState.prestige || 0,
+      recommendations: recommendations,
+      saving: saving ? { ...saving, chipsNeeded: saving.cost - left } : null
+    };
+  }
+
+  /**
+   * @private
+   * @returns {Set<string>} Names of heavenly upgrades bought
+   */
+  _getBought() {
+    return new Set([...this.tree.values()].filter(upgrade => upgrade.bought).map(upgrade => upgrade.name));
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = HeavenlyPlanner;
+}
+/**
+ * EconomicModel.js
+ *
+ * Calculates ROI (Return on Investment) metrics for all purchase candidates.
+ *
+ * ROI Formula: roiTime = cost / deltaCPS
+ * - Lower ROI time = better investment (pays back faster)
+ * - deltaCPS = increase in cookies per second from purchase
+ *
+ * Payback from now: paybackFromNow = timeToAfford + roiTime
+ * - timeToAfford = max(0, cost - cookies) / currentCPS
+ * - Matches the "payback period" used by established calculators
+ *
+ * Buildings: marginal CPS of one more building, read from the game's own numbers
+ *   deltaCPS = (perUnitCPS + partnerCPS) × globalMultiplier
+ * - perUnitCPS: what the game says one building produces (storedCps)
+ * - partnerCPS: what other buildings gain through owned grandma-type,
+ *   synergy and finger upgrades when this one is added
+ * Upgrades: Known effects from UpgradeDatabase first, then heuristic-based
+ * estimation by parsing upgrade descriptions. Golden cookie upgrades are
+ * valued by the golden cookie income they add (GoldenCookieAnalyzer).
+ *
+ * Click upgrades are valued against the player's click rate
+ * (gameState.clicksPerSecond, set from Constants.CLICK_PROFILES or measured)
+ * and the game's cookies per click.
+ *
+ * Upgrade pools (Constants.UPGRADE_POOLS): debug, heavenly and retired
+ * upgrades are never candidates; toggles are not either, getToggles()
+ * lists them apart; cookies not in the database are valued as permanent
+ * boosts to all production from their "+N%". Grandmapocalypse research
+ * ('tech' pool) is valued from UpgradeDatabase.RESEARCH.
+ *
+ * Every upgrade candidate is tagged with estimationMethod:
+ * - 'database': effect looked up by name in UpgradeDatabase
+ * - 'pattern':  effect parsed from the description (Constants.UPGRADE_PATTERNS)
+ * - 'fallback': nothing recognized, conservative % of CPS
+ */
+
+class EconomicModel {
+  /**
+   * Creates a new EconomicModel.
+   *
+   * @param {Object} gameState - Normalized game state from GameStateAdapter
+   */
+  constructor(gameState) {
+    if (!Validators.isValidGameState(gameState)) {
+      throw new Error('Invalid game state provided to EconomicModel');
+    }
+    this.gameState = gameState;
+    this.ownedUpgrades = new Set(gameState.ownedUpgrades || []);
+  }
+
+  /**
+   * Gets all purchase candidates with ROI calculations.
+   *
+   * @returns {Array<Object>} Array of candidates (buildings + upgrades) with ROI data
+   */
+  getAllCandidates() {
+    const candidates = [];
+
+    // Add all buildings (single purchase, bulk purchases, next milestone)
+    for (const building of this.gameState.buildings) {
+      const roi = this.calculateBuildingROI(building);
+      if (roi) {
+        candidates.push(roi);
+        candidates.push(...this.getBulkBuildingCandidates(building));
+      }
+    }
+
+    // Add all upgrades
+    for (const upgrade of this.gameState.upgrades) {
+      const roi = this.calculateUpgradeROI(upgrade);
+      if (roi) {
+        candidates.push(roi);
+      }
+    }
+
+    return candidates;
+  }
+
+  /**
+   * Calculates ROI for purchasing one more of a building.
+   *
+   * @param {Object} building - Normalized building object
+   * @returns {Object|null} ROI data, or null if invalid
+   */
+  calculateBuildingROI(building) {
+    // Extract building properties
+    const cost = building.cost;
+    const baseCPS = building.baseCPS;
+    const owned = building.owned;
+
+    // Guard: invalid data
+    if (cost <= 0 || baseCPS < 0) {
+      return null;
+    }
+
+    // Delta CPS = what we gain from buying one more, including partner buildings
+    const globalMultiplier = this.getGlobalMultiplier();
+    const directCPS = this._getPerUnitCPS(building) * globalMultiplier;
+    const synergyCPS = this._calculatePartnerCPS(building) * globalMultiplier;
+    const deltaCPS = directCPS + synergyCPS;
+
+    // Calculate ROI time
+    const roiTime = this._calculateROITime(cost, deltaCPS);
+
+    // Payback measured from now = wait until affordable + ROI time
+    const timeToAfford = this.getTimeToAfford(cost);
+
+    return {
+      id: building.id,
+      type: 'building',
+      name: building.name,
+      cost: cost,
+      deltaCPS: deltaCPS,
+      directCPS: directCPS,
+      synergyCPS: synergyCPS, // Gained by other buildings through owned upgrades
+      roiTime: roiTime,
+      timeToAfford: timeToAfford,
+      paybackFromNow: timeToAfford + roiTime,
+      currentOwned: owned,
+      quantity: 1,
+      // Metadata for display
+      displayName: `${building.name} (#${owned + 1})`
+    };
+  }
+
+  /**
+   * Gets bulk purchase candidates for a building: one per BULK_QUANTITIES
+   * entry, plus buying up to the next ownership milestone.
+   *
+   * @param {Object} building - Normalized building object
+   * @returns {Array<Object>} Bulk candidates (may be empty)
+   */
+  getBulkBuildingCandidates(building) {
+    const candidates = [];
+
+    for (const quantity of Constants.BULK_QUANTITIES) {
+      const roi = this.calculateBulkBuildingROI(building, quantity);
+      if (roi) {
+        candidates.push(roi);
+      }
+    }
+
+    // Next milestone (skip when it's one purchase away or already a bulk size)
+    const milestone = Constants.BUILDING_MILESTONES.find(m => m > building.owned);
+    if (milestone) {
+      const quantity = milestone - building.owned;
+      if (quantity > 1 && !Constants.BULK_QUANTITIES.includes(quantity)) {
+        const roi = this.calculateBulkBuildingROI(building, quantity);
+        if (roi) {
+          candidates.push(roi);
+        }
+      }
+    }
+
+    return candidates;
+  }
+
+  /**
+   * Calculates ROI for buying several of a building at once.
+   *
+   * Cumulative cost follows the game's price growth:
+   *   cost = price × (growth^quantity - 1) / (growth - 1)
+   * Gain is the single-building gain times quantity (partner bonuses
+   * per building are constant, so this stays exact).
+   *
+   * With cost growing 15% per building and gain linear, a bulk buy always
+   * pays back slower than the first building in it, and what a milestone
+   * unlocks (upgrades, achievements) is not valued. Bulk candidates are
+   * therefore informational: strategies skip them, they are listed by
+   * debug() and help GoalPlanner close a CPS gap in one step.
+   *
+   * @param {Object} building - Normalized building object
+   * @param {number} quantity - Number of buildings to buy
+   * @returns {Object|null} ROI data, or null if invalid
+   */
+  calculateBulkBuildingROI(building, quantity) {
+    const single = this.calculateBuildingROI(building);
+    if (!single || quantity < 1) {
+      return null;
+    }
+
+    const growth = Constants.BUILDING_PRICE_GROWTH;
+    const cost = building.cost * (Math.pow(growth, quantity) - 1) / (growth - 1);
+    const deltaCPS = single.deltaCPS * quantity;
+    const directCPS = single.directCPS * quantity;
+    const synergyCPS = single.synergyCPS * quantity;
+    const roiTime = this._calculateROITime(cost, deltaCPS);
+    const timeToAfford = this.getTimeToAfford(cost);
+
+    const owned = building.owned;
+    const target = owned + quantity;
+    const milestone = Constants.BUILDING_MILESTONES.includes(target) ? target : null;
+
+    return {
+      id: `${building.id}_x${quantity}`,
+      buildingId: building.id,
+      type: 'building',
+      name: building.name,
+      cost: cost,
+      deltaCPS: deltaCPS,
+      directCPS: directCPS,
+      synergyCPS: synergyCPS,
+      roiTime: roiTime,
+      timeToAfford: timeToAfford,
+      paybackFromNow: timeToAfford + roiTime,
+      currentOwned: owned,
+      quantity: quantity,
+      milestone: milestone, // Ownership milestone reached (unlocks upgrades/achievements)
+      informational: true, // Never ranked (see above)
+      // Metadata for display
+      displayName: milestone
+        ? `${building.name} ×${quantity} (#${owned + 1}-#${target}, milestone ${milestone})`
+        : `${building.name} ×${quantity} (#${owned + 1}-#${target})`
+    };
+  }
+
+  /**
+   * Calculates ROI for purchasing an upgrade.
+   * Uses the upgrade database when the upgrade is known, otherwise
+   * heuristic pattern matching to estimate CPS impact.
+   *
+   * @param {Object} upgrade - Normalized upgrade object
+   * @returns {Object|null} ROI data, or null if invalid or not a purchase (see isPurchasable())
+   */
+  calculateUpgradeROI(upgrade) {
+    // Extract upgrade properties
+    const cost = upgrade.cost;
+    const description = upgrade.descriptionDetail || upgrade.description || '';
+
+    // Guard: invalid data, toggles and pools that are not for sale
+    if (cost <= 0 || !this.isPurchasable(upgrade)) {
+      return null;
+    }
+
+    // Estimate CPS delta: database first, then cookies' "+N%", pattern matching as fallback
+    const effect = UpgradeDatabase.lookup(upgrade.name);
+    const isCookie = upgrade.pool === Constants.UPGRADE_POOLS.COOKIE;
+    let estimate;
+    if (effect) {
+      estimate = { deltaCPS: this.estimateFromDatabase(effect), method: 'database' };
+    } else if (isCookie) {
+      estimate = this._estimateCookieCPS(description);
+    } else {
+      estimate = this._estimateUpgradeCPS(upgrade, description);
+    }
+    const deltaCPS = estimate.deltaCPS;
+
+    // Remember which building the boost lands on (used when simulating purchases);
+    // cookies boost everything, whatever their description mentions
+    let affectedBuilding = null;
+    if (effect) {
+      affectedBuilding = this._findBuildingByName(effect.building || (effect.buildings && effect.buildings[0]));
+    } else if (!isCookie) {
+      affectedBuilding = this._findAffectedBuilding(description.toLowerCase());
+    }
+
+    // Calculate ROI time
+    const roiTime = this._calculateROITime(cost, deltaCPS);
+
+    // Payback measured from now = wait until affordable + ROI time
+    const timeToAfford = this.getTimeToAfford(cost);
+
+    return {
+      id: upgrade.id,
+      type: 'upgrade',
+      name: upgrade.name,
+      cost: cost,
+      deltaCPS: deltaCPS,
+      roiTime: roiTime,
+      timeToAfford: timeToAfford,
+      paybackFromNow: timeToAfford + roiTime,
+      isPermanent: true, // Upgrades are permanent
+      estimationMethod: estimate.method,
+      affectedBuilding: affectedBuilding ? affectedBuilding.id : null,
+      // Metadata for display
+      displayName: `[Upgrade] ${upgrade.name}`
+    };
+  }
+
+  /**
+   * Whether an upgrade is a purchase to rank: not a toggle, and not in a
+   * pool the store never sells for cookies (Constants.UPGRADE_POOLS).
+   *
+   * @param {Object} upgrade - Normalized upgrade object
+   * @returns {boolean} True if it can be a candidate
+   */
+  isPurchasable(upgrade) {
+    const pools = Constants.UPGRADE_POOLS;
+    return upgrade.pool !== pools.TOGGLE && !pools.SKIPPED.includes(upgrade.pool);
+  }
+
+  /**
+   * Lists the toggles in the store (seasons, Elder Pledge and Covenant,
+   * golden switch...). They are never candidates: what they are worth
+   * depends on how the player plays, so they are described instead.
+   *
+   * @returns {Array<Object>} { id, type: 'toggle', name, cost, note, displayName }, note from
+   *   UpgradeDatabase.lookupToggle() ('' if unknown)
+   */
+  getToggles() {
+    return this.gameState.upgrades
+      .filter(upgrade => upgrade.pool === Constants.UPGRADE_POOLS.TOGGLE)
+      .map(upgrade => ({
+        id: upgrade.id,
+        type: 'toggle',
+        name: upgrade.name,
+        cost: upgrade.cost,
+        note: UpgradeDatabase.lookupToggle(upgrade.name) || '',
+        displayName: `[Toggle] ${upgrade.name}`
+      }));
+  }
+
+  /**
+   * Estimates CPS increase from a cookie not in the database: cookies
+   * raise all production by the "+N%" in their description.
+   *
+   * @private
+   * @param {string} description - Upgrade description text
+   * @returns {Object} { deltaCPS, method } where method is 'pattern' or 'fallback'
+   */
+  _estimateCookieCPS(description) {
+    const currentCPS = this.gameState.cookiesPerSecond;
+    const match = description.replace(/<[^>]*>/g, '').match(Constants.UPGRADE_PATTERNS.COOKIE_PRODUCTION);
+    if (match) {
+      return { deltaCPS: currentCPS * (parseFloat(match[1]) / 100), method: 'pattern' };
+    }
+    return { deltaCPS: currentCPS * Constants.UPGRADE_ESTIMATES.CONSERVATIVE_BOOST, method: 'fallback' };
+  }
+
+  /**
+   * Estimates CPS increase from an upgrade by parsing its description.
+   * This is heuristic-based since upgrade effects vary wildly.
+   *
+   * @private
+   * @param {Object} upgrade - Upgrade object
+   * @param {string} description - Upgrade description text
+   * @returns {Object} { deltaCPS, method } where method is 'pattern' or 'fallback'
+   */
+  _estimateUpgradeCPS(upgrade, description) {
+    // Game descriptions contain HTML ("Clicking is <b>10%</b> more powerful")
+    const desc = description.replace(/<[^>]*>/g, '').toLowerCase();
+    const currentCPS = this.gameState.cookiesPerSecond;
+
+    // Click patterns first: their percentages apply to clicks, not to CPS
+    // "Clicking gains +1% of your CpS"
+    const clickCpsMatch = desc.match(Constants.UPGRADE_PATTERNS.CLICK_CPS_PERCENT);
+    if (clickCpsMatch) {
+      const percent = parseFloat(clickCpsMatch[1]);
+      return { deltaCPS: currentCPS * (percent / 100) * this._getClicksPerSecond(), method: 'pattern' };
+    }
+
+    // "Clicking is 10% more powerful"
+    const clickPowerMatch = desc.match(Constants.UPGRADE_PATTERNS.CLICK_POWER);
+    if (clickPowerMatch) {
+      const percent = parseFloat(clickPowerMatch[1]);
+      return { deltaCPS: this._getClickIncome() * (percent / 100), method: 'pattern' };
+    }
+
+    // Pattern 1: Multiplier upgrades (e.g., "Grandmas are 2x as efficient")
+    const multiplierMatch = desc.match(Constants.UPGRADE_PATTERNS.MULTIPLIER);
+    if (multiplierMatch) {
+      const multiplier = parseFloat(multiplierMatch[1]);
+      const affectedBuilding = this._findAffectedBuilding(desc);
+      if (affectedBuilding) {
+        // Increase is (multiplier - 1) * current CPS from that building
+        return { deltaCPS: this.getEffectiveBuildingCPS(affectedBuilding) * (multiplier - 1), method: 'pattern' };
+      }
+    }
+
+    // Pattern 2: Percentage boost (e.g., "Cursors gain 50% of your CPS")
+    const percentMatch = desc.match(Constants.UPGRADE_PATTERNS.PERCENTAGE_BOOST);
+    if (percentMatch) {
+      const percent = parseFloat(percentMatch[1]);
+      const affectedBuilding = this._findAffectedBuilding(desc);
+
+      if (affectedBuilding) {
+        // Percentage boost to specific building
+        return { deltaCPS: this.getEffectiveBuildingCPS(affectedBuilding) * (percent / 100), method: 'pattern' };
+      } else {
+        // General percentage boost to all CPS
+        return { deltaCPS: currentCPS * (percent / 100), method: 'pattern' };
+      }
+    }
+
+    // Pattern 3: Flat bonus (e.g., "Cursors gain +0.1 cookies per click")
+    const flatMatch = desc.match(Constants.UPGRADE_PATTERNS.FLAT_COOKIE_BONUS);
+    if (flatMatch) {
+      // Flat bonus per click, at the player's click rate
+      const bonusPerClick = parseFloat(flatMatch[1]);
+      return { deltaCPS: bonusPerClick * this._getClicksPerSecond(), method: 'pattern' };
+    }
+
+    // Pattern 4: Building-specific upgrade (e.g., "Steel-plated rolling pins")
+    const affectedBuilding = this._findAffectedBuilding(desc);
+    if (affectedBuilding) {
+      // Assume 50% boost to that building type
+      return {
+        deltaCPS: this.getEffectiveBuildingCPS(affectedBuilding) * Constants.UPGRADE_ESTIMATES.SYNERGY_MULTIPLIER,
+        method: 'pattern'
+      };
+    }
+
+    // Pattern 5: Click upgrade (e.g., mentions "clicking" or "cursor")
+    if (desc.includes('click') || desc.includes('cursor')) {
+      // Unrecognized click upgrade: conservative share of current click income
+      return { deltaCPS: this._getClickIncome() * Constants.UPGRADE_ESTIMATES.CLICK_UPGRADE_WEIGHT, method: 'pattern' };
+    }
+
+    // Fallback: Unknown upgrade type
+    // Assign conservative 2% boost to total CPS
+    return { deltaCPS: currentCPS * Constants.UPGRADE_ESTIMATES.CONSERVATIVE_BOOST, method: 'fallback' };
+  }
+
+  /**
+   * Values a known upgrade effect from UpgradeDatabase (click income
+   * included). Also used by SynergyAnalyzer, so both value it the same.
+   *
+   * @param {Object} effect - Effect from UpgradeDatabase.lookup()
+   * @returns {number} Estimated deltaCPS
+   */
+  estimateFromDatabase(effect) {
+    const currentCPS = this.gameState.cookiesPerSecond;
+    const clicksPerSecond = this._getClicksPerSecond();
+    const buildingCPS = name => {
+      const building = this._findBuildingByName(name);
+      return building ? this.getEffectiveBuildingCPS(building) : 0;
+    };
+    const buildingOwned = name => {
+      const building = this._findBuildingByName(name);
+      return building ? building.owned : 0;
+    };
+
+    switch (effect.family) {
+      case 'tiered': {
+        // Building doubles; Cursor tiers also double the base click (1 × 2^(tier-1))
+        let delta = buildingCPS(effect.building) * (effect.multiplier - 1);
+        if (effect.building === 'Cursor') {
+          delta += Math.pow(2, effect.tier - 1) * clicksPerSecond;
+        }
+        return delta;
+      }
+
+      case 'grandma':
+        // Grandmas ×2, and the partner gains +1% per N grandmas
+        return buildingCPS('Grandma') +
+          buildingCPS(effect.building) * 0.01 * buildingOwned('Grandma') / effect.perGrandmas;
+
+      case 'synergy': {
+        const [low, high] = effect.buildings;
+        return buildingCPS(low) * 0.05 * buildingOwned(high) +
+          buildingCPS(high) * 0.001 * buildingOwned(low);
+      }
+
+      case 'cookie':
+        return currentCPS * (effect.percent / 100);
+
+      case 'kitten':
+        return currentCPS * (this.gameState.milk || 0) * effect.factor;
+
+      case 'golden':
+        // Average golden cookie income gained (spawn rate, effect length, Lucky payout)
+        return new GoldenCookieAnalyzer(this.gameState).getUpgradeValue(effect);
+
+      case 'mouse':
+        return currentCPS * (effect.percent / 100) * clicksPerSecond;
+
+      case 'fingers': {
+        // Each cursor and each click gains the bonus per non-cursor building
+        const nonCursorOwned = this.gameState.buildings
+          .filter(b => b.name !== 'Cursor')
+          .reduce((sum, b) => sum + b.owned, 0);
+        const addedBonus = effect.bonus || effect.previous * (effect.multiplier - 1);
+        return addedBonus * nonCursorOwned *
+          (buildingOwned('Cursor') * this.getGlobalMultiplier() + clicksPerSecond);
+      }
+
+      case 'research':
+        if (typeof effect.percent === 'number') {
+          return currentCPS * (effect.percent / 100);
+        }
+        if (typeof effect.multiplier === 'number') {
+          return buildingCPS(effect.building) * (effect.multiplier - 1);
+        }
+        return this._estimateBaseCPSBonus(effect);
+
+      default:
+        return 0;
+    }
+  }
+
+  /**
+   * Values research that adds base CPS to every grandma per building of a
+   * type: the added base is scaled by the grandmas' own upgrades
+   * (building multiplier) and the global multiplier.
+   *
+   * @private
+   * @param {Object} effect - Research effect { building, baseCps, per }
+   * @returns {number} Estimated deltaCPS
+   */
+  _estimateBaseCPSBonus(effect) {
+    const building = this._findBuildingByName(effect.building);
+    const per = this._findBuildingByName(effect.per);
+    if (!building || !per) {
+      return 0;
+    }
+    const multiplier = typeof building.multiplier === 'number' ? building.multiplier : 1;
+    return effect.baseCps * per.owned * building.owned * multiplier * this.getGlobalMultiplier();
+  }
+
+  /**
+   * Gets the multiplier applied on top of every building's CPS.
+   * Uses the value captured by GameStateAdapter, otherwise derives it
+   * from reported CPS versus the sum of building CPS.
+   *
+   * @returns {number} Global multiplier (1.0 if unknown)
+   */
+  getGlobalMultiplier() {
+    const { globalMultiplier, cookiesPerSecond, buildings } = this.gameState;
+    if (typeof globalMultiplier === 'number' && globalMultiplier > 0) {
+      return globalMultiplier;
+    }
+
+    const buildingTotal = buildings.reduce((sum, b) => sum + b.totalCPS, 0);
+    if (buildingTotal > 0 && cookiesPerSecond > 0) {
+      return cookiesPerSecond / buildingTotal;
+    }
+    return 1.0;
+  }
+
+  /**
+   * Gets a building type's contribution to the reported CPS
+   * (its total CPS with the global multiplier applied).
+   *
+   * @param {Object} building - Normalized building object
+   * @returns {number} Effective CPS from this building type
+   */
+  getEffectiveBuildingCPS(building) {
+    return building.totalCPS * this.getGlobalMultiplier();
+  }
+
+  /**
+   * Gets the CPS of one more building before the global multiplier.
+   * Older states without perUnitCPS fall back to the average owned building,
+   * or the base CPS when none are owned.
+   *
+   * @private
+   * @param {Object} building - Normalized building object
+   * @returns {number} Per-building CPS
+   */
+  _getPerUnitCPS(building) {
+    if (typeof building.perUnitCPS === 'number') {
+      return building.perUnitCPS;
+    }
+    if (building.owned > 0 && building.totalCPS > 0) {
+      return building.totalCPS / building.owned;
+    }
+    return building.baseCPS;
+  }
+
+  /**
+   * Calculates what OTHER buildings gain when one more of this building is
+   * bought, through upgrades already owned. Values are before the global
+   * multiplier. Partner totals already include the current bonus, so each
+   * term is divided back out (e.g. 1 + 5% × owned) to get the unboosted base.
+   *
+   * - Grandma types: partner gains +1% per N grandmas (buying a Grandma)
+   * - Synergies: low tier gains +5% per high, high gains +0.1% per low
+   * - Fingers: every Cursor (and click) gains the bonus per non-cursor building
+   *
+   * @private
+   * @param {Object} building - Normalized building object
+   * @returns {number} Partner CPS gained
+   */
+  _calculatePartnerCPS(building) {
+    const owned = name => {
+      const b = this._findBuildingByName(name);
+      return b ? b.owned : 0;
+    };
+    const total = name => {
+      const b = this._findBuildingByName(name);
+      return b ? b.totalCPS : 0;
+    };
+
+    let partnerCPS = 0;
+
+    for (const name of this.ownedUpgrades) {
+      const effect = UpgradeDatabase.lookup(name);
+      if (!effect) {
+        continue;
+      }
+
+      if (effect.family === 'grandma' && building.name === 'Grandma') {
+        const perGrandma = 0.01 / effect.perGrandmas;
+        partnerCPS += total(effect.building) * perGrandma / (1 + perGrandma * owned('Grandma'));
+      } else if (effect.family === 'synergy') {
+        const [low, high] = effect.buildings;
+        if (building.name === high) {
+          partnerCPS += total(low) * 0.05 / (1 + 0.05 * owned(high));
+        } else if (building.name === low) {
+          partnerCPS += total(high) * 0.001 / (1 + 0.001 * owned(low));
+        }
+      }
+    }
+
+    // Fingers: cursor CPS and clicks grow with every non-cursor building
+    if (building.name !== 'Cursor') {
+      const fingerBonus = this._getFingerBonus();
+      if (fingerBonus > 0) {
+        partnerCPS += fingerBonus * owned('Cursor') +
+          fingerBonus * this._getClicksPerSecond() / this.getGlobalMultiplier();
+      }
+    }
+
+    return partnerCPS;
+  }
+
+  /**
+   * Gets the current finger bonus per non-cursor building from owned
+   * finger upgrades (Thousand fingers, then ×N per later tier).
+   *
+   * @private
+   * @returns {number} Cookies per cursor per non-cursor building
+   */
+  _getFingerBonus() {
+    return UpgradeDatabase.FINGERS.reduce((bonus, finger) => {
+      if (!this.ownedUpgrades.has(finger.name)) {
+        return bonus;
+      }
+      return finger.bonus ? finger.bonus : bonus * finger.multiplier;
+    }, 0);
+  }
+
+  /**
+   * Gets the player's click rate, falling back to the default profile.
+   *
+   * @private
+   * @returns {number} Clicks per second
+   */
+  _getClicksPerSecond() {
+    if (typeof this.gameState.clicksPerSecond === 'number' && this.gameState.clicksPerSecond >= 0) {
+      return this.gameState.clicksPerSecond;
+    }
+    return Constants.CLICK_PROFILES[Constants.DEFAULT_CLICK_PROFILE];
+  }
+
+  /**
+   * Gets the cookies per second earned by clicking (clicks/sec × cookies per click).
+   *
+   * @private
+   * @returns {number} Click income
+   */
+  _getClickIncome() {
+    const cookiesPerClick = typeof this.gameState.cookiesPerClick === 'number'
+      ? this.gameState.cookiesPerClick
+      : 1;
+    return this._getClicksPerSecond() * cookiesPerClick;
+  }
+
+  /**
+   * Finds a building in the game state by exact name.
+   *
+   * @private
+   * @param {string} name - Building name (e.g., "Wizard tower")
+   * @returns {Object|null} Building, or null if not found
+   */
+  _findBuildingByName(name) {
+    return this.gameState.buildings.find(b => b.name === name) || null;
+  }
+
+  /**
+   * Finds which building is affected by an upgrade based on description.
+   *
+   * @private
+   * @param {string} description - Upgrade description (lowercase)
+   * @returns {Object|null} Affected building, or null if none/unknown
+   */
+  _findAffectedBuilding(description) {
+    const buildings = this.findAffectedBuildings(description);
+    return buildings.length > 0 ? buildings[0] : null;
+  }
+
+  /**
+   * Finds every building mentioned in a description, in order of appearance.
+   * Synergy upgrades name two buildings ("Farms gain +5% CpS per time machine"),
+   * so callers that care about partners need all of them.
+   *
+   * @param {string} description - Upgrade description (any case)
+   * @returns {Array<Object>} Mentioned buildings from the game state (no duplicates)
+   */
+  findAffectedBuildings(description) {
+    const pattern = new RegExp(Constants.UPGRADE_PATTERNS.BUILDING_REFERENCE.source, 'gi');
+    const found = [];
+
+    for (const match of description.matchAll(pattern)) {
+      // Normalize the irregular plural before matching names
+      const buildingName = match[1].toLowerCase().replace(/ies$/, 'y');
+
+      // Find the building in our game state
+      // Need to match case-insensitively
+      const building = this.gameState.buildings.find(b =>
+        b.name.toLowerCase() === buildingName
+      );
+
+      if (building && !found.includes(building)) {
+        found.push(building);
+      }
+    }
+
+    return found;
+  }
+
+  /**
+   * Calculates ROI time with safety checks.
+   *
+   * @private
+   * @param {number} cost - Cost of purchase
+   * @param {number} deltaCPS - CPS increase
+   * @returns {number} ROI time in seconds, or Infinity if invalid
+   */
+  _calculateROITime(cost, deltaCPS) {
+    // Guard against zero or negative deltaCPS
+    if (deltaCPS < Constants.MIN_VALID_DELTA_CPS) {
+      return Infinity;
+    }
+
+    // ROI time = how many seconds until investment pays for itself
+    const roiTime = cost / deltaCPS;
+
+    // Sanity check
+    if (!isFinite(roiTime) || roiTime < 0) {
+      return Infinity;
+    }
+
+    return roiTime;
+  }
+
+  /**
+   * Simulates buying a candidate and returns the resulting game state.
+   * The current game state is left untouched; a new state is returned.
+   *
+   * Buildings: quantity more owned, price grows by BUILDING_PRICE_GROWTH each
+   * Upgrades: removed from the store, boost scales the affected building
+   * (or the global multiplier for global boosts)
+   *
+   * @param {Object} candidate - Candidate produced by this model
+   * @returns {Object} New normalized game state after the purchase
+   */
+  simulatePurchase(candidate) {
+    const state = this.gameState;
+    const buildings = state.buildings.map(b => ({ ...b }));
+    const globalMultiplier = this.getGlobalMultiplier();
+    let nextGlobalMultiplier = globalMultiplier;
+    let upgrades = state.upgrades;
+
+    if (candidate.type === 'building') {
+      const buildingId = candidate.buildingId || candidate.id;
+      const quantity = candidate.quantity || 1;
+      const building = buildings.find(b => b.id === buildingId);
+      if (building) {
+        building.totalCPS += this._getPerUnitCPS(building) * quantity;
+        building.owned += quantity;
+        building.cost *= Math.pow(Constants.BUILDING_PRICE_GROWTH, quantity);
+      }
+    } else {
+      upgrades = upgrades.filter(u => u.id !== candidate.id);
+
+      const affected = buildings.find(b => b.id === candidate.affectedBuilding);
+      if (affected && affected.totalCPS > 0) {
+        // Building boost: every building of that type produces proportionally more
+        const scale = 1 + candidate.deltaCPS / (affected.totalCPS * globalMultiplier);
+        affected.totalCPS *= scale;
+        if (typeof affected.perUnitCPS === 'number') {
+          affected.perUnitCPS *= scale;
+        }
+      } else if (state.cookiesPerSecond > 0) {
+        // Global boost: raises the multiplier applied to every building
+        nextGlobalMultiplier = globalMultiplier * (1 + candidate.deltaCPS / state.cookiesPerSecond);
+      }
+    }
+
+    return {
+      ...state,
+      cookies: state.cookies - candidate.cost,
+      cookiesPerSecond: state.cookiesPerSecond + candidate.deltaCPS,
+      globalMultiplier: nextGlobalMultiplier,
+      buildings: buildings,
+      upgrades: upgrades
+    };
+  }
+
+  /**
+   * Calculates how long until a cost is affordable at the current CPS.
+   *
+   * @param {number} cost - Cost of the purchase
+   * @returns {number} Seconds to wait (0 if affordable now, Infinity if never)
+   */
+  getTimeToAfford(cost) {
+    const { cookies, cookiesPerSecond } = this.gameState;
+
+    if (Validators.isAffordable(cost, cookies)) {
+      return 0;
+    }
+
+    if (cookiesPerSecond <= 0) {
+      return Infinity;
+    }
+
+    return (cost - cookies) / cookiesPerSecond;
+  }
+
+  /**
+   * Gets candidate by ID.
+   *
+   * @param {string} id - Candidate ID
+   * @returns {Object|null} Candidate with ROI data, or null if not found
+   */
+  getCandidate(id) {
+    const candidates = this.getAllCandidates();
+    return candidates.find(c => c.id === id) || null;
+  }
+
+  /**
+   * Filters candidates by type.
+   *
+   * @param {string} type - 'building' or 'upgrade'
+   * @returns {Array<Object>} Filtered candidates
+   */
+  getCandidatesByType(type) {
+    return this.getAllCandidates().filter(c => c.type === type);
+  }
+
+  /**
+   * Gets only affordable candidates (can be purchased now).
+   *
+   * @returns {Array<Object>} Affordable candidates
+   */
+  getAffordableCandidates() {
+    const currentCookies = this.gameState.cookies;
+    return this.getAllCandidates().filter(c =>
+      Validators.isAffordable(c.cost, currentCookies)
+    );
+  }
+
+  /**
+   * Gets only valid candidates (finite ROI, reasonable time, no bulk buys).
+   *
+   * @returns {Array<Object>} Valid candidates for recommendation
+   */
+  getValidCandidates() {
+    return this.getAllCandidates().filter(c =>
+      !c.informational &&
+      Validators.isValidROI(c.roiTime) &&
+      c.roiTime <= Constants.MAX_REASONABLE_ROI
+    );
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = EconomicModel;
+}
+/**
+ * SynergyAnalyzer.js
+ *
+ * Detects upgrade-building combos and values their knock-on CPS.
+ *
+ * Recognized upgrade families:
+ * - Tiered: "Farms are twice as efficient" → boosts one building
+ * - Grandma types: "Grandmas are twice as efficient. Farms gain +1% CpS per grandma."
+ * - Synergies: "Farms gain +5% CpS per time machine. Time machines gain +0.1% CpS per farm."
+ * - Fingers: "The mouse and cursors gain +0.1 cookies for each non-cursor object owned."
+ *
+ * Knock-on CPS is what an upgrade adds through buildings OTHER than the one
+ * it names first (e.g. the farms boosted by a grandma-type upgrade).
+ *
+ * Like EconomicModel, effects come from UpgradeDatabase when the upgrade is
+ * known; descriptions are only parsed for upgrades missing from it.
+ */
+
+class SynergyAnalyzer {
+  /**
+   * Creates a new SynergyAnalyzer.
+   *
+   * @param {Object} gameState - Normalized game state from GameStateAdapter
+   */
+  constructor(gameState) {
+    this.model = new EconomicModel(gameState);
+    this.gameState = gameState;
+  }
+
+  /**
+   * Detects synergies for every upgrade candidate.
+   *
+   * @param {Array<Object>} candidates - Candidates from EconomicModel
+   * @returns {Array<Object>} Synergy reports ({ candidateId, kind, partners, directCPS, knockOnCPS })
+   */
+  detectSynergies(candidates) {
+    const synergies = [];
+
+    for (const candidate of candidates) {
+      if (candidate.type !== 'upgrade') {
+        continue;
+      }
+
+      const upgrade = this.gameState.upgrades.find(u => u.id === candidate.id);
+      const synergy = upgrade ? this.analyzeUpgrade(upgrade) : null;
+      if (synergy) {
+        synergies.push({ candidateId: candidate.id, ...synergy });
+      }
+    }
+
+    return synergies;
+  }
+
+  /**
+   * Returns candidates with deltaCPS and roiTime re-valued from detected synergies.
+   * Candidates without a recognized synergy are returned unchanged.
+   *
+   * @param {Array<Object>} candidates - Candidates from EconomicModel
+   * @returns {Array<Object>} New candidate array
+   */
+  applySynergies(candidates) {
+    const byId = new Map(
+      this.detectSynergies(candidates).map(s => [s.candidateId, s])
+    );
+
+    return candidates.map(candidate => {
+      const synergy = byId.get(candidate.id);
+      if (!synergy) {
+        return candidate;
+      }
+
+      const deltaCPS = synergy.directCPS + synergy.knockOnCPS;
+      const roiTime = deltaCPS < Constants.MIN_VALID_DELTA_CPS
+        ? Infinity
+        : candidate.cost / deltaCPS;
+
+      return {
+        ...candidate,
+        deltaCPS: deltaCPS,
+        roiTime: roiTime,
+        synergy: {
+          kind: synergy.kind,
+          partners: synergy.partners,
+          directCPS: synergy.directCPS,
+          knockOnCPS: synergy.knockOnCPS
+        }
+      };
+    });
+  }
+
+  /**
+   * Builds the synergy model of an upgrade: from UpgradeDatabase when it is
+   * known, otherwise parsed from its description.
+   *
+   * @param {Object} upgrade - Normalized upgrade object
+   * @returns {Object|null} { kind, partners, directCPS, knockOnCPS }, or null if no combo detected
+   */
+  analyzeUpgrade(upgrade) {
+    const effect = UpgradeDatabase.lookup(upgrade.name);
+    if (effect) {
+      return this._analyzeEffect(effect);
+    }
+    return this._analyzeDescription(upgrade);
+  }
+
+  /**
+   * Builds the synergy model of a known upgrade effect. The value comes from
+   * EconomicModel.estimateFromDatabase(); this only says which part of it
+   * comes through other buildings. Families that do not work through
+   * buildings (cookies, kittens, golden cookies...) have none.
+   *
+   * @private
+   * @param {Object} effect - Effect from UpgradeDatabase.lookup()
+   * @returns {Object|null} { kind, partners, directCPS, knockOnCPS }, or null
+   */
+  _analyzeEffect(effect) {
+    const total = this.model.estimateFromDatabase(effect);
+
+    switch (effect.family) {
+      case 'tiered':
+        return { kind: 'tiered', partners: [], directCPS: total, knockOnCPS: 0 };
+
+      case 'grandma': {
+        // Grandmas ×2 is direct; the partner's +1% per N grandmas is knock-on
+        const grandma = this.gameState.buildings.find(b => b.name === 'Grandma');
+        const directCPS = grandma ? this.model.getEffectiveBuildingCPS(grandma) : 0;
+        return { kind: 'grandma', partners: [effect.building, 'Grandma'], directCPS: directCPS, knockOnCPS: total - directCPS };
+      }
+
+      case 'synergy':
+        return { kind: 'synergy', partners: [...effect.buildings], directCPS: 0, knockOnCPS: total };
+
+      case 'fingers':
+        return { kind: 'fingers', partners: ['Cursor'], directCPS: 0, knockOnCPS: total };
+
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Parses an upgrade description into a synergy model (for upgrades
+   * missing from UpgradeDatabase).
+   *
+   * @private
+   * @param {Object} upgrade - Normalized upgrade object
+   * @returns {Object|null} { kind, partners, directCPS, knockOnCPS }, or null if no combo detected
+   */
+  _analyzeDescription(upgrade) {
+    const sentences = this._splitSentences(upgrade.descriptionDetail || upgrade.description || '');
+
+    let kind = null;
+    let directCPS = 0;
+    let knockOnCPS = 0;
+    const partners = [];
+
+    for (const sentence of sentences) {
+      // Tiered boost: "Grandmas are twice as efficient"
+      if (Constants.UPGRADE_PATTERNS.TWICE_EFFICIENT.test(sentence)) {
+        const target = this.model.findAffectedBuildings(sentence)[0];
+        if (target) {
+          directCPS += this.model.getEffectiveBuildingCPS(target);
+          kind = kind || 'tiered';
+        }
+        continue;
+      }
+
+      // Per-building boost: "Farms gain +1% CpS per grandma"
+      const perMatch = sentence.match(Constants.UPGRADE_PATTERNS.CPS_PER_BUILDING);
+      if (perMatch) {
+        const target = this.model.findAffectedBuildings(perMatch[1])[0];
+        const source = this.model.findAffectedBuildings(perMatch[4])[0];
+        if (target && source) {
+          const percent = parseFloat(perMatch[2]);
+          const perCount = perMatch[3] ? parseFloat(perMatch[3]) : 1;
+
+          knockOnCPS += this.model.getEffectiveBuildingCPS(target) * (percent / 100) * (source.owned / perCount);
+          this._addPartner(partners, target.name);
+          this._addPartner(partners, source.name);
+          kind = source.name === 'Grandma' && kind === 'tiered' ? 'grandma' : 'synergy';
+        }
+        continue;
+      }
+
+      // Fingers: cursors gain a flat bonus for each non-cursor building
+      const fingerMatch = sentence.match(Constants.UPGRADE_PATTERNS.NON_CURSOR_BONUS);
+      if (fingerMatch) {
+        const cursor = this.gameState.buildings.find(b => b.name === 'Cursor');
+        if (cursor) {
+          const bonus = parseFloat(fingerMatch[1]);
+          const nonCursorOwned = this.gameState.buildings
+            .filter(b => b.name !== 'Cursor')
+            .reduce((sum, b) => sum + b.owned, 0);
+
+          knockOnCPS += cursor.owned * bonus * nonCursorOwned * this.model.getGlobalMultiplier();
+          this._addPartner(partners, cursor.name);
+          kind = 'fingers';
+        }
+      }
+    }
+
+    // Nothing building-related recognized
+    if (!kind) {
+      return null;
+    }
+
+    return {
+      kind: kind,
+      partners: partners,
+      directCPS: directCPS,
+      knockOnCPS: knockOnCPS
+    };
+  }
+
+  /**
+   * Splits a description into plain-text sentences.
+   * Game descriptions contain HTML (<b>, <br>), which is stripped here.
+   *
+   * @private
+   * @param {string} description - Raw upgrade description
+   * @returns {Array<string>} Sentences
+   */
+  _splitSentences(description) {
+    return description
+      .replace(/<br\s*\/?>/gi, '. ')
+      .replace(/<[^>]*>/g, '')
+      .split(/\.(?:\s+|$)/)
+      .map(s => s.trim())
+      .filter(s => s.length > 0);
+  }
+
+  /**
+   * Adds a partner building name once.
+   *
+   * @private
+   * @param {Array<string>} partners - Partner list to extend
+   * @param {string} name - Building name
+   */
+  _addPartner(partners, name) {
+    if (!partners.includes(name)) {
+      partners.push(name);
+    }
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SynergyAnalyzer;
+}
+/**
+ * PurchaseSimulator.js
+ *
+ * Plays purchases forward in time on a copy of the game state: bake
+ * cookies at the current CPS, buy, repeat. Used by LookaheadStrategy to
+ * compare purchase sequences and by CookieAdvisor.plan() to build a
+ * shopping list for a time horizon.
+ *
+ * Purchases go through EconomicModel.simulatePurchase(), so the same
+ * limits apply: buildings get more expensive and produce more, bought
+ * upgrades leave the store, but upgrades the game would unlock along the
+ * way (e.g. at building milestones) do not appear.
+ */
+
+class PurchaseSimulator {
+  /**
+   * @param {Object} gameState - Starting game state (not modified)
+   */
+  constructor(gameState) {
+    this.state = gameState;
+    this.time = 0;          // Seconds simulated so far
+    this.cookiesBaked = 0;  // Cookies produced so far
+    this.purchases = [];    // [{ time, candidate, cookiesPerSecond, cookies }] in order
+  }
+
+  /**
+   * Candidates for the current simulated state.
+   *
+   * @returns {Array<Object>} Candidates from EconomicModel
+   */
+  getCandidates() {
+    return new EconomicModel(this.state).getAllCandidates();
+  }
+
+  /**
+   * How long until a cost is affordable in the current simulated state.
+   *
+   * @param {number} cost - Purchase cost
+   * @returns {number} Seconds (0 if affordable now, Infinity if never)
+   */
+  getTimeToAfford(cost) {
+    return new EconomicModel(this.state).getTimeToAfford(cost);
+  }
+
+  /**
+   * Bakes cookies at the current CPS for some time.
+   *
+   * @param {number} seconds - Time to advance (finite, 0 or more)
+   */
+  advance(seconds) {
+    const baked = this.state.cookiesPerSecond * seconds;
+    this.time += seconds;
+    this.cookiesBaked += baked;
+    this.state = { ...this.state, cookies: this.state.cookies + baked };
+  }
+
+  /**
+   * Buys a candidate now (the caller waits until it is affordable).
+   *
+   * @param {Object} candidate - Candidate for the current simulated state
+   */
+  buy(candidate) {
+    this.state = new EconomicModel(this.state).simulatePurchase(candidate);
+    this.purchases.push({
+      time: this.time,
+      candidate: candidate,
+      cookiesPerSecond: this.state.cookiesPerSecond,
+      cookies: this.state.cookies
+    });
+  }
+
+  /**
+   * Waits until a candidate is affordable, then buys it.
+   *
+   * @param {Object} candidate - Candidate for the current simulated state
+   * @param {number} [deadline] - Don't wait past this simulated time
+   * @returns {boolean} False (and nothing changes) if it is never affordable or not before the deadline
+   */
+  waitAndBuy(candidate, deadline = Infinity) {
+    const wait = this.getTimeToAfford(candidate.cost);
+    if (!isFinite(wait) || this.time + wait > deadline) {
+      return false;
+    }
+
+    this.advance(wait);
+    this.buy(candidate);
+    return true;
+  }
+
+  /**
+   * Buys rank()'s top choice each time it becomes affordable, re-ranking
+   * after every purchase. When the top choice cannot be afforded before the
+   * horizon, the best-ranked candidate that can is bought instead; once
+   * nothing ranked fits, bakes until the horizon.
+   *
+   * @param {Function} rank - rank(candidates, gameState) → ranked candidates, best first
+   * @param {number} horizonSeconds - Simulated time to plan for
+   * @param {number} [maxPurchases] - Stop after this many purchases (default: Constants.PLAN_MAX_PURCHASES)
+   * @returns {Array<Object>} Purchases made, in order
+   */
+  runPlan(rank, horizonSeconds, maxPurchases = Constants.PLAN_MAX_PURCHASES) {
+    while (this.purchases.length < maxPurchases) {
+      const ranked = rank(this.getCandidates(), this.state);
+      if (!ranked.some(candidate => this.waitAndBuy(candidate, horizonSeconds))) {
+        break;
+      }
+    }
+
+    if (this.time < horizonSeconds) {
+      this.advance(horizonSeconds - this.time);
+    }
+    return this.purchases;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PurchaseSimulator;
+}
+/**
+ * GoalPlanner.js
+ *
+ * Answers "invest first, or save?" for a goal: an amount of cookies in the
+ * bank, a specific building or upgrade, or a CPS level. Finds a fast
+ * sequence of purchases that reaches the goal and compares it with just
+ * waiting for it.
+ *
+ * The search is greedy with one step of lookahead. From the current
+ * simulated state every candidate is scored as
+ *   time to afford it + time to the goal right after buying it
+ * and, of those that beat going straight for the goal, the one saving the
+ * most time per second of waiting is bought. Repeat until nothing does.
+ * Going straight for the goal means waiting for cookies and purchases; a
+ * CPS level is never reached by waiting, so there it means buying the
+ * purchase that closes the remaining gap soonest (and when no single
+ * purchase can, the one with the best payback from now, then look again).
+ *
+ * Greedy search can miss paths that only pay off after several purchases,
+ * so the result is a fast path, not a proven fastest one. Purchases are
+ * simulated with PurchaseSimulator, so upgrades that would unlock along
+ * the way are not considered.
+ */
+
+class GoalPlanner {
+  /**
+   * @param {Object} gameState - Starting game state (not modified)
+   * @param {Object} [options] - { adjustCandidates(candidates, gameState) → candidates },
+   *   applied to the candidates at every step (e.g. candidate hooks)
+   */
+  constructor(gameState, options = {}) {
+    this.gameState = gameState;
+    this.adjustCandidates = options.adjustCandidates || (candidates => candidates);
+  }
+
+  /**
+   * Turns a target into a goal for findPath().
+   *
+   * Targets:
+   * - 1e6 or { cookies: 1e6 } - Cookies in the bank
+   * - 'Farm', 'Lucky day' or { purchase: 'Farm' } - Building or upgrade in the store (by name)
+   * - { cps: 500 } - Cookies per second
+   *
+   * @param {number|string|Object} target - What to reach
+   * @returns {Object} { type: 'cookies'|'cps', amount } or { type: 'purchase', purchaseType, id, name }
+   * @throws {Error} If the target is invalid, or names nothing in the store
+   */
+  resolveTarget(target) {
+    if (typeof target === 'number') {
+      target = { cookies: target };
+    } else if (typeof target === 'string') {
+      target = { purchase: target };
+    }
+
+    if (target && typeof target === 'object') {
+      for (const type of ['cookies', 'cps']) {
+        if (type in target) {
+          const amount = target[type];
+          if (typeof amount !== 'number' || !isFinite(amount) || amount <= 0) {
+            throw new Error(`${type} must be a positive number`);
+          }
+          return { type: type, amount: amount };
+        }
+      }
+
+      if (typeof target.purchase === 'string' && target.purchase.trim() !== '') {
+        return this._resolvePurchase(target.purchase.trim());
+      }
+    }
+
+    throw new Error('Target must be a cookie amount, a building or upgrade name, or { cps: amount }');
+  }
+
+  /**
+   * Finds a fast way to reach a goal.
+   *
+   * @param {Object} goal - Goal from resolveTarget()
+   * @param {number} [maxPurchases] - Most intermediate purchases (default: Constants.PLAN_MAX_PURCHASES)
+   * @returns {Object} { reached, time, waitTime, purchases, state }: time is when the goal is
+   *   reached (Infinity if not), waitTime the same for just waiting, purchases come from
+   *   PurchaseSimulator and state is the simulated state at the goal
+   */
+  findPath(goal, maxPurchases = Constants.PLAN_MAX_PURCHASES) {
+    const simulator = new PurchaseSimulator(this.gameState);
+    const waitTime = this._getTimeToGoal(goal, this.gameState, this.gameState.cookies, this.gameState.cookiesPerSecond);
+
+    while (simulator.purchases.length < maxPurchases) {
+      const next = this._chooseNext(goal, simulator);
+      if (!next) {
+        break;
+      }
+      simulator.waitAndBuy(next);
+    }
+
+    // Whatever is left is waiting (for cookies and purchases)
+    const remaining = this._getTimeToGoal(goal, simulator.state, simulator.state.cookies, simulator.state.cookiesPerSecond);
+    const reached = isFinite(remaining);
+    if (reached) {
+      simulator.advance(remaining);
+    }
+
+    return {
+      reached: reached,
+      time: reached ? simulator.time : Infinity,
+      waitTime: waitTime,
+      purchases: simulator.purchases,
+      state: simulator.state
+    };
+  }
+
+  /**
+   * Price of a purchase goal.
+   *
+   * @param {Object} goal - Purchase goal from resolveTarget()
+   * @param {Object} [state] - Game state (default: the starting state)
+   * @returns {number} Cost (Infinity if it is no longer in the state)
+   */
+  getGoalCost(goal, state = this.gameState) {
+    const items = goal.purchaseType === 'building' ? state.buildings : state.upgrades;
+    const item = items.find(i => i.id === goal.id);
+    return item ? item.cost : Infinity;
+  }
+
+  /**
+   * Picks the next purchase on the way to the goal: of the candidates that
+   * bring the goal closer than going straight for it, the one with the
+   * most time saved per second spent waiting for it (so cheap steps that
+   * help come before expensive ones that help more).
+   *
+   * @private
+   * @param {Object} goal - Goal from resolveTarget()
+   * @param {PurchaseSimulator} simulator - Simulation so far
+   * @returns {Object|null} Candidate to buy next, or null to stop
+   */
+  _chooseNext(goal, simulator) {
+    const state = simulator.state;
+    const { cookies, cookiesPerSecond } = state;
+    const candidates = this.adjustCandidates(simulator.getCandidates(), state)
+      .filter(c => c.deltaCPS > 0 && !this._isGoalPurchase(goal, c));
+
+    const direct = this._getTimeToGoal(goal, state, cookies, cookiesPerSecond, candidates);
+    if (direct === 0) {
+      return null;
+    }
+
+    let best = null;
+    for (const candidate of candidates) {
+      const wait = simulator.getTimeToAfford(candidate.cost);
+      if (!isFinite(wait)) {
+        continue;
+      }
+
+      const cookiesAfter = cookies + cookiesPerSecond * wait - candidate.cost;
+      const cpsAfter = cookiesPerSecond + candidate.deltaCPS;
+      const total = wait + this._getTimeToGoal(goal, state, cookiesAfter, cpsAfter, candidates, candidate);
+      if (!(total < direct)) {
+        continue;
+      }
+
+      const rate = wait > 0 ? (direct - total) / wait : Infinity;
+      if (!best || rate > best.rate || (rate === best.rate && total < best.total)) {
+        best = { candidate: candidate, rate: rate, total: total };
+      }
+    }
+    if (best) {
+      return best.candidate;
+    }
+
+    if (goal.type !== 'cps') {
+      return null; // Waiting is fastest
+    }
+
+    // Buy the purchase that closes the CPS gap soonest; if none can, grow CPS and look again
+    const gap = goal.amount - cookiesPerSecond;
+    const pool = isFinite(direct) ? candidates.filter(c => c.deltaCPS >= gap) : candidates;
+    const key = c => (isFinite(direct) ? simulator.getTimeToAfford(c.cost) : c.paybackFromNow);
+    const choices = pool.filter(c => isFinite(key(c)));
+    return choices.reduce((a, b) => (key(b) < key(a) ? b : a), choices[0]) || null;
+  }
+
+  /**
+   * Time from a point in the simulation to the goal, going straight for it.
+   * For a CPS goal that means buying the candidate that closes the gap
+   * soonest (other than the one just bought).
+   *
+   * @private
+   * @param {Object} goal - Goal from resolveTarget()
+   * @param {Object} state - Simulated state (for the price of a purchase goal)
+   * @param {number} cookies - Cookies at that point
+   * @param {number} cookiesPerSecond - CPS at that point
+   * @param {Array<Object>} [candidates] - Candidates that may close a CPS gap
+   * @param {Object} [bought] - Candidate just bought (not available again)
+   * @returns {number} Seconds (0 if reached, Infinity if not reachable this way)
+   */
+  _getTimeToGoal(goal, state, cookies, cookiesPerSecond, candidates = [], bought = null) {
+    const timeToAfford = cost => {
+      if (cookies >= cost) {
+        return 0;
+      }
+      return cookiesPerSecond > 0 ? (cost - cookies) / cookiesPerSecond : Infinity;
+    };
+
+    if (goal.type === 'cookies') {
+      return timeToAfford(goal.amount);
+    }
+    if (goal.type === 'purchase') {
+      return timeToAfford(this.getGoalCost(goal, state));
+    }
+
+    const gap = goal.amount - cookiesPerSecond;
+    if (gap <= 0) {
+      return 0;
+    }
+    return candidates
+      .filter(c => c !== bought && c.deltaCPS >= gap)
+      .reduce((soonest, c) => Math.min(soonest, timeToAfford(c.cost)), Infinity);
+  }
+
+  /**
+   * @private
+   * @param {Object} goal - Goal from resolveTarget()
+   * @param {Object} candidate - Purchase candidate
+   * @returns {boolean} True if buying the candidate is (or changes the price of) the goal itself
+   */
+  _isGoalPurchase(goal, candidate) {
+    if (goal.type !== 'purchase' || candidate.type !== goal.purchaseType) {
+      return false;
+    }
+    return (candidate.buildingId || candidate.id) === goal.id;
+  }
+
+  /**
+   * Finds a building or store upgrade by name (case-insensitive).
+   *
+   * @private
+   * @param {string} name - Building or upgrade name
+   * @returns {Object} Purchase goal
+   * @throws {Error} If nothing in the store has that name
+   */
+  _resolvePurchase(name) {
+    const wanted = name.toLowerCase();
+    const matches = item => item.name.toLowerCase() === wanted || String(item.id).toLowerCase() === wanted;
+
+    const building = this.gameState.buildings.find(matches);
+    if (building) {
+      return { type: 'purchase', purchaseType: 'building', id: building.id, name: building.name };
+    }
+
+    const upgrade = this.gameState.upgrades.find(matches);
+    if (upgrade) {
+      return { type: 'purchase', purchaseType: 'upgrade', id: upgrade.id, name: upgrade.name };
+    }
+
+    if ((this.gameState.ownedUpgrades || []).some(owned => owned.toLowerCase() === wanted)) {
+      throw new Error(`"${name}" is already bought`);
+    }
+    throw new Error(`"${name}" is not a building or an upgrade in the store`);
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = GoalPlanner;
+}
+/**
+ * Snapshot.js
+ *
+ * Saves a normalized game state and its computed candidates as a versioned
+ * JSON document, so an exact state can be shared, re-analyzed later, or kept
+ * as a regression fixture. Also compares two snapshots.
+ *
+ * Document layout (version 1):
+ *   {
+ *     format: 'cookie-advisor-snapshot',
+ *     version: 1,
+ *     createdAt: '2024-01-01T12:00:00.000Z',
+ *     strategy: 'Greedy',
+ *     gameState: { ... },        // GameStateAdapter output
+ *     candidates: [ ... ],       // EconomicModel output
+ *     recommendations: [ ids ]   // Ranked candidate ids, best first
+ *   }
+ *
+ * JSON has no Infinity, so non-finite numbers (e.g. the ROI of a candidate
+ * with no CPS gain) are written as strings and restored by parse().
+ */
+
+class Snapshot {
+  /**
+   * Builds a snapshot document.
+   *
+   * @param {Object} gameState - Normalized game state
+   * @param {Array<Object>} candidates - Candidates from EconomicModel
+   * @param {Array<Object>} recommendations - Ranked candidates from StrategyEngine
+   * @param {string} strategyName - Name of the strategy that ranked them
+   * @returns {Object} Snapshot document
+   */
+  static create(gameState, candidates, recommendations, strategyName) {
+    return {
+      format: Constants.SNAPSHOT_FORMAT,
+      version: Constants.SNAPSHOT_VERSION,
+      createdAt: new Date().toISOString(),
+      strategy: strategyName,
+      gameState: gameState,
+      candidates: candidates,
+      recommendations: recommendations.map(r => r.id)
+    };
+  }
+
+  /**
+   * Serializes a snapshot document to JSON.
+   *
+   * @param {Object} snapshot - Snapshot document
+   * @returns {string} JSON text
+   */
+  static stringify(snapshot) {
+    return JSON.stringify(snapshot, (key, value) =>
+      typeof value === 'number' && !isFinite(value) ? String(value) : value
+    );
+  }
+
+  /**
+   * Parses and checks a snapshot.
+   *
+   * @param {string|Object} json - JSON text or an already parsed document
+   * @returns {Object} Snapshot document
+   * @throws {Error} If the input is not a snapshot or its version is unsupported
+   */
+  static parse(json) {
+    let snapshot = json;
+    if (typeof json === 'string') {
+      try {
+        snapshot = JSON.parse(json, (key, value) => Snapshot._reviveNumber(value));
+      } catch (error) {
+        throw new Error(`Not a Cookie Advisor snapshot (invalid JSON: ${error.message})`);
+      }
+    }
+
+    if (!snapshot || snapshot.format !== Constants.SNAPSHOT_FORMAT) {
+      throw new Error('Not a Cookie Advisor snapshot (missing format tag)');
+    }
+    if (typeof snapshot.version !== 'number' || snapshot.version > Constants.SNAPSHOT_VERSION) {
+      throw new Error(`Unsupported snapshot version ${snapshot.version} (supported: ${Constants.SNAPSHOT_VERSION})`);
+    }
+    if (!Validators.isValidGameState(snapshot.gameState)) {
+      throw new Error('Snapshot game state is missing or invalid');
+    }
+
+    return snapshot;
+  }
+
+  /**
+   * Compares two snapshots: buildings bought, upgrades bought, CPS change
+   * and how the recommendations changed.
+   *
+   * @param {string|Object} before - Earlier snapshot (JSON or document)
+   * @param {string|Object} after - Later snapshot (JSON or document)
+   * @returns {Object} Diff report
+   */
+  static diff(before, after) {
+    const a = Snapshot.parse(before);
+    const b = Snapshot.parse(after);
+
+    const ownedBefore = new Set(a.gameState.ownedUpgrades || []);
+    const topBefore = Snapshot._getRecommendations(a);
+    const topAfter = Snapshot._getRecommendations(b);
+    const keysBefore = new Set(topBefore.map(Snapshot._getPurchaseKey));
+    const keysAfter = new Set(topAfter.map(Snapshot._getPurchaseKey));
+    const keyOf = choice => choice ? Snapshot._getPurchaseKey(choice) : null;
+
+    return {
+      from: a.createdAt,
+      to: b.createdAt,
+      elapsedSeconds: (Date.parse(b.createdAt) - Date.parse(a.createdAt)) / 1000,
+      cookies: Snapshot._compareNumbers(a.gameState.cookies, b.gameState.cookies),
+      cps: Snapshot._compareNumbers(a.gameState.cookiesPerSecond, b.gameState.cookiesPerSecond),
+      buildings: Snapshot._diffBuildings(a.gameState.buildings, b.gameState.buildings),
+      upgradesBought: (b.gameState.ownedUpgrades || []).filter(name => !ownedBefore.has(name)),
+      recommendation: {
+        strategyBefore: a.strategy,
+        strategyAfter: b.strategy,
+        before: topBefore[0] || null,
+        after: topAfter[0] || null,
+        changed: keyOf(topBefore[0]) !== keyOf(topAfter[0]),
+        added: topAfter.filter(r => !keysBefore.has(Snapshot._getPurchaseKey(r))).map(r => r.displayName),
+        removed: topBefore.filter(r => !keysAfter.has(Snapshot._getPurchaseKey(r))).map(r => r.displayName)
+      }
+    };
+  }
+
+  /**
+   * Restores a non-finite number written by stringify().
+   *
+   * @private
+   * @param {*} value - Parsed JSON value
+   * @returns {*} Number for 'Infinity', '-Infinity' and 'NaN', otherwise the value
+   */
+  static _reviveNumber(value) {
+    if (value === 'Infinity' || value === '-Infinity' || value === 'NaN') {
+      return Number(value);
+    }
+    return value;
+  }
+
+  /**
+   * Looks up a snapshot's ranked recommendations (top few) by id.
+   *
+   * @private
+   * @param {Object} snapshot - Snapshot document
+   * @returns {Array<Object>} Recommended candidates, best first
+   */
+  static _getRecommendations(snapshot) {
+    const byId = new Map((snapshot.candidates || []).map(c => [c.id, c]));
+
+    return (snapshot.recommendations || [])
+      .slice(0, Constants.TOP_ALTERNATIVES_COUNT + 1)
+      .map(id => byId.get(id))
+      .filter(Boolean);
+  }
+
+  /**
+   * Identifies what a candidate buys, ignoring how many are already owned
+   * (display names include the count, e.g. "Cursor (#26)"). Buying up to a
+   * milestone counts as the same purchase whatever the quantity.
+   *
+   * @private
+   * @param {Object} candidate - Candidate
+   * @returns {string} Key such as "building:Cursor:10" or "building:Grandma:milestone 25"
+   */
+  static _getPurchaseKey(candidate) {
+    const amount = candidate.milestone ? `milestone ${candidate.milestone}` : candidate.quantity || 1;
+    return `${candidate.type}:${candidate.name}:${amount}`;
+  }
+
+  /**
+   * Compares owned counts per building, keeping only the ones that changed.
+   *
+   * @private
+   * @param {Array<Object>} before - Earlier buildings
+   * @param {Array<Object>} after - Later buildings
+   * @returns {Array<Object>} { name, before, after, change }
+   */
+  static _diffBuildings(before, after) {
+    const ownedBefore = new Map(before.map(b => [b.name, b.owned]));
+    const changes = [];
+
+    for (const building of after) {
+      const previous = ownedBefore.get(building.name) || 0;
+      if (building.owned !== previous) {
+        changes.push({
+          name: building.name,
+          before: previous,
+          after: building.owned,
+          change: building.owned - previous
+        });
+      }
+    }
+
+    return changes;
+  }
+
+  /**
+   * Compares two numbers.
+   *
+   * @private
+   * @param {number} before - Earlier value
+   * @param {number} after - Later value
+   * @returns {Object} { before, after, change, percent } (percent is null when before is 0)
+   */
+  static _compareNumbers(before, after) {
+    return {
+      before: before,
+      after: after,
+      change: after - before,
+      percent: before !== 0 ? ((after - before) / before) * 100 : null
+    };
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Snapshot;
+}
+/**
+ * StrategyEngine.js
+ *
+ * Pluggable strategy pattern for ranking purchase candidates.
+ *
+ * Architecture:
+ * - Strategy base class defines interface
+ * - Concrete strategies implement different ranking algorithms
+ * - StrategyEngine orchestrates strategy execution
+ *
+ * v1: GreedyStrategy (lowest ROI time first)
+ * PaybackStrategy (lowest wait + ROI time first)
+ * LookaheadStrategy (simulates the next N purchases)
+ * SynergyStrategy (values building-upgrade combos)
+ * BalancedStrategy (blends short/long term, diversification, milestones)
+ */
+
+/**
+ * Base Strategy class (interface).
+ * All strategies must implement the evaluate() method.
+ */
+class Strategy {
+  /**
+   * Evaluates and ranks purchase candidates.
+   *
+   * @param {Array<Object>} candidates - Array of candidates with ROI data
+   * @param {Object} [gameState] - Normalized game state the candidates came from
+   * @returns {Array<Object>} Sorted array of recommendations
+   */
+  evaluate(candidates, gameState) {
+    throw new Error('Strategy.evaluate() must be implemented by subclass');
+  }
+
+  /**
+   * Gets the strategy name.
+   *
+   * @returns {string} Human-readable strategy name
+   */
+  getName() {
+    return this.constructor.name;
+  }
+}
+
+/**
+ * Greedy Strategy: Recommend purchase with lowest ROI time.
+ *
+ * Algorithm:
+ * 1. Filter out invalid candidates (Infinity ROI, too expensive, locked)
+ *    and informational bulk buys
+ * 2. Sort by ascending ROI time (lower = better)
+ * 3. Return ordered recommendations
+ *
+ * Pros: Simple, intuitive, optimal for single-purchase horizon
+ * Cons: Doesn't consider synergies or lookahead
+ */
+class GreedyStrategy extends Strategy {
+  /**
+   * Evaluates candidates using greedy algorithm.
+   *
+   * @param {Array<Object>} candidates - Array of candidates with ROI data
+   * @returns {Array<Object>} Sorted recommendations (best first)
+   */
+  evaluate(candidates) {
+    return candidates
+      // Filter 1: Valid ROI (finite, positive)
+      .filter(c => Validators.isValidROI(c.roiTime))
+
+      // Filter 2: Reasonable timeframe (MAX_REASONABLE_ROI, 1 hour by default)
+      .filter(c => c.roiTime <= Constants.MAX_REASONABLE_ROI)
+
+      // Filter 3: Valid candidate structure
+      .filter(c => Validators.isValidCandidate(c))
+
+      // Filter 4: Not informational (bulk buys, see EconomicModel.calculateBulkBuildingROI)
+      .filter(c => !c.informational)
+
+      // Sort: Ascending by ROI time (lowest first)
+      .sort((a, b) => {
+        // Primary: ROI time (lower is better)
+        if (a.roiTime !== b.roiTime) {
+          return a.roiTime - b.roiTime;
+        }
+
+        // Tiebreaker: Higher absolute CPS gain
+        return b.deltaCPS - a.deltaCPS;
+      });
+  }
+}
+
+/**
+ * Payback Strategy: Recommend purchase that pays for itself soonest from now.
+ *
+ * Algorithm:
+ * 1. Apply the same filters as GreedyStrategy
+ * 2. Sort by paybackFromNow = timeToAfford + roiTime (lower = better)
+ *
+ * Unlike GreedyStrategy, an item we must save up for is charged for the
+ * waiting time, so an affordable purchase can beat a slightly better ROI.
+ *
+ * Pros: Accounts for current cookies and CPS, standard calculator metric
+ * Cons: Still a single-purchase horizon
+ */
+class PaybackStrategy extends Strategy {
+  /**
+   * Evaluates candidates by payback time measured from now.
+   *
+   * @param {Array<Object>} candidates - Array of candidates with ROI data
+   * @returns {Array<Object>} Sorted recommendations (best first)
+   */
+  evaluate(candidates) {
+    const payback = c => (typeof c.paybackFromNow === 'number' ? c.paybackFromNow : c.roiTime);
+
+    return new GreedyStrategy().evaluate(candidates)
+      .sort((a, b) => {
+        // Primary: payback from now (lower is better)
+        if (payback(a) !== payback(b)) {
+          return payback(a) - payback(b);
+        }
+
+        // Tiebreaker: ROI time
+        return a.roiTime - b.roiTime;
+      });
+  }
+}
+
+/**
+ * Lookahead Strategy: Rank first moves by the sequence they lead to.
+ *
+ * Algorithm:
+ * 1. Simulate purchasing each candidate (waiting until it is affordable)
+ * 2. Continue greedily for the next (depth - 1) purchases, re-deriving
+ *    costs and CPS from the simulated game state after every purchase
+ * 3. Rank first moves by cookies baked over a common time horizon,
+ *    or by time to reach a target CPS when one is given
+ *
+ * Example: A cheap Cursor may have the best ROI, but saving 40 seconds
+ * for a Grandma upgrade can win the next five minutes.
+ *
+ * Pros: Considers multi-step optimization
+ * Cons: More complex, computationally expensive (O(n² × depth))
+ */
+class LookaheadStrategy extends Strategy {
+  /**
+   * Creates a new LookaheadStrategy.
+   *
+   * @param {number} depth - Number of purchases to simulate (including the first)
+   * @param {Object} [options] - Strategy options
+   * @param {number} [options.targetCPS] - Rank by time to reach this CPS instead of cookies baked
+   */
+  constructor(depth = 3, options = {}) {
+    super();
+
+    if (!Number.isInteger(depth) || depth < 1) {
+      throw new Error('LookaheadStrategy depth must be a positive integer');
+    }
+
+    this.depth = depth; // How many purchases to look ahead
+    this.targetCPS = options.targetCPS || null;
+  }
+
+  /**
+   * Evaluates candidates by simulating purchase sequences.
+   * Falls back to greedy ranking when no game state is available.
+   *
+   * @param {Array<Object>} candidates - Array of candidates with ROI data
+   * @param {Object} gameState - Normalized game state the candidates came from
+   * @returns {Array<Object>} Sorted recommendations (best first)
+   */
+  evaluate(candidates, gameState) {
+    const greedy = new GreedyStrategy();
+    const firstMoves = greedy.evaluate(candidates);
+
+    if (!Validators.isValidGameState(gameState)) {
+      console.warn('LookaheadStrategy needs the game state, using greedy fallback');
+      return firstMoves;
+    }
+
+    const simulated = [];
+    const unreachable = [];
+
+    for (const candidate of firstMoves) {
+      const result = this._simulateSequence(candidate, gameState);
+      if (result) {
+        simulated.push({ candidate, result });
+      } else {
+        unreachable.push(candidate);
+      }
+    }
+
+    // Common horizon so sequences of different lengths are comparable
+    const horizon = Math.max(0, ...simulated.map(s => s.result.time));
+
+    const ranked = simulated
+      .map(({ candidate, result }) => {
+        const cookiesBaked = result.cookiesBaked +
+          result.finalCPS * (horizon - result.time);
+
+        return {
+          ...candidate,
+          lookahead: {
+            sequence: result.sequence.map(c => c.name),
+            simulatedTime: result.time,
+            finalCPS: result.finalCPS,
+            cookiesBaked: cookiesBaked,
+            timeToTarget: result.timeToTarget
+          }
+        };
+      })
+      .sort((a, b) => {
+        // Primary (target mode): reach the target CPS sooner
+        if (this.targetCPS && a.lookahead.timeToTarget !== b.lookahead.timeToTarget) {
+          return a.lookahead.timeToTarget - b.lookahead.timeToTarget;
+        }
+
+        // Primary: more cookies baked over the horizon
+        if (a.lookahead.cookiesBaked !== b.lookahead.cookiesBaked) {
+          return b.lookahead.cookiesBaked - a.lookahead.cookiesBaked;
+        }
+
+        // Tiebreaker: greedy ordering
+        return a.roiTime - b.roiTime;
+      });
+
+    // Candidates we could never afford keep their greedy order at the end
+    return ranked.concat(unreachable);
+  }
+
+  /**
+   * Simulates buying a first candidate followed by greedy purchases.
+   *
+   * @private
+   * @param {Object} first - First purchase to simulate
+   * @param {Object} gameState - Starting game state
+   * @returns {Object|null} Simulation result, or null if the first purchase is never affordable
+   */
+  _simulateSequence(first, gameState) {
+    const greedy = new GreedyStrategy();
+    const simulator = new PurchaseSimulator(gameState);
+    let timeToTarget = Infinity;
+    let next = first;
+
+    for (let step = 0; step < this.depth; step++) {
+      if (step > 0) {
+        next = greedy.evaluate(simulator.getCandidates())[0];
+        if (!next) {
+          break;
+        }
+      }
+
+      // Bake cookies while waiting, then buy
+      if (!simulator.waitAndBuy(next)) {
+        if (step === 0) {
+          return null;
+        }
+        break;
+      }
+
+      if (this.targetCPS && simulator.state.cookiesPerSecond >= this.targetCPS) {
+        timeToTarget = simulator.time;
+        break;
+      }
+    }
+
+    return {
+      sequence: simulator.purchases.map(p => p.candidate),
+      time: simulator.time,
+      cookiesBaked: simulator.cookiesBaked,
+      finalCPS: simulator.state.cookiesPerSecond,
+      timeToTarget: timeToTarget
+    };
+  }
+}
+
+/**
+ * Synergy Strategy: Value upgrades by the building combos they unlock.
+ *
+ * Algorithm:
+ * 1. Identify upgrades that combo with owned buildings (SynergyAnalyzer)
+ * 2. Re-value each upgrade including knock-on CPS for partner buildings
+ * 3. Rank re-valued candidates greedily (lowest ROI time first)
+ *
+ * Example: If you own many grandmas, "Farmer grandmas" is worth far more
+ * than doubling grandmas alone, because every farm gains +1% per grandma.
+ *
+ * Pros: Maximizes building-upgrade synergies
+ * Cons: Only recognizes the upgrade families SynergyAnalyzer knows
+ */
+class SynergyStrategy extends Strategy {
+  /**
+   * Evaluates candidates after re-valuing synergistic upgrades.
+   * Falls back to greedy ranking when no game state is available.
+   *
+   * @param {Array<Object>} candidates - Array of candidates with ROI data
+   * @param {Object} gameState - Normalized game state the candidates came from
+   * @returns {Array<Object>} Sorted recommendations (best first)
+   */
+  evaluate(candidates, gameState) {
+    if (!Validators.isValidGameState(gameState)) {
+      console.warn('SynergyStrategy needs the game state, using greedy fallback');
+      return new GreedyStrategy().evaluate(candidates);
+    }
+
+    const analyzer = new SynergyAnalyzer(gameState);
+    return new GreedyStrategy().evaluate(analyzer.applySynergies(candidates));
+  }
+}
+
+/**
+ * Balanced Strategy: Blend short-term ROI with long-term value.
+ *
+ * Algorithm:
+ * 1. Rank candidates by ROI time (short term) and by net cookies gained
+ *    over a time horizon, including the wait to afford them (long term)
+ * 2. Penalize buildings that already dominate the building count
+ * 3. Reward buildings close to the next ownership milestone
+ * 4. Sort by weighted score (lower = better)
+ *
+ * Score = shortTermWeight × shortTermRank + longTermWeight × longTermRank
+ *       + diversificationWeight × concentration − milestoneWeight × milestoneBonus
+ *
+ * Pros: More robust, reduces variance, aware of milestones
+ * Cons: May not be pure optimal
+ */
+class BalancedStrategy extends Strategy {
+  /**
+   * Creates a new BalancedStrategy.
+   *
+   * @param {Object} [options] - Weights (non-negative numbers, defaults from Constants.BALANCED_STRATEGY)
+   * @param {number} [options.shortTermWeight] - Weight of the ROI time rank
+   * @param {number} [options.longTermWeight] - Weight of the horizon value rank
+   * @param {number} [options.diversificationWeight] - Penalty weight for over-concentration
+   * @param {number} [options.milestoneWeight] - Bonus weight for nearing an ownership milestone
+   * @param {number} [options.horizonSeconds] - Long-term horizon in seconds
+   * @throws {Error} If an option is not a valid number
+   */
+  constructor(options = {}) {
+    super();
+
+    const defaults = Constants.BALANCED_STRATEGY;
+    this.shortTermWeight = this._validateOption(options, 'shortTermWeight', defaults.SHORT_TERM_WEIGHT);
+    this.longTermWeight = this._validateOption(options, 'longTermWeight', defaults.LONG_TERM_WEIGHT);
+    this.diversificationWeight = this._validateOption(options, 'diversificationWeight', defaults.DIVERSIFICATION_WEIGHT);
+    this.milestoneWeight = this._validateOption(options, 'milestoneWeight', defaults.MILESTONE_WEIGHT);
+    this.horizonSeconds = this._validateOption(options, 'horizonSeconds', defaults.HORIZON_SECONDS);
+  }
+
+  /**
+   * Evaluates candidates using the blended score.
+   * Falls back to greedy ranking when no game state is available.
+   *
+   * @param {Array<Object>} candidates - Array of candidates with ROI data
+   * @param {Object} gameState - Normalized game state the candidates came from
+   * @returns {Array<Object>} Sorted recommendations (best first)
+   */
+  evaluate(candidates, gameState) {
+    const valid = new GreedyStrategy().evaluate(candidates);
+
+    if (!Validators.isValidGameState(gameState)) {
+      console.warn('BalancedStrategy needs the game state, using greedy fallback');
+      return valid;
+    }
+
+    const model = new EconomicModel(gameState);
+    const totalOwned = gameState.buildings.reduce((sum, b) => sum + b.owned, 0);
+
+    // Long-term value: net cookies gained within the horizon, after waiting to afford
+    const longTermValue = new Map(valid.map(c => {
+      const wait = model.getTimeToAfford(c.cost);
+      const producing = isFinite(wait) ? Math.max(0, this.horizonSeconds - wait) : 0;
+      return [c, c.deltaCPS * producing - c.cost];
+    }));
+
+    // Ranks normalized to 0 (best) .. 1 (worst); greedy order is already by ROI
+    const shortTermRank = this._normalizedRanks(valid);
+    const longTermRank = this._normalizedRanks(
+      [...valid].sort((a, b) => longTermValue.get(b) - longTermValue.get(a))
+    );
+
+    return valid
+      .map(c => {
+        const concentration = this._concentration(c, totalOwned);
+        const milestoneBonus = this._milestoneBonus(c);
+        const score =
+          this.shortTermWeight * shortTermRank.get(c) +
+          this.longTermWeight * longTermRank.get(c) +
+          this.diversificationWeight * concentration -
+          this.milestoneWeight * milestoneBonus;
+
+        return {
+          ...c,
+          balanced: {
+            score: score,
+            longTermValue: longTermValue.get(c),
+            concentration: concentration,
+            milestoneBonus: milestoneBonus
+          }
+        };
+      })
+      .sort((a, b) => {
+        // Primary: blended score (lower is better)
+        if (a.balanced.score !== b.balanced.score) {
+          return a.balanced.score - b.balanced.score;
+        }
+
+        // Tiebreaker: ROI time
+        return a.roiTime - b.roiTime;
+      });
+  }
+
+  /**
+   * Maps each candidate to its position in a sorted list, scaled to 0..1.
+   *
+   * @private
+   * @param {Array<Object>} sorted - Candidates, best first
+   * @returns {Map<Object, number>} Candidate → normalized rank
+   */
+  _normalizedRanks(sorted) {
+    const last = Math.max(1, sorted.length - 1);
+    return new Map(sorted.map((c, index) => [c, index / last]));
+  }
+
+  /**
+   * Share of all owned buildings this building would hold after the purchase.
+   * Upgrades are not penalized.
+   *
+   * @private
+   * @param {Object} candidate - Candidate
+   * @param {number} totalOwned - Total buildings owned
+   * @returns {number} Concentration (0..1)
+   */
+  _concentration(candidate, totalOwned) {
+    if (candidate.type !== 'building') {
+      return 0;
+    }
+
+    const quantity = candidate.quantity || 1;
+    return (candidate.currentOwned + quantity) / (totalOwned + quantity);
+  }
+
+  /**
+   * Bonus for buildings within MILESTONE_WINDOW purchases of the next milestone.
+   * Grows linearly to 1 as the milestone gets closer.
+   *
+   * @private
+   * @param {Object} candidate - Candidate
+   * @returns {number} Milestone bonus (0..1)
+   */
+  _milestoneBonus(candidate) {
+    if (candidate.type !== 'building') {
+      return 0;
+    }
+
+    const window = Constants.BALANCED_STRATEGY.MILESTONE_WINDOW;
+    const next = Constants.BUILDING_MILESTONES.find(m => m > candidate.currentOwned);
+    if (!next) {
+      return 0;
+    }
+
+    // Purchases still needed after this one
+    const quantity = candidate.quantity || 1;
+    const remaining = Math.max(1, next - candidate.currentOwned - quantity + 1);
+    return remaining <= window ? (window - remaining + 1) / window : 0;
+  }
+
+  /**
+   * Reads and validates a numeric option.
+   *
+   * @private
+   * @param {Object} options - Constructor options
+   * @param {string} key - Option name
+   * @param {number} fallback - Default value
+   * @returns {number} Validated value
+   * @throws {Error} If the value is not a non-negative finite number
+   */
+  _validateOption(options, key, fallback) {
+    const value = key in options ? options[key] : fallback;
+
+    if (typeof value !== 'number' || !isFinite(value) || value < 0) {
+      throw new Error(`BalancedStrategy option "${key}" must be a non-negative number`);
+    }
+
+    return value;
+  }
+}
+
+/**
+ * StrategyEngine orchestrates strategy execution.
+ * Allows hot-swapping strategies at runtime.
+ */
+class StrategyEngine {
+  /**
+   * Creates a new StrategyEngine.
+   *
+   * @param {Strategy} strategy - Initial strategy (defaults to Greedy)
+   */
+  constructor(strategy = null) {
+    this.strategy = strategy || new GreedyStrategy();
+
+    // Validate strategy
+    if (!(this.strategy instanceof Strategy)) {
+      throw new Error('Strategy must extend Strategy base class');
+    }
+  }
+
+  /**
+   * Gets recommendations using current strategy.
+   *
+   * @param {Array<Object>} candidates - Array of candidates with ROI data
+   * @param {Object} [gameState] - Normalized game state (needed by simulating strategies)
+   * @returns {Array<Object>} Sorted recommendations
+   */
+  recommend(candidates, gameState = null) {
+    // Validate input
+    if (!Array.isArray(candidates)) {
+      throw new Error('Candidates must be an array');
+    }
+
+    // Execute strategy
+    try {
+      const recommendations = this.strategy.evaluate(candidates, gameState);
+
+      // Validate output
+      if (!Array.isArray(recommendations)) {
+        throw new Error('Strategy.evaluate() must return an array');
+      }
+
+      return recommendations;
+    } catch (error) {
+      console.error('Strategy execution failed:', error);
+      // Fallback to greedy if strategy fails
+      if (!(this.strategy instanceof GreedyStrategy)) {
+        console.warn('Falling back to GreedyStrategy');
+        this.strategy = new GreedyStrategy();
+        return this.strategy.evaluate(candidates);
+      }
+      // Re-throw if greedy also fails
+      throw error;
+    }
+  }
+
+  /**
+   * Changes the active strategy.
+   *
+   * @param {Strategy} newStrategy - New strategy to use
+   */
+  setStrategy(newStrategy) {
+    if (!(newStrategy instanceof Strategy)) {
+      throw new Error('Strategy must extend Strategy base class');
+    }
+    this.strategy = newStrategy;
+  }
+
+  /**
+   * Gets the current strategy name.
+   *
+   * @returns {string} Strategy name
+   */
+  getStrategyName() {
+    return this.strategy.getName();
+  }
+
+  /**
+   * Gets the top N recommendations.
+   *
+   * @param {Array<Object>} candidates - Candidates to evaluate
+   * @param {number} count - Number of recommendations to return
+   * @param {Object} [gameState] - Normalized game state
+   * @returns {Array<Object>} Top N recommendations
+   */
+  getTopRecommendations(candidates, count = Constants.TOP_ALTERNATIVES_COUNT, gameState = null) {
+    const all = this.recommend(candidates, gameState);
+    return all.slice(0, count);
+  }
+
+  /**
+   * Creates a strategy from its name, with default options.
+   * Names are case-insensitive and the "Strategy" suffix is optional
+   * ('lookahead', 'LookaheadStrategy').
+   *
+   * @param {string} name - Strategy name
+   * @returns {Strategy} New strategy instance
+   * @throws {Error} If the name is unknown
+   */
+  static createStrategy(name) {
+    const key = String(name).toLowerCase().replace(/strategy$/, '');
+    const factory = StrategyEngine._getRegistry()[key];
+
+    if (!factory) {
+      throw new Error(`Unknown strategy "${name}". Available: ${StrategyEngine.getStrategyNames().join(', ')}`);
+    }
+
+    return factory();
+  }
+
+  /**
+   * Lists the names accepted by createStrategy().
+   *
+   * @returns {Array<string>} Strategy names
+   */
+  static getStrategyNames() {
+    return Object.keys(StrategyEngine._getRegistry());
+  }
+
+  /**
+   * Maps strategy names to factories.
+   *
+   * @private
+   * @returns {Object} Name → function returning a new strategy
+   */
+  static _getRegistry() {
+    return {
+      greedy: () => new GreedyStrategy(),
+      payback: () => new PaybackStrategy(),
+      lookahead: () => new LookaheadStrategy(),
+      synergy: () => new SynergyStrategy(),
+      balanced: () => new BalancedStrategy()
+    };
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    Strategy,
+    GreedyStrategy,
+    PaybackStrategy,
+    LookaheadStrategy,
+    SynergyStrategy,
+    BalancedStrategy,
+    StrategyEngine
+  };
+}
+/**
+ * OutputRenderer.js
+ *
+ * Formats recommendations for console output with clean, readable display.
+ *
+ * Features:
+ * - ASCII art borders for visual hierarchy
+ * - Number formatting (K, M, B, T suffixes)
+ * - Time formatting (seconds → human readable)
+ * - Color-coded output (where supported)
+ */
+
+class OutputRenderer {
+  /**
+   * Renders the main recommendation output to console.
+   *
+   * @param {Object} topChoice - Best recommendation
+   * @param {Array<Object>} alternatives - Alternative recommendations (top 5)
+   * @param {Object} gameState - Current game state
+   * @param {Object} [options] - Extra sections
+   * @param {Object} [options.ascension] - Report from AscensionAnalyzer.analyze(), shown after the best investment
+   * @param {Array<Object>} [options.toggles] - Toggles from EconomicModel.getToggles(), shown after the alternatives
+   */
+  renderRecommendation(topChoice, alternatives, gameState, options = {}) {
+    const { ascension, toggles } = options;
+
+    // Clear console for clean output (optional)
+    // console.clear();
+
+    // Header
+    this._renderHeader();
+
+    // Current game status
+    this._renderGameStatus(gameState);
+
+    // Best investment
+    if (topChoice) {
+      this._renderBestChoice(topChoice, gameState);
+    } else {
+      this._renderNoRecommendation();
+    }
+
+    // When to ascend
+    if (ascension) {
+      this.renderAscension(ascension);
+    }
+
+    // Top alternatives
+    if (alternatives && alternatives.length > 0) {
+      this._renderAlternatives(alternatives);
+    }
+
+    // Toggles, apart from the ranking
+    if (toggles && toggles.length > 0) {
+      this._renderToggles(toggles);
+    }
+
+    // Footer (optional tips)
+    this._renderFooter();
+  }
+
+  /**
+   * Renders the header banner.
+   *
+   * @private
+   */
+  _renderHeader() {
+    const line = this._repeat(Constants.BORDERS.DOUBLE_LINE, 51);
+    console.log(line);
+    console.log(`  ${Constants.ICONS.COOKIE} COOKIE CLICKER ROI ADVISOR`);
+    console.log(line);
+    console.log('');
+  }
+
+  /**
+   * Renders current game status.
+   *
+   * @private
+   * @param {Object} gameState - Current game state
+   */
+  _renderGameStatus(gameState) {
+    console.log('Current Status:');
+    console.log(`  Cookies: ${this._formatCurrency(gameState.cookies)}`);
+    console.log(`  CPS: ${this._formatCurrency(gameState.cookiesPerSecond)}/sec`);
+    if (typeof gameState.clicksPerSecond === 'number') {
+      const profile = gameState.clickProfile ? ` (${gameState.clickProfile})` : '';
+      console.log(`  Click Rate: ${gameState.clicksPerSecond.toFixed(1)}/sec${profile}`);
+    }
+    this._renderBuffs(gameState);
+    console.log('');
+  }
+
+  /**
+   * Renders the buffs that were active during analysis, if any.
+   * Estimates use the buff-free CPS, so the buffed figure is shown separately.
+   *
+   * @private
+   * @param {Object} gameState - Current game state
+   */
+  _renderBuffs(gameState) {
+    if (!gameState.buffs || gameState.buffs.length === 0) {
+      return;
+    }
+
+    console.log(`  CPS With Buffs: ${this._formatCurrency(gameState.currentCPS)}/sec`);
+    console.log('  Active Buffs (excluded from estimates):');
+    for (const buff of gameState.buffs) {
+      const effects = [];
+      if (buff.multCpS !== 1) {
+        effects.push(`CPS ×${buff.multCpS}`);
+      }
+      if (buff.multClick !== 1) {
+        effects.push(`click ×${buff.multClick}`);
+      }
+      const effectText = effects.length > 0 ? ` (${effects.join(', ')})` : '';
+      console.log(`    - ${buff.name}${effectText}, ${this._formatTime(buff.timeLeft)} left`);
+    }
+  }
+
+  /**
+   * Renders the best investment recommendation.
+   *
+   * @private
+   * @param {Object} choice - Top recommendation
+   * @param {Object} gameState - Current game state
+   */
+  _renderBestChoice(choice, gameState) {
+    const line = this._repeat(Constants.BORDERS.SINGLE_LINE, 51);
+    console.log(line);
+    console.log(`${Constants.ICONS.BEST} BEST INVESTMENT ${Constants.ICONS.BEST}`);
+    console.log(line);
+    console.log('');
+
+    // Determine if affordable (candidates carry timeToAfford from EconomicModel)
+    const affordable = Validators.isAffordable(choice.cost, gameState.cookies);
+    let timeToAfford = choice.timeToAfford;
+    if (typeof timeToAfford !== 'number') {
+      timeToAfford = affordable
+        ? 0
+        : (choice.cost - gameState.cookies) / gameState.cookiesPerSecond;
+    }
+
+    // Main recommendation
+    console.log(`  ${Constants.ICONS.ARROW} ${choice.displayName || choice.name}`);
+    console.log(`    Cost: ${this._formatCurrency(choice.cost)} cookies`);
+    console.log(`    Benefit: +${this._formatCurrency(choice.deltaCPS)} CPS`);
+    console.log(`    ROI Time: ${this._formatTime(choice.roiTime)}`);
+    if (typeof choice.paybackFromNow === 'number') {
+      console.log(`    Payback From Now: ${this._formatTime(choice.paybackFromNow)}`);
+    }
+    if (choice.estimationMethod && choice.estimationMethod !== 'database') {
+      console.log(`    Note: Benefit is a ${choice.estimationMethod} estimate`);
+    }
+
+    // Affordability message
+    if (!affordable && timeToAfford < 3600) {
+      console.log(`    Wait: ${this._formatTime(timeToAfford)} until affordable`);
+    } else if (!affordable) {
+      console.log(`    Status: Not yet affordable`);
+    } else {
+      console.log(`    Status: ✓ Affordable now!`);
+    }
+
+    if (choice.bankWarning) {
+      console.log(`    ⚠️ ${this._describeBankWarning(choice.bankWarning)}`);
+    }
+
+    console.log('');
+  }
+
+  /**
+   * Describes a Lucky bank warning (from GoldenCookieAnalyzer.checkBank).
+   *
+   * @private
+   * @param {Object} warning - { target, bank, bankAfter, timeToKeepBank }
+   * @returns {string} Warning text
+   */
+  _describeBankWarning(warning) {
+    const bankName = warning.target === 'frenzy' ? 'Lucky + Frenzy bank' : 'Lucky bank';
+    return `Leaves ${this._formatCurrency(warning.bankAfter)} in the bank, below the ${bankName} ` +
+      `(${this._formatCurrency(warning.bank)}); to keep it, buy in ${this._formatTime(warning.timeToKeepBank)}`;
+  }
+
+  /**
+   * Renders prestige gained this run and when to ascend (after the best
+   * investment, and on its own from CookieAdvisor.ascension).
+   *
+   * @param {Object} report - Report from AscensionAnalyzer.analyze()
+   */
+  renderAscension(report) {
+    const line = this._repeat(Constants.BORDERS.SINGLE_LINE, 51);
+    const perHour = rate => {
+      const hourly = rate * 3600;
+      return `${hourly > 0 && hourly < 0.01 ? '<0.01' : this._formatCurrency(hourly)}/hour`;
+    };
+    console.log(line);
+    console.log(`${Constants.ICONS.ASCENSION} ASCENSION`);
+    console.log(line);
+    console.log('');
+
+    console.log(`  Prestige: ${report.prestige} (+${report.levelsGained} if you ascend now)`);
+    console.log(`    Next level: ${this._formatCurrency(report.nextLevel.cookies)} cookies away ` +
+      `(${this._formatTime(report.nextLevel.time)})`);
+    const average = report.averageRate !== null
+      ? `, ${perHour(report.averageRate)} on average over this run (${this._formatTime(report.runSeconds)})`
+      : '';
+    console.log(`    Prestige Rate: ${perHour(report.currentRate)} now${average}`);
+
+    const peak = report.peak;
+    if (peak && peak.levelsGained === 0) {
+      console.log(`  ${Constants.ICONS.ARROW} Not worth ascending yet: no new levels by the time the rate peaks`);
+    } else if (!peak) {
+      const reason = report.runSeconds === null ? 'run start unknown' : 'not within a year at this CPS';
+      console.log(`    Best Time to Ascend: unknown (${reason})`);
+    } else if (peak.passed) {
+      console.log(`  ${Constants.ICONS.ARROW} Ascend now: the average rate has peaked`);
+    } else {
+      console.log(`  ${Constants.ICONS.ARROW} Average rate peaks in ${this._formatTime(peak.seconds)} ` +
+        `(+${peak.levelsGained} levels, ${perHour(peak.averageRate)})`);
+      console.log('    Assumes the current CPS; more purchases push the peak later');
+    }
+
+    console.log('');
+  }
+
+  /**
+   * Renders message when no recommendation is available.
+   *
+   * @private
+   */
+  _renderNoRecommendation() {
+    console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+    console.log('No recommendations available.');
+    console.log('This might mean:');
+    console.log(`  - All purchases have very long ROI times (>${this._formatTime(Constants.MAX_REASONABLE_ROI)})`);
+    console.log('  - No purchases are currently unlocked');
+    console.log('  - Game state could not be read properly');
+    console.log('');
+  }
+
+  /**
+   * Renders alternative recommendations.
+   *
+   * @private
+   * @param {Array<Object>} alternatives - Top alternatives
+   */
+  _renderAlternatives(alternatives) {
+    const line = this._repeat(Constants.BORDERS.SINGLE_LINE, 51);
+    console.log(line);
+    console.log(`${Constants.ICONS.ALTERNATIVES} TOP ${alternatives.length} ALTERNATIVES`);
+    console.log(line);
+    console.log('');
+
+    alternatives.forEach((alt, index) => {
+      const rank = index + 1;
+      const displayName = alt.displayName || alt.name;
+      const cost = this._formatCurrency(alt.cost);
+      const deltaCPS = this._formatCurrency(alt.deltaCPS);
+      const roi = this._formatTime(alt.roiTime);
+
+      const bank = alt.bankWarning ? ' | ⚠️ below Lucky bank' : '';
+
+      console.log(`${rank}. ${displayName}`);
+      console.log(`   Cost: ${cost} | +${deltaCPS} CPS | ROI: ${roi}${bank}`);
+    });
+
+    console.log('');
+  }
+
+  /**
+   * Renders the toggles in the store with what they do. They are not
+   * ranked, so no CPS or ROI.
+   *
+   * @private
+   * @param {Array<Object>} toggles - Toggles from EconomicModel.getToggles()
+   */
+  _renderToggles(toggles) {
+    const line = this._repeat(Constants.BORDERS.SINGLE_LINE, 51);
+    console.log(line);
+    console.log(`${Constants.ICONS.TOGGLE} TOGGLES (your call, not ranked)`);
+    console.log(line);
+    console.log('');
+
+    toggles.forEach(toggle => {
+      const note = toggle.note ? ` | ${toggle.note}` : '';
+      console.log(`${Constants.ICONS.ARROW} ${toggle.name}`);
+      console.log(`   Cost: ${this._formatCurrency(toggle.cost)}${note}`);
+    });
+
+    console.log('');
+  }
+
+  /**
+   * Renders footer with tips.
+   *
+   * @private
+   */
+  _renderFooter() {
+    const line = this._repeat(Constants.BORDERS.THIN_LINE, 51);
+    console.log(line);
+    console.log('Run CookieAdvisor.analyze() again after purchasing.');
+    console.log(line);
+  }
+
+  /**
+   * Formats a number as currency with K/M/B/T suffixes.
+   *
+   * @private
+   * @param {number} amount - Number to format
+   * @returns {string} Formatted string (e.g., "1.23M")
+   */
+  _formatCurrency(amount) {
+    if (amount === 0) {
+      return '0';
+    }
+
+    if (amount < 1000) {
+      return amount.toFixed(Constants.NUMBER_PRECISION);
+    }
+
+    // Past the largest suffix: exponent notation (e.g. "1.23e+40")
+    const largest = Constants.NUMBER_SUFFIXES[0];
+    if (amount >= largest.threshold * 1000) {
+      return amount.toExponential(Constants.NUMBER_PRECISION);
+    }
+
+    // Find appropriate suffix
+    for (const { threshold, suffix } of Constants.NUMBER_SUFFIXES) {
+      if (amount >= threshold) {
+        const scaled = amount / threshold;
+        return scaled.toFixed(Constants.NUMBER_PRECISION) + suffix;
+      }
+    }
+
+    // Fallback: no suffix
+    return amount.toFixed(Constants.NUMBER_PRECISION);
+  }
+
+  /**
+   * Formats time in seconds to human-readable format.
+   *
+   * @private
+   * @param {number} seconds - Time in seconds
+   * @returns {string} Formatted string (e.g., "45s", "12m 5s", "1h 23m", "3d 4h", "2y 40d",
+   *   "1.50K years")
+   */
+  _formatTime(seconds) {
+    if (!isFinite(seconds) || seconds < 0) {
+      return '∞';
+    }
+
+    if (seconds < 1) {
+      return '<1s';
+    }
+
+    if (seconds < 60) {
+      return `${Math.round(seconds)}s`;
+    }
+
+    const DAY = 86400;
+    const YEAR = 365 * DAY;
+    if (seconds >= 1000 * YEAR) {
+      return `${this._formatCurrency(seconds / YEAR)} years`;
+    }
+
+    const total = Math.round(seconds); // Round once, so 59.6s never shows as "60s"
+    if (total >= DAY) {
+      // Two largest units only: years and days, or days and hours
+      const years = Math.floor(total / YEAR);
+      const days = Math.floor((total % YEAR) / DAY);
+      const hours = Math.floor((total % DAY) / 3600);
+      const parts = years > 0 ? [`${years}y`, days > 0 ? `${days}d` : ''] : [`${days}d`, hours > 0 ? `${hours}h` : ''];
+      return parts.filter(Boolean).join(' ');
+    }
+
+    const hours = Math.floor(total / 3600);
+    const minutes = Math.floor((total % 3600) / 60);
+    const secs = total % 60;
+
+    const parts = [];
+    if (hours > 0) {
+      parts.push(`${hours}h`);
+    }
+    if (minutes > 0) {
+      parts.push(`${minutes}m`);
+    }
+    if (secs > 0 && hours === 0) {
+      // Only show seconds if < 1 hour
+      parts.push(`${secs}s`);
+    }
+
+    return parts.join(' ');
+  }
+
+  /**
+   * Repeats a character N times.
+   *
+   * @private
+   * @param {string} char - Character to repeat
+   * @param {number} count - Number of repetitions
+   * @returns {string} Repeated string
+   */
+  _repeat(char, count) {
+    return char.repeat(count);
+  }
+
+  /**
+   * Renders a simple summary (for programmatic use).
+   *
+   * @param {Object} recommendation - Top recommendation
+   * @returns {string} Summary string
+   */
+  renderSummary(recommendation) {
+    if (!recommendation) {
+      return 'No recommendation available';
+    }
+
+    return `${recommendation.name}: Cost ${this._formatCurrency(recommendation.cost)}, ` +
+           `+${this._formatCurrency(recommendation.deltaCPS)} CPS, ` +
+           `ROI ${this._formatTime(recommendation.roiTime)}`;
+  }
+
+  /**
+   * Renders detailed candidate information (for debugging).
+   *
+   * @param {Object} candidate - Candidate with ROI data
+   */
+  renderCandidateDetail(candidate) {
+    console.log('─────────────────────────────────────────────');
+    console.log(`${candidate.type.toUpperCase()}: ${candidate.name}`);
+    console.log('─────────────────────────────────────────────');
+    console.log(`ID: ${candidate.id}`);
+    console.log(`Cost: ${this._formatCurrency(candidate.cost)} cookies`);
+    console.log(`Delta CPS: +${this._formatCurrency(candidate.deltaCPS)}`);
+    if (candidate.synergyCPS > 0) {
+      console.log(`  From This Building: +${this._formatCurrency(candidate.directCPS)}`);
+      console.log(`  From Partners: +${this._formatCurrency(candidate.synergyCPS)}`);
+    }
+    if (candidate.milestone) {
+      console.log('ROI Time: — (milestone unlocks are not valued)');
+    } else {
+      console.log(`ROI Time: ${this._formatTime(candidate.roiTime)}`);
+    }
+
+    if (typeof candidate.paybackFromNow === 'number' && !candidate.milestone) {
+      console.log(`Time To Afford: ${this._formatTime(candidate.timeToAfford)}`);
+      console.log(`Payback From Now: ${this._formatTime(candidate.paybackFromNow)}`);
+    }
+
+    if (candidate.type === 'building') {
+      console.log(`Currently Owned: ${candidate.currentOwned}`);
+      if (candidate.quantity > 1) {
+        console.log(`Quantity: ${candidate.quantity}`);
+      }
+      if (candidate.milestone) {
+        console.log(`Reaches Milestone: ${candidate.milestone}`);
+      }
+    }
+
+    if (candidate.type === 'upgrade') {
+      console.log(`Permanent: ${candidate.isPermanent ? 'Yes' : 'No'}`);
+      if (candidate.estimationMethod) {
+        console.log(`Estimated From: ${candidate.estimationMethod}`);
+      }
+    }
+
+    console.log('─────────────────────────────────────────────');
+  }
+
+  /**
+   * Renders a comparison table of all candidates (for debugging).
+   * Milestone buys get no ROI: what the milestone unlocks is not valued.
+   *
+   * @param {Array<Object>} candidates - All candidates
+   * @param {string} [title='All Candidates'] - Table title
+   */
+  renderCandidateTable(candidates, title = 'All Candidates') {
+    if (candidates.length === 0) {
+      console.log('No candidates available.');
+      return;
+    }
+
+    console.log(`${title} (sorted by ROI):`);
+    console.log('─────────────────────────────────────────────');
+
+    // Sort by ROI
+    const sorted = [...candidates].sort((a, b) => a.roiTime - b.roiTime);
+
+    // Table header
+    console.log(
+      'Rank'.padEnd(6) +
+      'Name'.padEnd(40) +
+      'Cost'.padEnd(12) +
+      'CPS'.padEnd(12) +
+      'ROI'.padEnd(10)
+    );
+    console.log('─────────────────────────────────────────────');
+
+    // Table rows
+    sorted.forEach((candidate, index) => {
+      const rank = (index + 1).toString().padEnd(6);
+      const name = (candidate.displayName || candidate.name).substring(0, 37).padEnd(40);
+      const cost = this._formatCurrency(candidate.cost).padEnd(12);
+      const cps = ('+' + this._formatCurrency(candidate.deltaCPS)).padEnd(12);
+      const roi = (candidate.milestone ? '—' : this._formatTime(candidate.roiTime)).padEnd(10);
+
+      console.log(rank + name + cost + cps + roi);
+    });
+
+    console.log('─────────────────────────────────────────────');
+  }
+
+  /**
+   * Renders a purchase plan as a timed shopping list (from CookieAdvisor.plan).
+   *
+   * @param {Object} plan - Plan: { horizonSeconds, strategy, start, end, purchases, truncated }
+   */
+  renderPlan(plan) {
+    const line = this._repeat(Constants.BORDERS.DOUBLE_LINE, 51);
+    const status = state => `Cookies: ${this._formatCurrency(state.cookies)} | CPS: ${this._formatCurrency(state.cookiesPerSecond)}/sec`;
+
+    console.log(line);
+    console.log(`  PURCHASE PLAN (next ${this._formatTime(plan.horizonSeconds)})`);
+    console.log(line);
+    console.log(`Strategy: ${plan.strategy}`);
+    console.log(`Now: ${status(plan.start)}`);
+    console.log('');
+
+    if (plan.purchases.length === 0) {
+      console.log('No purchase fits within this horizon with the current strategy.');
+    } else {
+      this._renderPurchaseTable(plan.purchases);
+      if (plan.truncated) {
+        console.log(`(Stopped after ${plan.purchases.length} purchases; use a shorter horizon for the rest.)`);
+      }
+    }
+
+    console.log('');
+    const percent = plan.start.cookiesPerSecond > 0
+      ? (plan.end.cookiesPerSecond / plan.start.cookiesPerSecond - 1) * 100
+      : null;
+    const growth = percent !== null ? ` (+${percent.toFixed(1)}% CPS)` : '';
+    console.log(`After ${this._formatTime(plan.horizonSeconds)}: ${status(plan.end)}${growth}`);
+    console.log('Upgrades that unlock along the way are not included.');
+    console.log(line);
+  }
+
+  /**
+   * Renders the path to a goal against just waiting (from CookieAdvisor.timeTo).
+   *
+   * @param {Object} result - { target, reached, time, waitTime, savedSeconds, start, end, purchases }
+   */
+  renderGoal(result) {
+    const line = this._repeat(Constants.BORDERS.DOUBLE_LINE, 51);
+    const target = result.target;
+    const label = target.type === 'purchase'
+      ? target.name
+      : `${this._formatCurrency(target.amount)} ${target.type === 'cps' ? 'CPS' : 'cookies'}`;
+
+    console.log(line);
+    console.log(`  TIME TO ${label}`);
+    console.log(line);
+    console.log(`Now: Cookies: ${this._formatCurrency(result.start.cookies)} | CPS: ${this._formatCurrency(result.start.cookiesPerSecond)}/sec`);
+    console.log('');
+
+    if (result.reached && result.time === 0) {
+      console.log(target.type === 'purchase' ? `You can buy ${label} now.` : 'Already reached.');
+      console.log(line);
+      return;
+    }
+
+    const never = target.type === 'cps' ? 'never (waiting does not raise CPS)' : 'never (no CPS)';
+    console.log(`Just waiting: ${isFinite(result.waitTime) ? this._formatTime(result.waitTime) : never}`);
+
+    if (!result.reached) {
+      console.log(`Not reachable within ${result.purchases.length} purchases with what is in the store now.`);
+      console.log(line);
+      return;
+    }
+
+    if (result.purchases.length === 0) {
+      console.log(`${Constants.ICONS.BEST} Save: no purchase gets you there sooner.`);
+      console.log(line);
+      return;
+    }
+
+    const saved = result.savedSeconds !== null ? ` (${this._formatTime(result.savedSeconds)} sooner)` : '';
+    console.log(`${Constants.ICONS.BEST} Invest first: ${this._formatTime(result.time)}${saved}`);
+    console.log('');
+    this._renderPurchaseTable(result.purchases);
+
+    if (target.type === 'purchase') {
+      console.log(`Then buy ${label} (${this._formatCurrency(target.cost)}) at +${this._formatTime(result.time)}`);
+    } else if (target.type === 'cookies') {
+      console.log(`Then save: ${label} at +${this._formatTime(result.time)}`);
+    }
+
+    console.log('');
+    console.log('Upgrades that unlock along the way are not included.');
+    console.log(line);
+  }
+
+  /**
+   * Renders golden cookie income and Lucky banks (from CookieAdvisor.goldenCookies).
+   *
+   * @param {Object} report - Report from GoldenCookieAnalyzer.analyze()
+   */
+  renderGoldenCookies(report) {
+    const line = this._repeat(Constants.BORDERS.DOUBLE_LINE, 51);
+    const perCookie = report.perCookie;
+    const bank = report.bank;
+    const status = amount => (bank.cookies >= amount
+      ? '✓'
+      : `short by ${this._formatCurrency(amount - bank.cookies)}`);
+
+    console.log(line);
+    console.log('  GOLDEN COOKIES');
+    console.log(line);
+    console.log(`Upgrades: ${report.upgrades.length > 0 ? report.upgrades.join(', ') : '(none)'}`);
+    console.log(`Average time between golden cookies: ${this._formatTime(report.spawnSeconds)}`);
+    console.log(`Expected per golden cookie: ${this._formatCurrency(perCookie.total)} ` +
+      `(Frenzy ${this._formatCurrency(perCookie.frenzy)}, Lucky ${this._formatCurrency(perCookie.lucky)}, ` +
+      `Click frenzy ${this._formatCurrency(perCookie.clickFrenzy)})`);
+    if (report.clicking) {
+      const percent = report.percentOfCps !== null ? ` (${report.percentOfCps.toFixed(1)}% of CPS)` : '';
+      console.log(`Income if you click every one: +${this._formatCurrency(report.perSecond)}/sec${percent}`);
+    } else {
+      console.log('Income: none with the idle click profile (golden cookies are not clicked)');
+    }
+    console.log('');
+
+    console.log(`Bank: ${this._formatCurrency(bank.cookies)}`);
+    console.log(`  Lucky bank:          ${this._formatCurrency(bank.lucky).padEnd(12)}${status(bank.lucky)}`);
+    console.log(`  Lucky + Frenzy bank: ${this._formatCurrency(bank.frenzy).padEnd(12)}${status(bank.frenzy)}`);
+    console.log(`Lucky pays ${this._formatCurrency(report.lucky.payout)} now (full bank: ${this._formatCurrency(report.lucky.maxPayout)})`);
+    if (bank.target !== 'none') {
+      console.log(`Recommendations that dip below the ${bank.target === 'frenzy' ? 'Lucky + Frenzy' : 'Lucky'} bank are flagged ⚠️`);
+    }
+    console.log(line);
+  }
+
+  /**
+   * Renders a heavenly upgrade purchase order (from CookieAdvisor.heavenlyUpgrades),
+   * in the same best-plus-alternatives layout as renderRecommendation().
+   *
+   * @param {Object} plan - Plan from HeavenlyPlanner.plan()
+   */
+  renderHeavenlyPlan(plan) {
+    const chips = amount => (amount < 1000 ? String(amount) : this._formatCurrency(amount));
+    const single = this._repeat(Constants.BORDERS.SINGLE_LINE, 51);
+    const [best, ...rest] = plan.recommendations;
+    const alternatives = rest.slice(0, Constants.TOP_ALTERNATIVES_COUNT);
+
+    this._renderHeader();
+    console.log('Heavenly Upgrades:');
+    console.log(`  Heavenly Chips: ${chips(plan.chips)}`);
+    console.log(`  Prestige: ${plan.prestige}`);
+    console.log('');
+
+    console.log(single);
+    console.log(`${Constants.ICONS.BEST} BEST HEAVENLY UPGRADE ${Constants.ICONS.BEST}`);
+    console.log(single);
+    console.log('');
+    if (best) {
+      console.log(`  ${Constants.ICONS.ARROW} ${best.name}`);
+      console.log(`    Cost: ${chips(best.cost)} chips`);
+      if (best.purchases.length > 1) {
+        console.log(`    Buy: ${best.purchases.map(p => p.name).join(` ${Constants.ICONS.ARROW} `)}`);
+      }
+      console.log(`    Benefit: ${this._describeHeavenlyBenefit(best)}`);
+      console.log(`    Chips Left: ${chips(best.chipsLeft)}`);
+    } else {
+      console.log('  Nothing worth planning for is affordable yet.');
+    }
+    console.log('');
+
+    if (alternatives.length > 0) {
+      console.log(single);
+      console.log(`${Constants.ICONS.ALTERNATIVES} THEN`);
+      console.log(single);
+      console.log('');
+      alternatives.forEach((goal, index) => {
+        const parents = goal.purchases.length > 1 ? ` (with ${goal.purchases.length - 1} parent${goal.purchases.length > 2 ? 's' : ''})` : '';
+        console.log(`${index + 1}. ${goal.name}${parents}`);
+        console.log(`   Cost: ${chips(goal.cost)} chips | ${this._describeHeavenlyBenefit(goal)}`);
+      });
+      if (rest.length > alternatives.length) {
+        console.log(`   ...and ${rest.length - alternatives.length} more`);
+      }
+      console.log('');
+    }
+
+    if (plan.saving) {
+      console.log(`Save for: ${plan.saving.name} (${chips(plan.saving.cost)} chips, ` +
+        `${chips(plan.saving.chipsNeeded)} more) | ${this._describeHeavenlyBenefit(plan.saving)}`);
+    }
+    console.log(this._repeat(Constants.BORDERS.THIN_LINE, 51));
+  }
+
+  /**
+   * Describes what a heavenly upgrade goal brings.
+   *
+   * @private
+   * @param {Object} goal - Goal from HeavenlyPlanner.rankGoals()
+   * @returns {string} Benefit text
+   */
+  _describeHeavenlyBenefit(goal) {
+    const percent = Number(goal.value.toFixed(2));
+    if (goal.category === 'cps') {
+      return `+${percent}% CPS, permanently`;
+    }
+    if (goal.category === 'offline') {
+      return `+${percent}% of CPS while the game is closed`;
+    }
+    return goal.note;
+  }
+
+  /**
+   * Renders timed purchases as a table (for plans and goal paths).
+   *
+   * @private
+   * @param {Array<Object>} purchases - { time, displayName, cost, cookiesPerSecond }
+   */
+  _renderPurchaseTable(purchases) {
+    console.log('#'.padEnd(5) + 'When'.padEnd(10) + 'Purchase'.padEnd(30) + 'Cost'.padEnd(12) + 'CPS After');
+    console.log(this._repeat(Constants.BORDERS.THIN_LINE, 51));
+    purchases.forEach((purchase, index) => {
+      const when = purchase.time > 0 ? `+${this._formatTime(purchase.time)}` : 'now';
+      console.log(
+        `${index + 1}.`.padEnd(5) +
+        when.padEnd(10) +
+        purchase.displayName.substring(0, 28).padEnd(30) +
+        this._formatCurrency(purchase.cost).padEnd(12) +
+        this._formatCurrency(purchase.cookiesPerSecond)
+      );
+    });
+  }
+
+  /**
+   * Renders a comparison of two snapshots (from Snapshot.diff).
+   *
+   * @param {Object} report - Diff report
+   */
+  renderSnapshotDiff(report) {
+    const line = this._repeat(Constants.BORDERS.DOUBLE_LINE, 51);
+    console.log(line);
+    console.log('  SNAPSHOT DIFF');
+    console.log(line);
+    console.log(`From: ${report.from}`);
+    console.log(`To:   ${report.to} (${this._formatTime(report.elapsedSeconds)} later)`);
+    console.log('');
+
+    console.log(`Cookies: ${this._formatCurrency(report.cookies.before)} ${Constants.ICONS.ARROW} ${this._formatCurrency(report.cookies.after)}`);
+    const percent = report.cps.percent !== null ? ` (${report.cps.percent >= 0 ? '+' : ''}${report.cps.percent.toFixed(1)}%)` : '';
+    console.log(`CPS: ${this._formatCurrency(report.cps.before)} ${Constants.ICONS.ARROW} ${this._formatCurrency(report.cps.after)}${percent}`);
+    console.log('');
+
+    console.log('Buildings Bought:');
+    if (report.buildings.length === 0) {
+      console.log('  (none)');
+    }
+    for (const building of report.buildings) {
+      const sign = building.change > 0 ? '+' : '';
+      console.log(`  ${building.name}: ${building.before} ${Constants.ICONS.ARROW} ${building.after} (${sign}${building.change})`);
+    }
+
+    console.log('Upgrades Bought:');
+    console.log(`  ${report.upgradesBought.length > 0 ? report.upgradesBought.join(', ') : '(none)'}`);
+    console.log('');
+
+    const rec = report.recommendation;
+    const describe = choice => choice ? `${choice.displayName} (ROI ${this._formatTime(choice.roiTime)})` : '(none)';
+    console.log('Recommendation:');
+    if (rec.strategyBefore !== rec.strategyAfter) {
+      console.log(`  Strategy: ${rec.strategyBefore} ${Constants.ICONS.ARROW} ${rec.strategyAfter}`);
+    }
+    console.log(`  Before: ${describe(rec.before)}`);
+    console.log(`  After:  ${describe(rec.after)}${rec.changed ? '' : ' (unchanged)'}`);
+    if (rec.added.length > 0) {
+      console.log(`  New In Top ${Constants.TOP_ALTERNATIVES_COUNT + 1}: ${rec.added.join(', ')}`);
+    }
+    if (rec.removed.length > 0) {
+      console.log(`  Dropped Out: ${rec.removed.join(', ')}`);
+    }
+    console.log(line);
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = OutputRenderer;
+}
+/**
+ * OverlayRenderer.js
+ *
+ * Draws recommendations in a collapsible panel over the Cookie Clicker page,
+ * so the advisor can be used without DevTools open.
+ *
+ * Implements the same interface as OutputRenderer and plugs in through
+ * CookieAdvisor.setRenderer() (CookieAdvisor.showOverlay() does this and
+ * keeps the panel refreshed). Console-only renderers (debug tables, snapshot
+ * diffs) are inherited unchanged.
+ *
+ * Text is set with textContent only: upgrade names can contain HTML.
+ */
+
+class OverlayRenderer extends OutputRenderer {
+  /**
+   * @param {Object} options - Configuration options
+   * @param {Function} [options.onClose] - Called when the panel's close button is clicked
+   * @param {Document} [options.document] - Document to draw in (defaults to the page's)
+   */
+  constructor(options = {}) {
+    super();
+    this.onClose = options.onClose || null;
+    this.document = options.document || (typeof document !== 'undefined' ? document : null);
+    this.collapsed = false;
+    this.panel = null;
+    this.body = null;
+    this.waitElements = [];
+    this.cookiesPerSecond = 0;
+  }
+
+  /**
+   * Draws the recommendation panel, replacing any previous content.
+   *
+   * @param {Object} topChoice - Best recommendation
+   * @param {Array<Object>} alternatives - Alternative recommendations
+   * @param {Object} gameState - Current game state
+   * @param {Object} [options] - Extra sections, as for OutputRenderer.renderRecommendation()
+   * @param {Object} [options.ascension] - Report from AscensionAnalyzer.analyze()
+   * @param {Array<Object>} [options.toggles] - Toggles from EconomicModel.getToggles()
+   */
+  renderRecommendation(topChoice, alternatives, gameState, options = {}) {
+    this._ensurePanel();
+    this._clearBody();
+    this.cookiesPerSecond = gameState.cookiesPerSecond;
+
+    this._appendStatus(gameState);
+
+    if (topChoice) {
+      this._appendBestChoice(topChoice, gameState);
+    } else {
+      this.renderMessage('No recommendations available.');
+      return;
+    }
+
+    if (options.ascension) {
+      this._appendAscension(options.ascension);
+    }
+
+    if (alternatives && alternatives.length > 0) {
+      this._appendAlternatives(alternatives, gameState);
+    }
+
+    if (options.toggles && options.toggles.length > 0) {
+      this._appendToggles(options.toggles);
+    }
+  }
+
+  /**
+   * Replaces the panel content with a short message (e.g. when nothing
+   * passes the strategy's filters).
+   *
+   * @param {string} message - Message to show
+   */
+  renderMessage(message) {
+    this._ensurePanel();
+    this._clearBody();
+    this._append(this.body, 'div', 'cca-message', message);
+  }
+
+  /**
+   * Updates the time-to-afford figures from the live cookie count,
+   * without re-running the analysis.
+   *
+   * @param {number} cookies - Cookies in bank
+   */
+  updateCookies(cookies) {
+    for (const { element, cost } of this.waitElements) {
+      element.textContent = this._formatWait(cost, cookies);
+    }
+  }
+
+  /**
+   * Removes the panel and its styles from the page.
+   */
+  destroy() {
+    if (!this.document) {
+      return;
+    }
+
+    for (const id of [Constants.OVERLAY_ELEMENT_ID, `${Constants.OVERLAY_ELEMENT_ID}-style`]) {
+      const element = this.document.getElementById(id);
+      if (element) {
+        element.remove();
+      }
+    }
+
+    this.panel = null;
+    this.body = null;
+    this.waitElements = [];
+  }
+
+  /**
+   * Creates the panel (header, collapse and close buttons, body) on first use.
+   *
+   * @private
+   * @throws {Error} If there is no document to draw in
+   */
+  _ensurePanel() {
+    if (this.panel && this.panel.isConnected) {
+      return;
+    }
+    if (!this.document) {
+      throw new Error('OverlayRenderer needs a browser document');
+    }
+
+    this._injectStyles();
+
+    const panel = this.document.createElement('div');
+    panel.id = Constants.OVERLAY_ELEMENT_ID;
+
+    const header = this._append(panel, 'div', 'cca-header');
+    this._append(header, 'span', 'cca-title', `${Constants.ICONS.COOKIE} ROI Advisor`);
+
+    const collapse = this._append(header, 'button', 'cca-button', this.collapsed ? '▸' : '▾');
+    collapse.title = 'Collapse';
+    collapse.addEventListener('click', () => {
+      this.collapsed = !this.collapsed;
+      collapse.textContent = this.collapsed ? '▸' : '▾';
+      this.body.style.display = this.collapsed ? 'none' : '';
+    });
+
+    const close = this._append(header, 'button', 'cca-button', '×');
+    close.title = 'Close';
+    close.addEventListener('click', () => {
+      if (this.onClose) {
+        this.onClose();
+      } else {
+        this.destroy();
+      }
+    });
+
+    this.body = this._append(panel, 'div', 'cca-body');
+    this.body.style.display = this.collapsed ? 'none' : '';
+
+    this.document.body.appendChild(panel);
+    this.panel = panel;
+  }
+
+  /**
+   * Adds the panel's stylesheet to the page once.
+   *
+   * @private
+   */
+  _injectStyles() {
+    const id = `${Constants.OVERLAY_ELEMENT_ID}-style`;
+    if (this.document.getElementById(id)) {
+      return;
+    }
+
+    const root = `#${Constants.OVERLAY_ELEMENT_ID}`;
+    const style = this.document.createElement('style');
+    style.id = id;
+    style.textContent = [
+      `${root} { position: fixed; top: 40px; right: 16px; z-index: 100000; width: 280px;`,
+      '  background: rgba(0, 0, 0, 0.85); color: #fff; border: 1px solid #c90; border-radius: 4px;',
+      '  font: 12px Tahoma, Arial, sans-serif; box-shadow: 0 0 8px #000; }',
+      `${root} .cca-header { display: flex; align-items: center; padding: 4px 6px; border-bottom: 1px solid #c90; }`,
+      `${root} .cca-title { flex: 1; font-weight: bold; }`,
+      `${root} .cca-button { background: none; border: none; color: #fff; cursor: pointer; font-size: 14px; }`,
+      `${root} .cca-body { padding: 6px; }`,
+      `${root} .cca-status, ${root} .cca-detail { color: #ccc; }`,
+      `${root} .cca-best { margin: 6px 0; padding: 4px; border: 1px solid #6c6; border-radius: 3px; }`,
+      `${root} .cca-name { font-weight: bold; color: #ff6; }`,
+      `${root} .cca-affordable { color: #6f6; }`,
+      `${root} .cca-warning { color: #fc6; }`,
+      `${root} .cca-section { margin-top: 6px; }`,
+      `${root} ol { margin: 4px 0 0 0; padding-left: 20px; }`,
+      `${root} li { margin-bottom: 3px; }`
+    ].join('\n');
+    this.document.head.appendChild(style);
+  }
+
+  /**
+   * Shows cookies and CPS at analysis time.
+   *
+   * @private
+   * @param {Object} gameState - Current game state
+   */
+  _appendStatus(gameState) {
+    let status = `Cookies: ${this._formatCurrency(gameState.cookies)} | CPS: ${this._formatCurrency(gameState.cookiesPerSecond)}/sec`;
+    if (gameState.buffs && gameState.buffs.length > 0) {
+      status += ` (buffs: ${gameState.buffs.map(b => b.name).join(', ')})`;
+    }
+    this._append(this.body, 'div', 'cca-status', status);
+  }
+
+  /**
+   * Shows the best investment.
+   *
+   * @private
+   * @param {Object} choice - Top recommendation
+   * @param {Object} gameState - Current game state
+   */
+  _appendBestChoice(choice, gameState) {
+    const best = this._append(this.body, 'div', 'cca-best');
+    this._append(best, 'div', null, `${Constants.ICONS.BEST} Best Investment`);
+    this._append(best, 'div', 'cca-name', choice.displayName || choice.name);
+    this._append(best, 'div', 'cca-detail',
+      `Cost: ${this._formatCurrency(choice.cost)} | +${this._formatCurrency(choice.deltaCPS)} CPS`);
+    this._append(best, 'div', 'cca-detail', `ROI: ${this._formatTime(choice.roiTime)}`);
+    this._appendWait(best, choice, gameState);
+    if (choice.bankWarning) {
+      this._append(best, 'div', 'cca-warning', `⚠️ ${this._describeBankWarning(choice.bankWarning)}`);
+    }
+  }
+
+  /**
+   * Shows prestige gained this run and when to ascend, in short.
+   *
+   * @private
+   * @param {Object} report - Report from AscensionAnalyzer.analyze()
+   */
+  _appendAscension(report) {
+    const section = this._append(this.body, 'div', 'cca-section');
+    this._append(section, 'div', null, `${Constants.ICONS.ASCENSION} Ascension`);
+    this._append(section, 'div', 'cca-detail',
+      `Prestige ${report.prestige} (+${report.levelsGained} now) | next level in ${this._formatTime(report.nextLevel.time)}`);
+
+    const peak = report.peak;
+    let advice = 'Best time to ascend: unknown';
+    if (peak && peak.levelsGained === 0) {
+      advice = 'Not worth ascending yet';
+    } else if (peak && peak.passed) {
+      advice = 'Ascend now: the average rate has peaked';
+    } else if (peak) {
+      advice = `Average rate peaks in ${this._formatTime(peak.seconds)} (+${peak.levelsGained} levels)`;
+    }
+    this._append(section, 'div', 'cca-detail', advice);
+  }
+
+  /**
+   * Shows the alternatives as a numbered list.
+   *
+   * @private
+   * @param {Array<Object>} alternatives - Alternative recommendations
+   * @param {Object} gameState - Current game state
+   */
+  _appendAlternatives(alternatives, gameState) {
+    this._append(this.body, 'div', null, `${Constants.ICONS.ALTERNATIVES} Alternatives`);
+    const list = this._append(this.body, 'ol');
+
+    for (const alt of alternatives) {
+      const item = this._append(list, 'li');
+      this._append(item, 'div', null, alt.displayName || alt.name);
+      this._append(item, 'div', 'cca-detail',
+        `${this._formatCurrency(alt.cost)} | +${this._formatCurrency(alt.deltaCPS)} CPS | ROI ${this._formatTime(alt.roiTime)}`);
+      this._appendWait(item, alt, gameState);
+    }
+  }
+
+  /**
+   * Lists the toggles in the store with what they do (not ranked).
+   *
+   * @private
+   * @param {Array<Object>} toggles - Toggles from EconomicModel.getToggles()
+   */
+  _appendToggles(toggles) {
+    const section = this._append(this.body, 'div', 'cca-section');
+    this._append(section, 'div', null, `${Constants.ICONS.TOGGLE} Toggles (not ranked)`);
+    for (const toggle of toggles) {
+      const note = toggle.note ? ` | ${toggle.note}` : '';
+      this._append(section, 'div', 'cca-detail', `${toggle.name}: ${this._formatCurrency(toggle.cost)}${note}`);
+    }
+  }
+
+  /**
+   * Adds a time-to-afford line that updateCookies() keeps current.
+   *
+   * @private
+   * @param {HTMLElement} parent - Element to add to
+   * @param {Object} candidate - Recommendation
+   * @param {Object} gameState - Current game state
+   */
+  _appendWait(parent, candidate, gameState) {
+    const element = this._append(parent, 'div', 'cca-detail', this._formatWait(candidate.cost, gameState.cookies));
+    this.waitElements.push({ element: element, cost: candidate.cost });
+  }
+
+  /**
+   * Formats the time until a cost is affordable at the analyzed CPS.
+   *
+   * @private
+   * @param {number} cost - Purchase cost
+   * @param {number} cookies - Cookies in bank
+   * @returns {string} "✓ Affordable now" or "Affordable in 1m 5s"
+   */
+  _formatWait(cost, cookies) {
+    if (Validators.isAffordable(cost, cookies)) {
+      return '✓ Affordable now';
+    }
+    const seconds = this.cookiesPerSecond > 0 ? (cost - cookies) / this.cookiesPerSecond : Infinity;
+    return `Affordable in ${this._formatTime(seconds)}`;
+  }
+
+  /**
+   * Empties the panel body.
+   *
+   * @private
+   */
+  _clearBody() {
+    this.body.textContent = '';
+    this.waitElements = [];
+  }
+
+  /**
+   * Creates an element and appends it to a parent.
+   *
+   * @private
+   * @param {HTMLElement} parent - Parent element
+   * @param {string} tag - Tag name
+   * @param {string|null} [className] - CSS class
+   * @param {string} [text] - Text content
+   * @returns {HTMLElement} New element
+   */
+  _append(parent, tag, className, text) {
+    const element = this.document.createElement(tag);
+    if (className) {
+      element.className = className;
+    }
+    if (text !== undefined) {
+      element.textContent = text;
+    }
+    parent.appendChild(element);
+    return element;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = OverlayRenderer;
+}
+/**
+ * StoreHighlighter.js
+ *
+ * Marks the recommended purchases directly in the game's store: an outline
+ * and a rank badge on the building row (#product{id}) or upgrade crate
+ * (#upgrade{index}), with ROI and payback time in the badge's tooltip.
+ *
+ * Implements the OutputRenderer interface, so CookieAdvisor can pass it the
+ * same recommendations it renders. The only changes made to the page are
+ * the highlight class, the badge elements and one stylesheet, and clear()
+ * removes all of them.
+ */
+
+class StoreHighlighter extends OutputRenderer {
+  /**
+   * @param {Object} options - Configuration options
+   * @param {Object} [options.game] - Cookie Clicker Game object (defaults to window.Game)
+   * @param {Document} [options.document] - Document to draw in (defaults to the page's)
+   */
+  constructor(options = {}) {
+    super();
+    this.game = options.game || (typeof window !== 'undefined' ? window.Game : null);
+    this.document = options.document || (typeof document !== 'undefined' ? document : null);
+    this.marks = []; // [{ rank, candidate }], mapped to store elements on each refresh()
+  }
+
+  /**
+   * Highlights the top choice and alternatives in the store, replacing
+   * earlier highlights.
+   *
+   * @param {Object} topChoice - Best recommendation
+   * @param {Array<Object>} alternatives - Alternative recommendations
+   * @param {Object} gameState - Current game state
+   */
+  renderRecommendation(topChoice, alternatives, gameState) {
+    this.clear();
+    if (!topChoice) {
+      return;
+    }
+
+    this.marks = [topChoice, ...(alternatives || [])].map((candidate, index) => ({ rank: index + 1, candidate: candidate }));
+    this.refresh();
+  }
+
+  /**
+   * Re-applies highlights the game has wiped. The game rebuilds the upgrade
+   * store when upgrades unlock, which shifts crate indices, so each mark is
+   * mapped to its element again; marks whose upgrade has left the store are
+   * skipped, and badges left on a crate that no longer matches are removed.
+   */
+  refresh() {
+    if (!this.document || this.marks.length === 0) {
+      return;
+    }
+
+    const byElement = new Map();
+    for (const mark of this.marks) {
+      const elementId = this.getElementId(mark.candidate);
+      if (!elementId) {
+        continue;
+      }
+      if (!byElement.has(elementId)) {
+        byElement.set(elementId, []);
+      }
+      byElement.get(elementId).push(mark);
+    }
+
+    for (const element of this.document.querySelectorAll(`.${Constants.HIGHLIGHT_CLASS}`)) {
+      if (!byElement.has(element.id)) {
+        this._unmarkElement(element);
+      }
+    }
+
+    this._injectStyles();
+    for (const [elementId, marks] of byElement) {
+      const element = this.document.getElementById(elementId);
+      if (element && !this._hasMarks(element, marks)) {
+        this._unmarkElement(element);
+        this._markElement(element, marks);
+      }
+    }
+  }
+
+  /**
+   * Removes every highlight, badge and the stylesheet.
+   */
+  clear() {
+    this.marks = [];
+    if (!this.document) {
+      return;
+    }
+
+    const badges = this.document.querySelectorAll(`.${Constants.HIGHLIGHT_CLASS}-badge`);
+    badges.forEach(badge => badge.remove());
+
+    const highlighted = this.document.querySelectorAll(`.${Constants.HIGHLIGHT_CLASS}`);
+    highlighted.forEach(element => element.classList.remove(Constants.HIGHLIGHT_CLASS));
+
+    const style = this.document.getElementById(`${Constants.HIGHLIGHT_CLASS}-style`);
+    if (style) {
+      style.remove();
+    }
+  }
+
+  /**
+   * Maps a candidate to its store element id.
+   * Buildings: Game.Objects[name].id → "product{id}".
+   * Upgrades: the index in candidate.id ("upgrade_{index}") if that store slot
+   * still holds the same upgrade, otherwise a lookup by name → "upgrade{index}".
+   *
+   * @param {Object} candidate - Candidate
+   * @returns {string|null} Element id, or null if it is not in the store
+   */
+  getElementId(candidate) {
+    if (!this.game) {
+      return null;
+    }
+
+    if (candidate.type === 'building') {
+      const building = this.game.Objects && this.game.Objects[candidate.name];
+      return building && typeof building.id === 'number' ? `product${building.id}` : null;
+    }
+
+    if (candidate.type === 'upgrade') {
+      const store = this.game.UpgradesInStore || [];
+      const match = /^upgrade_(\d+)$/.exec(candidate.id);
+      const index = match ? parseInt(match[1], 10) : -1;
+
+      if (store[index] && store[index].name === candidate.name) {
+        return `upgrade${index}`;
+      }
+      const found = store.findIndex(upgrade => upgrade.name === candidate.name);
+      return found >= 0 ? `upgrade${found}` : null;
+    }
+
+    return null;
+  }
+
+  /**
+   * Whether an element already carries the badge for these marks.
+   *
+   * @private
+   * @param {HTMLElement} element - Store element
+   * @param {Array<Object>} marks - { rank, candidate } entries for this element
+   * @returns {boolean} True if its badge is up to date
+   */
+  _hasMarks(element, marks) {
+    const badge = element.querySelector(`.${Constants.HIGHLIGHT_CLASS}-badge`);
+    return Boolean(badge) && badge.title === this._describeMarks(marks);
+  }
+
+  /**
+   * Removes the outline and badge from an element.
+   *
+   * @private
+   * @param {HTMLElement} element - Store element
+   */
+  _unmarkElement(element) {
+    element.querySelectorAll(`.${Constants.HIGHLIGHT_CLASS}-badge`).forEach(badge => badge.remove());
+    element.classList.remove(Constants.HIGHLIGHT_CLASS);
+  }
+
+  /**
+   * Outlines an element and adds a rank badge with a tooltip.
+   *
+   * @private
+   * @param {HTMLElement} element - Store element
+   * @param {Array<Object>} marks - { rank, candidate } entries for this element
+   */
+  _markElement(element, marks) {
+    element.classList.add(Constants.HIGHLIGHT_CLASS);
+
+    const badge = this.document.createElement('div');
+    badge.className = `${Constants.HIGHLIGHT_CLASS}-badge`;
+    if (marks[0].rank === 1) {
+      badge.className += ` ${Constants.HIGHLIGHT_CLASS}-best`;
+    }
+    badge.textContent = `#${marks[0].rank}`;
+    badge.title = this._describeMarks(marks);
+    element.appendChild(badge);
+  }
+
+  /**
+   * Tooltip for an element's badge.
+   *
+   * @private
+   * @param {Array<Object>} marks - { rank, candidate } entries for this element
+   * @returns {string} One _describe() line per mark
+   */
+  _describeMarks(marks) {
+    return marks.map(({ rank, candidate }) => this._describe(rank, candidate)).join('\n');
+  }
+
+  /**
+   * Tooltip line for one candidate.
+   *
+   * @private
+   * @param {number} rank - 1 for the best investment
+   * @param {Object} candidate - Candidate
+   * @returns {string} e.g. "#1 Farm (#13): ROI 3m 49s, payback from now 4m 2s"
+   */
+  _describe(rank, candidate) {
+    let text = `#${rank} ${candidate.displayName || candidate.name}: ROI ${this._formatTime(candidate.roiTime)}`;
+    if (typeof candidate.paybackFromNow === 'number') {
+      text += `, payback from now ${this._formatTime(candidate.paybackFromNow)}`;
+    }
+    return text;
+  }
+
+  /**
+   * Adds the highlight stylesheet to the page once.
+   *
+   * @private
+   */
+  _injectStyles() {
+    const id = `${Constants.HIGHLIGHT_CLASS}-style`;
+    if (this.document.getElementById(id)) {
+      return;
+    }
+
+    const cls = Constants.HIGHLIGHT_CLASS;
+    const style = this.document.createElement('style');
+    style.id = id;
+    style.textContent = [
+      `.${cls} { outline: 2px solid #6c6; outline-offset: -2px; position: relative; }`,
+      `.${cls}-badge { position: absolute; top: 0; right: 0; z-index: 10; padding: 0 3px;`,
+      '  background: #363; color: #fff; font: bold 11px Tahoma, Arial, sans-serif; border-radius: 2px; }',
+      `.${cls}-best { background: #c90; }`
+    ].join('\n');
+    this.document.head.appendChild(style);
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = StoreHighlighter;
+}
+/**
+ * TickScheduler.js
+ *
+ * Runs the advisor's periodic tasks (overlay refresh, store highlight
+ * refresh, monitor checks). Tasks run on setInterval until the scheduler
+ * is attached to the game's logic hook (Game.registerHook, when loaded as
+ * a mod); from then on the game's own ticks drive them and nothing polls.
+ *
+ * The game calls the logic hook Game.fps times a second; each tick only
+ * runs the tasks whose interval has elapsed.
+ */
+
+class TickScheduler {
+  constructor() {
+    this.tasks = new Map(); // id → { fn, intervalMs, due, timer }
+    this.nextId = 1;
+    this.attached = false;
+  }
+
+  /**
+   * Runs fn every intervalMs.
+   *
+   * @param {number} intervalMs - Time between runs (milliseconds)
+   * @param {Function} fn - Task
+   * @returns {number} Task id for cancel()
+   */
+  every(intervalMs, fn) {
+    const id = this.nextId++;
+    const task = { fn: fn, intervalMs: intervalMs, due: Date.now() + intervalMs, timer: null };
+
+    if (!this.attached) {
+      task.timer = setInterval(fn, intervalMs);
+    }
+
+    this.tasks.set(id, task);
+    return id;
+  }
+
+  /**
+   * Stops a task.
+   *
+   * @param {number} id - Task id from every()
+   * @returns {boolean} False if there was no such task
+   */
+  cancel(id) {
+    const task = this.tasks.get(id);
+    if (!task) {
+      return false;
+    }
+
+    if (task.timer !== null) {
+      clearInterval(task.timer);
+    }
+    this.tasks.delete(id);
+    return true;
+  }
+
+  /**
+   * Moves every task, current and future, onto the game's logic hook.
+   * The game has no way to remove a hook, so this is done once.
+   *
+   * @param {Object} game - Cookie Clicker Game object with registerHook()
+   * @returns {boolean} False if already attached or the game has no hooks
+   */
+  attach(game) {
+    if (this.attached || !game || typeof game.registerHook !== 'function') {
+      return false;
+    }
+
+    game.registerHook('logic', () => this.tick());
+    this.attached = true;
+
+    for (const task of this.tasks.values()) {
+      if (task.timer !== null) {
+        clearInterval(task.timer);
+        task.timer = null;
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Runs the tasks that are due. A failing task is logged and does not
+   * stop the others (or the game's tick).
+   *
+   * @param {number} [now] - Current time in milliseconds (default: Date.now())
+   */
+  tick(now = Date.now()) {
+    for (const [id, task] of [...this.tasks]) {
+      if (now < task.due || !this.tasks.has(id)) { // Skip tasks cancelled by an earlier one
+        continue;
+      }
+
+      task.due = now + task.intervalMs;
+      try {
+        task.fn();
+      } catch (error) {
+        console.error('❌ Error in scheduled task:', error);
+      }
+    }
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TickScheduler;
+}
+/**
+ * AutoMonitor.js
+ *
+ * Re-runs the recommendation pipeline on a timer and notifies the player
+ * when the best investment changes or becomes affordable. Notifications use
+ * the game's own Game.Notify popups when available, the console otherwise.
+ *
+ * The monitor only decides *when* to notify; CookieAdvisor.startMonitor()
+ * supplies the tick that fetches the recommendation and keeps the
+ * lastRecommendation cache the changes are detected against. Checks run on
+ * a TickScheduler: setInterval, or the game's logic hook when loaded as a mod.
+ */
+
+class AutoMonitor {
+  /**
+   * @param {Object} options - Configuration options
+   * @param {number} [options.intervalMs] - Time between checks (default: Constants.MONITOR_INTERVAL_MS)
+   * @param {Object} [options.game] - Game object whose Notify() is used (defaults to window.Game)
+   * @param {OutputRenderer} [options.formatter] - Formats notification text via renderSummary()
+   * @param {TickScheduler} [options.scheduler] - Runs the checks (default: a new one, on setInterval)
+   */
+  constructor(options = {}) {
+    this.intervalMs = options.intervalMs || Constants.MONITOR_INTERVAL_MS;
+    this.game = options.game || (typeof window !== 'undefined' ? window.Game : null);
+    this.formatter = options.formatter || new OutputRenderer();
+    this.scheduler = options.scheduler || new TickScheduler();
+    this.timer = null; // TickScheduler task id
+    this.lastAffordability = null; // { id, affordable } from the previous check
+  }
+
+  /**
+   * Starts calling tick every intervalMs.
+   *
+   * @param {Function} tick - Check to run
+   * @returns {boolean} False if already running
+   */
+  start(tick) {
+    if (this.timer !== null) {
+      return false;
+    }
+
+    this.lastAffordability = null;
+    this.timer = this.scheduler.every(this.intervalMs, tick);
+    return true;
+  }
+
+  /**
+   * Stops the timer.
+   *
+   * @returns {boolean} False if it was not running
+   */
+  stop() {
+    if (this.timer === null) {
+      return false;
+    }
+
+    this.scheduler.cancel(this.timer);
+    this.timer = null;
+    return true;
+  }
+
+  /**
+   * @returns {boolean} True while the timer is running
+   */
+  isRunning() {
+    return this.timer !== null;
+  }
+
+  /**
+   * Compares the new top recommendation with the previous one.
+   * A change is reported only when there was a previous recommendation;
+   * "became affordable" only when the same recommendation was unaffordable
+   * at the previous check.
+   *
+   * @param {Object|null} previous - Previous top recommendation (lastRecommendation)
+   * @param {Object|null} current - New top recommendation
+   * @param {number} cookies - Cookies in bank now
+   * @returns {Array<Object>} Events: { type, title, message, recommendation }
+   */
+  check(previous, current, cookies) {
+    if (!current) {
+      this.lastAffordability = null;
+      return [];
+    }
+
+    const events = [];
+    const affordable = Validators.isAffordable(current.cost, cookies);
+    const last = this.lastAffordability;
+
+    if (previous && previous.id !== current.id) {
+      events.push({
+        type: 'recommendationChanged',
+        title: 'New best investment',
+        message: this.formatter.renderSummary(current) + (affordable ? ' (affordable now)' : ''),
+        recommendation: current
+      });
+    } else if (affordable && last && last.id === current.id && !last.affordable) {
+      events.push({
+        type: 'becameAffordable',
+        title: 'You can afford it now',
+        message: this.formatter.renderSummary(current),
+        recommendation: current
+      });
+    }
+
+    this.lastAffordability = { id: current.id, affordable: affordable };
+    return events;
+  }
+
+  /**
+   * Shows an event to the player.
+   *
+   * @param {Object} event - Event from check()
+   */
+  notify(event) {
+    if (this.game && typeof this.game.Notify === 'function') {
+      this.game.Notify(event.title, event.message, '', Constants.MONITOR_NOTIFY_SECONDS); // No icon
+    } else {
+      console.log(`🔔 ${event.title}: ${event.message}`);
+    }
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = AutoMonitor;
+}
+/**
+ * advisor.js
+ *
+ * Main entry point for the Cookie Clicker ROI Advisor.
+ * Orchestrates all modules and exposes a clean public API.
+ *
+ * Usage:
+ *   CookieAdvisor.analyze()           - Run analysis and show recommendations
+ *   CookieAdvisor.setStrategy(strat)  - Change ranking strategy
+ *   CookieAdvisor.getRecommendation() - Get top recommendation without rendering
+ *   CookieAdvisor.plan({ horizonSeconds }) - Shopping list for the next N seconds
+ *   CookieAdvisor.timeTo(target)      - Fastest way to a cookie amount, a purchase or a CPS level
+ *   CookieAdvisor.goldenCookies()     - Golden cookie income and the Lucky bank to keep
+ *   CookieAdvisor.ascension()         - Prestige gained this run and when to ascend
+ *   CookieAdvisor.heavenlyUpgrades()  - What to buy with heavenly chips, in order
+ *   CookieAdvisor.configure(settings) - Change thresholds such as MAX_REASONABLE_ROI (saved in localStorage)
+ *   CookieAdvisor.setClickProfile(name) - Set how much you click (idle/casual/active/autoclicker)
+ *   CookieAdvisor.measureClickRate(sec) - Measure your actual click rate
+ *   CookieAdvisor.showOverlay()       - Show recommendations in a panel on the game page
+ *   CookieAdvisor.highlightStore()    - Mark recommendations in the game's store
+ *   CookieAdvisor.startMonitor()      - Notify when the best investment changes or becomes affordable
+ *   CookieAdvisor.on(event, handler)  - Events: analysisComplete, recommendationChanged, becameAffordable, error
+ *   CookieAdvisor.addCandidateHook(fn) - Adjust candidates before ranking
+ *   CookieAdvisor.snapshot()          - Save the state as shareable JSON (loadSnapshot/diff to use it)
+ *   CookieAdvisor.getHistory()        - Past top recommendations
+ *
+ * Every analysis entry point also accepts a normalized game state
+ * (e.g. from SaveImporter), so the same flow runs without window.Game.
+ *
+ * In a game with the modding API (Game.registerMod) the advisor registers
+ * itself as a mod: settings, history and monitor state are kept in the
+ * game save, and periodic work runs on the game's logic hook.
+ *
+ * This file should be loaded AFTER all other modules.
+ */
+
+const CookieAdvisor = (function() {
+  'use strict';
+
+  // ═══════════════════════════════════════════════════════════════
+  // PRIVATE STATE
+  // ═══════════════════════════════════════════════════════════════
+
+  let currentStrategy = new GreedyStrategy();
+  let renderer = new OutputRenderer();
+  let lastRecommendation = null;
+  let clickProfile = Constants.DEFAULT_CLICK_PROFILE.toLowerCase();
+  let clicksPerSecond = Constants.CLICK_PROFILES[Constants.DEFAULT_CLICK_PROFILE];
+  let overlay = null; // { renderer, previousRenderer, timer, signature } while the overlay is shown
+  let storeHighlight = null; // { highlighter, timer } while store highlighting is on
+  let monitor = null; // AutoMonitor while monitoring
+  const config = new Config(); // Overrides of the configurable Constants
+  const scheduler = new TickScheduler(); // Periodic tasks; on the game's logic hook once registered as a mod
+  let history = []; // Past top recommendations, oldest first
+  let modRegistered = false;
+  let candidateHooks = []; // hook(candidates, gameState) → candidates, run before ranking
+  const listeners = {
+    analysisComplete: [],
+    recommendationChanged: [],
+    becameAffordable: [],
+    error: []
+  };
+
+  // ═══════════════════════════════════════════════════════════════
+  // PRIVATE HELPERS
+  // ═══════════════════════════════════════════════════════════════
+
+  /**
+   * Resolves the game state to analyze: the one passed in, or the live
+   * game's. Adds the player's click rate, which the game does not track.
+   *
+   * @param {Object} [gameState] - Normalized game state (e.g. from SaveImporter)
+   * @param {boolean} quiet - Suppress error messages
+   * @returns {Object|null} Game state, or null if none is available
+   */
+  function resolveGameState(gameState, quiet = false) {
+    if (!gameState) {
+      if (typeof window === 'undefined' || !window.Game) {
+        if (!quiet) {
+          console.error('❌ Cookie Clicker Game object not found!');
+          console.log('Make sure you are running this in the Cookie Clicker browser console.');
+        }
+        return null;
+      }
+
+      if (!Validators.isValidGameObject(window.Game)) {
+        if (!quiet) {
+          console.error('❌ Game object is invalid or incomplete.');
+          console.log('Make sure Cookie Clicker has finished loading.');
+        }
         return null;
       }
 
-      // Step 3: Calculate ROI for all candidates
-      const model = new EconomicModel(gameState);
-      const candidates = model.getAllCandidates();
+      gameState = new GameStateAdapter(window.Game).getGameState();
+    }
+
+    // Validate extracted state
+    if (!Validators.isValidGameState(gameState)) {
+      if (!quiet) {
+        console.error('❌ Failed to extract valid game state.');
+      }
+      return null;
+    }
+
+    return {
+      ...gameState,
+      clicksPerSecond: typeof gameState.clicksPerSecond === 'number' ? gameState.clicksPerSecond : clicksPerSecond,
+      clickProfile: gameState.clickProfile || clickProfile
+    };
+  }
+
+  /**
+   * Calls every listener for an event. A failing listener is logged and
+   * does not stop the other listeners or the analysis.
+   *
+   * @param {string} eventName - Key of listeners
+   * @param {Object} payload - Event data
+   */
+  function emit(eventName, payload) {
+    for (const handler of [...listeners[eventName]]) {
+      try {
+        handler(payload);
+      } catch (error) {
+        console.error(`❌ Error in ${eventName} listener:`, error);
+      }
+    }
+  }
+
+  /**
+   * Passes candidates through each candidate hook in turn. A hook returns
+   * the new candidate list; returning anything else keeps the list it got.
+   *
+   * @param {Array<Object>} candidates - Candidates from EconomicModel
+   * @param {Object} gameState - Game state they were computed from
+   * @returns {Array<Object>} Candidates to rank
+   */
+  function applyCandidateHooks(candidates, gameState) {
+    return candidateHooks.reduce((current, hook) => {
+      const result = hook(current, gameState);
+      return Array.isArray(result) ? result : current;
+    }, candidates);
+  }
+
+  /**
+   * The pipeline every entry point shares: game state → candidates →
+   * candidate hooks → ranking → Lucky bank flags. Emits analysisComplete.
+   *
+   * @param {Object} [gameState] - Normalized game state; defaults to the live game
+   * @param {Object} options - { quiet, rank } where rank(candidates, gameState)
+   *   replaces the current strategy's ranking
+   * @returns {Object|null} { gameState, model, candidates, recommendations }, or null without a valid game state
+   */
+  function runPipeline(gameState, options = {}) {
+    gameState = resolveGameState(gameState, options.quiet);
+    if (!gameState) {
+      return null;
+    }
+
+    const model = new EconomicModel(gameState);
+    const candidates = applyCandidateHooks(model.getAllCandidates(), gameState);
+    const rank = options.rank || ((c, state) => new StrategyEngine(currentStrategy).recommend(c, state));
+    const ranked = candidates.length > 0 ? rank(candidates, gameState) : [];
+    const recommendations = new GoldenCookieAnalyzer(gameState).flagRecommendations(ranked);
+
+    emit('analysisComplete', { gameState, candidates, recommendations });
+    return { gameState, model, candidates, recommendations };
+  }
+
+  /**
+   * Turns simulated purchases (PurchaseSimulator.purchases) into plain
+   * data for results and renderers.
+   *
+   * @param {Array<Object>} purchases - { time, candidate, cookiesPerSecond, cookies }
+   * @returns {Array<Object>} { time, id, type, name, displayName, cost, deltaCPS, cookiesPerSecond, cookies }
+   */
+  function describePurchases(purchases) {
+    return purchases.map(({ time, candidate, cookiesPerSecond, cookies }) => ({
+      time: time,
+      id: candidate.id,
+      type: candidate.type,
+      name: candidate.name,
+      displayName: candidate.displayName || candidate.name,
+      cost: candidate.cost,
+      deltaCPS: candidate.deltaCPS,
+      cookiesPerSecond: cookiesPerSecond,
+      cookies: cookies
+    }));
+  }
+
+  /**
+   * Updates the lastRecommendation cache, emitting recommendationChanged
+   * when the top recommendation is a different purchase.
+   *
+   * @param {Object} topChoice - New top recommendation
+   */
+  function trackRecommendation(topChoice) {
+    const previous = lastRecommendation;
+    lastRecommendation = topChoice;
+
+    if (!topChoice || (previous && previous.id === topChoice.id)) {
+      return;
+    }
+
+    recordHistory(topChoice);
+    if (previous) {
+      emit('recommendationChanged', { previous: previous, current: topChoice });
+    }
+  }
+
+  /**
+   * Adds a new top recommendation to the history, keeping the last
+   * Constants.HISTORY_LIMIT entries. A repeat of the last entry (e.g. the
+   * first analysis after a save is loaded) is not added.
+   *
+   * @param {Object} recommendation - Top recommendation
+   */
+  function recordHistory(recommendation) {
+    const last = history[history.length - 1];
+    if (last && last.id === recommendation.id) {
+      return;
+    }
+
+    history.push({
+      time: Date.now(),
+      id: recommendation.id,
+      displayName: recommendation.displayName || recommendation.name,
+      cost: recommendation.cost,
+      roiTime: recommendation.roiTime
+    });
+    history = history.slice(-Constants.HISTORY_LIMIT);
+  }
+
+  /**
+   * Data kept in the game save when running as a mod.
+   *
+   * @returns {string} JSON text: { version, settings, history, monitor }
+   */
+  function getModSaveData() {
+    return JSON.stringify({
+      version: Constants.MOD_SAVE_VERSION,
+      settings: Config.stringify(config.getOverrides()),
+      history: history,
+      monitor: monitor ? { running: true, intervalMs: monitor.intervalMs } : { running: false }
+    });
+  }
+
+  /**
+   * Restores data from the game save (called by the game when a save is
+   * loaded). Invalid data is ignored with a warning.
+   *
+   * @param {string} json - Text returned by getModSaveData()
+   */
+  function loadModSaveData(json) {
+    try {
+      const data = JSON.parse(json);
+      if (!data || typeof data.version !== 'number' || data.version > Constants.MOD_SAVE_VERSION) {
+        throw new Error(`unsupported data version ${data && data.version}`);
+      }
+
+      config.replace(typeof data.settings === 'string' ? Config.parse(data.settings) : {});
+      history = Array.isArray(data.history) ? data.history.slice(-Constants.HISTORY_LIMIT) : [];
+      lastRecommendation = null;
+
+      if (data.monitor && data.monitor.running) {
+        startMonitor({ intervalMs: data.monitor.intervalMs });
+      } else {
+        stopMonitor(true);
+      }
+
+    } catch (error) {
+      console.warn(`⚠️ Could not load Cookie Advisor data from the save: ${error.message}`);
+    }
+  }
+
+  /**
+   * Renders recommendations with the current renderer, and marks them in
+   * the store when highlighting is on and the state came from the live game.
+   *
+   * @param {Object} topChoice - Best recommendation
+   * @param {Array<Object>} alternatives - Alternative recommendations
+   * @param {Object} result - runPipeline() result they came from ({ gameState, model })
+   * @param {boolean} live - True if gameState was read from window.Game
+   */
+  function render(topChoice, alternatives, result, live) {
+    const gameState = result.gameState;
+    renderer.renderRecommendation(topChoice, alternatives, gameState, {
+      ascension: new AscensionAnalyzer(gameState).analyze(),
+      toggles: result.model.getToggles()
+    });
+
+    if (storeHighlight && live) {
+      storeHighlight.highlighter.renderRecommendation(topChoice, alternatives, gameState);
+    }
+  }
+
+  /**
+   * Summarizes what can change a recommendation: buildings owned, upgrades
+   * in store and active buffs. Cookies alone only change time-to-afford.
+   *
+   * @param {Object} game - Cookie Clicker Game object
+   * @returns {string} Signature that changes when any of these change
+   */
+  function getPurchaseSignature(game) {
+    const buildings = Object.values(game.Objects).map(b => b.amount).join(',');
+    const upgrades = game.UpgradesInStore.map(u => u.name).join(',');
+    const buffs = Object.keys(game.buffs || {}).join(',');
+    return `${buildings}|${upgrades}|${buffs}`;
+  }
+
+  /**
+   * Overlay timer tick: re-analyzes when the purchase signature changed,
+   * otherwise just updates time-to-afford from the live cookie count.
+   */
+  function refreshOverlay() {
+    if (!overlay || !window.Game || !Validators.isValidGameObject(window.Game)) {
+      return;
+    }
+
+    const signature = getPurchaseSignature(window.Game);
+    if (signature === overlay.signature) {
+      overlay.renderer.updateCookies(window.Game.cookies);
+      return;
+    }
+
+    overlay.signature = signature;
+    if (!analyze()) {
+      overlay.renderer.renderMessage('No purchase pays back within the ROI limit. Run CookieAdvisor.showAll() in the console to see every option.');
+    }
+  }
+
+  /**
+   * Re-analyzes into the overlay (if shown) even when the game hasn't
+   * changed, e.g. after the settings changed.
+   */
+  function redrawOverlay() {
+    if (overlay) {
+      overlay.signature = null;
+      refreshOverlay();
+    }
+  }
+
+  /**
+   * Monitor tick: re-runs the pipeline quietly, updates the
+   * lastRecommendation cache and notifies about changes against it.
+   */
+  function monitorTick() {
+    if (!monitor) {
+      return;
+    }
+
+    const previous = lastRecommendation;
+    const current = getRecommendation();
+    if (current) {
+      trackRecommendation(current); // Emits recommendationChanged
+    }
+
+    const cookies = window.Game ? window.Game.cookies : 0;
+    for (const event of monitor.check(previous, current, cookies)) {
+      monitor.notify(event);
+      if (event.type === 'becameAffordable') {
+        emit('becameAffordable', { recommendation: current });
+      }
+    }
+  }
+
+  // ═══════════════════════════════════════════════════════════════
+  // PUBLIC API
+  // ═══════════════════════════════════════════════════════════════
+
+  /**
+   * Runs full analysis and displays recommendations to console.
+   *
+   * @param {Object} [gameState] - Normalized game state; defaults to the live game
+   * @returns {Object|null} Top recommendation, or null if none available
+   */
+  function analyze(gameState) {
+    try {
+      // Steps 1-4: Game state → candidates → hooks → strategy ranking
+      const live = !gameState;
+      const result = runPipeline(gameState);
+      if (!result) {
+        return null;
+      }
+      gameState = result.gameState;
 
-      if (candidates.length === 0) {
+      if (result.candidates.length === 0) {
         console.warn('⚠️ No purchase candidates found.');
         console.log('This might mean all buildings/upgrades are locked or unavailable.');
         return null;
       }
 
-      // Step 4: Apply strategy to rank candidates
-      const engine = new StrategyEngine(currentStrategy);
-      const recommendations = engine.recommend(candidates);
-
+      const recommendations = result.recommendations;
       if (recommendations.length === 0) {
         console.warn('⚠️ No valid recommendations after filtering.');
-        console.log('All available purchases may have very long ROI times (>1 hour).');
-        console.log('Try: CookieAdvisor.showAll() to see all options.');
+        console.log(`All available purchases may have ROI times over MAX_REASONABLE_ROI (${Constants.MAX_REASONABLE_ROI}s).`);
+        console.log('Run CookieAdvisor.showAll(), or raise the limit with CookieAdvisor.configure({ MAX_REASONABLE_ROI: 7200 }).');
+        if (storeHighlight && live) {
+          storeHighlight.highlighter.clear();
+        }
         return null;
       }
 
       // Step 5: Render output
-      const renderer = new OutputRenderer();
       const topChoice = recommendations[0];
       const alternatives = recommendations.slice(1, Constants.TOP_ALTERNATIVES_COUNT + 1);
 
-      renderer.renderRecommendation(topChoice, alternatives, gameState);
+      render(topChoice, alternatives, result, live);
+
+      // Cache result (only the live game's; an explicit state says nothing about it)
+      if (live) {
+        trackRecommendation(topChoice);
+      }
+
+      return topChoice;
+
+    } catch (error) {
+      console.error('❌ Error during analysis:', error);
+      console.error(error.stack);
+      emit('error', { error: error, source: 'analyze' });
+      return null;
+    }
+  }
+
+  /**
+   * Gets the top recommendation without rendering output.
+   * Useful for programmatic access or monitoring.
+   *
+   * @param {Object} [gameState] - Normalized game state; defaults to the live game
+   * @returns {Object|null} Top recommendation, or null if none available
+   */
+  function getRecommendation(gameState) {
+    try {
+      const result = runPipeline(gameState, { quiet: true });
+      return result && result.recommendations.length > 0 ? result.recommendations[0] : null;
+
+    } catch (error) {
+      console.error('Error getting recommendation:', error);
+      emit('error', { error: error, source: 'getRecommendation' });
+      return null;
+    }
+  }
+
+  /**
+   * Gets all recommendations (not just top one).
+   *
+   * @param {number} limit - Maximum number of recommendations to return
+   * @param {Object} [gameState] - Normalized game state; defaults to the live game
+   * @returns {Array<Object>} Array of recommendations
+   */
+  function getAllRecommendations(limit = 10, gameState) {
+    try {
+      const result = runPipeline(gameState, { quiet: true });
+      return result ? result.recommendations.slice(0, limit) : [];
+
+    } catch (error) {
+      console.error('Error getting recommendations:', error);
+      emit('error', { error: error, source: 'getAllRecommendations' });
+      return [];
+    }
+  }
+
+  /**
+   * Shows ALL recommendations without time filtering.
+   * Useful when all normal recommendations have very long ROI times.
+   *
+   * @param {Object} [gameState] - Normalized game state; defaults to the live game
+   * @returns {Object|null} Top recommendation (unfiltered), or null if none available
+   */
+  function showAll(gameState) {
+    try {
+      // Steps 1-4, ranked with a relaxed strategy (no time filter)
+      const live = !gameState;
+      const result = runPipeline(gameState, {
+        // Inline RelaxedStrategy to avoid dependency issues
+        rank: candidates => candidates
+          .filter(c => !c.informational)
+          .filter(c => Validators.isValidROI(c.roiTime))
+          .filter(c => Validators.isValidCandidate(c))
+          .sort((a, b) => a.roiTime - b.roiTime)
+      });
+      if (!result) {
+        return null;
+      }
+      gameState = result.gameState;
+
+      if (result.candidates.length === 0) {
+        console.warn('⚠️ No purchase candidates found.');
+        console.log('This might mean all buildings/upgrades are locked or unavailable.');
+        return null;
+      }
+
+      console.log('🔎 Showing ALL candidates (no time filter)...');
+      const relaxedRecommendations = result.recommendations;
+
+      if (relaxedRecommendations.length === 0) {
+        console.warn('⚠️ No valid candidates found even without time filter.');
+        console.log('This might indicate an issue with game state extraction.');
+        return null;
+      }
+
+      // Step 5: Render output
+      const topChoice = relaxedRecommendations[0];
+      const alternatives = relaxedRecommendations.slice(1, Constants.TOP_ALTERNATIVES_COUNT + 1);
+
+      render(topChoice, alternatives, result, live);
+
+      // Cache result (only the live game's; an explicit state says nothing about it)
+      if (live) {
+        trackRecommendation(topChoice);
+      }
+
+      return topChoice;
+
+    } catch (error) {
+      console.error('❌ Error during analysis:', error);
+      console.error(error.stack);
+      emit('error', { error: error, source: 'showAll' });
+      return null;
+    }
+  }
+
+  /**
+   * Changes the active ranking strategy.
+   *
+   * @param {Strategy|string} strategy - New strategy instance, or a name ('greedy', 'lookahead', ...)
+   */
+  function setStrategy(strategy) {
+    if (typeof strategy === 'string') {
+      try {
+        strategy = StrategyEngine.createStrategy(strategy);
+      } catch (error) {
+        console.error(`❌ ${error.message}`);
+        return;
+      }
+    }
+
+    if (!(strategy instanceof Strategy)) {
+      console.error('❌ Invalid strategy. Must be an instance of Strategy class or a strategy name.');
+      console.log('Available strategies: GreedyStrategy, PaybackStrategy, LookaheadStrategy, SynergyStrategy, BalancedStrategy');
+      return;
+    }
+
+    currentStrategy = strategy;
+    console.log(`✓ Strategy changed to: ${strategy.getName()}`);
+  }
+
+  /**
+   * Plans purchases for a time horizon: simulates the current strategy
+   * forward (bake at the current CPS, buy its top choice once affordable,
+   * re-rank) and shows the resulting shopping list with timestamps.
+   * Candidate hooks apply at every step.
+   *
+   * @param {Object} [options] - { horizonSeconds } (default: 1800, 30 minutes)
+   * @param {Object} [gameState] - Normalized game state; defaults to the live game
+   * @returns {Object|null} { horizonSeconds, strategy, start, end, purchases, truncated }, or null on error
+   */
+  function plan(options = {}, gameState) {
+    const horizonSeconds = options.horizonSeconds === undefined
+      ? Constants.PLAN_DEFAULT_HORIZON_SECONDS
+      : options.horizonSeconds;
+    if (typeof horizonSeconds !== 'number' || !isFinite(horizonSeconds) || horizonSeconds <= 0) {
+      console.error('❌ horizonSeconds must be a positive number of seconds.');
+      return null;
+    }
+
+    try {
+      gameState = resolveGameState(gameState);
+      if (!gameState) {
+        return null;
+      }
+
+      const engine = new StrategyEngine(currentStrategy);
+      const simulator = new PurchaseSimulator(gameState);
+      const purchases = simulator.runPlan(
+        (candidates, state) => engine.recommend(applyCandidateHooks(candidates, state), state),
+        horizonSeconds
+      );
+
+      const result = {
+        horizonSeconds: horizonSeconds,
+        strategy: currentStrategy.getName(),
+        start: { cookies: gameState.cookies, cookiesPerSecond: gameState.cookiesPerSecond },
+        end: { cookies: simulator.state.cookies, cookiesPerSecond: simulator.state.cookiesPerSecond },
+        purchases: describePurchases(purchases),
+        truncated: purchases.length >= Constants.PLAN_MAX_PURCHASES
+      };
+
+      renderer.renderPlan(result);
+      return result;
+
+    } catch (error) {
+      console.error('❌ Error planning purchases:', error);
+      emit('error', { error: error, source: 'plan' });
+      return null;
+    }
+  }
+
+  /**
+   * Works out how soon a goal can be reached, and whether buying something
+   * first gets there sooner than saving for it. Candidate hooks apply at
+   * every step.
+   *
+   * @param {number|string|Object} target - Cookies in the bank (1e6 or { cookies: 1e6 }),
+   *   a building or upgrade in the store ('Farm' or { purchase: 'Farm' }), or { cps: 500 }
+   * @param {Object} [gameState] - Normalized game state; defaults to the live game
+   * @returns {Object|null} { target, reached, time, waitTime, savedSeconds, start, end, purchases }, or null on error
+   */
+  function timeTo(target, gameState) {
+    try {
+      gameState = resolveGameState(gameState);
+      if (!gameState) {
+        return null;
+      }
+
+      const planner = new GoalPlanner(gameState, { adjustCandidates: applyCandidateHooks });
+      let goal;
+      try {
+        goal = planner.resolveTarget(target);
+      } catch (error) {
+        console.error(`❌ ${error.message}`);
+        console.log('Examples: CookieAdvisor.timeTo(1e6), CookieAdvisor.timeTo(\'Farm\'), CookieAdvisor.timeTo({ cps: 500 })');
+        return null;
+      }
+
+      const path = planner.findPath(goal);
+      const result = {
+        target: goal.type === 'purchase' ? { ...goal, cost: planner.getGoalCost(goal, path.state) } : goal,
+        reached: path.reached,
+        time: path.time,
+        waitTime: path.waitTime,
+        savedSeconds: path.reached && isFinite(path.waitTime) ? path.waitTime - path.time : null,
+        start: { cookies: gameState.cookies, cookiesPerSecond: gameState.cookiesPerSecond },
+        end: { cookies: path.state.cookies, cookiesPerSecond: path.state.cookiesPerSecond },
+        purchases: describePurchases(path.purchases)
+      };
+
+      renderer.renderGoal(result);
+      return result;
+
+    } catch (error) {
+      console.error('❌ Error planning for the goal:', error);
+      emit('error', { error: error, source: 'timeTo' });
+      return null;
+    }
+  }
+
+  /**
+   * Shows what golden cookies earn with the upgrades owned, and the bank
+   * needed for full Lucky and Lucky + Frenzy payouts.
+   *
+   * @param {Object} [gameState] - Normalized game state; defaults to the live game
+   * @returns {Object|null} Report from GoldenCookieAnalyzer.analyze(), or null on error
+   */
+  function goldenCookies(gameState) {
+    try {
+      gameState = resolveGameState(gameState);
+      if (!gameState) {
+        return null;
+      }
+
+      const report = new GoldenCookieAnalyzer(gameState).analyze();
+      renderer.renderGoldenCookies(report);
+      return report;
+
+    } catch (error) {
+      console.error('❌ Error analyzing golden cookies:', error);
+      emit('error', { error: error, source: 'goldenCookies' });
+      return null;
+    }
+  }
+
+  /**
+   * Shows the prestige levels gained this ascension, the current and
+   * average rate of prestige gain, and when the average peaks (the usual
+   * time to ascend). analyze() shows the same after the best investment.
+   *
+   * @param {Object} [gameState] - Normalized game state; defaults to the live game
+   * @returns {Object|null} Report from AscensionAnalyzer.analyze(), or null if there is no prestige data
+   */
+  function ascension(gameState) {
+    try {
+      gameState = resolveGameState(gameState);
+      if (!gameState) {
+        return null;
+      }
 
-      // Cache result
-      lastRecommendation = topChoice;
+      const report = new AscensionAnalyzer(gameState).analyze();
+      if (!report) {
+        console.warn('⚠️ This game state has no prestige data (cookiesEarned, cookiesReset).');
+        return null;
+      }
 
-      return topChoice;
+      renderer.renderAscension(report);
+      return report;
 
     } catch (error) {
-      console.error('❌ Error during analysis:', error);
-      console.error(error.stack);
+      console.error('❌ Error analyzing ascension:', error);
+      emit('error', { error: error, source: 'ascension' });
       return null;
     }
   }
 
   /**
-   * Gets the top recommendation without rendering output.
-   * Useful for programmatic access or monitoring.
+   * Shows what to buy with the heavenly chips available, in order:
+   * permanent CPS first, then offline production, then key unlocks, each
+   * with the parents it needs.
    *
-   * @returns {Object|null} Top recommendation, or null if none available
+   * @param {Object} [gameState] - Normalized game state; defaults to the live game
+   * @returns {Object|null} Plan from HeavenlyPlanner.plan(), or null if there is no heavenly upgrade tree
    */
-  function getRecommendation() {
+  function heavenlyUpgrades(gameState) {
     try {
-      if (typeof window === 'undefined' || !window.Game) {
+      gameState = resolveGameState(gameState);
+      if (!gameState) {
         return null;
       }
 
-      const adapter = new GameStateAdapter(window.Game);
-      const gameState = adapter.getGameState();
-      const model = new EconomicModel(gameState);
-      const candidates = model.getAllCandidates();
-      const engine = new StrategyEngine(currentStrategy);
-      const recommendations = engine.recommend(candidates);
+      const planner = new HeavenlyPlanner(gameState);
+      if (!planner.hasTree()) {
+        console.warn('⚠️ This game state has no heavenly upgrades (imported saves need a catalogue with pool and parents).');
+        return null;
+      }
 
-      return recommendations.length > 0 ? recommendations[0] : null;
+      const plan = planner.plan();
+      renderer.renderHeavenlyPlan(plan);
+      return plan;
 
     } catch (error) {
-      console.error('Error getting recommendation:', error);
+      console.error('❌ Error planning heavenly upgrades:', error);
+      emit('error', { error: error, source: 'heavenlyUpgrades' });
       return null;
     }
   }
 
   /**
-   * Gets all recommendations (not just top one).
+   * Sets the clicking profile used to value click upgrades.
    *
-   * @param {number} limit - Maximum number of recommendations to return
-   * @returns {Array<Object>} Array of recommendations
+   * @param {string} name - 'idle', 'casual', 'active' or 'autoclicker'
    */
-  function getAllRecommendations(limit = 10) {
-    try {
-      if (typeof window === 'undefined' || !window.Game) {
-        return [];
-      }
-
-      const adapter = new GameStateAdapter(window.Game);
-      const gameState = adapter.getGameState();
-      const model = new EconomicModel(gameState);
-      const candidates = model.getAllCandidates();
-      const engine = new StrategyEngine(currentStrategy);
-      const recommendations = engine.recommend(candidates);
+  function setClickProfile(name) {
+    const key = typeof name === 'string' ? name.toUpperCase() : '';
+    if (!(key in Constants.CLICK_PROFILES)) {
+      console.error(`❌ Unknown click profile: ${name}`);
+      console.log(`Available profiles: ${Object.keys(Constants.CLICK_PROFILES).map(p => p.toLowerCase()).join(', ')}`);
+      return;
+    }
 
-      return recommendations.slice(0, limit);
+    clickProfile = key.toLowerCase();
+    clicksPerSecond = Constants.CLICK_PROFILES[key];
+    console.log(`✓ Click profile changed to: ${clickProfile} (${clicksPerSecond} clicks/sec)`);
+  }
 
-    } catch (error) {
-      console.error('Error getting recommendations:', error);
-      return [];
+  /**
+   * Sets a custom click rate used to value click upgrades.
+   *
+   * @param {number} rate - Clicks per second (0 or more)
+   */
+  function setClickRate(rate) {
+    if (typeof rate !== 'number' || !isFinite(rate) || rate < 0) {
+      console.error('❌ Click rate must be a number of clicks per second (0 or more).');
+      return;
     }
+
+    clickProfile = 'custom';
+    clicksPerSecond = rate;
+    console.log(`✓ Click rate set to ${rate} clicks/sec`);
   }
 
   /**
-   * Shows ALL recommendations without time filtering.
-   * Useful when all normal recommendations have very long ROI times.
+   * Gets the click rate used to value click upgrades.
    *
-   * @returns {Object|null} Top recommendation (unfiltered), or null if none available
+   * @returns {Object} { profile, clicksPerSecond }
    */
-  function showAll() {
-    try {
-      // Step 1: Validate Game object exists
-      if (typeof window === 'undefined' || !window.Game) {
-        console.error('❌ Cookie Clicker Game object not found!');
-        console.log('Make sure you are running this in the Cookie Clicker browser console.');
-        return null;
-      }
+  function getClickRate() {
+    return { profile: clickProfile, clicksPerSecond: clicksPerSecond };
+  }
 
-      if (!Validators.isValidGameObject(window.Game)) {
-        console.error('❌ Game object is invalid or incomplete.');
-        console.log('Make sure Cookie Clicker has finished loading.');
-        return null;
-      }
+  /**
+   * Measures the player's click rate by sampling Game.cookieClicks
+   * over a time window, then uses it to value click upgrades.
+   * Click the big cookie as you normally would while it runs.
+   *
+   * @param {number} seconds - Sampling window in seconds
+   * @returns {Promise<number|null>} Measured clicks per second, or null on error
+   */
+  function measureClickRate(seconds = Constants.CLICK_MEASUREMENT_SECONDS) {
+    if (typeof window === 'undefined' || !window.Game || typeof window.Game.cookieClicks !== 'number') {
+      console.error('❌ Cookie Clicker Game object not found!');
+      return Promise.resolve(null);
+    }
 
-      // Step 2: Extract game state
-      const adapter = new GameStateAdapter(window.Game);
-      const gameState = adapter.getGameState();
+    if (typeof seconds !== 'number' || !(seconds > 0)) {
+      console.error('❌ Measurement window must be a positive number of seconds.');
+      return Promise.resolve(null);
+    }
 
-      // Validate extracted state
-      if (!Validators.isValidGameState(gameState)) {
-        console.error('❌ Failed to extract valid game state.');
-        return null;
-      }
+    const startClicks = window.Game.cookieClicks;
+    const startTime = Date.now();
+    console.log(`⏱️ Measuring your click rate for ${seconds}s. Play as you normally would...`);
 
-      // Step 3: Calculate ROI for all candidates
-      const model = new EconomicModel(gameState);
-      const candidates = model.getAllCandidates();
+    return new Promise(resolve => {
+      setTimeout(() => {
+        const elapsed = (Date.now() - startTime) / 1000;
+        const clicks = Math.max(0, window.Game.cookieClicks - startClicks);
 
-      if (candidates.length === 0) {
-        console.warn('⚠️ No purchase candidates found.');
-        console.log('This might mean all buildings/upgrades are locked or unavailable.');
-        return null;
-      }
+        clickProfile = 'measured';
+        clicksPerSecond = clicks / elapsed;
+        console.log(`✓ Measured ${clicks} clicks in ${elapsed.toFixed(1)}s: ${clicksPerSecond.toFixed(2)} clicks/sec`);
+        resolve(clicksPerSecond);
+      }, seconds * 1000);
+    });
+  }
 
-      // Step 4: Use relaxed strategy (no time filter)
-      console.log('🔎 Showing ALL candidates (no time filter)...');
+  /**
+   * Subscribes to an advisor event.
+   *
+   * Events and their payloads:
+   * - analysisComplete: { gameState, candidates, recommendations } after every pipeline run
+   * - recommendationChanged: { previous, current } when the top recommendation is a different purchase
+   * - becameAffordable: { recommendation } when the top recommendation becomes affordable (while the monitor runs)
+   * - error: { error, source } when an analysis fails (source is the API function)
+   *
+   * @param {string} eventName - Event name
+   * @param {Function} handler - Called with the payload
+   */
+  function on(eventName, handler) {
+    if (!(eventName in listeners)) {
+      console.error(`❌ Unknown event: ${eventName}`);
+      console.log(`Available events: ${Object.keys(listeners).join(', ')}`);
+      return;
+    }
+    if (typeof handler !== 'function') {
+      console.error('❌ Event handler must be a function.');
+      return;
+    }
 
-      // Create inline RelaxedStrategy to avoid dependency issues
-      const relaxedRecommendations = candidates
-        .filter(c => Validators.isValidROI(c.roiTime))
-        .filter(c => Validators.isValidCandidate(c))
-        .sort((a, b) => a.roiTime - b.roiTime);
+    listeners[eventName].push(handler);
+  }
 
-      if (relaxedRecommendations.length === 0) {
-        console.warn('⚠️ No valid candidates found even without time filter.');
-        console.log('This might indicate an issue with game state extraction.');
-        return null;
-      }
+  /**
+   * Unsubscribes a handler added with on().
+   *
+   * @param {string} eventName - Event name
+   * @param {Function} handler - Handler passed to on()
+   */
+  function off(eventName, handler) {
+    if (eventName in listeners) {
+      listeners[eventName] = listeners[eventName].filter(h => h !== handler);
+    }
+  }
 
-      // Step 5: Render output
-      const renderer = new OutputRenderer();
-      const topChoice = relaxedRecommendations[0];
-      const alternatives = relaxedRecommendations.slice(1, Constants.TOP_ALTERNATIVES_COUNT + 1);
+  /**
+   * Adds a hook that post-processes candidates between
+   * EconomicModel.getAllCandidates() and the strategy's ranking, for every
+   * entry point. Hooks run in the order added.
+   *
+   * @param {Function} hook - hook(candidates, gameState) returning the candidate array to rank
+   */
+  function addCandidateHook(hook) {
+    if (typeof hook !== 'function') {
+      console.error('❌ Candidate hook must be a function.');
+      return;
+    }
 
-      renderer.renderRecommendation(topChoice, alternatives, gameState);
+    candidateHooks.push(hook);
+  }
 
-      // Cache result
-      lastRecommendation = topChoice;
+  /**
+   * Removes a hook added with addCandidateHook().
+   *
+   * @param {Function} hook - Hook to remove
+   */
+  function removeCandidateHook(hook) {
+    candidateHooks = candidateHooks.filter(h => h !== hook);
+  }
 
-      return topChoice;
+  /**
+   * Changes configurable Constants (see Config.js) for this and later
+   * sessions. Settings are validated first; nothing changes if any is
+   * invalid. The next analysis uses them, and the overlay is redrawn.
+   *
+   * @param {Object} settings - e.g. { MAX_REASONABLE_ROI: 7200, TOP_ALTERNATIVES_COUNT: 3 }
+   * @returns {Object|null} Current value of every setting, or null if invalid
+   */
+  function configure(settings) {
+    try {
+      const values = config.set(settings);
+      console.log(`✓ Settings updated: ${Object.keys(settings).join(', ')}`);
+      redrawOverlay();
+      return values;
 
     } catch (error) {
-      console.error('❌ Error during analysis:', error);
-      console.error(error.stack);
+      console.error(`❌ ${error.message}`);
+      console.log(`Configurable settings: ${Config.getSettingNames().join(', ')}`);
       return null;
     }
   }
 
   /**
-   * Changes the active ranking strategy.
+   * Gets the current value of every configurable setting.
    *
-   * @param {Strategy} strategy - New strategy instance
+   * @returns {Object} Setting name → value
    */
-  function setStrategy(strategy) {
-    if (!(strategy instanceof Strategy)) {
-      console.error('❌ Invalid strategy. Must be an instance of Strategy class.');
-      console.log('Available strategies: GreedyStrategy, LookaheadStrategy, SynergyStrategy');
-      return;
-    }
+  function getConfig() {
+    return config.get();
+  }
 
-    currentStrategy = strategy;
-    console.log(`✓ Strategy changed to: ${strategy.getName()}`);
+  /**
+   * Restores the default settings and deletes the saved ones.
+   *
+   * @returns {Object} Setting name → value
+   */
+  function resetConfig() {
+    const values = config.reset();
+    console.log('✓ Settings reset to defaults.');
+    redrawOverlay();
+    return values;
   }
 
   /**
@@ -1808,29 +8180,289 @@ const CookieAdvisor = (function() {
     return lastRecommendation;
   }
 
+  /**
+   * Replaces the renderer used by analyze(), showAll() and debug().
+   * Renderers extend OutputRenderer (e.g. to draw somewhere other than the console).
+   *
+   * @param {OutputRenderer} newRenderer - Renderer instance
+   */
+  function setRenderer(newRenderer) {
+    if (!(newRenderer instanceof OutputRenderer)) {
+      console.error('❌ Invalid renderer. Must be an instance of OutputRenderer.');
+      return;
+    }
+    renderer = newRenderer;
+  }
+
+  /**
+   * Shows recommendations in a panel over the game page and keeps it
+   * current: re-analyzes when buildings, store upgrades or buffs change.
+   * analyze() draws into the panel instead of the console while it is shown.
+   */
+  function showOverlay() {
+    if (typeof window === 'undefined' || typeof document === 'undefined') {
+      console.error('❌ The overlay needs the Cookie Clicker page (no document found).');
+      return;
+    }
+    if (overlay) {
+      return;
+    }
+
+    overlay = {
+      renderer: new OverlayRenderer({ onClose: hideOverlay }),
+      previousRenderer: renderer,
+      timer: null,
+      signature: null
+    };
+    renderer = overlay.renderer;
+
+    refreshOverlay();
+    overlay.timer = scheduler.every(Constants.OVERLAY_REFRESH_MS, refreshOverlay);
+    console.log('✓ Overlay shown. Run CookieAdvisor.hideOverlay() or click × to close it.');
+  }
+
+  /**
+   * Removes the overlay panel and restores the previous renderer.
+   */
+  function hideOverlay() {
+    if (!overlay) {
+      return;
+    }
+
+    scheduler.cancel(overlay.timer);
+    overlay.renderer.destroy();
+    if (renderer === overlay.renderer) {
+      renderer = overlay.previousRenderer;
+    }
+    overlay = null;
+    console.log('✓ Overlay hidden.');
+  }
+
+  /**
+   * Turns store highlighting on or off. While on, every analysis of the
+   * live game outlines the recommended building rows and upgrade crates,
+   * with rank badges whose tooltips show ROI and payback time.
+   *
+   * @param {boolean} enabled - True to highlight, false to remove all markers
+   */
+  function highlightStore(enabled = true) {
+    if (!enabled) {
+      if (storeHighlight) {
+        scheduler.cancel(storeHighlight.timer);
+        storeHighlight.highlighter.clear();
+        storeHighlight = null;
+        console.log('✓ Store highlighting off.');
+      }
+      return;
+    }
+
+    if (typeof window === 'undefined' || typeof document === 'undefined' || !window.Game) {
+      console.error('❌ Store highlighting needs the Cookie Clicker page.');
+      return;
+    }
+    if (storeHighlight) {
+      return;
+    }
+
+    const highlighter = new StoreHighlighter();
+    storeHighlight = {
+      highlighter: highlighter,
+      // The game rebuilds the upgrade store when upgrades unlock, dropping markers
+      timer: scheduler.every(Constants.HIGHLIGHT_REFRESH_MS, () => highlighter.refresh())
+    };
+    console.log('✓ Store highlighting on. Run CookieAdvisor.highlightStore(false) to turn it off.');
+    analyze();
+  }
+
+  /**
+   * Starts re-analyzing the live game periodically. Notifies (Game.Notify
+   * popup, or the console) when the top recommendation changes or becomes
+   * affordable.
+   *
+   * @param {Object} [options] - { intervalMs } time between checks (default 5000)
+   */
+  function startMonitor(options = {}) {
+    if (typeof window === 'undefined' || !window.Game) {
+      console.error('❌ Cookie Clicker Game object not found!');
+      return;
+    }
+
+    const intervalMs = options.intervalMs === undefined ? Constants.MONITOR_INTERVAL_MS : options.intervalMs;
+    if (typeof intervalMs !== 'number' || !(intervalMs >= Constants.MONITOR_MIN_INTERVAL_MS)) {
+      console.error(`❌ intervalMs must be a number of milliseconds (at least ${Constants.MONITOR_MIN_INTERVAL_MS}).`);
+      return;
+    }
+
+    stopMonitor(true);
+    monitor = new AutoMonitor({ intervalMs: intervalMs, formatter: renderer, scheduler: scheduler });
+    monitor.start(monitorTick);
+    monitorTick();
+    console.log(`✓ Monitor started (every ${intervalMs / 1000}s). Run CookieAdvisor.stopMonitor() to stop.`);
+  }
+
+  /**
+   * Stops the monitor started by startMonitor().
+   *
+   * @param {boolean} quiet - Suppress the confirmation message
+   */
+  function stopMonitor(quiet = false) {
+    if (!monitor) {
+      return;
+    }
+
+    monitor.stop();
+    monitor = null;
+    if (!quiet) {
+      console.log('✓ Monitor stopped.');
+    }
+  }
+
+  /**
+   * Gets the past top recommendations, oldest first. A recommendation is
+   * added when analyze(), showAll() or the monitor picks a different one.
+   *
+   * @returns {Array<Object>} { time, id, displayName, cost, roiTime }
+   */
+  function getHistory() {
+    return history.map(entry => Object.assign({}, entry));
+  }
+
+  /**
+   * Registers the advisor with the game's modding API: settings, history
+   * and monitor state are then kept in the game save, and the overlay,
+   * store highlights and monitor run on the game's logic hook instead of
+   * timers. Done on load when the game has the API.
+   *
+   * @returns {boolean} True if registered (now or before)
+   */
+  function registerMod() {
+    if (modRegistered) {
+      return true;
+    }
+
+    const game = typeof window !== 'undefined' ? window.Game : null;
+    if (!game || typeof game.registerMod !== 'function') {
+      console.error('❌ This version of Cookie Clicker has no modding API (Game.registerMod).');
+      return false;
+    }
+    if (game.mods && game.mods[Constants.MOD_ID]) {
+      console.warn('⚠️ Another copy of the advisor is already registered as a mod. Reload the page to use this one.');
+      return false;
+    }
+
+    game.registerMod(Constants.MOD_ID, {
+      init: () => {
+        scheduler.attach(game);
+        console.log('✓ Registered as a mod: settings, history and monitor state are kept in the game save.');
+      },
+      save: getModSaveData,
+      load: loadModSaveData
+    });
+    modRegistered = true;
+    return true;
+  }
+
+  /**
+   * Saves the game state and its candidates as a versioned JSON snapshot,
+   * to share an exact state or keep it as a regression fixture.
+   * In the browser console: copy(CookieAdvisor.snapshot())
+   *
+   * @param {Object} [gameState] - Normalized game state; defaults to the live game
+   * @returns {string|null} Snapshot JSON, or null on error
+   */
+  function snapshot(gameState) {
+    try {
+      const result = runPipeline(gameState);
+      if (!result) {
+        return null;
+      }
+
+      const { candidates, recommendations } = result;
+      const saved = Snapshot.create(result.gameState, candidates, recommendations, currentStrategy.getName());
+
+      console.log(`✓ Snapshot created (${candidates.length} candidates, strategy: ${currentStrategy.getName()})`);
+      return Snapshot.stringify(saved);
+
+    } catch (error) {
+      console.error('❌ Error creating snapshot:', error);
+      emit('error', { error: error, source: 'snapshot' });
+      return null;
+    }
+  }
+
+  /**
+   * Runs analysis against a stored snapshot instead of the live game.
+   * Uses the current strategy, so results may differ from the snapshot's own.
+   *
+   * @param {string|Object} json - Snapshot JSON (from snapshot()) or parsed document
+   * @returns {Object|null} Top recommendation, or null if none available
+   */
+  function loadSnapshot(json) {
+    let saved;
+    try {
+      saved = Snapshot.parse(json);
+    } catch (error) {
+      console.error(`❌ ${error.message}`);
+      return null;
+    }
+
+    console.log(`📂 Snapshot from ${saved.createdAt} (strategy when saved: ${saved.strategy})`);
+    return analyze(saved.gameState);
+  }
+
+  /**
+   * Compares two snapshots: buildings bought, CPS change and how the
+   * recommendations changed.
+   *
+   * @param {string|Object} before - Earlier snapshot
+   * @param {string|Object} after - Later snapshot
+   * @returns {Object|null} Diff report (see Snapshot.diff), or null on error
+   */
+  function diff(before, after) {
+    try {
+      const report = Snapshot.diff(before, after);
+      renderer.renderSnapshotDiff(report);
+      return report;
+
+    } catch (error) {
+      console.error(`❌ Error comparing snapshots: ${error.message}`);
+      emit('error', { error: error, source: 'diff' });
+      return null;
+    }
+  }
+
   /**
    * Displays debug information about current game state.
+   *
+   * @param {Object} [gameState] - Normalized game state; defaults to the live game
+   * @returns {Object|null} { gameState, candidates, validCandidates, strategy }, or null on error
    */
-  function debug() {
+  function debug(gameState) {
     try {
       console.log('═══════════════════════════════════════════════════');
       console.log('  DEBUG INFO');
       console.log('═══════════════════════════════════════════════════');
 
-      if (typeof window === 'undefined' || !window.Game) {
-        console.log('❌ Game object not found');
-        return;
+      const result = runPipeline(gameState);
+      if (!result) {
+        return null;
       }
-
-      const adapter = new GameStateAdapter(window.Game);
-      const gameState = adapter.getGameState();
-      const model = new EconomicModel(gameState);
-      const candidates = model.getAllCandidates();
+      const { model, candidates } = result;
+      gameState = result.gameState;
 
       console.log('Game State:');
       console.log(`  Cookies: ${gameState.cookies}`);
       console.log(`  CPS: ${gameState.cookiesPerSecond}`);
+      if (gameState.buffs && gameState.buffs.length > 0) {
+        console.log(`  CPS With Buffs: ${gameState.currentCPS} (×${gameState.buffMultiplier})`);
+        console.log(`  Active Buffs: ${gameState.buffs.map(b => b.name).join(', ')}`);
+      }
+      console.log(`  Global Multiplier: ×${model.getGlobalMultiplier().toFixed(2)}`);
+      console.log(`  Milk: ${((gameState.milk || 0) * 100).toFixed(0)}% (kittens ×${(gameState.kittenMultiplier || 1).toFixed(2)})`);
+      console.log(`  Click Rate: ${gameState.clicksPerSecond} clicks/sec (${gameState.clickProfile})`);
+      console.log(`  Cookies Per Click: ${gameState.cookiesPerClick}`);
       console.log(`  Buildings: ${gameState.buildings.length}`);
+      console.log(`  Owned Upgrades: ${(gameState.ownedUpgrades || []).length}`);
       console.log(`  Upgrades: ${gameState.upgrades.length}`);
       console.log('');
 
@@ -1838,9 +8470,12 @@ const CookieAdvisor = (function() {
       console.log(`  Total: ${candidates.length}`);
       console.log(`  Buildings: ${candidates.filter(c => c.type === 'building').length}`);
       console.log(`  Upgrades: ${candidates.filter(c => c.type === 'upgrade').length}`);
+      console.log(`  Bulk Buys (not ranked): ${candidates.filter(c => c.informational).length}`);
+      console.log(`  Toggles (not ranked): ${model.getToggles().length}`);
       console.log('');
 
       const validCandidates = candidates.filter(c =>
+        !c.informational &&
         Validators.isValidROI(c.roiTime) &&
         c.roiTime <= Constants.MAX_REASONABLE_ROI
       );
@@ -1852,11 +8487,23 @@ const CookieAdvisor = (function() {
       console.log('');
 
       // Show candidate table
-      const renderer = new OutputRenderer();
       renderer.renderCandidateTable(validCandidates.slice(0, 10));
+      const bulkBuys = candidates.filter(c => c.informational);
+      if (bulkBuys.length > 0) {
+        renderer.renderCandidateTable(bulkBuys.slice(0, 10), 'Bulk Buys, not ranked');
+      }
+
+      return {
+        gameState: gameState,
+        candidates: candidates,
+        validCandidates: validCandidates,
+        strategy: currentStrategy.getName()
+      };
 
     } catch (error) {
       console.error('Error in debug:', error);
+      emit('error', { error: error, source: 'debug' });
+      return null;
     }
   }
 
@@ -1878,9 +8525,62 @@ const CookieAdvisor = (function() {
     console.log('  CookieAdvisor.getRecommendation()');
     console.log('    → Get top recommendation without output');
     console.log('');
+    console.log('  CookieAdvisor.plan({ horizonSeconds: 1800 })');
+    console.log('    → What to buy, and when, over the next 30 minutes');
+    console.log('');
+    console.log('  CookieAdvisor.timeTo(1e6) / timeTo(\'Farm\') / timeTo({ cps: 500 })');
+    console.log('    → Invest first or save? Fastest path to a goal');
+    console.log('');
+    console.log('  CookieAdvisor.goldenCookies()');
+    console.log('    → Golden cookie income and the Lucky bank to keep');
+    console.log('');
+    console.log('  CookieAdvisor.ascension()');
+    console.log('    → Prestige gained this run, and when the prestige rate peaks (time to ascend)');
+    console.log('');
+    console.log('  CookieAdvisor.heavenlyUpgrades()');
+    console.log('    → What to buy with heavenly chips: permanent CPS, offline production, then key unlocks');
+    console.log('');
     console.log('  CookieAdvisor.setStrategy(new LookaheadStrategy())');
+    console.log('  CookieAdvisor.setStrategy(\'lookahead\')');
     console.log('    → Change ranking strategy');
     console.log('');
+    console.log('  CookieAdvisor.configure({ MAX_REASONABLE_ROI: 7200 })');
+    console.log('    → Change a threshold (saved for next time; getConfig() to view, resetConfig() to undo)');
+    console.log(`      Settings: ${Config.getSettingNames().join(', ')}`);
+    console.log('');
+    console.log('  CookieAdvisor.setClickProfile(\'active\')');
+    console.log('    → Value click upgrades for idle, casual, active or autoclicker play');
+    console.log('');
+    console.log('  CookieAdvisor.measureClickRate(10)');
+    console.log('    → Measure your click rate over 10 seconds');
+    console.log('');
+    console.log('  CookieAdvisor.showOverlay()');
+    console.log('    → Show recommendations in a panel on the page (hideOverlay() to close)');
+    console.log('');
+    console.log('  CookieAdvisor.highlightStore(true)');
+    console.log('    → Mark recommended buildings and upgrades in the store (false to remove)');
+    console.log('');
+    console.log('  CookieAdvisor.startMonitor({ intervalMs: 5000 })');
+    console.log('    → Re-analyze every 5s and notify when the best buy changes or is affordable (stopMonitor() to stop)');
+    console.log('');
+    console.log('  CookieAdvisor.getHistory()');
+    console.log('    → Past top recommendations');
+    console.log('');
+    console.log('  copy(CookieAdvisor.snapshot())');
+    console.log('    → Copy the current state as a snapshot to share');
+    console.log('');
+    console.log('  CookieAdvisor.loadSnapshot(json)');
+    console.log('    → Analyze a saved snapshot instead of the live game');
+    console.log('');
+    console.log('  CookieAdvisor.diff(before, after)');
+    console.log('    → Compare two snapshots');
+    console.log('');
+    console.log('  CookieAdvisor.on(\'recommendationChanged\', ({ current }) => ...)');
+    console.log('    → React to analysisComplete, recommendationChanged, becameAffordable, error');
+    console.log('');
+    console.log('  CookieAdvisor.addCandidateHook((candidates, gameState) => candidates)');
+    console.log('    → Adjust candidates before every ranking');
+    console.log('');
     console.log('  CookieAdvisor.debug()');
     console.log('    → Show debug information');
     console.log('');
@@ -1889,6 +8589,7 @@ const CookieAdvisor = (function() {
     console.log('');
     console.log('STRATEGIES:');
     console.log('  GreedyStrategy (default) - Lowest ROI time first');
+    console.log('  PaybackStrategy - Lowest wait + ROI time first');
     console.log('  LookaheadStrategy - Simulates N purchases ahead');
     console.log('  SynergyStrategy - Prioritizes building synergies');
     console.log('  BalancedStrategy - Mix ROI with diversification');
@@ -1897,6 +8598,7 @@ const CookieAdvisor = (function() {
     console.log('  ROI Time = Cost / Delta CPS');
     console.log('  Example: 1,000 cookies / 10 CPS = 100 seconds');
     console.log('  Lower ROI time = better investment (pays back faster)');
+    console.log('  Payback From Now = Time To Afford + ROI Time');
     console.log('');
     console.log('═══════════════════════════════════════════════════');
   }
@@ -1907,17 +8609,30 @@ const CookieAdvisor = (function() {
    * @returns {string} Version string
    */
   function version() {
-    return 'Cookie Clicker ROI Advisor v1.0.0 - Greedy Strategy';
+    return `Cookie Clicker ROI Advisor v${Constants.VERSION}`;
   }
 
   // ═══════════════════════════════════════════════════════════════
   // INITIALIZATION
   // ═══════════════════════════════════════════════════════════════
 
-  // Auto-run welcome message on load (optional)
-  console.log('✓ Cookie Clicker ROI Advisor loaded successfully!');
-  console.log('Run CookieAdvisor.analyze() to get started.');
-  console.log('Run CookieAdvisor.help() for more information.');
+  // Settings saved by configure() in an earlier session
+  const restoredSettings = config.load();
+
+  // Keep state in the game save when the game has the modding API
+  if (typeof window !== 'undefined' && window.Game && typeof window.Game.registerMod === 'function') {
+    registerMod();
+  }
+
+  // Auto-run welcome message on load (browser console only)
+  if (typeof window !== 'undefined') {
+    console.log('✓ Cookie Clicker ROI Advisor loaded successfully!');
+    if (restoredSettings.length > 0) {
+      console.log(`✓ Restored saved settings: ${restoredSettings.join(', ')} (CookieAdvisor.resetConfig() to undo)`);
+    }
+    console.log('Run CookieAdvisor.analyze() to get started.');
+    console.log('Run CookieAdvisor.help() for more information.');
+  }
 
   // ═══════════════════════════════════════════════════════════════
   // PUBLIC API EXPORT
@@ -1928,9 +8643,36 @@ const CookieAdvisor = (function() {
     getRecommendation,
     getAllRecommendations,
     showAll,
+    plan,
+    timeTo,
+    goldenCookies,
+    ascension,
+    heavenlyUpgrades,
     setStrategy,
     getStrategyName,
     getLastRecommendation,
+    setRenderer,
+    configure,
+    getConfig,
+    resetConfig,
+    on,
+    off,
+    addCandidateHook,
+    removeCandidateHook,
+    setClickProfile,
+    setClickRate,
+    getClickRate,
+    measureClickRate,
+    showOverlay,
+    hideOverlay,
+    highlightStore,
+    startMonitor,
+    stopMonitor,
+    getHistory,
+    registerMod,
+    snapshot,
+    loadSnapshot,
+    diff,
     debug,
     help,
     version
@@ -10,6 +10,11 @@
  * 3. Load all advisor modules
  * 4. Run CookieAdvisor.analyze()
  * 5. Verify behavior matches expectations
+ *
+ * AUTOMATED:
+ * Each scenario's mockGame is a spec for tests/helpers/mockGame.js, and
+ * tests/scenarios.test.js checks its passConditions under Node:
+ *   node --test tests/
  */
 
 const TestScenarios = {
@@ -43,6 +48,14 @@ const TestScenarios = {
       topRecommendation: ['Cursor', 'Grandma'],
       roiTime: '< 60',
       affordable: true
+    },
+    mockGame: {
+      cookies: 500,
+      buildings: {
+        Cursor: { amount: 2, multiplier: 2 },
+        Grandma: { amount: 1, multiplier: 2 }
+      },
+      owned: ['Reinforced index finger', 'Forwards from grandma']
     }
   },
 
@@ -76,6 +89,25 @@ const TestScenarios = {
       upgradesInTop5: true,
       roiTime: '< 600',
       deltaCPSNonZero: true
+    },
+    mockGame: {
+      cookies: 2e5,
+      buildings: {
+        Cursor: { amount: 25, multiplier: 4 },
+        Grandma: { amount: 20, multiplier: 4 },
+        Farm: { amount: 12, multiplier: 2 },
+        Mine: 6,
+        Factory: 2
+      },
+      owned: [
+        'Reinforced index finger', 'Carpal tunnel prevention cream',
+        'Forwards from grandma', 'Steel-plated rolling pins', 'Cheap hoes'
+      ],
+      store: [
+        { name: 'Lubricated dentures', price: 50000, desc: 'Grandmas are <b>twice</b> as efficient.' },
+        { name: 'Farmer grandmas', price: 55000, desc: 'Grandmas are <b>twice</b> as efficient. Farms gain <b>+1% CpS</b> per grandma.' },
+        { name: 'Sugar gas', price: 1.2e5, desc: 'Mines are <b>twice</b> as efficient.' }
+      ]
     }
   },
 
@@ -109,6 +141,27 @@ const TestScenarios = {
       upgradeInTop3: true,
       upgradeROIFinite: true,
       upgradeROIReasonable: '< 600'
+    },
+    mockGame: {
+      cookies: 5e7,
+      milk: 0.8,
+      buildings: {
+        Cursor: { amount: 80, multiplier: 8 },
+        Grandma: { amount: 60, multiplier: 16 },
+        Farm: { amount: 50, multiplier: 4 },
+        Mine: { amount: 40, multiplier: 4 },
+        Factory: { amount: 30, multiplier: 4 },
+        Bank: { amount: 15, multiplier: 2 },
+        Temple: 5
+      },
+      store: [
+        { name: 'Plain cookies', price: 999999, desc: 'Cookie production multiplier <b>+1%</b>.' },
+        { name: 'Mine grandmas', price: 6e5, desc: 'Grandmas are <b>twice</b> as efficient. Mines gain <b>+1% CpS</b> per 2 grandmas.' },
+        { name: 'Sugar cookies', price: 5e6, desc: 'Cookie production multiplier <b>+1%</b>.' },
+        { name: 'Factory grandmas', price: 6.5e6, desc: 'Grandmas are <b>twice</b> as efficient. Factories gain <b>+1% CpS</b> per 3 grandmas.' },
+        { name: 'Kitten helpers', price: 9e6, desc: 'You gain <b>more CpS</b> the more milk you have.' },
+        { name: 'Taller tellers', price: 1.4e7, desc: 'Banks are <b>twice</b> as efficient.' }
+      ]
     }
   },
 
@@ -142,6 +195,27 @@ const TestScenarios = {
       roiTime: '< 3600',
       noInfinity: true,
       noNaN: true
+    },
+    mockGame: {
+      cookies: 5e12,
+      globalCpsMult: 3,
+      buildings: {
+        Cursor: { amount: 150, multiplier: 1024 },
+        Grandma: { amount: 120, multiplier: 4096 },
+        Farm: { amount: 110, multiplier: 1024 },
+        Mine: { amount: 100, multiplier: 1024 },
+        Factory: { amount: 100, multiplier: 512 },
+        Bank: { amount: 80, multiplier: 512 },
+        Temple: { amount: 60, multiplier: 256 },
+        'Wizard tower': { amount: 50, multiplier: 256 },
+        Shipment: { amount: 40, multiplier: 128 },
+        'Alchemy lab': { amount: 30, multiplier: 128 },
+        Portal: { amount: 20, multiplier: 64 },
+        'Time machine': { amount: 5, multiplier: 32 }
+      },
+      store: [
+        { name: 'Chocolate chip cookie', price: 1e12, desc: 'Cookie production multiplier <b>+10%</b>.' }
+      ]
     }
   },
 
@@ -175,6 +249,10 @@ const TestScenarios = {
       noCrash: true,
       showsWaitTime: true,
       recommendationPresent: true
+    },
+    mockGame: {
+      cookies: 50,
+      buildings: { Cursor: 35, Grandma: 18 }
     }
   },
 
@@ -208,6 +286,18 @@ const TestScenarios = {
       onlyBuildings: true,
       noUpgrades: true,
       analysisSuccessful: true
+    },
+    mockGame: {
+      cookies: 5e6,
+      buildings: {
+        Cursor: { amount: 50, multiplier: 8 },
+        Grandma: { amount: 40, multiplier: 8 },
+        Farm: { amount: 30, multiplier: 4 },
+        Mine: { amount: 20, multiplier: 2 },
+        Factory: 10,
+        Bank: 3
+      },
+      owned: ['Reinforced index finger', 'Forwards from grandma']
     }
   },
 
@@ -241,6 +331,11 @@ const TestScenarios = {
       recommendsCursor: true,
       deltaCPSEqualsBase: true,
       noDivisionByZero: true
+    },
+    // With 0 CPS only the Cursor can ever be afforded, so rank by payback from now
+    strategy: 'payback',
+    mockGame: {
+      cookies: 15
     }
   },
 
@@ -274,6 +369,17 @@ const TestScenarios = {
       executionTime: '< 10ms',
       consistentResults: true,
       noMemoryLeaks: true
+    },
+    mockGame: {
+      cookies: 2e5,
+      buildings: {
+        Cursor: { amount: 25, multiplier: 4 },
+        Grandma: { amount: 20, multiplier: 4 },
+        Farm: { amount: 12, multiplier: 2 }
+      },
+      store: [
+        { name: 'Farmer grandmas', price: 55000, desc: 'Grandmas are <b>twice</b> as efficient. Farms gain <b>+1% CpS</b> per grandma.' }
+      ]
     }
   }
 };
@@ -388,3 +494,8 @@ if (typeof window !== 'undefined') {
   console.log('✓ Test Scenarios loaded');
   console.log('Run TestRunner.listScenarios() to see all test cases');
 }
+
+// Export for automated tests (Node.js)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { TestScenarios, TestRunner };
+}
@@ -1,21 +1,14 @@
 /**
  * relaxed-advisor.js
  *
- * Temporary helper to see ALL candidates without the 1-hour filter.
+ * Helper to see ALL candidates without the 1-hour filter.
  * Paste this AFTER loading the main bundle.
+ *
+ * Kept for old bookmarks: it only turns the ROI filter off through
+ * CookieAdvisor.configure(), which also saves the setting for next time.
+ * Run CookieAdvisor.resetConfig() to turn the filter back on.
  */
 
-// Create a relaxed strategy that shows everything
-class RelaxedStrategy extends Strategy {
-  evaluate(candidates) {
-    return candidates
-      .filter(c => Validators.isValidROI(c.roiTime))
-      .filter(c => Validators.isValidCandidate(c))
-      .sort((a, b) => a.roiTime - b.roiTime);
-  }
-}
-
-// Temporarily switch to relaxed mode
-CookieAdvisor.setStrategy(new RelaxedStrategy());
-console.log('✓ Switched to RelaxedStrategy (no time filter)');
+CookieAdvisor.configure({ MAX_REASONABLE_ROI: Infinity });
+console.log('✓ ROI time filter turned off (CookieAdvisor.resetConfig() to restore it)');
 console.log('Run CookieAdvisor.analyze() again to see ALL recommendations.');
@@ -8,6 +8,28 @@
  *   CookieAdvisor.analyze()           - Run analysis and show recommendations
  *   CookieAdvisor.setStrategy(strat)  - Change ranking strategy
  *   CookieAdvisor.getRecommendation() - Get top recommendation without rendering
+ *   CookieAdvisor.plan({ horizonSeconds }) - Shopping list for the next N seconds
+ *   CookieAdvisor.timeTo(target)      - Fastest way to a cookie amount, a purchase or a CPS level
+ *   CookieAdvisor.goldenCookies()     - Golden cookie income and the Lucky bank to keep
+ *   CookieAdvisor.ascension()         - Prestige gained this run and when to ascend
+ *   CookieAdvisor.heavenlyUpgrades()  - What to buy with heavenly chips, in order
+ *   CookieAdvisor.configure(settings) - Change thresholds such as MAX_REASONABLE_ROI (saved in localStorage)
+ *   CookieAdvisor.setClickProfile(name) - Set how much you click (idle/casual/active/autoclicker)
+ *   CookieAdvisor.measureClickRate(sec) - Measure your actual click rate
+ *   CookieAdvisor.showOverlay()       - Show recommendations in a panel on the game page
+ *   CookieAdvisor.highlightStore()    - Mark recommendations in the game's store
+ *   CookieAdvisor.startMonitor()      - Notify when the best investment changes or becomes affordable
+ *   CookieAdvisor.on(event, handler)  - Events: analysisComplete, recommendationChanged, becameAffordable, error
+ *   CookieAdvisor.addCandidateHook(fn) - Adjust candidates before ranking
+ *   CookieAdvisor.snapshot()          - Save the state as shareable JSON (loadSnapshot/diff to use it)
+ *   CookieAdvisor.getHistory()        - Past top recommendations
+ *
+ * Every analysis entry point also accepts a normalized game state
+ * (e.g. from SaveImporter), so the same flow runs without window.Game.
+ *
+ * In a game with the modding API (Game.registerMod) the advisor registers
+ * itself as a mod: settings, history and monitor state are kept in the
+ * game save, and periodic work runs on the game's logic hook.
  *
  * This file should be loaded AFTER all other modules.
  */
@@ -20,78 +42,381 @@ const CookieAdvisor = (function() {
   // ═══════════════════════════════════════════════════════════════
 
   let currentStrategy = new GreedyStrategy();
+  let renderer = new OutputRenderer();
   let lastRecommendation = null;
+  let clickProfile = Constants.DEFAULT_CLICK_PROFILE.toLowerCase();
+  let clicksPerSecond = Constants.CLICK_PROFILES[Constants.DEFAULT_CLICK_PROFILE];
+  let overlay = null; // { renderer, previousRenderer, timer, signature } while the overlay is shown
+  let storeHighlight = null; // { highlighter, timer } while store highlighting is on
+  let monitor = null; // AutoMonitor while monitoring
+  const config = new Config(); // Overrides of the configurable Constants
+  const scheduler = new TickScheduler(); // Periodic tasks; on the game's logic hook once registered as a mod
+  let history = []; // Past top recommendations, oldest first
+  let modRegistered = false;
+  let candidateHooks = []; // hook(candidates, gameState) → candidates, run before ranking
+  const listeners = {
+    analysisComplete: [],
+    recommendationChanged: [],
+    becameAffordable: [],
+    error: []
+  };
 
   // ═══════════════════════════════════════════════════════════════
-  // PUBLIC API
+  // PRIVATE HELPERS
   // ═══════════════════════════════════════════════════════════════
 
   /**
-   * Runs full analysis and displays recommendations to console.
+   * Resolves the game state to analyze: the one passed in, or the live
+   * game's. Adds the player's click rate, which the game does not track.
    *
-   * @returns {Object|null} Top recommendation, or null if none available
+   * @param {Object} [gameState] - Normalized game state (e.g. from SaveImporter)
+   * @param {boolean} quiet - Suppress error messages
+   * @returns {Object|null} Game state, or null if none is available
    */
-  function analyze() {
-    try {
-      // Step 1: Validate Game object exists
+  function resolveGameState(gameState, quiet = false) {
+    if (!gameState) {
       if (typeof window === 'undefined' || !window.Game) {
-        console.error('❌ Cookie Clicker Game object not found!');
-        console.log('Make sure you are running this in the Cookie Clicker browser console.');
+        if (!quiet) {
+          console.error('❌ Cookie Clicker Game object not found!');
+          console.log('Make sure you are running this in the Cookie Clicker browser console.');
+        }
         return null;
       }
 
       if (!Validators.isValidGameObject(window.Game)) {
-        console.error('❌ Game object is invalid or incomplete.');
-        console.log('Make sure Cookie Clicker has finished loading.');
+        if (!quiet) {
+          console.error('❌ Game object is invalid or incomplete.');
+          console.log('Make sure Cookie Clicker has finished loading.');
+        }
         return null;
       }
 
-      // Step 2: Extract game state
-      const adapter = new GameStateAdapter(window.Game);
-      const gameState = adapter.getGameState();
+      gameState = new GameStateAdapter(window.Game).getGameState();
+    }
 
-      // Validate extracted state
-      if (!Validators.isValidGameState(gameState)) {
+    // Validate extracted state
+    if (!Validators.isValidGameState(gameState)) {
+      if (!quiet) {
         console.error('❌ Failed to extract valid game state.');
-        return null;
       }
+      return null;
+    }
+
+    return {
+      ...gameState,
+      clicksPerSecond: typeof gameState.clicksPerSecond === 'number' ? gameState.clicksPerSecond : clicksPerSecond,
+      clickProfile: gameState.clickProfile || clickProfile
+    };
+  }
+
+  /**
+   * Calls every listener for an event. A failing listener is logged and
+   * does not stop the other listeners or the analysis.
+   *
+   * @param {string} eventName - Key of listeners
+   * @param {Object} payload - Event data
+   */
+  function emit(eventName, payload) {
+    for (const handler of [...listeners[eventName]]) {
+      try {
+        handler(payload);
+      } catch (error) {
+        console.error(`❌ Error in ${eventName} listener:`, error);
+      }
+    }
+  }
+
+  /**
+   * Passes candidates through each candidate hook in turn. A hook returns
+   * the new candidate list; returning anything else keeps the list it got.
+   *
+   * @param {Array<Object>} candidates - Candidates from EconomicModel
+   * @param {Object} gameState - Game state they were computed from
+   * @returns {Array<Object>} Candidates to rank
+   */
+  function applyCandidateHooks(candidates, gameState) {
+    return candidateHooks.reduce((current, hook) => {
+      const result = hook(current, gameState);
+      return Array.isArray(result) ? result : current;
+    }, candidates);
+  }
+
+  /**
+   * The pipeline every entry point shares: game state → candidates →
+   * candidate hooks → ranking → Lucky bank flags. Emits analysisComplete.
+   *
+   * @param {Object} [gameState] - Normalized game state; defaults to the live game
+   * @param {Object} options - { quiet, rank } where rank(candidates, gameState)
+   *   replaces the current strategy's ranking
+   * @returns {Object|null} { gameState, model, candidates, recommendations }, or null without a valid game state
+   */
+  function runPipeline(gameState, options = {}) {
+    gameState = resolveGameState(gameState, options.quiet);
+    if (!gameState) {
+      return null;
+    }
+
+    const model = new EconomicModel(gameState);
+    const candidates = applyCandidateHooks(model.getAllCandidates(), gameState);
+    const rank = options.rank || ((c, state) => new StrategyEngine(currentStrategy).recommend(c, state));
+    const ranked = candidates.length > 0 ? rank(candidates, gameState) : [];
+    const recommendations = new GoldenCookieAnalyzer(gameState).flagRecommendations(ranked);
+
+    emit('analysisComplete', { gameState, candidates, recommendations });
+    return { gameState, model, candidates, recommendations };
+  }
+
+  /**
+   * Turns simulated purchases (PurchaseSimulator.purchases) into plain
+   * data for results and renderers.
+   *
+   * @param {Array<Object>} purchases - { time, candidate, cookiesPerSecond, cookies }
+   * @returns {Array<Object>} { time, id, type, name, displayName, cost, deltaCPS, cookiesPerSecond, cookies }
+   */
+  function describePurchases(purchases) {
+    return purchases.map(({ time, candidate, cookiesPerSecond, cookies }) => ({
+      time: time,
+      id: candidate.id,
+      type: candidate.type,
+      name: candidate.name,
+      displayName: candidate.displayName || candidate.name,
+      cost: candidate.cost,
+      deltaCPS: candidate.deltaCPS,
+      cookiesPerSecond: cookiesPerSecond,
+      cookies: cookies
+    }));
+  }
+
+  /**
+   * Updates the lastRecommendation cache, emitting recommendationChanged
+   * when the top recommendation is a different purchase.
+   *
+   * @param {Object} topChoice - New top recommendation
+   */
+  function trackRecommendation(topChoice) {
+    const previous = lastRecommendation;
+    lastRecommendation = topChoice;
+
+    if (!topChoice || (previous && previous.id === topChoice.id)) {
+      return;
+    }
+
+    recordHistory(topChoice);
+    if (previous) {
+      emit('recommendationChanged', { previous: previous, current: topChoice });
+    }
+  }
+
+  /**
+   * Adds a new top recommendation to the history, keeping the last
+   * Constants.HISTORY_LIMIT entries. A repeat of the last entry (e.g. the
+   * first analysis after a save is loaded) is not added.
+   *
+   * @param {Object} recommendation - Top recommendation
+   */
+  function recordHistory(recommendation) {
+    const last = history[history.length - 1];
+    if (last && last.id === recommendation.id) {
+      return;
+    }
+
+    history.push({
+      time: Date.now(),
+      id: recommendation.id,
+      displayName: recommendation.displayName || recommendation.name,
+      cost: recommendation.cost,
+      roiTime: recommendation.roiTime
+    });
+    history = history.slice(-Constants.HISTORY_LIMIT);
+  }
+
+  /**
+   * Data kept in the game save when running as a mod.
+   *
+   * @returns {string} JSON text: { version, settings, history, monitor }
+   */
+  function getModSaveData() {
+    return JSON.stringify({
+      version: Constants.MOD_SAVE_VERSION,
+      settings: Config.stringify(config.getOverrides()),
+      history: history,
+      monitor: monitor ? { running: true, intervalMs: monitor.intervalMs } : { running: false }
+    });
+  }
+
+  /**
+   * Restores data from the game save (called by the game when a save is
+   * loaded). Invalid data is ignored with a warning.
+   *
+   * @param {string} json - Text returned by getModSaveData()
+   */
+  function loadModSaveData(json) {
+    try {
+      const data = JSON.parse(json);
+      if (!data || typeof data.version !== 'number' || data.version > Constants.MOD_SAVE_VERSION) {
+        throw new Error(`unsupported data version ${data && data.version}`);
+      }
+
+      config.replace(typeof data.settings === 'string' ? Config.parse(data.settings) : {});
+      history = Array.isArray(data.history) ? data.history.slice(-Constants.HISTORY_LIMIT) : [];
+      lastRecommendation = null;
+
+      if (data.monitor && data.monitor.running) {
+        startMonitor({ intervalMs: data.monitor.intervalMs });
+      } else {
+        stopMonitor(true);
+      }
+
+    } catch (error) {
+      console.warn(`⚠️ Could not load Cookie Advisor data from the save: ${error.message}`);
+    }
+  }
+
+  /**
+   * Renders recommendations with the current renderer, and marks them in
+   * the store when highlighting is on and the state came from the live game.
+   *
+   * @param {Object} topChoice - Best recommendation
+   * @param {Array<Object>} alternatives - Alternative recommendations
+   * @param {Object} result - runPipeline() result they came from ({ gameState, model })
+   * @param {boolean} live - True if gameState was read from window.Game
+   */
+  function render(topChoice, alternatives, result, live) {
+    const gameState = result.gameState;
+    renderer.renderRecommendation(topChoice, alternatives, gameState, {
+      ascension: new AscensionAnalyzer(gameState).analyze(),
+      toggles: result.model.getToggles()
+    });
+
+    if (storeHighlight && live) {
+      storeHighlight.highlighter.renderRecommendation(topChoice, alternatives, gameState);
+    }
+  }
+
+  /**
+   * Summarizes what can change a recommendation: buildings owned, upgrades
+   * in store and active buffs. Cookies alone only change time-to-afford.
+   *
+   * @param {Object} game - Cookie Clicker Game object
+   * @returns {string} Signature that changes when any of these change
+   */
+  function getPurchaseSignature(game) {
+    const buildings = Object.values(game.Objects).map(b => b.amount).join(',');
+    const upgrades = game.UpgradesInStore.map(u => u.name).join(',');
+    const buffs = Object.keys(game.buffs || {}).join(',');
+    return `${buildings}|${upgrades}|${buffs}`;
+  }
 
-      // Step 3: Calculate ROI for all candidates
-      const model = new EconomicModel(gameState);
-      const candidates = model.getAllCandidates();
+  /**
+   * Overlay timer tick: re-analyzes when the purchase signature changed,
+   * otherwise just updates time-to-afford from the live cookie count.
+   */
+  function refreshOverlay() {
+    if (!overlay || !window.Game || !Validators.isValidGameObject(window.Game)) {
+      return;
+    }
+
+    const signature = getPurchaseSignature(window.Game);
+    if (signature === overlay.signature) {
+      overlay.renderer.updateCookies(window.Game.cookies);
+      return;
+    }
+
+    overlay.signature = signature;
+    if (!analyze()) {
+      overlay.renderer.renderMessage('No purchase pays back within the ROI limit. Run CookieAdvisor.showAll() in the console to see every option.');
+    }
+  }
+
+  /**
+   * Re-analyzes into the overlay (if shown) even when the game hasn't
+   * changed, e.g. after the settings changed.
+   */
+  function redrawOverlay() {
+    if (overlay) {
+      overlay.signature = null;
+      refreshOverlay();
+    }
+  }
 
-      if (candidates.length === 0) {
+  /**
+   * Monitor tick: re-runs the pipeline quietly, updates the
+   * lastRecommendation cache and notifies about changes against it.
+   */
+  function monitorTick() {
+    if (!monitor) {
+      return;
+    }
+
+    const previous = lastRecommendation;
+    const current = getRecommendation();
+    if (current) {
+      trackRecommendation(current); // Emits recommendationChanged
+    }
+
+    const cookies = window.Game ? window.Game.cookies : 0;
+    for (const event of monitor.check(previous, current, cookies)) {
+      monitor.notify(event);
+      if (event.type === 'becameAffordable') {
+        emit('becameAffordable', { recommendation: current });
+      }
+    }
+  }
+
+  // ═══════════════════════════════════════════════════════════════
+  // PUBLIC API
+  // ═══════════════════════════════════════════════════════════════
+
+  /**
+   * Runs full analysis and displays recommendations to console.
+   *
+   * @param {Object} [gameState] - Normalized game state; defaults to the live game
+   * @returns {Object|null} Top recommendation, or null if none available
+   */
+  function analyze(gameState) {
+    try {
+      // Steps 1-4: Game state → candidates → hooks → strategy ranking
+      const live = !gameState;
+      const result = runPipeline(gameState);
+      if (!result) {
+        return null;
+      }
+      gameState = result.gameState;
+
+      if (result.candidates.length === 0) {
         console.warn('⚠️ No purchase candidates found.');
         console.log('This might mean all buildings/upgrades are locked or unavailable.');
         return null;
       }
 
-      // Step 4: Apply strategy to rank candidates
-      const engine = new StrategyEngine(currentStrategy);
-      const recommendations = engine.recommend(candidates);
-
+      const recommendations = result.recommendations;
       if (recommendations.length === 0) {
         console.warn('⚠️ No valid recommendations after filtering.');
-        console.log('All available purchases may have very long ROI times (>1 hour).');
-        console.log('Try: CookieAdvisor.showAll() to see all options.');
+        console.log(`All available purchases may have ROI times over MAX_REASONABLE_ROI (${Constants.MAX_REASONABLE_ROI}s).`);
+        console.log('Run CookieAdvisor.showAll(), or raise the limit with CookieAdvisor.configure({ MAX_REASONABLE_ROI: 7200 }).');
+        if (storeHighlight && live) {
+          storeHighlight.highlighter.clear();
+        }
         return null;
       }
 
       // Step 5: Render output
-      const renderer = new OutputRenderer();
       const topChoice = recommendations[0];
       const alternatives = recommendations.slice(1, Constants.TOP_ALTERNATIVES_COUNT + 1);
 
-      renderer.renderRecommendation(topChoice, alternatives, gameState);
+      render(topChoice, alternatives, result, live);
 
-      // Cache result
-      lastRecommendation = topChoice;
+      // Cache result (only the live game's; an explicit state says nothing about it)
+      if (live) {
+        trackRecommendation(topChoice);
+      }
 
       return topChoice;
 
     } catch (error) {
       console.error('❌ Error during analysis:', error);
       console.error(error.stack);
+      emit('error', { error: error, source: 'analyze' });
       return null;
     }
   }
@@ -100,25 +425,17 @@ const CookieAdvisor = (function() {
    * Gets the top recommendation without rendering output.
    * Useful for programmatic access or monitoring.
    *
+   * @param {Object} [gameState] - Normalized game state; defaults to the live game
    * @returns {Object|null} Top recommendation, or null if none available
    */
-  function getRecommendation() {
+  function getRecommendation(gameState) {
     try {
-      if (typeof window === 'undefined' || !window.Game) {
-        return null;
-      }
-
-      const adapter = new GameStateAdapter(window.Game);
-      const gameState = adapter.getGameState();
-      const model = new EconomicModel(gameState);
-      const candidates = model.getAllCandidates();
-      const engine = new StrategyEngine(currentStrategy);
-      const recommendations = engine.recommend(candidates);
-
-      return recommendations.length > 0 ? recommendations[0] : null;
+      const result = runPipeline(gameState, { quiet: true });
+      return result && result.recommendations.length > 0 ? result.recommendations[0] : null;
 
     } catch (error) {
       console.error('Error getting recommendation:', error);
+      emit('error', { error: error, source: 'getRecommendation' });
       return null;
     }
   }
@@ -127,25 +444,17 @@ const CookieAdvisor = (function() {
    * Gets all recommendations (not just top one).
    *
    * @param {number} limit - Maximum number of recommendations to return
+   * @param {Object} [gameState] - Normalized game state; defaults to the live game
    * @returns {Array<Object>} Array of recommendations
    */
-  function getAllRecommendations(limit = 10) {
+  function getAllRecommendations(limit = 10, gameState) {
     try {
-      if (typeof window === 'undefined' || !window.Game) {
-        return [];
-      }
-
-      const adapter = new GameStateAdapter(window.Game);
-      const gameState = adapter.getGameState();
-      const model = new EconomicModel(gameState);
-      const candidates = model.getAllCandidates();
-      const engine = new StrategyEngine(currentStrategy);
-      const recommendations = engine.recommend(candidates);
-
-      return recommendations.slice(0, limit);
+      const result = runPipeline(gameState, { quiet: true });
+      return result ? result.recommendations.slice(0, limit) : [];
 
     } catch (error) {
       console.error('Error getting recommendations:', error);
+      emit('error', { error: error, source: 'getAllRecommendations' });
       return [];
     }
   }
@@ -154,51 +463,34 @@ const CookieAdvisor = (function() {
    * Shows ALL recommendations without time filtering.
    * Useful when all normal recommendations have very long ROI times.
    *
+   * @param {Object} [gameState] - Normalized game state; defaults to the live game
    * @returns {Object|null} Top recommendation (unfiltered), or null if none available
    */
-  function showAll() {
+  function showAll(gameState) {
     try {
-      // Step 1: Validate Game object exists
-      if (typeof window === 'undefined' || !window.Game) {
-        console.error('❌ Cookie Clicker Game object not found!');
-        console.log('Make sure you are running this in the Cookie Clicker browser console.');
-        return null;
-      }
-
-      if (!Validators.isValidGameObject(window.Game)) {
-        console.error('❌ Game object is invalid or incomplete.');
-        console.log('Make sure Cookie Clicker has finished loading.');
+      // Steps 1-4, ranked with a relaxed strategy (no time filter)
+      const live = !gameState;
+      const result = runPipeline(gameState, {
+        // Inline RelaxedStrategy to avoid dependency issues
+        rank: candidates => candidates
+          .filter(c => !c.informational)
+          .filter(c => Validators.isValidROI(c.roiTime))
+          .filter(c => Validators.isValidCandidate(c))
+          .sort((a, b) => a.roiTime - b.roiTime)
+      });
+      if (!result) {
         return null;
       }
+      gameState = result.gameState;
 
-      // Step 2: Extract game state
-      const adapter = new GameStateAdapter(window.Game);
-      const gameState = adapter.getGameState();
-
-      // Validate extracted state
-      if (!Validators.isValidGameState(gameState)) {
-        console.error('❌ Failed to extract valid game state.');
-        return null;
-      }
-
-      // Step 3: Calculate ROI for all candidates
-      const model = new EconomicModel(gameState);
-      const candidates = model.getAllCandidates();
-
-      if (candidates.length === 0) {
+      if (result.candidates.length === 0) {
         console.warn('⚠️ No purchase candidates found.');
         console.log('This might mean all buildings/upgrades are locked or unavailable.');
         return null;
       }
 
-      // Step 4: Use relaxed strategy (no time filter)
       console.log('🔎 Showing ALL candidates (no time filter)...');
-
-      // Create inline RelaxedStrategy to avoid dependency issues
-      const relaxedRecommendations = candidates
-        .filter(c => Validators.isValidROI(c.roiTime))
-        .filter(c => Validators.isValidCandidate(c))
-        .sort((a, b) => a.roiTime - b.roiTime);
+      const relaxedRecommendations = result.recommendations;
 
       if (relaxedRecommendations.length === 0) {
         console.warn('⚠️ No valid candidates found even without time filter.');
@@ -207,20 +499,22 @@ const CookieAdvisor = (function() {
       }
 
       // Step 5: Render output
-      const renderer = new OutputRenderer();
       const topChoice = relaxedRecommendations[0];
       const alternatives = relaxedRecommendations.slice(1, Constants.TOP_ALTERNATIVES_COUNT + 1);
 
-      renderer.renderRecommendation(topChoice, alternatives, gameState);
+      render(topChoice, alternatives, result, live);
 
-      // Cache result
-      lastRecommendation = topChoice;
+      // Cache result (only the live game's; an explicit state says nothing about it)
+      if (live) {
+        trackRecommendation(topChoice);
+      }
 
       return topChoice;
 
     } catch (error) {
       console.error('❌ Error during analysis:', error);
       console.error(error.stack);
+      emit('error', { error: error, source: 'showAll' });
       return null;
     }
   }
@@ -228,12 +522,21 @@ const CookieAdvisor = (function() {
   /**
    * Changes the active ranking strategy.
    *
-   * @param {Strategy} strategy - New strategy instance
+   * @param {Strategy|string} strategy - New strategy instance, or a name ('greedy', 'lookahead', ...)
    */
   function setStrategy(strategy) {
+    if (typeof strategy === 'string') {
+      try {
+        strategy = StrategyEngine.createStrategy(strategy);
+      } catch (error) {
+        console.error(`❌ ${error.message}`);
+        return;
+      }
+    }
+
     if (!(strategy instanceof Strategy)) {
-      console.error('❌ Invalid strategy. Must be an instance of Strategy class.');
-      console.log('Available strategies: GreedyStrategy, LookaheadStrategy, SynergyStrategy');
+      console.error('❌ Invalid strategy. Must be an instance of Strategy class or a strategy name.');
+      console.log('Available strategies: GreedyStrategy, PaybackStrategy, LookaheadStrategy, SynergyStrategy, BalancedStrategy');
       return;
     }
 
@@ -241,6 +544,379 @@ const CookieAdvisor = (function() {
     console.log(`✓ Strategy changed to: ${strategy.getName()}`);
   }
 
+  /**
+   * Plans purchases for a time horizon: simulates the current strategy
+   * forward (bake at the current CPS, buy its top choice once affordable,
+   * re-rank) and shows the resulting shopping list with timestamps.
+   * Candidate hooks apply at every step.
+   *
+   * @param {Object} [options] - { horizonSeconds } (default: 1800, 30 minutes)
+   * @param {Object} [gameState] - Normalized game state; defaults to the live game
+   * @returns {Object|null} { horizonSeconds, strategy, start, end, purchases, truncated }, or null on error
+   */
+  function plan(options = {}, gameState) {
+    const horizonSeconds = options.horizonSeconds === undefined
+      ? Constants.PLAN_DEFAULT_HORIZON_SECONDS
+      : options.horizonSeconds;
+    if (typeof horizonSeconds !== 'number' || !isFinite(horizonSeconds) || horizonSeconds <= 0) {
+      console.error('❌ horizonSeconds must be a positive number of seconds.');
+      return null;
+    }
+
+    try {
+      gameState = resolveGameState(gameState);
+      if (!gameState) {
+        return null;
+      }
+
+      const engine = new StrategyEngine(currentStrategy);
+      const simulator = new PurchaseSimulator(gameState);
+      const purchases = simulator.runPlan(
+        (candidates, state) => engine.recommend(applyCandidateHooks(candidates, state), state),
+        horizonSeconds
+      );
+
+      const result = {
+        horizonSeconds: horizonSeconds,
+        strategy: currentStrategy.getName(),
+        start: { cookies: gameState.cookies, cookiesPerSecond: gameState.cookiesPerSecond },
+        end: { cookies: simulator.state.cookies, cookiesPerSecond: simulator.state.cookiesPerSecond },
+        purchases: describePurchases(purchases),
+        truncated: purchases.length >= Constants.PLAN_MAX_PURCHASES
+      };
+
+      renderer.renderPlan(result);
+      return result;
+
+    } catch (error) {
+      console.error('❌ Error planning purchases:', error);
+      emit('error', { error: error, source: 'plan' });
+      return null;
+    }
+  }
+
+  /**
+   * Works out how soon a goal can be reached, and whether buying something
+   * first gets there sooner than saving for it. Candidate hooks apply at
+   * every step.
+   *
+   * @param {number|string|Object} target - Cookies in the bank (1e6 or { cookies: 1e6 }),
+   *   a building or upgrade in the store ('Farm' or { purchase: 'Farm' }), or { cps: 500 }
+   * @param {Object} [gameState] - Normalized game state; defaults to the live game
+   * @returns {Object|null} { target, reached, time, waitTime, savedSeconds, start, end, purchases }, or null on error
+   */
+  function timeTo(target, gameState) {
+    try {
+      gameState = resolveGameState(gameState);
+      if (!gameState) {
+        return null;
+      }
+
+      const planner = new GoalPlanner(gameState, { adjustCandidates: applyCandidateHooks });
+      let goal;
+      try {
+        goal = planner.resolveTarget(target);
+      } catch (error) {
+        console.error(`❌ ${error.message}`);
+        console.log('Examples: CookieAdvisor.timeTo(1e6), CookieAdvisor.timeTo(\'Farm\'), CookieAdvisor.timeTo({ cps: 500 })');
+        return null;
+      }
+
+      const path = planner.findPath(goal);
+      const result = {
+        target: goal.type === 'purchase' ? { ...goal, cost: planner.getGoalCost(goal, path.state) } : goal,
+        reached: path.reached,
+        time: path.time,
+        waitTime: path.waitTime,
+        savedSeconds: path.reached && isFinite(path.waitTime) ? path.waitTime - path.time : null,
+        start: { cookies: gameState.cookies, cookiesPerSecond: gameState.cookiesPerSecond },
+        end: { cookies: path.state.cookies, cookiesPerSecond: path.state.cookiesPerSecond },
+        purchases: describePurchases(path.purchases)
+      };
+
+      renderer.renderGoal(result);
+      return result;
+
+    } catch (error) {
+      console.error('❌ Error planning for the goal:', error);
+      emit('error', { error: error, source: 'timeTo' });
+      return null;
+    }
+  }
+
+  /**
+   * Shows what golden cookies earn with the upgrades owned, and the bank
+   * needed for full Lucky and Lucky + Frenzy payouts.
+   *
+   * @param {Object} [gameState] - Normalized game state; defaults to the live game
+   * @returns {Object|null} Report from GoldenCookieAnalyzer.analyze(), or null on error
+   */
+  function goldenCookies(gameState) {
+    try {
+      gameState = resolveGameState(gameState);
+      if (!gameState) {
+        return null;
+      }
+
+      const report = new GoldenCookieAnalyzer(gameState).analyze();
+      renderer.renderGoldenCookies(report);
+      return report;
+
+    } catch (error) {
+      console.error('❌ Error analyzing golden cookies:', error);
+      emit('error', { error: error, source: 'goldenCookies' });
+      return null;
+    }
+  }
+
+  /**
+   * Shows the prestige levels gained this ascension, the current and
+   * average rate of prestige gain, and when the average peaks (the usual
+   * time to ascend). analyze() shows the same after the best investment.
+   *
+   * @param {Object} [gameState] - Normalized game state; defaults to the live game
+   * @returns {Object|null} Report from AscensionAnalyzer.analyze(), or null if there is no prestige data
+   */
+  function ascension(gameState) {
+    try {
+      gameState = resolveGameState(gameState);
+      if (!gameState) {
+        return null;
+      }
+
+      const report = new AscensionAnalyzer(gameState).analyze();
+      if (!report) {
+        console.warn('⚠️ This game state has no prestige data (cookiesEarned, cookiesReset).');
+        return null;
+      }
+
+      renderer.renderAscension(report);
+      return report;
+
+    } catch (error) {
+      console.error('❌ Error analyzing ascension:', error);
+      emit('error', { error: error, source: 'ascension' });
+      return null;
+    }
+  }
+
+  /**
+   * Shows what to buy with the heavenly chips available, in order:
+   * permanent CPS first, then offline production, then key unlocks, each
+   * with the parents it needs.
+   *
+   * @param {Object} [gameState] - Normalized game state; defaults to the live game
+   * @returns {Object|null} Plan from HeavenlyPlanner.plan(), or null if there is no heavenly upgrade tree
+   */
+  function heavenlyUpgrades(gameState) {
+    try {
+      gameState = resolveGameState(gameState);
+      if (!gameState) {
+        return null;
+      }
+
+      const planner = new HeavenlyPlanner(gameState);
+      if (!planner.hasTree()) {
+        console.warn('⚠️ This game state has no heavenly upgrades (imported saves need a catalogue with pool and parents).');
+        return null;
+      }
+
+      const plan = planner.plan();
+      renderer.renderHeavenlyPlan(plan);
+      return plan;
+
+    } catch (error) {
+      console.error('❌ Error planning heavenly upgrades:', error);
+      emit('error', { error: error, source: 'heavenlyUpgrades' });
+      return null;
+    }
+  }
+
+  /**
+   * Sets the clicking profile used to value click upgrades.
+   *
+   * @param {string} name - 'idle', 'casual', 'active' or 'autoclicker'
+   */
+  function setClickProfile(name) {
+    const key = typeof name === 'string' ? name.toUpperCase() : '';
+    if (!(key in Constants.CLICK_PROFILES)) {
+      console.error(`❌ Unknown click profile: ${name}`);
+      console.log(`Available profiles: ${Object.keys(Constants.CLICK_PROFILES).map(p => p.toLowerCase()).join(', ')}`);
+      return;
+    }
+
+    clickProfile = key.toLowerCase();
+    clicksPerSecond = Constants.CLICK_PROFILES[key];
+    console.log(`✓ Click profile changed to: ${clickProfile} (${clicksPerSecond} clicks/sec)`);
+  }
+
+  /**
+   * Sets a custom click rate used to value click upgrades.
+   *
+   * @param {number} rate - Clicks per second (0 or more)
+   */
+  function setClickRate(rate) {
+    if (typeof rate !== 'number' || !isFinite(rate) || rate < 0) {
+      console.error('❌ Click rate must be a number of clicks per second (0 or more).');
+      return;
+    }
+
+    clickProfile = 'custom';
+    clicksPerSecond = rate;
+    console.log(`✓ Click rate set to ${rate} clicks/sec`);
+  }
+
+  /**
+   * Gets the click rate used to value click upgrades.
+   *
+   * @returns {Object} { profile, clicksPerSecond }
+   */
+  function getClickRate() {
+    return { profile: clickProfile, clicksPerSecond: clicksPerSecond };
+  }
+
+  /**
+   * Measures the player's click rate by sampling Game.cookieClicks
+   * over a time window, then uses it to value click upgrades.
+   * Click the big cookie as you normally would while it runs.
+   *
+   * @param {number} seconds - Sampling window in seconds
+   * @returns {Promise<number|null>} Measured clicks per second, or null on error
+   */
+  function measureClickRate(seconds = Constants.CLICK_MEASUREMENT_SECONDS) {
+    if (typeof window === 'undefined' || !window.Game || typeof window.Game.cookieClicks !== 'number') {
+      console.error('❌ Cookie Clicker Game object not found!');
+      return Promise.resolve(null);
+    }
+
+    if (typeof seconds !== 'number' || !(seconds > 0)) {
+      console.error('❌ Measurement window must be a positive number of seconds.');
+      return Promise.resolve(null);
+    }
+
+    const startClicks = window.Game.cookieClicks;
+    const startTime = Date.now();
+    console.log(`⏱️ Measuring your click rate for ${seconds}s. Play as you normally would...`);
+
+    return new Promise(resolve => {
+      setTimeout(() => {
+        const elapsed = (Date.now() - startTime) / 1000;
+        const clicks = Math.max(0, window.Game.cookieClicks - startClicks);
+
+        clickProfile = 'measured';
+        clicksPerSecond = clicks / elapsed;
+        console.log(`✓ Measured ${clicks} clicks in ${elapsed.toFixed(1)}s: ${clicksPerSecond.toFixed(2)} clicks/sec`);
+        resolve(clicksPerSecond);
+      }, seconds * 1000);
+    });
+  }
+
+  /**
+   * Subscribes to an advisor event.
+   *
+   * Events and their payloads:
+   * - analysisComplete: { gameState, candidates, recommendations } after every pipeline run
+   * - recommendationChanged: { previous, current } when the top recommendation is a different purchase
+   * - becameAffordable: { recommendation } when the top recommendation becomes affordable (while the monitor runs)
+   * - error: { error, source } when an analysis fails (source is the API function)
+   *
+   * @param {string} eventName - Event name
+   * @param {Function} handler - Called with the payload
+   */
+  function on(eventName, handler) {
+    if (!(eventName in listeners)) {
+      console.error(`❌ Unknown event: ${eventName}`);
+      console.log(`Available events: ${Object.keys(listeners).join(', ')}`);
+      return;
+    }
+    if (typeof handler !== 'function') {
+      console.error('❌ Event handler must be a function.');
+      return;
+    }
+
+    listeners[eventName].push(handler);
+  }
+
+  /**
+   * Unsubscribes a handler added with on().
+   *
+   * @param {string} eventName - Event name
+   * @param {Function} handler - Handler passed to on()
+   */
+  function off(eventName, handler) {
+    if (eventName in listeners) {
+      listeners[eventName] = listeners[eventName].filter(h => h !== handler);
+    }
+  }
+
+  /**
+   * Adds a hook that post-processes candidates between
+   * EconomicModel.getAllCandidates() and the strategy's ranking, for every
+   * entry point. Hooks run in the order added.
+   *
+   * @param {Function} hook - hook(candidates, gameState) returning the candidate array to rank
+   */
+  function addCandidateHook(hook) {
+    if (typeof hook !== 'function') {
+      console.error('❌ Candidate hook must be a function.');
+      return;
+    }
+
+    candidateHooks.push(hook);
+  }
+
+  /**
+   * Removes a hook added with addCandidateHook().
+   *
+   * @param {Function} hook - Hook to remove
+   */
+  function removeCandidateHook(hook) {
+    candidateHooks = candidateHooks.filter(h => h !== hook);
+  }
+
+  /**
+   * Changes configurable Constants (see Config.js) for this and later
+   * sessions. Settings are validated first; nothing changes if any is
+   * invalid. The next analysis uses them, and the overlay is redrawn.
+   *
+   * @param {Object} settings - e.g. { MAX_REASONABLE_ROI: 7200, TOP_ALTERNATIVES_COUNT: 3 }
+   * @returns {Object|null} Current value of every setting, or null if invalid
+   */
+  function configure(settings) {
+    try {
+      const values = config.set(settings);
+      console.log(`✓ Settings updated: ${Object.keys(settings).join(', ')}`);
+      redrawOverlay();
+      return values;
+
+    } catch (error) {
+      console.error(`❌ ${error.message}`);
+      console.log(`Configurable settings: ${Config.getSettingNames().join(', ')}`);
+      return null;
+    }
+  }
+
+  /**
+   * Gets the current value of every configurable setting.
+   *
+   * @returns {Object} Setting name → value
+   */
+  function getConfig() {
+    return config.get();
+  }
+
+  /**
+   * Restores the default settings and deletes the saved ones.
+   *
+   * @returns {Object} Setting name → value
+   */
+  function resetConfig() {
+    const values = config.reset();
+    console.log('✓ Settings reset to defaults.');
+    redrawOverlay();
+    return values;
+  }
+
   /**
    * Gets the current strategy name.
    *
@@ -259,29 +935,289 @@ const CookieAdvisor = (function() {
     return lastRecommendation;
   }
 
+  /**
+   * Replaces the renderer used by analyze(), showAll() and debug().
+   * Renderers extend OutputRenderer (e.g. to draw somewhere other than the console).
+   *
+   * @param {OutputRenderer} newRenderer - Renderer instance
+   */
+  function setRenderer(newRenderer) {
+    if (!(newRenderer instanceof OutputRenderer)) {
+      console.error('❌ Invalid renderer. Must be an instance of OutputRenderer.');
+      return;
+    }
+    renderer = newRenderer;
+  }
+
+  /**
+   * Shows recommendations in a panel over the game page and keeps it
+   * current: re-analyzes when buildings, store upgrades or buffs change.
+   * analyze() draws into the panel instead of the console while it is shown.
+   */
+  function showOverlay() {
+    if (typeof window === 'undefined' || typeof document === 'undefined') {
+      console.error('❌ The overlay needs the Cookie Clicker page (no document found).');
+      return;
+    }
+    if (overlay) {
+      return;
+    }
+
+    overlay = {
+      renderer: new OverlayRenderer({ onClose: hideOverlay }),
+      previousRenderer: renderer,
+      timer: null,
+      signature: null
+    };
+    renderer = overlay.renderer;
+
+    refreshOverlay();
+    overlay.timer = scheduler.every(Constants.OVERLAY_REFRESH_MS, refreshOverlay);
+    console.log('✓ Overlay shown. Run CookieAdvisor.hideOverlay() or click × to close it.');
+  }
+
+  /**
+   * Removes the overlay panel and restores the previous renderer.
+   */
+  function hideOverlay() {
+    if (!overlay) {
+      return;
+    }
+
+    scheduler.cancel(overlay.timer);
+    overlay.renderer.destroy();
+    if (renderer === overlay.renderer) {
+      renderer = overlay.previousRenderer;
+    }
+    overlay = null;
+    console.log('✓ Overlay hidden.');
+  }
+
+  /**
+   * Turns store highlighting on or off. While on, every analysis of the
+   * live game outlines the recommended building rows and upgrade crates,
+   * with rank badges whose tooltips show ROI and payback time.
+   *
+   * @param {boolean} enabled - True to highlight, false to remove all markers
+   */
+  function highlightStore(enabled = true) {
+    if (!enabled) {
+      if (storeHighlight) {
+        scheduler.cancel(storeHighlight.timer);
+        storeHighlight.highlighter.clear();
+        storeHighlight = null;
+        console.log('✓ Store highlighting off.');
+      }
+      return;
+    }
+
+    if (typeof window === 'undefined' || typeof document === 'undefined' || !window.Game) {
+      console.error('❌ Store highlighting needs the Cookie Clicker page.');
+      return;
+    }
+    if (storeHighlight) {
+      return;
+    }
+
+    const highlighter = new StoreHighlighter();
+    storeHighlight = {
+      highlighter: highlighter,
+      // The game rebuilds the upgrade store when upgrades unlock, dropping markers
+      timer: scheduler.every(Constants.HIGHLIGHT_REFRESH_MS, () => highlighter.refresh())
+    };
+    console.log('✓ Store highlighting on. Run CookieAdvisor.highlightStore(false) to turn it off.');
+    analyze();
+  }
+
+  /**
+   * Starts re-analyzing the live game periodically. Notifies (Game.Notify
+   * popup, or the console) when the top recommendation changes or becomes
+   * affordable.
+   *
+   * @param {Object} [options] - { intervalMs } time between checks (default 5000)
+   */
+  function startMonitor(options = {}) {
+    if (typeof window === 'undefined' || !window.Game) {
+      console.error('❌ Cookie Clicker Game object not found!');
+      return;
+    }
+
+    const intervalMs = options.intervalMs === undefined ? Constants.MONITOR_INTERVAL_MS : options.intervalMs;
+    if (typeof intervalMs !== 'number' || !(intervalMs >= Constants.MONITOR_MIN_INTERVAL_MS)) {
+      console.error(`❌ intervalMs must be a number of milliseconds (at least ${Constants.MONITOR_MIN_INTERVAL_MS}).`);
+      return;
+    }
+
+    stopMonitor(true);
+    monitor = new AutoMonitor({ intervalMs: intervalMs, formatter: renderer, scheduler: scheduler });
+    monitor.start(monitorTick);
+    monitorTick();
+    console.log(`✓ Monitor started (every ${intervalMs / 1000}s). Run CookieAdvisor.stopMonitor() to stop.`);
+  }
+
+  /**
+   * Stops the monitor started by startMonitor().
+   *
+   * @param {boolean} quiet - Suppress the confirmation message
+   */
+  function stopMonitor(quiet = false) {
+    if (!monitor) {
+      return;
+    }
+
+    monitor.stop();
+    monitor = null;
+    if (!quiet) {
+      console.log('✓ Monitor stopped.');
+    }
+  }
+
+  /**
+   * Gets the past top recommendations, oldest first. A recommendation is
+   * added when analyze(), showAll() or the monitor picks a different one.
+   *
+   * @returns {Array<Object>} { time, id, displayName, cost, roiTime }
+   */
+  function getHistory() {
+    return history.map(entry => Object.assign({}, entry));
+  }
+
+  /**
+   * Registers the advisor with the game's modding API: settings, history
+   * and monitor state are then kept in the game save, and the overlay,
+   * store highlights and monitor run on the game's logic hook instead of
+   * timers. Done on load when the game has the API.
+   *
+   * @returns {boolean} True if registered (now or before)
+   */
+  function registerMod() {
+    if (modRegistered) {
+      return true;
+    }
+
+    const game = typeof window !== 'undefined' ? window.Game : null;
+    if (!game || typeof game.registerMod !== 'function') {
+      console.error('❌ This version of Cookie Clicker has no modding API (Game.registerMod).');
+      return false;
+    }
+    if (game.mods && game.mods[Constants.MOD_ID]) {
+      console.warn('⚠️ Another copy of the advisor is already registered as a mod. Reload the page to use this one.');
+      return false;
+    }
+
+    game.registerMod(Constants.MOD_ID, {
+      init: () => {
+        scheduler.attach(game);
+        console.log('✓ Registered as a mod: settings, history and monitor state are kept in the game save.');
+      },
+      save: getModSaveData,
+      load: loadModSaveData
+    });
+    modRegistered = true;
+    return true;
+  }
+
+  /**
+   * Saves the game state and its candidates as a versioned JSON snapshot,
+   * to share an exact state or keep it as a regression fixture.
+   * In the browser console: copy(CookieAdvisor.snapshot())
+   *
+   * @param {Object} [gameState] - Normalized game state; defaults to the live game
+   * @returns {string|null} Snapshot JSON, or null on error
+   */
+  function snapshot(gameState) {
+    try {
+      const result = runPipeline(gameState);
+      if (!result) {
+        return null;
+      }
+
+      const { candidates, recommendations } = result;
+      const saved = Snapshot.create(result.gameState, candidates, recommendations, currentStrategy.getName());
+
+      console.log(`✓ Snapshot created (${candidates.length} candidates, strategy: ${currentStrategy.getName()})`);
+      return Snapshot.stringify(saved);
+
+    } catch (error) {
+      console.error('❌ Error creating snapshot:', error);
+      emit('error', { error: error, source: 'snapshot' });
+      return null;
+    }
+  }
+
+  /**
+   * Runs analysis against a stored snapshot instead of the live game.
+   * Uses the current strategy, so results may differ from the snapshot's own.
+   *
+   * @param {string|Object} json - Snapshot JSON (from snapshot()) or parsed document
+   * @returns {Object|null} Top recommendation, or null if none available
+   */
+  function loadSnapshot(json) {
+    let saved;
+    try {
+      saved = Snapshot.parse(json);
+    } catch (error) {
+      console.error(`❌ ${error.message}`);
+      return null;
+    }
+
+    console.log(`📂 Snapshot from ${saved.createdAt} (strategy when saved: ${saved.strategy})`);
+    return analyze(saved.gameState);
+  }
+
+  /**
+   * Compares two snapshots: buildings bought, CPS change and how the
+   * recommendations changed.
+   *
+   * @param {string|Object} before - Earlier snapshot
+   * @param {string|Object} after - Later snapshot
+   * @returns {Object|null} Diff report (see Snapshot.diff), or null on error
+   */
+  function diff(before, after) {
+    try {
+      const report = Snapshot.diff(before, after);
+      renderer.renderSnapshotDiff(report);
+      return report;
+
+    } catch (error) {
+      console.error(`❌ Error comparing snapshots: ${error.message}`);
+      emit('error', { error: error, source: 'diff' });
+      return null;
+    }
+  }
+
   /**
    * Displays debug information about current game state.
+   *
+   * @param {Object} [gameState] - Normalized game state; defaults to the live game
+   * @returns {Object|null} { gameState, candidates, validCandidates, strategy }, or null on error
    */
-  function debug() {
+  function debug(gameState) {
     try {
       console.log('═══════════════════════════════════════════════════');
       console.log('  DEBUG INFO');
       console.log('═══════════════════════════════════════════════════');
 
-      if (typeof window === 'undefined' || !window.Game) {
-        console.log('❌ Game object not found');
-        return;
+      const result = runPipeline(gameState);
+      if (!result) {
+        return null;
       }
-
-      const adapter = new GameStateAdapter(window.Game);
-      const gameState = adapter.getGameState();
-      const model = new EconomicModel(gameState);
-      const candidates = model.getAllCandidates();
+      const { model, candidates } = result;
+      gameState = result.gameState;
 
       console.log('Game State:');
       console.log(`  Cookies: ${gameState.cookies}`);
       console.log(`  CPS: ${gameState.cookiesPerSecond}`);
+      if (gameState.buffs && gameState.buffs.length > 0) {
+        console.log(`  CPS With Buffs: ${gameState.currentCPS} (×${gameState.buffMultiplier})`);
+        console.log(`  Active Buffs: ${gameState.buffs.map(b => b.name).join(', ')}`);
+      }
+      console.log(`  Global Multiplier: ×${model.getGlobalMultiplier().toFixed(2)}`);
+      console.log(`  Milk: ${((gameState.milk || 0) * 100).toFixed(0)}% (kittens ×${(gameState.kittenMultiplier || 1).toFixed(2)})`);
+      console.log(`  Click Rate: ${gameState.clicksPerSecond} clicks/sec (${gameState.clickProfile})`);
+      console.log(`  Cookies Per Click: ${gameState.cookiesPerClick}`);
       console.log(`  Buildings: ${gameState.buildings.length}`);
+      console.log(`  Owned Upgrades: ${(gameState.ownedUpgrades || []).length}`);
       console.log(`  Upgrades: ${gameState.upgrades.length}`);
       console.log('');
 
@@ -289,9 +1225,12 @@ const CookieAdvisor = (function() {
       console.log(`  Total: ${candidates.length}`);
       console.log(`  Buildings: ${candidates.filter(c => c.type === 'building').length}`);
       console.log(`  Upgrades: ${candidates.filter(c => c.type === 'upgrade').length}`);
+      console.log(`  Bulk Buys (not ranked): ${candidates.filter(c => c.informational).length}`);
+      console.log(`  Toggles (not ranked): ${model.getToggles().length}`);
       console.log('');
 
       const validCandidates = candidates.filter(c =>
+        !c.informational &&
         Validators.isValidROI(c.roiTime) &&
         c.roiTime <= Constants.MAX_REASONABLE_ROI
       );
@@ -303,11 +1242,23 @@ const CookieAdvisor = (function() {
       console.log('');
 
       // Show candidate table
-      const renderer = new OutputRenderer();
       renderer.renderCandidateTable(validCandidates.slice(0, 10));
+      const bulkBuys = candidates.filter(c => c.informational);
+      if (bulkBuys.length > 0) {
+        renderer.renderCandidateTable(bulkBuys.slice(0, 10), 'Bulk Buys, not ranked');
+      }
+
+      return {
+        gameState: gameState,
+        candidates: candidates,
+        validCandidates: validCandidates,
+        strategy: currentStrategy.getName()
+      };
 
     } catch (error) {
       console.error('Error in debug:', error);
+      emit('error', { error: error, source: 'debug' });
+      return null;
     }
   }
 
@@ -329,9 +1280,62 @@ const CookieAdvisor = (function() {
     console.log('  CookieAdvisor.getRecommendation()');
     console.log('    → Get top recommendation without output');
     console.log('');
+    console.log('  CookieAdvisor.plan({ horizonSeconds: 1800 })');
+    console.log('    → What to buy, and when, over the next 30 minutes');
+    console.log('');
+    console.log('  CookieAdvisor.timeTo(1e6) / timeTo(\'Farm\') / timeTo({ cps: 500 })');
+    console.log('    → Invest first or save? Fastest path to a goal');
+    console.log('');
+    console.log('  CookieAdvisor.goldenCookies()');
+    console.log('    → Golden cookie income and the Lucky bank to keep');
+    console.log('');
+    console.log('  CookieAdvisor.ascension()');
+    console.log('    → Prestige gained this run, and when the prestige rate peaks (time to ascend)');
+    console.log('');
+    console.log('  CookieAdvisor.heavenlyUpgrades()');
+    console.log('    → What to buy with heavenly chips: permanent CPS, offline production, then key unlocks');
+    console.log('');
     console.log('  CookieAdvisor.setStrategy(new LookaheadStrategy())');
+    console.log('  CookieAdvisor.setStrategy(\'lookahead\')');
     console.log('    → Change ranking strategy');
     console.log('');
+    console.log('  CookieAdvisor.configure({ MAX_REASONABLE_ROI: 7200 })');
+    console.log('    → Change a threshold (saved for next time; getConfig() to view, resetConfig() to undo)');
+    console.log(`      Settings: ${Config.getSettingNames().join(', ')}`);
+    console.log('');
+    console.log('  CookieAdvisor.setClickProfile(\'active\')');
+    console.log('    → Value click upgrades for idle, casual, active or autoclicker play');
+    console.log('');
+    console.log('  CookieAdvisor.measureClickRate(10)');
+    console.log('    → Measure your click rate over 10 seconds');
+    console.log('');
+    console.log('  CookieAdvisor.showOverlay()');
+    console.log('    → Show recommendations in a panel on the page (hideOverlay() to close)');
+    console.log('');
+    console.log('  CookieAdvisor.highlightStore(true)');
+    console.log('    → Mark recommended buildings and upgrades in the store (false to remove)');
+    console.log('');
+    console.log('  CookieAdvisor.startMonitor({ intervalMs: 5000 })');
+    console.log('    → Re-analyze every 5s and notify when the best buy changes or is affordable (stopMonitor() to stop)');
+    console.log('');
+    console.log('  CookieAdvisor.getHistory()');
+    console.log('    → Past top recommendations');
+    console.log('');
+    console.log('  copy(CookieAdvisor.snapshot())');
+    console.log('    → Copy the current state as a snapshot to share');
+    console.log('');
+    console.log('  CookieAdvisor.loadSnapshot(json)');
+    console.log('    → Analyze a saved snapshot instead of the live game');
+    console.log('');
+    console.log('  CookieAdvisor.diff(before, after)');
+    console.log('    → Compare two snapshots');
+    console.log('');
+    console.log('  CookieAdvisor.on(\'recommendationChanged\', ({ current }) => ...)');
+    console.log('    → React to analysisComplete, recommendationChanged, becameAffordable, error');
+    console.log('');
+    console.log('  CookieAdvisor.addCandidateHook((candidates, gameState) => candidates)');
+    console.log('    → Adjust candidates before every ranking');
+    console.log('');
     console.log('  CookieAdvisor.debug()');
     console.log('    → Show debug information');
     console.log('');
@@ -340,6 +1344,7 @@ const CookieAdvisor = (function() {
     console.log('');
     console.log('STRATEGIES:');
     console.log('  GreedyStrategy (default) - Lowest ROI time first');
+    console.log('  PaybackStrategy - Lowest wait + ROI time first');
     console.log('  LookaheadStrategy - Simulates N purchases ahead');
     console.log('  SynergyStrategy - Prioritizes building synergies');
     console.log('  BalancedStrategy - Mix ROI with diversification');
@@ -348,6 +1353,7 @@ const CookieAdvisor = (function() {
     console.log('  ROI Time = Cost / Delta CPS');
     console.log('  Example: 1,000 cookies / 10 CPS = 100 seconds');
     console.log('  Lower ROI time = better investment (pays back faster)');
+    console.log('  Payback From Now = Time To Afford + ROI Time');
     console.log('');
     console.log('═══════════════════════════════════════════════════');
   }
@@ -358,17 +1364,30 @@ const CookieAdvisor = (function() {
    * @returns {string} Version string
    */
   function version() {
-    return 'Cookie Clicker ROI Advisor v1.0.0 - Greedy Strategy';
+    return `Cookie Clicker ROI Advisor v${Constants.VERSION}`;
   }
 
   // ═══════════════════════════════════════════════════════════════
   // INITIALIZATION
   // ═══════════════════════════════════════════════════════════════
 
-  // Auto-run welcome message on load (optional)
-  console.log('✓ Cookie Clicker ROI Advisor loaded successfully!');
-  console.log('Run CookieAdvisor.analyze() to get started.');
-  console.log('Run CookieAdvisor.help() for more information.');
+  // Settings saved by configure() in an earlier session
+  const restoredSettings = config.load();
+
+  // Keep state in the game save when the game has the modding API
+  if (typeof window !== 'undefined' && window.Game && typeof window.Game.registerMod === 'function') {
+    registerMod();
+  }
+
+  // Auto-run welcome message on load (browser console only)
+  if (typeof window !== 'undefined') {
+    console.log('✓ Cookie Clicker ROI Advisor loaded successfully!');
+    if (restoredSettings.length > 0) {
+      console.log(`✓ Restored saved settings: ${restoredSettings.join(', ')} (CookieAdvisor.resetConfig() to undo)`);
+    }
+    console.log('Run CookieAdvisor.analyze() to get started.');
+    console.log('Run CookieAdvisor.help() for more information.');
+  }
 
   // ═══════════════════════════════════════════════════════════════
   // PUBLIC API EXPORT
@@ -379,9 +1398,36 @@ const CookieAdvisor = (function() {
     getRecommendation,
     getAllRecommendations,
     showAll,
+    plan,
+    timeTo,
+    goldenCookies,
+    ascension,
+    heavenlyUpgrades,
     setStrategy,
     getStrategyName,
     getLastRecommendation,
+    setRenderer,
+    configure,
+    getConfig,
+    resetConfig,
+    on,
+    off,
+    addCandidateHook,
+    removeCandidateHook,
+    setClickProfile,
+    setClickRate,
+    getClickRate,
+    measureClickRate,
+    showOverlay,
+    hideOverlay,
+    highlightStore,
+    startMonitor,
+    stopMonitor,
+    getHistory,
+    registerMod,
+    snapshot,
+    loadSnapshot,
+    diff,
     debug,
     help,
     version
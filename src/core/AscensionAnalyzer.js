@@ -0,0 +1,237 @@
+/**
+ * AscensionAnalyzer.js
+ *
+ * Tracks prestige gained this ascension and estimates when to ascend.
+ *
+ * Prestige follows the game: level = floor(cbrt(cookies baked / 1e12))
+ * over all ascensions (Constants.PRESTIGE_COOKIES), so each level costs
+ * more cookies than the last. Two rates matter:
+ * - Current rate:  levels gained per second right now, at the current CPS
+ * - Average rate:  levels gained this run / time since the run started
+ * The usual advice is to ascend when the average rate peaks: until then
+ * staying raises it, after that every extra level comes slower than the
+ * run has averaged so far. The peak is where the two rates are equal.
+ *
+ * Finding the peak assumes the current (unbuffed) CPS from here on. More
+ * purchases push the real peak later, so it is a lower bound; a peak that
+ * has already passed means ascending now.
+ *
+ * Rates use fractional levels (cbrt without floor) so they change
+ * smoothly; levels gained are whole levels, as the game awards them.
+ */
+
+class AscensionAnalyzer {
+  /**
+   * @param {Object} gameState - Normalized game state (cookiesEarned, cookiesReset,
+   *   prestige, heavenlyChips and startDate from GameStateAdapter or SaveImporter)
+   * @param {number} [now] - Current time (ms timestamp), for the run length
+   *   (default: when the save was made for imported saves, otherwise now)
+   */
+  constructor(gameState, now = gameState.savedDate || Date.now()) {
+    this.gameState = gameState;
+    this.now = now;
+  }
+
+  /**
+   * Whether the game state carries prestige data (states built by hand or
+   * loaded from older snapshots may not).
+   *
+   * @returns {boolean} True if analyze() can report
+   */
+  isAvailable() {
+    return typeof this.gameState.cookiesEarned === 'number' && typeof this.gameState.cookiesReset === 'number';
+  }
+
+  /**
+   * Fractional prestige for an amount of cookies baked (over all ascensions).
+   *
+   * @param {number} cookies - Cookies baked
+   * @returns {number} Prestige (floor it for the game's level)
+   */
+  getPrestige(cookies) {
+    return Math.cbrt(Math.max(0, cookies) / Constants.PRESTIGE_COOKIES);
+  }
+
+  /**
+   * Cookies baked (over all ascensions) needed for a prestige level.
+   *
+   * @param {number} level - Prestige level
+   * @returns {number} Cookies
+   */
+  getCookiesForLevel(level) {
+    return Math.pow(level, 3) * Constants.PRESTIGE_COOKIES;
+  }
+
+  /**
+   * Time since this ascension started.
+   *
+   * @returns {number|null} Seconds, or null if the start is unknown
+   */
+  getRunSeconds() {
+    const startDate = this.gameState.startDate;
+    if (typeof startDate !== 'number' || startDate <= 0) {
+      return null;
+    }
+    return Math.max(0, (this.now - startDate) / 1000);
+  }
+
+  /**
+   * Prestige levels gained this run, i.e. what ascending now would add.
+   *
+   * @param {number} [seconds] - Seconds from now at the current CPS (default: now)
+   * @returns {number} Whole levels
+   */
+  getLevelsGained(seconds = 0) {
+    const baked = this._getCookiesBaked() + this.gameState.cookiesPerSecond * seconds;
+    return Math.max(0, Math.floor(this.getPrestige(baked)) - this._getLevel());
+  }
+
+  /**
+   * Rate of prestige gain at the current CPS.
+   *
+   * @param {number} [seconds] - Seconds from now (default: now)
+   * @returns {number} Levels per second
+   */
+  getCurrentRate(seconds = 0) {
+    const cps = this.gameState.cookiesPerSecond;
+    const baked = this._getCookiesBaked() + cps * seconds;
+    if (cps <= 0) {
+      return 0;
+    }
+    if (baked <= 0) {
+      return Infinity;
+    }
+    // d/dt cbrt(baked / k) = cps / (3k) × (baked / k)^(-2/3)
+    const k = Constants.PRESTIGE_COOKIES;
+    return cps / (3 * k) * Math.pow(baked / k, -2 / 3);
+  }
+
+  /**
+   * Average rate of prestige gain over this run.
+   *
+   * @param {number} [seconds] - Seconds from now at the current CPS (default: now)
+   * @returns {number|null} Levels per second, or null if the run length is unknown
+   */
+  getAverageRate(seconds = 0) {
+    const runSeconds = this.getRunSeconds();
+    if (runSeconds === null || runSeconds + seconds <= 0) {
+      return null;
+    }
+    return this._getFractionalGain(seconds) / (runSeconds + seconds);
+  }
+
+  /**
+   * Finds when the average rate peaks, assuming the current CPS from now on.
+   *
+   * @returns {Object|null} { seconds, runSeconds, levelsGained, averageRate, passed }: seconds from
+   *   now (0 if passed), run length and levels gained at the peak, or null if it cannot be
+   *   estimated (unknown run length, no CPS, or later than Constants.ASCENSION_MAX_SECONDS)
+   */
+  findPeak() {
+    const runSeconds = this.getRunSeconds();
+    if (runSeconds === null || this.gameState.cookiesPerSecond <= 0) {
+      return null;
+    }
+
+    // True while staying raises the average
+    const rising = seconds => (runSeconds + seconds > 0 ? this.getCurrentRate(seconds) > this.getAverageRate(seconds) : true);
+
+    let seconds = 0;
+    if (rising(0)) {
+      let low = 0;
+      let high = Math.max(runSeconds, 60);
+      while (rising(high)) {
+        if (high >= Constants.ASCENSION_MAX_SECONDS) {
+          return null;
+        }
+        low = high;
+        high = Math.min(high * 2, Constants.ASCENSION_MAX_SECONDS);
+      }
+      while (high - low > 1) {
+        const middle = (low + high) / 2;
+        if (rising(middle)) {
+          low = middle;
+        } else {
+          high = middle;
+        }
+      }
+      seconds = high;
+    }
+
+    return {
+      seconds: seconds,
+      runSeconds: runSeconds + seconds,
+      levelsGained: this.getLevelsGained(seconds),
+      averageRate: this.getAverageRate(seconds),
+      passed: seconds === 0
+    };
+  }
+
+  /**
+   * Everything about this ascension in one report.
+   *
+   * @returns {Object|null} { prestige, heavenlyChips, cookiesBaked, levelsGained, nextLevel:
+   *   { level, cookies, time }, runSeconds, currentRate, averageRate, peak }, rates in levels
+   *   per second; null if the game state has no prestige data
+   */
+  analyze() {
+    if (!this.isAvailable()) {
+      return null;
+    }
+
+    const baked = this._getCookiesBaked();
+    const cps = this.gameState.cookiesPerSecond;
+    const nextLevel = Math.max(Math.floor(this.getPrestige(baked)), this._getLevel()) + 1;
+    const cookiesToNext = Math.max(0, this.getCookiesForLevel(nextLevel) - baked);
+
+    return {
+      prestige: this._getLevel(),
+      heavenlyChips: this.gameState.heavenlyChips || 0,
+      cookiesBaked: baked,
+      levelsGained: this.getLevelsGained(),
+      nextLevel: {
+        level: nextLevel,
+        cookies: cookiesToNext,
+        time: cps > 0 ? cookiesToNext / cps : Infinity
+      },
+      runSeconds: this.getRunSeconds(),
+      currentRate: this.getCurrentRate(),
+      averageRate: this.getAverageRate(),
+      peak: this.findPeak()
+    };
+  }
+
+  /**
+   * @private
+   * @returns {number} Cookies baked over all ascensions, this one included
+   */
+  _getCookiesBaked() {
+    return this.gameState.cookiesReset + this.gameState.cookiesEarned;
+  }
+
+  /**
+   * @private
+   * @returns {number} Prestige level before this run (the game's, else from cookiesReset)
+   */
+  _getLevel() {
+    const prestige = this.gameState.prestige;
+    return typeof prestige === 'number' && prestige > 0
+      ? prestige
+      : Math.floor(this.getPrestige(this.gameState.cookiesReset));
+  }
+
+  /**
+   * @private
+   * @param {number} seconds - Seconds from now at the current CPS
+   * @returns {number} Fractional levels gained this run
+   */
+  _getFractionalGain(seconds) {
+    const baked = this._getCookiesBaked() + this.gameState.cookiesPerSecond * seconds;
+    return this.getPrestige(baked) - this.getPrestige(this.gameState.cookiesReset);
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = AscensionAnalyzer;
+}
@@ -0,0 +1,127 @@
+/**
+ * AutoMonitor.js
+ *
+ * Re-runs the recommendation pipeline on a timer and notifies the player
+ * when the best investment changes or becomes affordable. Notifications use
+ * the game's own Game.Notify popups when available, the console otherwise.
+ *
+ * The monitor only decides *when* to notify; CookieAdvisor.startMonitor()
+ * supplies the tick that fetches the recommendation and keeps the
+ * lastRecommendation cache the changes are detected against. Checks run on
+ * a TickScheduler: setInterval, or the game's logic hook when loaded as a mod.
+ */
+
+class AutoMonitor {
+  /**
+   * @param {Object} options - Configuration options
+   * @param {number} [options.intervalMs] - Time between checks (default: Constants.MONITOR_INTERVAL_MS)
+   * @param {Object} [options.game] - Game object whose Notify() is used (defaults to window.Game)
+   * @param {OutputRenderer} [options.formatter] - Formats notification text via renderSummary()
+   * @param {TickScheduler} [options.scheduler] - Runs the checks (default: a new one, on setInterval)
+   */
+  constructor(options = {}) {
+    this.intervalMs = options.intervalMs || Constants.MONITOR_INTERVAL_MS;
+    this.game = options.game || (typeof window !== 'undefined' ? window.Game : null);
+    this.formatter = options.formatter || new OutputRenderer();
+    this.scheduler = options.scheduler || new TickScheduler();
+    this.timer = null; // TickScheduler task id
+    this.lastAffordability = null; // { id, affordable } from the previous check
+  }
+
+  /**
+   * Starts calling tick every intervalMs.
+   *
+   * @param {Function} tick - Check to run
+   * @returns {boolean} False if already running
+   */
+  start(tick) {
+    if (this.timer !== null) {
+      return false;
+    }
+
+    this.lastAffordability = null;
+    this.timer = this.scheduler.every(this.intervalMs, tick);
+    return true;
+  }
+
+  /**
+   * Stops the timer.
+   *
+   * @returns {boolean} False if it was not running
+   */
+  stop() {
+    if (this.timer === null) {
+      return false;
+    }
+
+    this.scheduler.cancel(this.timer);
+    this.timer = null;
+    return true;
+  }
+
+  /**
+   * @returns {boolean} True while the timer is running
+   */
+  isRunning() {
+    return this.timer !== null;
+  }
+
+  /**
+   * Compares the new top recommendation with the previous one.
+   * A change is reported only when there was a previous recommendation;
+   * "became affordable" only when the same recommendation was unaffordable
+   * at the previous check.
+   *
+   * @param {Object|null} previous - Previous top recommendation (lastRecommendation)
+   * @param {Object|null} current - New top recommendation
+   * @param {number} cookies - Cookies in bank now
+   * @returns {Array<Object>} Events: { type, title, message, recommendation }
+   */
+  check(previous, current, cookies) {
+    if (!current) {
+      this.lastAffordability = null;
+      return [];
+    }
+
+    const events = [];
+    const affordable = Validators.isAffordable(current.cost, cookies);
+    const last = this.lastAffordability;
+
+    if (previous && previous.id !== current.id) {
+      events.push({
+        type: 'recommendationChanged',
+        title: 'New best investment',
+        message: this.formatter.renderSummary(current) + (affordable ? ' (affordable now)' : ''),
+        recommendation: current
+      });
+    } else if (affordable && last && last.id === current.id && !last.affordable) {
+      events.push({
+        type: 'becameAffordable',
+        title: 'You can afford it now',
+        message: this.formatter.renderSummary(current),
+        recommendation: current
+      });
+    }
+
+    this.lastAffordability = { id: current.id, affordable: affordable };
+    return events;
+  }
+
+  /**
+   * Shows an event to the player.
+   *
+   * @param {Object} event - Event from check()
+   */
+  notify(event) {
+    if (this.game && typeof this.game.Notify === 'function') {
+      this.game.Notify(event.title, event.message, '', Constants.MONITOR_NOTIFY_SECONDS); // No icon
+    } else {
+      console.log(`🔔 ${event.title}: ${event.message}`);
+    }
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = AutoMonitor;
+}
@@ -0,0 +1,340 @@
+/**
+ * Config.js
+ *
+ * Runtime overrides for the tunable values in Constants (ROI filter,
+ * number of alternatives, number precision, upgrade estimates, Lucky
+ * bank), so they can be changed without editing the bundle.
+ *
+ * Overrides are validated, written into Constants in place (every module
+ * reads Constants when it runs, so the next analysis uses them) and saved
+ * in localStorage under Constants.CONFIG_STORAGE_KEY; as a mod, the advisor
+ * also keeps them in the game save. Only the overridden values are saved;
+ * resetting restores the values Constants had when the Config was created.
+ *
+ * JSON has no Infinity, so non-finite numbers (MAX_REASONABLE_ROI: Infinity
+ * turns the ROI filter off) are saved as strings, as in snapshots.
+ */
+
+class Config {
+  /**
+   * @param {Object} options - Configuration options
+   * @param {Storage|null} [options.storage] - Where overrides are saved (defaults to localStorage; null to not save)
+   * @param {Object} [options.target] - Object the values are written into (defaults to Constants)
+   */
+  constructor(options = {}) {
+    this.storage = 'storage' in options ? options.storage : Config._getDefaultStorage();
+    this.target = options.target || Constants;
+    this.defaults = this._copyValues(this.target);
+    this.overrides = {};
+  }
+
+  /**
+   * Gets the current value of every setting.
+   *
+   * @returns {Object} Setting name → value (a copy)
+   */
+  get() {
+    return this._copyValues(this.target);
+  }
+
+  /**
+   * Gets only the settings that differ from the defaults.
+   *
+   * @returns {Object} Setting name → overridden value (a copy)
+   */
+  getOverrides() {
+    return this._copyValues(this.overrides);
+  }
+
+  /**
+   * Validates overrides, applies them and saves them. Object settings are
+   * merged, so { UPGRADE_ESTIMATES: { CONSERVATIVE_BOOST: 0.05 } } keeps
+   * the other estimates.
+   *
+   * @param {Object} overrides - Setting name → new value
+   * @returns {Object} Current value of every setting
+   * @throws {Error} If a setting is unknown or a value is invalid (nothing is changed)
+   */
+  set(overrides) {
+    const valid = Config.validate(overrides);
+
+    for (const [key, value] of Object.entries(valid)) {
+      this.overrides[key] = Config._isObjectSetting(key)
+        ? Object.assign({}, this.overrides[key], value)
+        : value;
+    }
+
+    this._apply();
+    this._save();
+    return this.get();
+  }
+
+  /**
+   * Replaces every override (e.g. with the ones stored in a game save):
+   * settings not given go back to their defaults.
+   *
+   * @param {Object} overrides - Setting name → value
+   * @returns {Object} Current value of every setting
+   * @throws {Error} If a setting is unknown or a value is invalid (nothing is changed)
+   */
+  replace(overrides) {
+    const valid = Config.validate(overrides);
+    this.overrides = {};
+    return this.set(valid);
+  }
+
+  /**
+   * Restores the default values and deletes the saved overrides.
+   *
+   * @returns {Object} Current value of every setting
+   */
+  reset() {
+    this.overrides = {};
+    this._apply();
+
+    if (this.storage) {
+      try {
+        this.storage.removeItem(Constants.CONFIG_STORAGE_KEY);
+      } catch (error) {
+        console.warn(`⚠️ Could not delete saved settings: ${error.message}`);
+      }
+    }
+
+    return this.get();
+  }
+
+  /**
+   * Applies overrides saved by an earlier session. Saved settings that
+   * no longer validate are discarded with a warning.
+   *
+   * @returns {Array<string>} Names of the settings restored
+   */
+  load() {
+    if (!this.storage) {
+      return [];
+    }
+
+    try {
+      const saved = this.storage.getItem(Constants.CONFIG_STORAGE_KEY);
+      if (!saved) {
+        return [];
+      }
+
+      this.overrides = Config.parse(saved);
+      this._apply();
+      return Object.keys(this.overrides);
+
+    } catch (error) {
+      console.warn(`⚠️ Ignoring saved settings: ${error.message}`);
+      return [];
+    }
+  }
+
+  /**
+   * Checks overrides against the setting rules.
+   *
+   * @param {Object} overrides - Setting name → new value
+   * @returns {Object} Copy of the overrides
+   * @throws {Error} Listing every unknown setting and invalid value
+   */
+  static validate(overrides) {
+    if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+      throw new Error('Settings must be an object, e.g. { MAX_REASONABLE_ROI: 7200 }');
+    }
+
+    const schema = Config._getSchema();
+    const problems = [];
+    const valid = {};
+
+    for (const [key, value] of Object.entries(overrides)) {
+      const rule = schema[key];
+      if (!rule) {
+        problems.push(`unknown setting "${key}"`);
+        continue;
+      }
+
+      if (!rule.fields) {
+        if (rule.check(value)) {
+          valid[key] = value;
+        } else {
+          problems.push(`${key} must be ${rule.expected}`);
+        }
+        continue;
+      }
+
+      if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        problems.push(`${key} must be an object with ${Object.keys(rule.fields).join(', ')}`);
+        continue;
+      }
+
+      valid[key] = {};
+      for (const [field, fieldValue] of Object.entries(value)) {
+        const fieldRule = rule.fields[field];
+        if (!fieldRule) {
+          problems.push(`unknown setting "${key}.${field}"`);
+        } else if (!fieldRule.check(fieldValue)) {
+          problems.push(`${key}.${field} must be ${fieldRule.expected}`);
+        } else {
+          valid[key][field] = fieldValue;
+        }
+      }
+    }
+
+    if (problems.length > 0) {
+      throw new Error(`Invalid settings: ${problems.join('; ')}`);
+    }
+
+    return valid;
+  }
+
+  /**
+   * Serializes overrides, writing non-finite numbers as strings.
+   *
+   * @param {Object} overrides - Setting name → value
+   * @returns {string} JSON text
+   */
+  static stringify(overrides) {
+    return JSON.stringify(overrides, (key, value) =>
+      typeof value === 'number' && !isFinite(value) ? String(value) : value
+    );
+  }
+
+  /**
+   * Parses and validates overrides written by stringify().
+   *
+   * @param {string} json - JSON text
+   * @returns {Object} Setting name → value
+   * @throws {Error} If the JSON or a setting is invalid
+   */
+  static parse(json) {
+    const overrides = JSON.parse(json, (key, value) =>
+      value === 'Infinity' || value === '-Infinity' || value === 'NaN' ? Number(value) : value
+    );
+    return Config.validate(overrides);
+  }
+
+  /**
+   * Lists the settings that can be changed.
+   *
+   * @returns {Array<string>} Setting names
+   */
+  static getSettingNames() {
+    return Object.keys(Config._getSchema());
+  }
+
+  /**
+   * Writes defaults plus overrides into the target. Object settings are
+   * updated in place, so references to them stay current.
+   *
+   * @private
+   */
+  _apply() {
+    for (const key of Config.getSettingNames()) {
+      if (Config._isObjectSetting(key)) {
+        Object.assign(this.target[key], this.defaults[key], this.overrides[key]);
+      } else {
+        this.target[key] = key in this.overrides ? this.overrides[key] : this.defaults[key];
+      }
+    }
+  }
+
+  /**
+   * Saves the overrides. Settings still apply for this session if saving fails.
+   *
+   * @private
+   */
+  _save() {
+    if (!this.storage) {
+      return;
+    }
+
+    try {
+      this.storage.setItem(Constants.CONFIG_STORAGE_KEY, Config.stringify(this.overrides));
+    } catch (error) {
+      console.warn(`⚠️ Could not save settings: ${error.message}`);
+    }
+  }
+
+  /**
+   * Copies the settings present in an object.
+   *
+   * @private
+   * @param {Object} source - Constants or overrides
+   * @returns {Object} Setting name → value
+   */
+  _copyValues(source) {
+    const copy = {};
+    for (const key of Config.getSettingNames()) {
+      if (key in source) {
+        copy[key] = Config._isObjectSetting(key) ? Object.assign({}, source[key]) : source[key];
+      }
+    }
+    return copy;
+  }
+
+  /**
+   * @private
+   * @param {string} key - Setting name
+   * @returns {boolean} True for settings made of several fields
+   */
+  static _isObjectSetting(key) {
+    return Boolean(Config._getSchema()[key].fields);
+  }
+
+  /**
+   * The page's localStorage, if it can be used.
+   *
+   * @private
+   * @returns {Storage|null} localStorage, or null (Node.js, or storage blocked by the browser)
+   */
+  static _getDefaultStorage() {
+    try {
+      return typeof localStorage !== 'undefined' ? localStorage : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Rules for each setting: check(value) and a description of valid values.
+   *
+   * @private
+   * @returns {Object} Setting name → { check, expected } or { fields: { name → { check, expected } } }
+   */
+  static _getSchema() {
+    const nonNegative = {
+      check: value => typeof value === 'number' && isFinite(value) && value >= 0,
+      expected: 'a non-negative number'
+    };
+    const integerBetween = (min, max) => ({
+      check: value => Number.isInteger(value) && value >= min && value <= max,
+      expected: `a whole number from ${min} to ${max}`
+    });
+
+    return {
+      MAX_REASONABLE_ROI: {
+        check: value => typeof value === 'number' && value > 0,
+        expected: 'a positive number of seconds (Infinity to turn the ROI filter off)'
+      },
+      MIN_VALID_DELTA_CPS: nonNegative,
+      TOP_ALTERNATIVES_COUNT: integerBetween(0, 20),
+      NUMBER_PRECISION: integerBetween(0, 10),
+      LUCKY_BANK_TARGET: {
+        check: value => ['lucky', 'frenzy', 'none'].includes(value),
+        expected: "'lucky', 'frenzy' or 'none'"
+      },
+      UPGRADE_ESTIMATES: {
+        fields: {
+          CONSERVATIVE_BOOST: nonNegative,
+          CLICK_UPGRADE_WEIGHT: nonNegative,
+          SYNERGY_MULTIPLIER: nonNegative
+        }
+      }
+    };
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Config;
+}
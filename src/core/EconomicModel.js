@@ -7,8 +7,33 @@
  * - Lower ROI time = better investment (pays back faster)
  * - deltaCPS = increase in cookies per second from purchase
  *
- * Buildings: Straightforward calculation using base CPS and multipliers
- * Upgrades: Heuristic-based estimation by parsing upgrade descriptions
+ * Payback from now: paybackFromNow = timeToAfford + roiTime
+ * - timeToAfford = max(0, cost - cookies) / currentCPS
+ * - Matches the "payback period" used by established calculators
+ *
+ * Buildings: marginal CPS of one more building, read from the game's own numbers
+ *   deltaCPS = (perUnitCPS + partnerCPS) × globalMultiplier
+ * - perUnitCPS: what the game says one building produces (storedCps)
+ * - partnerCPS: what other buildings gain through owned grandma-type,
+ *   synergy and finger upgrades when this one is added
+ * Upgrades: Known effects from UpgradeDatabase first, then heuristic-based
+ * estimation by parsing upgrade descriptions. Golden cookie upgrades are
+ * valued by the golden cookie income they add (GoldenCookieAnalyzer).
+ *
+ * Click upgrades are valued against the player's click rate
+ * (gameState.clicksPerSecond, set from Constants.CLICK_PROFILES or measured)
+ * and the game's cookies per click.
+ *
+ * Upgrade pools (Constants.UPGRADE_POOLS): debug, heavenly and retired
+ * upgrades are never candidates; toggles are not either, getToggles()
+ * lists them apart; cookies not in the database are valued as permanent
+ * boosts to all production from their "+N%". Grandmapocalypse research
+ * ('tech' pool) is valued from UpgradeDatabase.RESEARCH.
+ *
+ * Every upgrade candidate is tagged with estimationMethod:
+ * - 'database': effect looked up by name in UpgradeDatabase
+ * - 'pattern':  effect parsed from the description (Constants.UPGRADE_PATTERNS)
+ * - 'fallback': nothing recognized, conservative % of CPS
  */
 
 class EconomicModel {
@@ -22,6 +47,7 @@ class EconomicModel {
       throw new Error('Invalid game state provided to EconomicModel');
     }
     this.gameState = gameState;
+    this.ownedUpgrades = new Set(gameState.ownedUpgrades || []);
   }
 
   /**
@@ -32,11 +58,12 @@ class EconomicModel {
   getAllCandidates() {
     const candidates = [];
 
-    // Add all buildings
+    // Add all buildings (single purchase, bulk purchases, next milestone)
     for (const building of this.gameState.buildings) {
       const roi = this.calculateBuildingROI(building);
       if (roi) {
         candidates.push(roi);
+        candidates.push(...this.getBulkBuildingCandidates(building));
       }
     }
 
@@ -62,65 +89,179 @@ class EconomicModel {
     const cost = building.cost;
     const baseCPS = building.baseCPS;
     const owned = building.owned;
-    const totalCPS = building.totalCPS;
 
     // Guard: invalid data
     if (cost <= 0 || baseCPS < 0) {
       return null;
     }
 
-    // Calculate multiplier from current state
-    // Multiplier accounts for all upgrades affecting this building
-    let multiplier = 1.0;
-    if (owned > 0 && totalCPS > 0) {
-      const baseTotal = baseCPS * owned;
-      if (baseTotal > 0) {
-        multiplier = totalCPS / baseTotal;
-      }
-    }
-
-    // Delta CPS = what we gain from buying one more
-    const deltaCPS = baseCPS * multiplier;
+    // Delta CPS = what we gain from buying one more, including partner buildings
+    const globalMultiplier = this.getGlobalMultiplier();
+    const directCPS = this._getPerUnitCPS(building) * globalMultiplier;
+    const synergyCPS = this._calculatePartnerCPS(building) * globalMultiplier;
+    const deltaCPS = directCPS + synergyCPS;
 
     // Calculate ROI time
     const roiTime = this._calculateROITime(cost, deltaCPS);
 
+    // Payback measured from now = wait until affordable + ROI time
+    const timeToAfford = this.getTimeToAfford(cost);
+
     return {
       id: building.id,
       type: 'building',
       name: building.name,
       cost: cost,
       deltaCPS: deltaCPS,
+      directCPS: directCPS,
+      synergyCPS: synergyCPS, // Gained by other buildings through owned upgrades
       roiTime: roiTime,
+      timeToAfford: timeToAfford,
+      paybackFromNow: timeToAfford + roiTime,
       currentOwned: owned,
+      quantity: 1,
       // Metadata for display
       displayName: `${building.name} (#${owned + 1})`
     };
   }
 
+  /**
+   * Gets bulk purchase candidates for a building: one per BULK_QUANTITIES
+   * entry, plus buying up to the next ownership milestone.
+   *
+   * @param {Object} building - Normalized building object
+   * @returns {Array<Object>} Bulk candidates (may be empty)
+   */
+  getBulkBuildingCandidates(building) {
+    const candidates = [];
+
+    for (const quantity of Constants.BULK_QUANTITIES) {
+      const roi = this.calculateBulkBuildingROI(building, quantity);
+      if (roi) {
+        candidates.push(roi);
+      }
+    }
+
+    // Next milestone (skip when it's one purchase away or already a bulk size)
+    const milestone = Constants.BUILDING_MILESTONES.find(m => m > building.owned);
+    if (milestone) {
+      const quantity = milestone - building.owned;
+      if (quantity > 1 && !Constants.BULK_QUANTITIES.includes(quantity)) {
+        const roi = this.calculateBulkBuildingROI(building, quantity);
+        if (roi) {
+          candidates.push(roi);
+        }
+      }
+    }
+
+    return candidates;
+  }
+
+  /**
+   * Calculates ROI for buying several of a building at once.
+   *
+   * Cumulative cost follows the game's price growth:
+   *   cost = price × (growth^quantity - 1) / (growth - 1)
+   * Gain is the single-building gain times quantity (partner bonuses
+   * per building are constant, so this stays exact).
+   *
+   * With cost growing 15% per building and gain linear, a bulk buy always
+   * pays back slower than the first building in it, and what a milestone
+   * unlocks (upgrades, achievements) is not valued. Bulk candidates are
+   * therefore informational: strategies skip them, they are listed by
+   * debug() and help GoalPlanner close a CPS gap in one step.
+   *
+   * @param {Object} building - Normalized building object
+   * @param {number} quantity - Number of buildings to buy
+   * @returns {Object|null} ROI data, or null if invalid
+   */
+  calculateBulkBuildingROI(building, quantity) {
+    const single = this.calculateBuildingROI(building);
+    if (!single || quantity < 1) {
+      return null;
+    }
+
+    const growth = Constants.BUILDING_PRICE_GROWTH;
+    const cost = building.cost * (Math.pow(growth, quantity) - 1) / (growth - 1);
+    const deltaCPS = single.deltaCPS * quantity;
+    const directCPS = single.directCPS * quantity;
+    const synergyCPS = single.synergyCPS * quantity;
+    const roiTime = this._calculateROITime(cost, deltaCPS);
+    const timeToAfford = this.getTimeToAfford(cost);
+
+    const owned = building.owned;
+    const target = owned + quantity;
+    const milestone = Constants.BUILDING_MILESTONES.includes(target) ? target : null;
+
+    return {
+      id: `${building.id}_x${quantity}`,
+      buildingId: building.id,
+      type: 'building',
+      name: building.name,
+      cost: cost,
+      deltaCPS: deltaCPS,
+      directCPS: directCPS,
+      synergyCPS: synergyCPS,
+      roiTime: roiTime,
+      timeToAfford: timeToAfford,
+      paybackFromNow: timeToAfford + roiTime,
+      currentOwned: owned,
+      quantity: quantity,
+      milestone: milestone, // Ownership milestone reached (unlocks upgrades/achievements)
+      informational: true, // Never ranked (see above)
+      // Metadata for display
+      displayName: milestone
+        ? `${building.name} ×${quantity} (#${owned + 1}-#${target}, milestone ${milestone})`
+        : `${building.name} ×${quantity} (#${owned + 1}-#${target})`
+    };
+  }
+
   /**
    * Calculates ROI for purchasing an upgrade.
-   * Uses heuristic pattern matching to estimate CPS impact.
+   * Uses the upgrade database when the upgrade is known, otherwise
+   * heuristic pattern matching to estimate CPS impact.
    *
    * @param {Object} upgrade - Normalized upgrade object
-   * @returns {Object|null} ROI data, or null if invalid
+   * @returns {Object|null} ROI data, or null if invalid or not a purchase (see isPurchasable())
    */
   calculateUpgradeROI(upgrade) {
     // Extract upgrade properties
     const cost = upgrade.cost;
     const description = upgrade.descriptionDetail || upgrade.description || '';
 
-    // Guard: invalid data
-    if (cost <= 0) {
+    // Guard: invalid data, toggles and pools that are not for sale
+    if (cost <= 0 || !this.isPurchasable(upgrade)) {
       return null;
     }
 
-    // Estimate CPS delta using pattern matching
-    const deltaCPS = this._estimateUpgradeCPS(upgrade, description);
+    // Estimate CPS delta: database first, then cookies' "+N%", pattern matching as fallback
+    const effect = UpgradeDatabase.lookup(upgrade.name);
+    const isCookie = upgrade.pool === Constants.UPGRADE_POOLS.COOKIE;
+    let estimate;
+    if (effect) {
+      estimate = { deltaCPS: this.estimateFromDatabase(effect), method: 'database' };
+    } else if (isCookie) {
+      estimate = this._estimateCookieCPS(description);
+    } else {
+      estimate = this._estimateUpgradeCPS(upgrade, description);
+    }
+    const deltaCPS = estimate.deltaCPS;
+
+    // Remember which building the boost lands on (used when simulating purchases);
+    // cookies boost everything, whatever their description mentions
+    let affectedBuilding = null;
+    if (effect) {
+      affectedBuilding = this._findBuildingByName(effect.building || (effect.buildings && effect.buildings[0]));
+    } else if (!isCookie) {
+      affectedBuilding = this._findAffectedBuilding(description.toLowerCase());
+    }
 
     // Calculate ROI time
     const roiTime = this._calculateROITime(cost, deltaCPS);
 
+    // Payback measured from now = wait until affordable + ROI time
+    const timeToAfford = this.getTimeToAfford(cost);
+
     return {
       id: upgrade.id,
       type: 'upgrade',
@@ -128,12 +269,66 @@ class EconomicModel {
       cost: cost,
       deltaCPS: deltaCPS,
       roiTime: roiTime,
+      timeToAfford: timeToAfford,
+      paybackFromNow: timeToAfford + roiTime,
       isPermanent: true, // Upgrades are permanent
+      estimationMethod: estimate.method,
+      affectedBuilding: affectedBuilding ? affectedBuilding.id : null,
       // Metadata for display
       displayName: `[Upgrade] ${upgrade.name}`
     };
   }
 
+  /**
+   * Whether an upgrade is a purchase to rank: not a toggle, and not in a
+   * pool the store never sells for cookies (Constants.UPGRADE_POOLS).
+   *
+   * @param {Object} upgrade - Normalized upgrade object
+   * @returns {boolean} True if it can be a candidate
+   */
+  isPurchasable(upgrade) {
+    const pools = Constants.UPGRADE_POOLS;
+    return upgrade.pool !== pools.TOGGLE && !pools.SKIPPED.includes(upgrade.pool);
+  }
+
+  /**
+   * Lists the toggles in the store (seasons, Elder Pledge and Covenant,
+   * golden switch...). They are never candidates: what they are worth
+   * depends on how the player plays, so they are described instead.
+   *
+   * @returns {Array<Object>} { id, type: 'toggle', name, cost, note, displayName }, note from
+   *   UpgradeDatabase.lookupToggle() ('' if unknown)
+   */
+  getToggles() {
+    return this.gameState.upgrades
+      .filter(upgrade => upgrade.pool === Constants.UPGRADE_POOLS.TOGGLE)
+      .map(upgrade => ({
+        id: upgrade.id,
+        type: 'toggle',
+        name: upgrade.name,
+        cost: upgrade.cost,
+        note: UpgradeDatabase.lookupToggle(upgrade.name) || '',
+        displayName: `[Toggle] ${upgrade.name}`
+      }));
+  }
+
+  /**
+   * Estimates CPS increase from a cookie not in the database: cookies
+   * raise all production by the "+N%" in their description.
+   *
+   * @private
+   * @param {string} description - Upgrade description text
+   * @returns {Object} { deltaCPS, method } where method is 'pattern' or 'fallback'
+   */
+  _estimateCookieCPS(description) {
+    const currentCPS = this.gameState.cookiesPerSecond;
+    const match = description.replace(/<[^>]*>/g, '').match(Constants.UPGRADE_PATTERNS.COOKIE_PRODUCTION);
+    if (match) {
+      return { deltaCPS: currentCPS * (parseFloat(match[1]) / 100), method: 'pattern' };
+    }
+    return { deltaCPS: currentCPS * Constants.UPGRADE_ESTIMATES.CONSERVATIVE_BOOST, method: 'fallback' };
+  }
+
   /**
    * Estimates CPS increase from an upgrade by parsing its description.
    * This is heuristic-based since upgrade effects vary wildly.
@@ -141,12 +336,28 @@ class EconomicModel {
    * @private
    * @param {Object} upgrade - Upgrade object
    * @param {string} description - Upgrade description text
-   * @returns {number} Estimated deltaCPS
+   * @returns {Object} { deltaCPS, method } where method is 'pattern' or 'fallback'
    */
   _estimateUpgradeCPS(upgrade, description) {
-    const desc = description.toLowerCase();
+    // Game descriptions contain HTML ("Clicking is <b>10%</b> more powerful")
+    const desc = description.replace(/<[^>]*>/g, '').toLowerCase();
     const currentCPS = this.gameState.cookiesPerSecond;
 
+    // Click patterns first: their percentages apply to clicks, not to CPS
+    // "Clicking gains +1% of your CpS"
+    const clickCpsMatch = desc.match(Constants.UPGRADE_PATTERNS.CLICK_CPS_PERCENT);
+    if (clickCpsMatch) {
+      const percent = parseFloat(clickCpsMatch[1]);
+      return { deltaCPS: currentCPS * (percent / 100) * this._getClicksPerSecond(), method: 'pattern' };
+    }
+
+    // "Clicking is 10% more powerful"
+    const clickPowerMatch = desc.match(Constants.UPGRADE_PATTERNS.CLICK_POWER);
+    if (clickPowerMatch) {
+      const percent = parseFloat(clickPowerMatch[1]);
+      return { deltaCPS: this._getClickIncome() * (percent / 100), method: 'pattern' };
+    }
+
     // Pattern 1: Multiplier upgrades (e.g., "Grandmas are 2x as efficient")
     const multiplierMatch = desc.match(Constants.UPGRADE_PATTERNS.MULTIPLIER);
     if (multiplierMatch) {
@@ -154,7 +365,7 @@ class EconomicModel {
       const affectedBuilding = this._findAffectedBuilding(desc);
       if (affectedBuilding) {
         // Increase is (multiplier - 1) * current CPS from that building
-        return affectedBuilding.totalCPS * (multiplier - 1);
+        return { deltaCPS: this.getEffectiveBuildingCPS(affectedBuilding) * (multiplier - 1), method: 'pattern' };
       }
     }
 
@@ -166,39 +377,296 @@ class EconomicModel {
 
       if (affectedBuilding) {
         // Percentage boost to specific building
-        return affectedBuilding.totalCPS * (percent / 100);
+        return { deltaCPS: this.getEffectiveBuildingCPS(affectedBuilding) * (percent / 100), method: 'pattern' };
       } else {
         // General percentage boost to all CPS
-        return currentCPS * (percent / 100);
+        return { deltaCPS: currentCPS * (percent / 100), method: 'pattern' };
       }
     }
 
     // Pattern 3: Flat bonus (e.g., "Cursors gain +0.1 cookies per click")
     const flatMatch = desc.match(Constants.UPGRADE_PATTERNS.FLAT_COOKIE_BONUS);
     if (flatMatch) {
-      // Click bonuses are harder to value, use conservative estimate
-      // Assume player clicks 1-2 times per second when active
+      // Flat bonus per click, at the player's click rate
       const bonusPerClick = parseFloat(flatMatch[1]);
-      const estimatedClicksPerSec = 1.5;
-      return bonusPerClick * estimatedClicksPerSec;
+      return { deltaCPS: bonusPerClick * this._getClicksPerSecond(), method: 'pattern' };
     }
 
     // Pattern 4: Building-specific upgrade (e.g., "Steel-plated rolling pins")
     const affectedBuilding = this._findAffectedBuilding(desc);
     if (affectedBuilding) {
       // Assume 50% boost to that building type
-      return affectedBuilding.totalCPS * Constants.UPGRADE_ESTIMATES.SYNERGY_MULTIPLIER;
+      return {
+        deltaCPS: this.getEffectiveBuildingCPS(affectedBuilding) * Constants.UPGRADE_ESTIMATES.SYNERGY_MULTIPLIER,
+        method: 'pattern'
+      };
     }
 
     // Pattern 5: Click upgrade (e.g., mentions "clicking" or "cursor")
     if (desc.includes('click') || desc.includes('cursor')) {
-      // Click upgrades have indirect value, assign conservative estimate
-      return currentCPS * Constants.UPGRADE_ESTIMATES.CLICK_UPGRADE_WEIGHT;
+      // Unrecognized click upgrade: conservative share of current click income
+      return { deltaCPS: this._getClickIncome() * Constants.UPGRADE_ESTIMATES.CLICK_UPGRADE_WEIGHT, method: 'pattern' };
     }
 
     // Fallback: Unknown upgrade type
     // Assign conservative 2% boost to total CPS
-    return currentCPS * Constants.UPGRADE_ESTIMATES.CONSERVATIVE_BOOST;
+    return { deltaCPS: currentCPS * Constants.UPGRADE_ESTIMATES.CONSERVATIVE_BOOST, method: 'fallback' };
+  }
+
+  /**
+   * Values a known upgrade effect from UpgradeDatabase (click income
+   * included). Also used by SynergyAnalyzer, so both value it the same.
+   *
+   * @param {Object} effect - Effect from UpgradeDatabase.lookup()
+   * @returns {number} Estimated deltaCPS
+   */
+  estimateFromDatabase(effect) {
+    const currentCPS = this.gameState.cookiesPerSecond;
+    const clicksPerSecond = this._getClicksPerSecond();
+    const buildingCPS = name => {
+      const building = this._findBuildingByName(name);
+      return building ? this.getEffectiveBuildingCPS(building) : 0;
+    };
+    const buildingOwned = name => {
+      const building = this._findBuildingByName(name);
+      return building ? building.owned : 0;
+    };
+
+    switch (effect.family) {
+      case 'tiered': {
+        // Building doubles; Cursor tiers also double the base click (1 × 2^(tier-1))
+        let delta = buildingCPS(effect.building) * (effect.multiplier - 1);
+        if (effect.building === 'Cursor') {
+          delta += Math.pow(2, effect.tier - 1) * clicksPerSecond;
+        }
+        return delta;
+      }
+
+      case 'grandma':
+        // Grandmas ×2, and the partner gains +1% per N grandmas
+        return buildingCPS('Grandma') +
+          buildingCPS(effect.building) * 0.01 * buildingOwned('Grandma') / effect.perGrandmas;
+
+      case 'synergy': {
+        const [low, high] = effect.buildings;
+        return buildingCPS(low) * 0.05 * buildingOwned(high) +
+          buildingCPS(high) * 0.001 * buildingOwned(low);
+      }
+
+      case 'cookie':
+        return currentCPS * (effect.percent / 100);
+
+      case 'kitten':
+        return currentCPS * (this.gameState.milk || 0) * effect.factor;
+
+      case 'golden':
+        // Average golden cookie income gained (spawn rate, effect length, Lucky payout)
+        return new GoldenCookieAnalyzer(this.gameState).getUpgradeValue(effect);
+
+      case 'mouse':
+        return currentCPS * (effect.percent / 100) * clicksPerSecond;
+
+      case 'fingers': {
+        // Each cursor and each click gains the bonus per non-cursor building
+        const nonCursorOwned = this.gameState.buildings
+          .filter(b => b.name !== 'Cursor')
+          .reduce((sum, b) => sum + b.owned, 0);
+        const addedBonus = effect.bonus || effect.previous * (effect.multiplier - 1);
+        return addedBonus * nonCursorOwned *
+          (buildingOwned('Cursor') * this.getGlobalMultiplier() + clicksPerSecond);
+      }
+
+      case 'research':
+        if (typeof effect.percent === 'number') {
+          return currentCPS * (effect.percent / 100);
+        }
+        if (typeof effect.multiplier === 'number') {
+          return buildingCPS(effect.building) * (effect.multiplier - 1);
+        }
+        return this._estimateBaseCPSBonus(effect);
+
+      default:
+        return 0;
+    }
+  }
+
+  /**
+   * Values research that adds base CPS to every grandma per building of a
+   * type: the added base is scaled by the grandmas' own upgrades
+   * (building multiplier) and the global multiplier.
+   *
+   * @private
+   * @param {Object} effect - Research effect { building, baseCps, per }
+   * @returns {number} Estimated deltaCPS
+   */
+  _estimateBaseCPSBonus(effect) {
+    const building = this._findBuildingByName(effect.building);
+    const per = this._findBuildingByName(effect.per);
+    if (!building || !per) {
+      return 0;
+    }
+    const multiplier = typeof building.multiplier === 'number' ? building.multiplier : 1;
+    return effect.baseCps * per.owned * building.owned * multiplier * this.getGlobalMultiplier();
+  }
+
+  /**
+   * Gets the multiplier applied on top of every building's CPS.
+   * Uses the value captured by GameStateAdapter, otherwise derives it
+   * from reported CPS versus the sum of building CPS.
+   *
+   * @returns {number} Global multiplier (1.0 if unknown)
+   */
+  getGlobalMultiplier() {
+    const { globalMultiplier, cookiesPerSecond, buildings } = this.gameState;
+    if (typeof globalMultiplier === 'number' && globalMultiplier > 0) {
+      return globalMultiplier;
+    }
+
+    const buildingTotal = buildings.reduce((sum, b) => sum + b.totalCPS, 0);
+    if (buildingTotal > 0 && cookiesPerSecond > 0) {
+      return cookiesPerSecond / buildingTotal;
+    }
+    return 1.0;
+  }
+
+  /**
+   * Gets a building type's contribution to the reported CPS
+   * (its total CPS with the global multiplier applied).
+   *
+   * @param {Object} building - Normalized building object
+   * @returns {number} Effective CPS from this building type
+   */
+  getEffectiveBuildingCPS(building) {
+    return building.totalCPS * this.getGlobalMultiplier();
+  }
+
+  /**
+   * Gets the CPS of one more building before the global multiplier.
+   * Older states without perUnitCPS fall back to the average owned building,
+   * or the base CPS when none are owned.
+   *
+   * @private
+   * @param {Object} building - Normalized building object
+   * @returns {number} Per-building CPS
+   */
+  _getPerUnitCPS(building) {
+    if (typeof building.perUnitCPS === 'number') {
+      return building.perUnitCPS;
+    }
+    if (building.owned > 0 && building.totalCPS > 0) {
+      return building.totalCPS / building.owned;
+    }
+    return building.baseCPS;
+  }
+
+  /**
+   * Calculates what OTHER buildings gain when one more of this building is
+   * bought, through upgrades already owned. Values are before the global
+   * multiplier. Partner totals already include the current bonus, so each
+   * term is divided back out (e.g. 1 + 5% × owned) to get the unboosted base.
+   *
+   * - Grandma types: partner gains +1% per N grandmas (buying a Grandma)
+   * - Synergies: low tier gains +5% per high, high gains +0.1% per low
+   * - Fingers: every Cursor (and click) gains the bonus per non-cursor building
+   *
+   * @private
+   * @param {Object} building - Normalized building object
+   * @returns {number} Partner CPS gained
+   */
+  _calculatePartnerCPS(building) {
+    const owned = name => {
+      const b = this._findBuildingByName(name);
+      return b ? b.owned : 0;
+    };
+    const total = name => {
+      const b = this._findBuildingByName(name);
+      return b ? b.totalCPS : 0;
+    };
+
+    let partnerCPS = 0;
+
+    for (const name of this.ownedUpgrades) {
+      const effect = UpgradeDatabase.lookup(name);
+      if (!effect) {
+        continue;
+      }
+
+      if (effect.family === 'grandma' && building.name === 'Grandma') {
+        const perGrandma = 0.01 / effect.perGrandmas;
+        partnerCPS += total(effect.building) * perGrandma / (1 + perGrandma * owned('Grandma'));
+      } else if (effect.family === 'synergy') {
+        const [low, high] = effect.buildings;
+        if (building.name === high) {
+          partnerCPS += total(low) * 0.05 / (1 + 0.05 * owned(high));
+        } else if (building.name === low) {
+          partnerCPS += total(high) * 0.001 / (1 + 0.001 * owned(low));
+        }
+      }
+    }
+
+    // Fingers: cursor CPS and clicks grow with every non-cursor building
+    if (building.name !== 'Cursor') {
+      const fingerBonus = this._getFingerBonus();
+      if (fingerBonus > 0) {
+        partnerCPS += fingerBonus * owned('Cursor') +
+          fingerBonus * this._getClicksPerSecond() / this.getGlobalMultiplier();
+      }
+    }
+
+    return partnerCPS;
+  }
+
+  /**
+   * Gets the current finger bonus per non-cursor building from owned
+   * finger upgrades (Thousand fingers, then ×N per later tier).
+   *
+   * @private
+   * @returns {number} Cookies per cursor per non-cursor building
+   */
+  _getFingerBonus() {
+    return UpgradeDatabase.FINGERS.reduce((bonus, finger) => {
+      if (!this.ownedUpgrades.has(finger.name)) {
+        return bonus;
+      }
+      return finger.bonus ? finger.bonus : bonus * finger.multiplier;
+    }, 0);
+  }
+
+  /**
+   * Gets the player's click rate, falling back to the default profile.
+   *
+   * @private
+   * @returns {number} Clicks per second
+   */
+  _getClicksPerSecond() {
+    if (typeof this.gameState.clicksPerSecond === 'number' && this.gameState.clicksPerSecond >= 0) {
+      return this.gameState.clicksPerSecond;
+    }
+    return Constants.CLICK_PROFILES[Constants.DEFAULT_CLICK_PROFILE];
+  }
+
+  /**
+   * Gets the cookies per second earned by clicking (clicks/sec × cookies per click).
+   *
+   * @private
+   * @returns {number} Click income
+   */
+  _getClickIncome() {
+    const cookiesPerClick = typeof this.gameState.cookiesPerClick === 'number'
+      ? this.gameState.cookiesPerClick
+      : 1;
+    return this._getClicksPerSecond() * cookiesPerClick;
+  }
+
+  /**
+   * Finds a building in the game state by exact name.
+   *
+   * @private
+   * @param {string} name - Building name (e.g., "Wizard tower")
+   * @returns {Object|null} Building, or null if not found
+   */
+  _findBuildingByName(name) {
+    return this.gameState.buildings.find(b => b.name === name) || null;
   }
 
   /**
@@ -209,23 +677,38 @@ class EconomicModel {
    * @returns {Object|null} Affected building, or null if none/unknown
    */
   _findAffectedBuilding(description) {
-    // Check if description mentions any building name
-    const buildingMatch = description.match(Constants.UPGRADE_PATTERNS.BUILDING_REFERENCE);
-    if (!buildingMatch) {
-      return null;
-    }
-
-    const buildingName = buildingMatch[1];
+    const buildings = this.findAffectedBuildings(description);
+    return buildings.length > 0 ? buildings[0] : null;
+  }
 
-    // Find the building in our game state
-    // Need to match case-insensitively
-    for (const building of this.gameState.buildings) {
-      if (building.name.toLowerCase() === buildingName.toLowerCase()) {
-        return building;
+  /**
+   * Finds every building mentioned in a description, in order of appearance.
+   * Synergy upgrades name two buildings ("Farms gain +5% CpS per time machine"),
+   * so callers that care about partners need all of them.
+   *
+   * @param {string} description - Upgrade description (any case)
+   * @returns {Array<Object>} Mentioned buildings from the game state (no duplicates)
+   */
+  findAffectedBuildings(description) {
+    const pattern = new RegExp(Constants.UPGRADE_PATTERNS.BUILDING_REFERENCE.source, 'gi');
+    const found = [];
+
+    for (const match of description.matchAll(pattern)) {
+      // Normalize the irregular plural before matching names
+      const buildingName = match[1].toLowerCase().replace(/ies$/, 'y');
+
+      // Find the building in our game state
+      // Need to match case-insensitively
+      const building = this.gameState.buildings.find(b =>
+        b.name.toLowerCase() === buildingName
+      );
+
+      if (building && !found.includes(building)) {
+        found.push(building);
       }
     }
 
-    return null;
+    return found;
   }
 
   /**
@@ -253,6 +736,80 @@ class EconomicModel {
     return roiTime;
   }
 
+  /**
+   * Simulates buying a candidate and returns the resulting game state.
+   * The current game state is left untouched; a new state is returned.
+   *
+   * Buildings: quantity more owned, price grows by BUILDING_PRICE_GROWTH each
+   * Upgrades: removed from the store, boost scales the affected building
+   * (or the global multiplier for global boosts)
+   *
+   * @param {Object} candidate - Candidate produced by this model
+   * @returns {Object} New normalized game state after the purchase
+   */
+  simulatePurchase(candidate) {
+    const state = this.gameState;
+    const buildings = state.buildings.map(b => ({ ...b }));
+    const globalMultiplier = this.getGlobalMultiplier();
+    let nextGlobalMultiplier = globalMultiplier;
+    let upgrades = state.upgrades;
+
+    if (candidate.type === 'building') {
+      const buildingId = candidate.buildingId || candidate.id;
+      const quantity = candidate.quantity || 1;
+      const building = buildings.find(b => b.id === buildingId);
+      if (building) {
+        building.totalCPS += this._getPerUnitCPS(building) * quantity;
+        building.owned += quantity;
+        building.cost *= Math.pow(Constants.BUILDING_PRICE_GROWTH, quantity);
+      }
+    } else {
+      upgrades = upgrades.filter(u => u.id !== candidate.id);
+
+      const affected = buildings.find(b => b.id === candidate.affectedBuilding);
+      if (affected && affected.totalCPS > 0) {
+        // Building boost: every building of that type produces proportionally more
+        const scale = 1 + candidate.deltaCPS / (affected.totalCPS * globalMultiplier);
+        affected.totalCPS *= scale;
+        if (typeof affected.perUnitCPS === 'number') {
+          affected.perUnitCPS *= scale;
+        }
+      } else if (state.cookiesPerSecond > 0) {
+        // Global boost: raises the multiplier applied to every building
+        nextGlobalMultiplier = globalMultiplier * (1 + candidate.deltaCPS / state.cookiesPerSecond);
+      }
+    }
+
+    return {
+      ...state,
+      cookies: state.cookies - candidate.cost,
+      cookiesPerSecond: state.cookiesPerSecond + candidate.deltaCPS,
+      globalMultiplier: nextGlobalMultiplier,
+      buildings: buildings,
+      upgrades: upgrades
+    };
+  }
+
+  /**
+   * Calculates how long until a cost is affordable at the current CPS.
+   *
+   * @param {number} cost - Cost of the purchase
+   * @returns {number} Seconds to wait (0 if affordable now, Infinity if never)
+   */
+  getTimeToAfford(cost) {
+    const { cookies, cookiesPerSecond } = this.gameState;
+
+    if (Validators.isAffordable(cost, cookies)) {
+      return 0;
+    }
+
+    if (cookiesPerSecond <= 0) {
+      return Infinity;
+    }
+
+    return (cost - cookies) / cookiesPerSecond;
+  }
+
   /**
    * Gets candidate by ID.
    *
@@ -287,12 +844,13 @@ class EconomicModel {
   }
 
   /**
-   * Gets only valid candidates (finite ROI, reasonable time).
+   * Gets only valid candidates (finite ROI, reasonable time, no bulk buys).
    *
    * @returns {Array<Object>} Valid candidates for recommendation
    */
   getValidCandidates() {
     return this.getAllCandidates().filter(c =>
+      !c.informational &&
       Validators.isValidROI(c.roiTime) &&
       c.roiTime <= Constants.MAX_REASONABLE_ROI
     );
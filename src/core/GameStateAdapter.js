@@ -26,16 +26,52 @@ class GameStateAdapter {
    *
    * @returns {Object} Normalized game state
    * @returns {number} returns.cookies - Current cookie count
-   * @returns {number} returns.cookiesPerSecond - Current CPS
+   * @returns {number} returns.cookiesPerSecond - Buff-free baseline CPS (used for all estimates)
+   * @returns {number} returns.currentCPS - CPS as reported by the game, buffs included
+   * @returns {Array<Object>} returns.buffs - Active buffs ({ name, multCpS, multClick, timeLeft })
+   * @returns {number} returns.buffMultiplier - Combined CPS multiplier of active buffs
+   * @returns {number} returns.cookiesPerClick - Cookies per click on the big cookie (buffs excluded)
+   * @returns {number} returns.milk - Milk progress (achievements / 25), used by kitten upgrades
+   * @returns {number} returns.globalMultiplier - Multiplier applied on top of every building's CPS (buffs excluded)
+   * @returns {number} returns.kittenMultiplier - Combined CPS factor from owned kitten upgrades
    * @returns {Array<Object>} returns.buildings - Array of normalized buildings
    * @returns {Array<Object>} returns.upgrades - Array of normalized upgrades
+   * @returns {Array<string>} returns.ownedUpgrades - Names of upgrades already bought
+   * @returns {number} returns.cookiesEarned - Cookies baked this ascension
+   * @returns {number} returns.cookiesReset - Cookies baked in previous ascensions
+   * @returns {number} returns.prestige - Prestige level
+   * @returns {number} returns.heavenlyChips - Unspent heavenly chips
+   * @returns {number|null} returns.startDate - When this ascension started (ms timestamp), null if unknown
+   * @returns {Array<Object>} returns.heavenlyUpgrades - Heavenly upgrade tree ({ id, name, cost, parents, bought, description })
    */
   getGameState() {
+    const buildings = this._extractBuildings();
+    const ownedUpgrades = this._extractOwnedUpgrades();
+    const milk = typeof this.game.milkProgress === 'number' ? this.game.milkProgress : 0;
+    const buffs = this._extractBuffs();
+    const buffMultiplier = buffs.reduce((multiplier, buff) => multiplier * buff.multCpS, 1.0);
+    const baselineCPS = this._getBaselineCPS(buffMultiplier);
+    const number = name => (typeof this.game[name] === 'number' ? this.game[name] : 0);
+
     return {
       cookies: this.game.cookies,
-      cookiesPerSecond: this.game.cookiesPs,
-      buildings: this._extractBuildings(),
-      upgrades: this._extractUpgrades()
+      cookiesPerSecond: baselineCPS,
+      currentCPS: this.game.cookiesPs,
+      buffs: buffs,
+      buffMultiplier: buffMultiplier,
+      cookiesPerClick: this._getCookiesPerClick(buffs),
+      milk: milk,
+      globalMultiplier: this._getGlobalMultiplier(buildings, baselineCPS, buffMultiplier),
+      kittenMultiplier: this._getKittenMultiplier(ownedUpgrades, milk),
+      buildings: buildings,
+      upgrades: this._extractUpgrades(),
+      ownedUpgrades: ownedUpgrades,
+      cookiesEarned: number('cookiesEarned'),
+      cookiesReset: number('cookiesReset'),
+      prestige: number('prestige'),
+      heavenlyChips: number('heavenlyChips'),
+      startDate: this.game.startDate > 0 ? this.game.startDate : null,
+      heavenlyUpgrades: this._extractHeavenlyUpgrades()
     };
   }
 
@@ -78,13 +114,18 @@ class GameStateAdapter {
       ? building.cps(building)
       : (building.cps || 0);
 
+    const totalCPS = this._calculateBuildingCPS(building);
+    const perUnitCPS = this._getPerUnitCPS(building, baseCPS, totalCPS);
+
     return {
       id: key,
       name: building.name,
       owned: building.amount,
       cost: building.price,
       baseCPS: baseCPS, // Base CPS per individual building
-      totalCPS: building.storedCps || 0, // Total CPS from all owned buildings of this type
+      perUnitCPS: perUnitCPS, // CPS of one more building, before the global multiplier
+      totalCPS: totalCPS, // Total CPS from all owned buildings of this type
+      multiplier: this._getBuildingMultiplier(building, perUnitCPS), // Building-specific upgrades
       // Additional metadata for future use
       unlocked: building.unlocked !== 0,
       bought: building.bought // Total ever purchased (including sold)
@@ -100,7 +141,12 @@ class GameStateAdapter {
    * @returns {number} Total CPS from this building type
    */
   _calculateBuildingCPS(building) {
-    // Cookie Clicker stores total CPS in storedCps
+    // Cookie Clicker stores the per-building CPS in storedCps and the total in storedTotalCps
+    if (typeof building.storedTotalCps === 'number') {
+      return building.storedTotalCps;
+    }
+
+    // Older snapshots only carry storedCps, holding the total
     if (typeof building.storedCps === 'number') {
       return building.storedCps;
     }
@@ -193,31 +239,207 @@ class GameStateAdapter {
     return true;
   }
 
+  /**
+   * Gets the CPS one more of this building produces, before the global multiplier.
+   * The game computes this itself (storedCps), including fingers for Cursors
+   * and grandma-type bonuses for Grandmas, and it is valid even when none are owned.
+   *
+   * @private
+   * @param {Object} building - Building object from Game.Objects
+   * @param {number} baseCPS - Value of building.cps()
+   * @param {number} totalCPS - Total CPS from this building type
+   * @returns {number} Per-building CPS
+   */
+  _getPerUnitCPS(building, baseCPS, totalCPS) {
+    if (typeof building.storedTotalCps === 'number' && typeof building.storedCps === 'number') {
+      return building.storedCps;
+    }
+
+    // Fallback: average of the owned buildings, or the base value if none owned
+    if (building.amount > 0 && totalCPS > 0) {
+      return totalCPS / building.amount;
+    }
+    return baseCPS;
+  }
+
   /**
    * Gets the current multiplier effect on a specific building.
-   * This is useful for calculating the actual CPS gain from buying one more.
+   * This is the building-specific part only (tiered upgrades, grandma types,
+   * synergies); the global multiplier is captured separately.
    *
    * @private
    * @param {Object} building - Building object
+   * @param {number} perUnitCPS - CPS of one building from _getPerUnitCPS()
    * @returns {number} Multiplier (1.0 = no multiplier, 2.0 = double, etc.)
    */
-  _getBuildingMultiplier(building) {
-    // In Cookie Clicker, building.cps is a FUNCTION
-    const baseCPS = typeof building.cps === 'function'
-      ? building.cps(building)
-      : (building.cps || 0);
-
-    // If building has some owned and has storedCps, we can calculate multiplier
-    if (building.amount > 0 && building.storedCps > 0 && baseCPS > 0) {
-      const baseTotal = baseCPS * building.amount;
-      const multiplier = building.storedCps / baseTotal;
-      return multiplier;
+  _getBuildingMultiplier(building, perUnitCPS) {
+    // building.baseCps is the unupgraded value; building.cps() already includes upgrades
+    if (typeof building.baseCps === 'number' && building.baseCps > 0) {
+      return perUnitCPS / building.baseCps;
     }
 
     // Default: no multiplier
     return 1.0;
   }
 
+  /**
+   * Gets the multiplier the game applies to every building's CPS
+   * (flavoured cookies, kittens, prestige), with active buffs divided out.
+   *
+   * @private
+   * @param {Array<Object>} buildings - Normalized buildings
+   * @param {number} baselineCPS - Buff-free CPS
+   * @param {number} buffMultiplier - Combined CPS multiplier of active buffs
+   * @returns {number} Global multiplier (1.0 if unknown)
+   */
+  _getGlobalMultiplier(buildings, baselineCPS, buffMultiplier) {
+    // Game.globalCpsMult includes buffs (Frenzy ×7, Clot ×0.5, ...)
+    if (typeof this.game.globalCpsMult === 'number' && this.game.globalCpsMult > 0 && buffMultiplier > 0) {
+      return this.game.globalCpsMult / buffMultiplier;
+    }
+
+    // Fallback: ratio of baseline CPS to the sum of building CPS
+    const buildingTotal = buildings.reduce((sum, b) => sum + b.totalCPS, 0);
+    if (buildingTotal > 0 && baselineCPS > 0) {
+      return baselineCPS / buildingTotal;
+    }
+    return 1.0;
+  }
+
+  /**
+   * Extracts the active buffs from Game.buffs.
+   * Buff time is stored in frames; timeLeft is converted to seconds.
+   *
+   * @private
+   * @returns {Array<Object>} Active buffs ({ name, multCpS, multClick, timeLeft })
+   */
+  _extractBuffs() {
+    const buffs = [];
+    if (!this.game.buffs || typeof this.game.buffs !== 'object') {
+      return buffs;
+    }
+
+    const fps = this.game.fps || 30;
+    for (const key in this.game.buffs) {
+      const buff = this.game.buffs[key];
+      if (!buff || typeof buff !== 'object') {
+        continue;
+      }
+
+      buffs.push({
+        name: buff.name || key,
+        multCpS: typeof buff.multCpS === 'number' ? buff.multCpS : 1,
+        multClick: typeof buff.multClick === 'number' ? buff.multClick : 1,
+        timeLeft: typeof buff.time === 'number' ? buff.time / fps : 0
+      });
+    }
+
+    return buffs;
+  }
+
+  /**
+   * Gets the CPS the game would report without buffs.
+   * Prefers Game.unbuffedCps; otherwise divides the buffs back out.
+   * A buff that stops production entirely (multiplier 0) cannot be divided
+   * out, so the reported CPS is used as-is.
+   *
+   * @private
+   * @param {number} buffMultiplier - Combined CPS multiplier of active buffs
+   * @returns {number} Baseline CPS
+   */
+  _getBaselineCPS(buffMultiplier) {
+    if (typeof this.game.unbuffedCps === 'number') {
+      return this.game.unbuffedCps;
+    }
+    if (buffMultiplier > 0) {
+      return this.game.cookiesPs / buffMultiplier;
+    }
+    return this.game.cookiesPs;
+  }
+
+  /**
+   * Gets the cookies earned per click, with click buffs (Click frenzy,
+   * Dragonflight, ...) divided out.
+   *
+   * @private
+   * @param {Array<Object>} buffs - Active buffs from _extractBuffs()
+   * @returns {number} Cookies per click (1 if unknown)
+   */
+  _getCookiesPerClick(buffs) {
+    if (typeof this.game.computedMouseCps !== 'number') {
+      return 1;
+    }
+
+    const clickMultiplier = buffs.reduce((multiplier, buff) => multiplier * buff.multClick, 1.0);
+    return clickMultiplier > 0
+      ? this.game.computedMouseCps / clickMultiplier
+      : this.game.computedMouseCps;
+  }
+
+  /**
+   * Combines the CPS factors of owned kitten upgrades at the current milk.
+   *
+   * @private
+   * @param {Array<string>} ownedUpgrades - Names of bought upgrades
+   * @param {number} milk - Milk progress
+   * @returns {number} Kitten multiplier (1.0 = no kittens)
+   */
+  _getKittenMultiplier(ownedUpgrades, milk) {
+    return ownedUpgrades.reduce((multiplier, name) => {
+      const effect = UpgradeDatabase.lookup(name);
+      return effect && effect.family === 'kitten'
+        ? multiplier * (1 + milk * effect.factor)
+        : multiplier;
+    }, 1.0);
+  }
+
+  /**
+   * Lists the names of upgrades already bought.
+   * Reads Game.UpgradesById when present, otherwise Game.Upgrades.
+   *
+   * @private
+   * @returns {Array<string>} Owned upgrade names (empty if unavailable)
+   */
+  _extractOwnedUpgrades() {
+    const source = this.game.UpgradesById || this.game.Upgrades;
+    if (!source || typeof source !== 'object') {
+      return [];
+    }
+
+    return Object.values(source)
+      .filter(upgrade => upgrade && upgrade.bought && typeof upgrade.name === 'string')
+      .map(upgrade => upgrade.name);
+  }
+
+  /**
+   * Lists the heavenly upgrade tree: every upgrade in the 'prestige' pool,
+   * bought or not, with its parents. Costs are in heavenly chips.
+   * Reads Game.UpgradesById when present, otherwise Game.Upgrades.
+   *
+   * @private
+   * @returns {Array<Object>} { id, name, cost, parents, bought, description } (empty if unavailable)
+   */
+  _extractHeavenlyUpgrades() {
+    const source = this.game.UpgradesById || this.game.Upgrades;
+    if (!source || typeof source !== 'object') {
+      return [];
+    }
+
+    return Object.values(source)
+      .filter(upgrade => Validators.isValidUpgrade(upgrade) && upgrade.pool === 'prestige')
+      .map(upgrade => ({
+        id: upgrade.id,
+        name: upgrade.name,
+        cost: typeof upgrade.basePrice === 'number' ? upgrade.basePrice : upgrade.getPrice(),
+        // The game links parents as upgrade objects (-1 for none)
+        parents: (upgrade.parents || [])
+          .map(parent => (typeof parent === 'string' ? parent : parent && parent.name))
+          .filter(name => typeof name === 'string'),
+        bought: Boolean(upgrade.bought),
+        description: upgrade.desc || ''
+      }));
+  }
+
   /**
    * Gets a specific building by name.
    *
@@ -0,0 +1,264 @@
+/**
+ * GoalPlanner.js
+ *
+ * Answers "invest first, or save?" for a goal: an amount of cookies in the
+ * bank, a specific building or upgrade, or a CPS level. Finds a fast
+ * sequence of purchases that reaches the goal and compares it with just
+ * waiting for it.
+ *
+ * The search is greedy with one step of lookahead. From the current
+ * simulated state every candidate is scored as
+ *   time to afford it + time to the goal right after buying it
+ * and, of those that beat going straight for the goal, the one saving the
+ * most time per second of waiting is bought. Repeat until nothing does.
+ * Going straight for the goal means waiting for cookies and purchases; a
+ * CPS level is never reached by waiting, so there it means buying the
+ * purchase that closes the remaining gap soonest (and when no single
+ * purchase can, the one with the best payback from now, then look again).
+ *
+ * Greedy search can miss paths that only pay off after several purchases,
+ * so the result is a fast path, not a proven fastest one. Purchases are
+ * simulated with PurchaseSimulator, so upgrades that would unlock along
+ * the way are not considered.
+ */
+
+class GoalPlanner {
+  /**
+   * @param {Object} gameState - Starting game state (not modified)
+   * @param {Object} [options] - { adjustCandidates(candidates, gameState) → candidates },
+   *   applied to the candidates at every step (e.g. candidate hooks)
+   */
+  constructor(gameState, options = {}) {
+    this.gameState = gameState;
+    this.adjustCandidates = options.adjustCandidates || (candidates => candidates);
+  }
+
+  /**
+   * Turns a target into a goal for findPath().
+   *
+   * Targets:
+   * - 1e6 or { cookies: 1e6 } - Cookies in the bank
+   * - 'Farm', 'Lucky day' or { purchase: 'Farm' } - Building or upgrade in the store (by name)
+   * - { cps: 500 } - Cookies per second
+   *
+   * @param {number|string|Object} target - What to reach
+   * @returns {Object} { type: 'cookies'|'cps', amount } or { type: 'purchase', purchaseType, id, name }
+   * @throws {Error} If the target is invalid, or names nothing in the store
+   */
+  resolveTarget(target) {
+    if (typeof target === 'number') {
+      target = { cookies: target };
+    } else if (typeof target === 'string') {
+      target = { purchase: target };
+    }
+
+    if (target && typeof target === 'object') {
+      for (const type of ['cookies', 'cps']) {
+        if (type in target) {
+          const amount = target[type];
+          if (typeof amount !== 'number' || !isFinite(amount) || amount <= 0) {
+            throw new Error(`${type} must be a positive number`);
+          }
+          return { type: type, amount: amount };
+        }
+      }
+
+      if (typeof target.purchase === 'string' && target.purchase.trim() !== '') {
+        return this._resolvePurchase(target.purchase.trim());
+      }
+    }
+
+    throw new Error('Target must be a cookie amount, a building or upgrade name, or { cps: amount }');
+  }
+
+  /**
+   * Finds a fast way to reach a goal.
+   *
+   * @param {Object} goal - Goal from resolveTarget()
+   * @param {number} [maxPurchases] - Most intermediate purchases (default: Constants.PLAN_MAX_PURCHASES)
+   * @returns {Object} { reached, time, waitTime, purchases, state }: time is when the goal is
+   *   reached (Infinity if not), waitTime the same for just waiting, purchases come from
+   *   PurchaseSimulator and state is the simulated state at the goal
+   */
+  findPath(goal, maxPurchases = Constants.PLAN_MAX_PURCHASES) {
+    const simulator = new PurchaseSimulator(this.gameState);
+    const waitTime = this._getTimeToGoal(goal, this.gameState, this.gameState.cookies, this.gameState.cookiesPerSecond);
+
+    while (simulator.purchases.length < maxPurchases) {
+      const next = this._chooseNext(goal, simulator);
+      if (!next) {
+        break;
+      }
+      simulator.waitAndBuy(next);
+    }
+
+    // Whatever is left is waiting (for cookies and purchases)
+    const remaining = this._getTimeToGoal(goal, simulator.state, simulator.state.cookies, simulator.state.cookiesPerSecond);
+    const reached = isFinite(remaining);
+    if (reached) {
+      simulator.advance(remaining);
+    }
+
+    return {
+      reached: reached,
+      time: reached ? simulator.time : Infinity,
+      waitTime: waitTime,
+      purchases: simulator.purchases,
+      state: simulator.state
+    };
+  }
+
+  /**
+   * Price of a purchase goal.
+   *
+   * @param {Object} goal - Purchase goal from resolveTarget()
+   * @param {Object} [state] - Game state (default: the starting state)
+   * @returns {number} Cost (Infinity if it is no longer in the state)
+   */
+  getGoalCost(goal, state = this.gameState) {
+    const items = goal.purchaseType === 'building' ? state.buildings : state.upgrades;
+    const item = items.find(i => i.id === goal.id);
+    return item ? item.cost : Infinity;
+  }
+
+  /**
+   * Picks the next purchase on the way to the goal: of the candidates that
+   * bring the goal closer than going straight for it, the one with the
+   * most time saved per second spent waiting for it (so cheap steps that
+   * help come before expensive ones that help more).
+   *
+   * @private
+   * @param {Object} goal - Goal from resolveTarget()
+   * @param {PurchaseSimulator} simulator - Simulation so far
+   * @returns {Object|null} Candidate to buy next, or null to stop
+   */
+  _chooseNext(goal, simulator) {
+    const state = simulator.state;
+    const { cookies, cookiesPerSecond } = state;
+    const candidates = this.adjustCandidates(simulator.getCandidates(), state)
+      .filter(c => c.deltaCPS > 0 && !this._isGoalPurchase(goal, c));
+
+    const direct = this._getTimeToGoal(goal, state, cookies, cookiesPerSecond, candidates);
+    if (direct === 0) {
+      return null;
+    }
+
+    let best = null;
+    for (const candidate of candidates) {
+      const wait = simulator.getTimeToAfford(candidate.cost);
+      if (!isFinite(wait)) {
+        continue;
+      }
+
+      const cookiesAfter = cookies + cookiesPerSecond * wait - candidate.cost;
+      const cpsAfter = cookiesPerSecond + candidate.deltaCPS;
+      const total = wait + this._getTimeToGoal(goal, state, cookiesAfter, cpsAfter, candidates, candidate);
+      if (!(total < direct)) {
+        continue;
+      }
+
+      const rate = wait > 0 ? (direct - total) / wait : Infinity;
+      if (!best || rate > best.rate || (rate === best.rate && total < best.total)) {
+        best = { candidate: candidate, rate: rate, total: total };
+      }
+    }
+    if (best) {
+      return best.candidate;
+    }
+
+    if (goal.type !== 'cps') {
+      return null; // Waiting is fastest
+    }
+
+    // Buy the purchase that closes the CPS gap soonest; if none can, grow CPS and look again
+    const gap = goal.amount - cookiesPerSecond;
+    const pool = isFinite(direct) ? candidates.filter(c => c.deltaCPS >= gap) : candidates;
+    const key = c => (isFinite(direct) ? simulator.getTimeToAfford(c.cost) : c.paybackFromNow);
+    const choices = pool.filter(c => isFinite(key(c)));
+    return choices.reduce((a, b) => (key(b) < key(a) ? b : a), choices[0]) || null;
+  }
+
+  /**
+   * Time from a point in the simulation to the goal, going straight for it.
+   * For a CPS goal that means buying the candidate that closes the gap
+   * soonest (other than the one just bought).
+   *
+   * @private
+   * @param {Object} goal - Goal from resolveTarget()
+   * @param {Object} state - Simulated state (for the price of a purchase goal)
+   * @param {number} cookies - Cookies at that point
+   * @param {number} cookiesPerSecond - CPS at that point
+   * @param {Array<Object>} [candidates] - Candidates that may close a CPS gap
+   * @param {Object} [bought] - Candidate just bought (not available again)
+   * @returns {number} Seconds (0 if reached, Infinity if not reachable this way)
+   */
+  _getTimeToGoal(goal, state, cookies, cookiesPerSecond, candidates = [], bought = null) {
+    const timeToAfford = cost => {
+      if (cookies >= cost) {
+        return 0;
+      }
+      return cookiesPerSecond > 0 ? (cost - cookies) / cookiesPerSecond : Infinity;
+    };
+
+    if (goal.type === 'cookies') {
+      return timeToAfford(goal.amount);
+    }
+    if (goal.type === 'purchase') {
+      return timeToAfford(this.getGoalCost(goal, state));
+    }
+
+    const gap = goal.amount - cookiesPerSecond;
+    if (gap <= 0) {
+      return 0;
+    }
+    return candidates
+      .filter(c => c !== bought && c.deltaCPS >= gap)
+      .reduce((soonest, c) => Math.min(soonest, timeToAfford(c.cost)), Infinity);
+  }
+
+  /**
+   * @private
+   * @param {Object} goal - Goal from resolveTarget()
+   * @param {Object} candidate - Purchase candidate
+   * @returns {boolean} True if buying the candidate is (or changes the price of) the goal itself
+   */
+  _isGoalPurchase(goal, candidate) {
+    if (goal.type !== 'purchase' || candidate.type !== goal.purchaseType) {
+      return false;
+    }
+    return (candidate.buildingId || candidate.id) === goal.id;
+  }
+
+  /**
+   * Finds a building or store upgrade by name (case-insensitive).
+   *
+   * @private
+   * @param {string} name - Building or upgrade name
+   * @returns {Object} Purchase goal
+   * @throws {Error} If nothing in the store has that name
+   */
+  _resolvePurchase(name) {
+    const wanted = name.toLowerCase();
+    const matches = item => item.name.toLowerCase() === wanted || String(item.id).toLowerCase() === wanted;
+
+    const building = this.gameState.buildings.find(matches);
+    if (building) {
+      return { type: 'purchase', purchaseType: 'building', id: building.id, name: building.name };
+    }
+
+    const upgrade = this.gameState.upgrades.find(matches);
+    if (upgrade) {
+      return { type: 'purchase', purchaseType: 'upgrade', id: upgrade.id, name: upgrade.name };
+    }
+
+    if ((this.gameState.ownedUpgrades || []).some(owned => owned.toLowerCase() === wanted)) {
+      throw new Error(`"${name}" is already bought`);
+    }
+    throw new Error(`"${name}" is not a building or an upgrade in the store`);
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = GoalPlanner;
+}
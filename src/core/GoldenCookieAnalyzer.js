@@ -0,0 +1,251 @@
+/**
+ * GoldenCookieAnalyzer.js
+ *
+ * Estimates what golden cookies are worth and how big a bank they need.
+ *
+ * Income per second = expected value of one golden cookie / average time
+ * between golden cookies, where (Constants.GOLDEN_COOKIE):
+ * - Frenzy:       CPS × 6 extra for 77s × duration
+ * - Lucky:        min(bank × 15%, CPS × 900) × gain + 13
+ * - Click frenzy: click income × 776 extra for 13s × duration
+ * - Average time: min + (max - min) × Γ(7/6) × (6 / frames)^(1/6), with
+ *   min/max scaled by spawn; this is the mean of the game's per-frame
+ *   spawn chance ((t - min) / (max - min))^5 over frames = (max - min) × fps
+ * spawn, duration and gain come from the golden cookie upgrades owned
+ * (UpgradeDatabase.GOLDEN_COOKIE).
+ *
+ * Lucky banks: Lucky pays its maximum once 15% of the bank reaches 15
+ * minutes of CPS, i.e. bank = CPS × 6000; during a Frenzy CPS is ×7, so
+ * a Lucky + Frenzy combo needs CPS × 42000.
+ *
+ * Golden cookies only pay when clicked: with the idle click profile
+ * (0 clicks/sec) their income is 0. CPS is the unbuffed CPS from
+ * GameStateAdapter, so a running Frenzy does not inflate the banks.
+ */
+
+class GoldenCookieAnalyzer {
+  /**
+   * @param {Object} gameState - Normalized game state
+   */
+  constructor(gameState) {
+    this.gameState = gameState;
+    this.ownedUpgrades = new Set(gameState.ownedUpgrades || []);
+  }
+
+  /**
+   * Combined effect of the golden cookie upgrades owned.
+   *
+   * @param {Object} [extra] - Effect of one more upgrade (from UpgradeDatabase.lookup())
+   * @returns {Object} { spawn, duration, gain } factors
+   */
+  getModifiers(extra = null) {
+    const effects = Object.entries(UpgradeDatabase.GOLDEN_COOKIE)
+      .filter(([name]) => this.ownedUpgrades.has(name))
+      .map(([, effect]) => effect);
+    if (extra) {
+      effects.push(extra);
+    }
+
+    return effects.reduce((modifiers, effect) => ({
+      spawn: modifiers.spawn * (effect.spawn || 1),
+      duration: modifiers.duration * (effect.duration || 1),
+      gain: modifiers.gain * (effect.gain || 1)
+    }), { spawn: 1, duration: 1, gain: 1 });
+  }
+
+  /**
+   * Average time between golden cookies.
+   *
+   * @param {Object} [modifiers] - From getModifiers() (default: upgrades owned)
+   * @returns {number} Seconds
+   */
+  getAverageSpawnSeconds(modifiers = this.getModifiers()) {
+    const GAMMA_7_6 = 0.9277; // Γ(7/6)
+    const rules = Constants.GOLDEN_COOKIE;
+    const min = rules.MIN_SPAWN_SECONDS * modifiers.spawn;
+    const span = (rules.MAX_SPAWN_SECONDS - rules.MIN_SPAWN_SECONDS) * modifiers.spawn;
+    const frames = span * rules.FPS;
+
+    return min + span * Math.min(1, GAMMA_7_6 * Math.pow(6 / frames, 1 / 6));
+  }
+
+  /**
+   * What a Lucky pays.
+   *
+   * @param {number} [cookies] - Bank (default: cookies now)
+   * @param {Object} [modifiers] - From getModifiers() (default: upgrades owned)
+   * @returns {number} Cookies
+   */
+  getLuckyPayout(cookies = this.gameState.cookies, modifiers = this.getModifiers()) {
+    const lucky = Constants.GOLDEN_COOKIE.LUCKY;
+    const cps = this.gameState.cookiesPerSecond;
+    return Math.min(Math.max(0, cookies) * lucky.BANK_SHARE, cps * lucky.CPS_SECONDS) * modifiers.gain + lucky.FLAT;
+  }
+
+  /**
+   * Banks needed for full Lucky payouts.
+   *
+   * @returns {Object} { lucky, frenzy }: bank for a full Lucky, and for a full Lucky during a Frenzy
+   */
+  getBankTargets() {
+    const rules = Constants.GOLDEN_COOKIE;
+    const lucky = this.gameState.cookiesPerSecond * rules.LUCKY.CPS_SECONDS / rules.LUCKY.BANK_SHARE;
+    return { lucky: lucky, frenzy: lucky * rules.FRENZY.MULTIPLIER };
+  }
+
+  /**
+   * Expected cookies from one golden cookie, by effect.
+   *
+   * @param {Object} [modifiers] - From getModifiers() (default: upgrades owned)
+   * @returns {Object} { frenzy, lucky, clickFrenzy, total }, already weighted by Constants.GOLDEN_COOKIE.OUTCOMES
+   */
+  getExpectedValue(modifiers = this.getModifiers()) {
+    const rules = Constants.GOLDEN_COOKIE;
+    const cps = this.gameState.cookiesPerSecond;
+
+    const frenzy = rules.OUTCOMES.FRENZY *
+      cps * (rules.FRENZY.MULTIPLIER - 1) * rules.FRENZY.SECONDS * modifiers.duration;
+    const lucky = rules.OUTCOMES.LUCKY * this.getLuckyPayout(this.gameState.cookies, modifiers);
+    const clickFrenzy = rules.OUTCOMES.CLICK_FRENZY *
+      this._getClickIncome() * (rules.CLICK_FRENZY.MULTIPLIER - 1) * rules.CLICK_FRENZY.SECONDS * modifiers.duration;
+
+    return { frenzy: frenzy, lucky: lucky, clickFrenzy: clickFrenzy, total: frenzy + lucky + clickFrenzy };
+  }
+
+  /**
+   * Average golden cookie income.
+   *
+   * @param {Object} [modifiers] - From getModifiers() (default: upgrades owned)
+   * @returns {number} Cookies per second (0 if golden cookies are not clicked)
+   */
+  getIncome(modifiers = this.getModifiers()) {
+    if (!this.isClicking()) {
+      return 0;
+    }
+    return this.getExpectedValue(modifiers).total / this.getAverageSpawnSeconds(modifiers);
+  }
+
+  /**
+   * Extra golden cookie income from buying a golden cookie upgrade.
+   *
+   * @param {Object} effect - Golden effect from UpgradeDatabase.lookup()
+   * @returns {number} Cookies per second gained
+   */
+  getUpgradeValue(effect) {
+    return this.getIncome(this.getModifiers(effect)) - this.getIncome();
+  }
+
+  /**
+   * Checks whether buying a candidate drops the bank below the target
+   * (Constants.LUCKY_BANK_TARGET). A candidate that is not affordable yet
+   * is assumed bought as soon as it is, leaving an empty bank. A bank
+   * already below the target is not flagged: every purchase would be.
+   *
+   * @param {Object} candidate - Purchase candidate
+   * @returns {Object|null} { target, bank, bankAfter, timeToKeepBank }, or null if the bank stays
+   *   full enough or is below the target already
+   */
+  checkBank(candidate) {
+    const target = Constants.LUCKY_BANK_TARGET;
+    if (target === 'none' || !this.isClicking()) {
+      return null;
+    }
+
+    const { cookies, cookiesPerSecond } = this.gameState;
+    const bank = this.getBankTargets()[target];
+    const bankAfter = Math.max(0, cookies - candidate.cost);
+    if (cookies < bank || bankAfter >= bank) {
+      return null;
+    }
+
+    // Time until cookies cover the purchase and the bank
+    const shortfall = candidate.cost + bank - cookies;
+    return {
+      target: target,
+      bank: bank,
+      bankAfter: bankAfter,
+      timeToKeepBank: cookiesPerSecond > 0 ? shortfall / cookiesPerSecond : Infinity
+    };
+  }
+
+  /**
+   * Copies recommendations, adding bankWarning (from checkBank()) to the
+   * ones that would drop the bank below the target.
+   *
+   * @param {Array<Object>} recommendations - Ranked candidates
+   * @returns {Array<Object>} Same order, flagged where needed
+   */
+  flagRecommendations(recommendations) {
+    return recommendations.map(candidate => {
+      const warning = this.checkBank(candidate);
+      return warning ? { ...candidate, bankWarning: warning } : candidate;
+    });
+  }
+
+  /**
+   * Everything about golden cookies in one report.
+   *
+   * @returns {Object} { upgrades, modifiers, clicking, spawnSeconds, perCookie, perSecond,
+   *   percentOfCps, lucky: { payout, maxPayout }, bank: { cookies, lucky, frenzy, target } }
+   */
+  analyze() {
+    const modifiers = this.getModifiers();
+    const { cookies, cookiesPerSecond } = this.gameState;
+    const banks = this.getBankTargets();
+    const perSecond = this.getIncome(modifiers);
+
+    return {
+      upgrades: Object.keys(UpgradeDatabase.GOLDEN_COOKIE).filter(name => this.ownedUpgrades.has(name)),
+      modifiers: modifiers,
+      clicking: this.isClicking(),
+      spawnSeconds: this.getAverageSpawnSeconds(modifiers),
+      perCookie: this.getExpectedValue(modifiers),
+      perSecond: perSecond,
+      percentOfCps: cookiesPerSecond > 0 ? perSecond / cookiesPerSecond * 100 : null,
+      lucky: {
+        payout: this.getLuckyPayout(cookies, modifiers),
+        maxPayout: this.getLuckyPayout(banks.lucky, modifiers)
+      },
+      bank: {
+        cookies: cookies,
+        lucky: banks.lucky,
+        frenzy: banks.frenzy,
+        target: Constants.LUCKY_BANK_TARGET
+      }
+    };
+  }
+
+  /**
+   * Whether the player clicks golden cookies (any click profile but idle).
+   *
+   * @returns {boolean} True if golden cookies are assumed clicked
+   */
+  isClicking() {
+    return this._getClicksPerSecond() > 0;
+  }
+
+  /**
+   * @private
+   * @returns {number} Clicks per second (default profile if not set)
+   */
+  _getClicksPerSecond() {
+    const rate = this.gameState.clicksPerSecond;
+    return typeof rate === 'number' && rate >= 0
+      ? rate
+      : Constants.CLICK_PROFILES[Constants.DEFAULT_CLICK_PROFILE];
+  }
+
+  /**
+   * @private
+   * @returns {number} Cookies per second from clicking
+   */
+  _getClickIncome() {
+    const cookiesPerClick = typeof this.gameState.cookiesPerClick === 'number' ? this.gameState.cookiesPerClick : 1;
+    return this._getClicksPerSecond() * cookiesPerClick;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = GoldenCookieAnalyzer;
+}
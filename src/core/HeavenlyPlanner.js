@@ -0,0 +1,171 @@
+/**
+ * HeavenlyPlanner.js
+ *
+ * Plans what to buy with heavenly chips after ascending.
+ *
+ * The heavenly upgrade tree comes from the game state (heavenlyUpgrades:
+ * the 'prestige' pool with parents and costs in chips). An upgrade can be
+ * bought once all its parents are, so the way to any upgrade is its
+ * unbought ancestors, parents first, then itself.
+ *
+ * Goals are the upgrades UpgradeDatabase.lookupHeavenly() knows, ranked by
+ * Constants.HEAVENLY_PRIORITY (permanent CPS, then offline production,
+ * then key unlocks) and, within a category, by value per chip of the whole
+ * path. The purchase order repeatedly buys the path to the best goal the
+ * remaining chips cover; the best goal left after that is what to save for.
+ */
+
+class HeavenlyPlanner {
+  /**
+   * @param {Object} gameState - Normalized game state (heavenlyUpgrades, heavenlyChips, prestige, milk)
+   */
+  constructor(gameState) {
+    this.gameState = gameState;
+    this.tree = new Map((gameState.heavenlyUpgrades || []).map(upgrade => [upgrade.name, upgrade]));
+  }
+
+  /**
+   * Whether the game state carries the heavenly upgrade tree (imported
+   * saves only do with a catalogue listing pools and parents).
+   *
+   * @returns {boolean} True if there is a tree to plan on
+   */
+  hasTree() {
+    return this.tree.size > 0;
+  }
+
+  /**
+   * What a heavenly upgrade brings.
+   *
+   * @param {string} name - Heavenly upgrade name
+   * @returns {Object|null} { category, value, note }: value is the percent of CPS gained (cps)
+   *   or earned while the game is closed (offline), 1 for unlocks; null if not worth planning for
+   */
+  getBenefit(name) {
+    const effect = UpgradeDatabase.lookupHeavenly(name);
+    if (!effect) {
+      return null;
+    }
+
+    let value = 1;
+    if (effect.category === 'cps') {
+      if (typeof effect.prestigeShare === 'number') {
+        value = (this.gameState.prestige || 0) * effect.prestigeShare; // +1% per level, this share of it
+      } else if (typeof effect.kitten === 'number') {
+        value = (this.gameState.milk || 0) * effect.kitten * 100;
+      } else {
+        value = effect.percent;
+      }
+    } else if (effect.category === 'offline') {
+      value = effect.percent;
+    }
+
+    return { category: effect.category, value: value, note: effect.note || '' };
+  }
+
+  /**
+   * Upgrades to buy to get one: its unbought ancestors, parents first,
+   * then the upgrade itself.
+   *
+   * @param {string} name - Heavenly upgrade name
+   * @param {Set<string>} [bought] - Names already bought (default: from the tree)
+   * @returns {Array<Object>|null} Tree entries in buying order, or null if it (or a parent) is not in the tree
+   */
+  getPath(name, bought = this._getBought()) {
+    const path = [];
+    const visit = current => {
+      if (bought.has(current) || path.some(upgrade => upgrade.name === current)) {
+        return true;
+      }
+      const upgrade = this.tree.get(current);
+      if (!upgrade || !upgrade.parents.every(visit)) {
+        return false;
+      }
+      path.push(upgrade);
+      return true;
+    };
+
+    return visit(name) ? path : null;
+  }
+
+  /**
+   * Ranks the goals not bought yet (see file header).
+   *
+   * @param {Set<string>} [bought] - Names already bought (default: from the tree)
+   * @returns {Array<Object>} { name, category, value, note, cost, purchases: [{ name, cost }] },
+   *   best first; cost is the whole path's
+   */
+  rankGoals(bought = this._getBought()) {
+    const priority = goal => Constants.HEAVENLY_PRIORITY.indexOf(goal.category);
+    const goals = [];
+
+    for (const name of this.tree.keys()) {
+      const benefit = bought.has(name) ? null : this.getBenefit(name);
+      if (!benefit || benefit.value <= 0 || !Constants.HEAVENLY_PRIORITY.includes(benefit.category)) {
+        continue;
+      }
+      const path = this.getPath(name, bought);
+      if (!path) {
+        continue;
+      }
+
+      goals.push({
+        name: name,
+        ...benefit,
+        cost: path.reduce((sum, upgrade) => sum + upgrade.cost, 0),
+        purchases: path.map(upgrade => ({ name: upgrade.name, cost: upgrade.cost }))
+      });
+    }
+
+    return goals.sort((a, b) =>
+      priority(a) - priority(b) ||
+      b.value / b.cost - a.value / a.cost ||
+      a.cost - b.cost
+    );
+  }
+
+  /**
+   * Builds the purchase order for the chips available.
+   *
+   * @param {number} [chips] - Heavenly chips to spend (default: gameState.heavenlyChips)
+   * @returns {Object} { chips, prestige, recommendations, saving }: recommendations are goals from
+   *   rankGoals() in buying order, each with chipsLeft; saving is the best goal left
+   *   (with chipsNeeded), or null if every goal is bought
+   */
+  plan(chips = this.gameState.heavenlyChips || 0) {
+    const bought = this._getBought();
+    const recommendations = [];
+    let left = chips;
+
+    for (;;) {
+      const next = this.rankGoals(bought).find(goal => goal.cost <= left);
+      if (!next) {
+        break;
+      }
+      next.purchases.forEach(purchase => bought.add(purchase.name));
+      left -= next.cost;
+      recommendations.push({ ...next, chipsLeft: left });
+    }
+
+    const saving = this.rankGoals(bought)[0];
+    return {
+      chips: chips,
+      prestige: this.gameState.prestige || 0,
+      recommendations: recommendations,
+      saving: saving ? { ...saving, chipsNeeded: saving.cost - left } : null
+    };
+  }
+
+  /**
+   * @private
+   * @returns {Set<string>} Names of heavenly upgrades bought
+   */
+  _getBought() {
+    return new Set([...this.tree.values()].filter(upgrade => upgrade.bought).map(upgrade => upgrade.name));
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = HeavenlyPlanner;
+}
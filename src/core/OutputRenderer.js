@@ -17,8 +17,13 @@ class OutputRenderer {
    * @param {Object} topChoice - Best recommendation
    * @param {Array<Object>} alternatives - Alternative recommendations (top 5)
    * @param {Object} gameState - Current game state
+   * @param {Object} [options] - Extra sections
+   * @param {Object} [options.ascension] - Report from AscensionAnalyzer.analyze(), shown after the best investment
+   * @param {Array<Object>} [options.toggles] - Toggles from EconomicModel.getToggles(), shown after the alternatives
    */
-  renderRecommendation(topChoice, alternatives, gameState) {
+  renderRecommendation(topChoice, alternatives, gameState, options = {}) {
+    const { ascension, toggles } = options;
+
     // Clear console for clean output (optional)
     // console.clear();
 
@@ -35,11 +40,21 @@ class OutputRenderer {
       this._renderNoRecommendation();
     }
 
+    // When to ascend
+    if (ascension) {
+      this.renderAscension(ascension);
+    }
+
     // Top alternatives
     if (alternatives && alternatives.length > 0) {
       this._renderAlternatives(alternatives);
     }
 
+    // Toggles, apart from the ranking
+    if (toggles && toggles.length > 0) {
+      this._renderToggles(toggles);
+    }
+
     // Footer (optional tips)
     this._renderFooter();
   }
@@ -67,9 +82,41 @@ class OutputRenderer {
     console.log('Current Status:');
     console.log(`  Cookies: ${this._formatCurrency(gameState.cookies)}`);
     console.log(`  CPS: ${this._formatCurrency(gameState.cookiesPerSecond)}/sec`);
+    if (typeof gameState.clicksPerSecond === 'number') {
+      const profile = gameState.clickProfile ? ` (${gameState.clickProfile})` : '';
+      console.log(`  Click Rate: ${gameState.clicksPerSecond.toFixed(1)}/sec${profile}`);
+    }
+    this._renderBuffs(gameState);
     console.log('');
   }
 
+  /**
+   * Renders the buffs that were active during analysis, if any.
+   * Estimates use the buff-free CPS, so the buffed figure is shown separately.
+   *
+   * @private
+   * @param {Object} gameState - Current game state
+   */
+  _renderBuffs(gameState) {
+    if (!gameState.buffs || gameState.buffs.length === 0) {
+      return;
+    }
+
+    console.log(`  CPS With Buffs: ${this._formatCurrency(gameState.currentCPS)}/sec`);
+    console.log('  Active Buffs (excluded from estimates):');
+    for (const buff of gameState.buffs) {
+      const effects = [];
+      if (buff.multCpS !== 1) {
+        effects.push(`CPS ×${buff.multCpS}`);
+      }
+      if (buff.multClick !== 1) {
+        effects.push(`click ×${buff.multClick}`);
+      }
+      const effectText = effects.length > 0 ? ` (${effects.join(', ')})` : '';
+      console.log(`    - ${buff.name}${effectText}, ${this._formatTime(buff.timeLeft)} left`);
+    }
+  }
+
   /**
    * Renders the best investment recommendation.
    *
@@ -84,17 +131,26 @@ class OutputRenderer {
     console.log(line);
     console.log('');
 
-    // Determine if affordable
+    // Determine if affordable (candidates carry timeToAfford from EconomicModel)
     const affordable = Validators.isAffordable(choice.cost, gameState.cookies);
-    const timeToAfford = affordable
-      ? 0
-      : (choice.cost - gameState.cookies) / gameState.cookiesPerSecond;
+    let timeToAfford = choice.timeToAfford;
+    if (typeof timeToAfford !== 'number') {
+      timeToAfford = affordable
+        ? 0
+        : (choice.cost - gameState.cookies) / gameState.cookiesPerSecond;
+    }
 
     // Main recommendation
     console.log(`  ${Constants.ICONS.ARROW} ${choice.displayName || choice.name}`);
     console.log(`    Cost: ${this._formatCurrency(choice.cost)} cookies`);
     console.log(`    Benefit: +${this._formatCurrency(choice.deltaCPS)} CPS`);
     console.log(`    ROI Time: ${this._formatTime(choice.roiTime)}`);
+    if (typeof choice.paybackFromNow === 'number') {
+      console.log(`    Payback From Now: ${this._formatTime(choice.paybackFromNow)}`);
+    }
+    if (choice.estimationMethod && choice.estimationMethod !== 'database') {
+      console.log(`    Note: Benefit is a ${choice.estimationMethod} estimate`);
+    }
 
     // Affordability message
     if (!affordable && timeToAfford < 3600) {
@@ -105,6 +161,65 @@ class OutputRenderer {
       console.log(`    Status: ✓ Affordable now!`);
     }
 
+    if (choice.bankWarning) {
+      console.log(`    ⚠️ ${this._describeBankWarning(choice.bankWarning)}`);
+    }
+
+    console.log('');
+  }
+
+  /**
+   * Describes a Lucky bank warning (from GoldenCookieAnalyzer.checkBank).
+   *
+   * @private
+   * @param {Object} warning - { target, bank, bankAfter, timeToKeepBank }
+   * @returns {string} Warning text
+   */
+  _describeBankWarning(warning) {
+    const bankName = warning.target === 'frenzy' ? 'Lucky + Frenzy bank' : 'Lucky bank';
+    return `Leaves ${this._formatCurrency(warning.bankAfter)} in the bank, below the ${bankName} ` +
+      `(${this._formatCurrency(warning.bank)}); to keep it, buy in ${this._formatTime(warning.timeToKeepBank)}`;
+  }
+
+  /**
+   * Renders prestige gained this run and when to ascend (after the best
+   * investment, and on its own from CookieAdvisor.ascension).
+   *
+   * @param {Object} report - Report from AscensionAnalyzer.analyze()
+   */
+  renderAscension(report) {
+    const line = this._repeat(Constants.BORDERS.SINGLE_LINE, 51);
+    const perHour = rate => {
+      const hourly = rate * 3600;
+      return `${hourly > 0 && hourly < 0.01 ? '<0.01' : this._formatCurrency(hourly)}/hour`;
+    };
+    console.log(line);
+    console.log(`${Constants.ICONS.ASCENSION} ASCENSION`);
+    console.log(line);
+    console.log('');
+
+    console.log(`  Prestige: ${report.prestige} (+${report.levelsGained} if you ascend now)`);
+    console.log(`    Next level: ${this._formatCurrency(report.nextLevel.cookies)} cookies away ` +
+      `(${this._formatTime(report.nextLevel.time)})`);
+    const average = report.averageRate !== null
+      ? `, ${perHour(report.averageRate)} on average over this run (${this._formatTime(report.runSeconds)})`
+      : '';
+    console.log(`    Prestige Rate: ${perHour(report.currentRate)} now${average}`);
+
+    const peak = report.peak;
+    if (peak && peak.levelsGained === 0) {
+      console.log(`  ${Constants.ICONS.ARROW} Not worth ascending yet: no new levels by the time the rate peaks`);
+    } else if (!peak) {
+      const reason = report.runSeconds === null ? 'run start unknown' : 'not within a year at this CPS';
+      console.log(`    Best Time to Ascend: unknown (${reason})`);
+    } else if (peak.passed) {
+      console.log(`  ${Constants.ICONS.ARROW} Ascend now: the average rate has peaked`);
+    } else {
+      console.log(`  ${Constants.ICONS.ARROW} Average rate peaks in ${this._formatTime(peak.seconds)} ` +
+        `(+${peak.levelsGained} levels, ${perHour(peak.averageRate)})`);
+      console.log('    Assumes the current CPS; more purchases push the peak later');
+    }
+
     console.log('');
   }
 
@@ -117,7 +232,7 @@ class OutputRenderer {
     console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
     console.log('No recommendations available.');
     console.log('This might mean:');
-    console.log('  - All purchases have very long ROI times (>1 hour)');
+    console.log(`  - All purchases have very long ROI times (>${this._formatTime(Constants.MAX_REASONABLE_ROI)})`);
     console.log('  - No purchases are currently unlocked');
     console.log('  - Game state could not be read properly');
     console.log('');
@@ -143,8 +258,33 @@ class OutputRenderer {
       const deltaCPS = this._formatCurrency(alt.deltaCPS);
       const roi = this._formatTime(alt.roiTime);
 
+      const bank = alt.bankWarning ? ' | ⚠️ below Lucky bank' : '';
+
       console.log(`${rank}. ${displayName}`);
-      console.log(`   Cost: ${cost} | +${deltaCPS} CPS | ROI: ${roi}`);
+      console.log(`   Cost: ${cost} | +${deltaCPS} CPS | ROI: ${roi}${bank}`);
+    });
+
+    console.log('');
+  }
+
+  /**
+   * Renders the toggles in the store with what they do. They are not
+   * ranked, so no CPS or ROI.
+   *
+   * @private
+   * @param {Array<Object>} toggles - Toggles from EconomicModel.getToggles()
+   */
+  _renderToggles(toggles) {
+    const line = this._repeat(Constants.BORDERS.SINGLE_LINE, 51);
+    console.log(line);
+    console.log(`${Constants.ICONS.TOGGLE} TOGGLES (your call, not ranked)`);
+    console.log(line);
+    console.log('');
+
+    toggles.forEach(toggle => {
+      const note = toggle.note ? ` | ${toggle.note}` : '';
+      console.log(`${Constants.ICONS.ARROW} ${toggle.name}`);
+      console.log(`   Cost: ${this._formatCurrency(toggle.cost)}${note}`);
     });
 
     console.log('');
@@ -178,6 +318,12 @@ class OutputRenderer {
       return amount.toFixed(Constants.NUMBER_PRECISION);
     }
 
+    // Past the largest suffix: exponent notation (e.g. "1.23e+40")
+    const largest = Constants.NUMBER_SUFFIXES[0];
+    if (amount >= largest.threshold * 1000) {
+      return amount.toExponential(Constants.NUMBER_PRECISION);
+    }
+
     // Find appropriate suffix
     for (const { threshold, suffix } of Constants.NUMBER_SUFFIXES) {
       if (amount >= threshold) {
@@ -195,7 +341,8 @@ class OutputRenderer {
    *
    * @private
    * @param {number} seconds - Time in seconds
-   * @returns {string} Formatted string (e.g., "1h 23m 45s")
+   * @returns {string} Formatted string (e.g., "45s", "12m 5s", "1h 23m", "3d 4h", "2y 40d",
+   *   "1.50K years")
    */
   _formatTime(seconds) {
     if (!isFinite(seconds) || seconds < 0) {
@@ -210,9 +357,25 @@ class OutputRenderer {
       return `${Math.round(seconds)}s`;
     }
 
-    const hours = Math.floor(seconds / 3600);
-    const minutes = Math.floor((seconds % 3600) / 60);
-    const secs = Math.round(seconds % 60);
+    const DAY = 86400;
+    const YEAR = 365 * DAY;
+    if (seconds >= 1000 * YEAR) {
+      return `${this._formatCurrency(seconds / YEAR)} years`;
+    }
+
+    const total = Math.round(seconds); // Round once, so 59.6s never shows as "60s"
+    if (total >= DAY) {
+      // Two largest units only: years and days, or days and hours
+      const years = Math.floor(total / YEAR);
+      const days = Math.floor((total % YEAR) / DAY);
+      const hours = Math.floor((total % DAY) / 3600);
+      const parts = years > 0 ? [`${years}y`, days > 0 ? `${days}d` : ''] : [`${days}d`, hours > 0 ? `${hours}h` : ''];
+      return parts.filter(Boolean).join(' ');
+    }
+
+    const hours = Math.floor(total / 3600);
+    const minutes = Math.floor((total % 3600) / 60);
+    const secs = total % 60;
 
     const parts = [];
     if (hours > 0) {
@@ -269,14 +432,36 @@ class OutputRenderer {
     console.log(`ID: ${candidate.id}`);
     console.log(`Cost: ${this._formatCurrency(candidate.cost)} cookies`);
     console.log(`Delta CPS: +${this._formatCurrency(candidate.deltaCPS)}`);
-    console.log(`ROI Time: ${this._formatTime(candidate.roiTime)}`);
+    if (candidate.synergyCPS > 0) {
+      console.log(`  From This Building: +${this._formatCurrency(candidate.directCPS)}`);
+      console.log(`  From Partners: +${this._formatCurrency(candidate.synergyCPS)}`);
+    }
+    if (candidate.milestone) {
+      console.log('ROI Time: — (milestone unlocks are not valued)');
+    } else {
+      console.log(`ROI Time: ${this._formatTime(candidate.roiTime)}`);
+    }
+
+    if (typeof candidate.paybackFromNow === 'number' && !candidate.milestone) {
+      console.log(`Time To Afford: ${this._formatTime(candidate.timeToAfford)}`);
+      console.log(`Payback From Now: ${this._formatTime(candidate.paybackFromNow)}`);
+    }
 
     if (candidate.type === 'building') {
       console.log(`Currently Owned: ${candidate.currentOwned}`);
+      if (candidate.quantity > 1) {
+        console.log(`Quantity: ${candidate.quantity}`);
+      }
+      if (candidate.milestone) {
+        console.log(`Reaches Milestone: ${candidate.milestone}`);
+      }
     }
 
     if (candidate.type === 'upgrade') {
       console.log(`Permanent: ${candidate.isPermanent ? 'Yes' : 'No'}`);
+      if (candidate.estimationMethod) {
+        console.log(`Estimated From: ${candidate.estimationMethod}`);
+      }
     }
 
     console.log('─────────────────────────────────────────────');
@@ -284,16 +469,18 @@ class OutputRenderer {
 
   /**
    * Renders a comparison table of all candidates (for debugging).
+   * Milestone buys get no ROI: what the milestone unlocks is not valued.
    *
    * @param {Array<Object>} candidates - All candidates
+   * @param {string} [title='All Candidates'] - Table title
    */
-  renderCandidateTable(candidates) {
+  renderCandidateTable(candidates, title = 'All Candidates') {
     if (candidates.length === 0) {
       console.log('No candidates available.');
       return;
     }
 
-    console.log('All Candidates (sorted by ROI):');
+    console.log(`${title} (sorted by ROI):`);
     console.log('─────────────────────────────────────────────');
 
     // Sort by ROI
@@ -302,7 +489,7 @@ class OutputRenderer {
     // Table header
     console.log(
       'Rank'.padEnd(6) +
-      'Name'.padEnd(25) +
+      'Name'.padEnd(40) +
       'Cost'.padEnd(12) +
       'CPS'.padEnd(12) +
       'ROI'.padEnd(10)
@@ -312,16 +499,291 @@ class OutputRenderer {
     // Table rows
     sorted.forEach((candidate, index) => {
       const rank = (index + 1).toString().padEnd(6);
-      const name = candidate.name.substring(0, 22).padEnd(25);
+      const name = (candidate.displayName || candidate.name).substring(0, 37).padEnd(40);
       const cost = this._formatCurrency(candidate.cost).padEnd(12);
       const cps = ('+' + this._formatCurrency(candidate.deltaCPS)).padEnd(12);
-      const roi = this._formatTime(candidate.roiTime).padEnd(10);
+      const roi = (candidate.milestone ? '—' : this._formatTime(candidate.roiTime)).padEnd(10);
 
       console.log(rank + name + cost + cps + roi);
     });
 
     console.log('─────────────────────────────────────────────');
   }
+
+  /**
+   * Renders a purchase plan as a timed shopping list (from CookieAdvisor.plan).
+   *
+   * @param {Object} plan - Plan: { horizonSeconds, strategy, start, end, purchases, truncated }
+   */
+  renderPlan(plan) {
+    const line = this._repeat(Constants.BORDERS.DOUBLE_LINE, 51);
+    const status = state => `Cookies: ${this._formatCurrency(state.cookies)} | CPS: ${this._formatCurrency(state.cookiesPerSecond)}/sec`;
+
+    console.log(line);
+    console.log(`  PURCHASE PLAN (next ${this._formatTime(plan.horizonSeconds)})`);
+    console.log(line);
+    console.log(`Strategy: ${plan.strategy}`);
+    console.log(`Now: ${status(plan.start)}`);
+    console.log('');
+
+    if (plan.purchases.length === 0) {
+      console.log('No purchase fits within this horizon with the current strategy.');
+    } else {
+      this._renderPurchaseTable(plan.purchases);
+      if (plan.truncated) {
+        console.log(`(Stopped after ${plan.purchases.length} purchases; use a shorter horizon for the rest.)`);
+      }
+    }
+
+    console.log('');
+    const percent = plan.start.cookiesPerSecond > 0
+      ? (plan.end.cookiesPerSecond / plan.start.cookiesPerSecond - 1) * 100
+      : null;
+    const growth = percent !== null ? ` (+${percent.toFixed(1)}% CPS)` : '';
+    console.log(`After ${this._formatTime(plan.horizonSeconds)}: ${status(plan.end)}${growth}`);
+    console.log('Upgrades that unlock along the way are not included.');
+    console.log(line);
+  }
+
+  /**
+   * Renders the path to a goal against just waiting (from CookieAdvisor.timeTo).
+   *
+   * @param {Object} result - { target, reached, time, waitTime, savedSeconds, start, end, purchases }
+   */
+  renderGoal(result) {
+    const line = this._repeat(Constants.BORDERS.DOUBLE_LINE, 51);
+    const target = result.target;
+    const label = target.type === 'purchase'
+      ? target.name
+      : `${this._formatCurrency(target.amount)} ${target.type === 'cps' ? 'CPS' : 'cookies'}`;
+
+    console.log(line);
+    console.log(`  TIME TO ${label}`);
+    console.log(line);
+    console.log(`Now: Cookies: ${this._formatCurrency(result.start.cookies)} | CPS: ${this._formatCurrency(result.start.cookiesPerSecond)}/sec`);
+    console.log('');
+
+    if (result.reached && result.time === 0) {
+      console.log(target.type === 'purchase' ? `You can buy ${label} now.` : 'Already reached.');
+      console.log(line);
+      return;
+    }
+
+    const never = target.type === 'cps' ? 'never (waiting does not raise CPS)' : 'never (no CPS)';
+    console.log(`Just waiting: ${isFinite(result.waitTime) ? this._formatTime(result.waitTime) : never}`);
+
+    if (!result.reached) {
+      console.log(`Not reachable within ${result.purchases.length} purchases with what is in the store now.`);
+      console.log(line);
+      return;
+    }
+
+    if (result.purchases.length === 0) {
+      console.log(`${Constants.ICONS.BEST} Save: no purchase gets you there sooner.`);
+      console.log(line);
+      return;
+    }
+
+    const saved = result.savedSeconds !== null ? ` (${this._formatTime(result.savedSeconds)} sooner)` : '';
+    console.log(`${Constants.ICONS.BEST} Invest first: ${this._formatTime(result.time)}${saved}`);
+    console.log('');
+    this._renderPurchaseTable(result.purchases);
+
+    if (target.type === 'purchase') {
+      console.log(`Then buy ${label} (${this._formatCurrency(target.cost)}) at +${this._formatTime(result.time)}`);
+    } else if (target.type === 'cookies') {
+      console.log(`Then save: ${label} at +${this._formatTime(result.time)}`);
+    }
+
+    console.log('');
+    console.log('Upgrades that unlock along the way are not included.');
+    console.log(line);
+  }
+
+  /**
+   * Renders golden cookie income and Lucky banks (from CookieAdvisor.goldenCookies).
+   *
+   * @param {Object} report - Report from GoldenCookieAnalyzer.analyze()
+   */
+  renderGoldenCookies(report) {
+    const line = this._repeat(Constants.BORDERS.DOUBLE_LINE, 51);
+    const perCookie = report.perCookie;
+    const bank = report.bank;
+    const status = amount => (bank.cookies >= amount
+      ? '✓'
+      : `short by ${this._formatCurrency(amount - bank.cookies)}`);
+
+    console.log(line);
+    console.log('  GOLDEN COOKIES');
+    console.log(line);
+    console.log(`Upgrades: ${report.upgrades.length > 0 ? report.upgrades.join(', ') : '(none)'}`);
+    console.log(`Average time between golden cookies: ${this._formatTime(report.spawnSeconds)}`);
+    console.log(`Expected per golden cookie: ${this._formatCurrency(perCookie.total)} ` +
+      `(Frenzy ${this._formatCurrency(perCookie.frenzy)}, Lucky ${this._formatCurrency(perCookie.lucky)}, ` +
+      `Click frenzy ${this._formatCurrency(perCookie.clickFrenzy)})`);
+    if (report.clicking) {
+      const percent = report.percentOfCps !== null ? ` (${report.percentOfCps.toFixed(1)}% of CPS)` : '';
+      console.log(`Income if you click every one: +${this._formatCurrency(report.perSecond)}/sec${percent}`);
+    } else {
+      console.log('Income: none with the idle click profile (golden cookies are not clicked)');
+    }
+    console.log('');
+
+    console.log(`Bank: ${this._formatCurrency(bank.cookies)}`);
+    console.log(`  Lucky bank:          ${this._formatCurrency(bank.lucky).padEnd(12)}${status(bank.lucky)}`);
+    console.log(`  Lucky + Frenzy bank: ${this._formatCurrency(bank.frenzy).padEnd(12)}${status(bank.frenzy)}`);
+    console.log(`Lucky pays ${this._formatCurrency(report.lucky.payout)} now (full bank: ${this._formatCurrency(report.lucky.maxPayout)})`);
+    if (bank.target !== 'none') {
+      console.log(`Recommendations that dip below the ${bank.target === 'frenzy' ? 'Lucky + Frenzy' : 'Lucky'} bank are flagged ⚠️`);
+    }
+    console.log(line);
+  }
+
+  /**
+   * Renders a heavenly upgrade purchase order (from CookieAdvisor.heavenlyUpgrades),
+   * in the same best-plus-alternatives layout as renderRecommendation().
+   *
+   * @param {Object} plan - Plan from HeavenlyPlanner.plan()
+   */
+  renderHeavenlyPlan(plan) {
+    const chips = amount => (amount < 1000 ? String(amount) : this._formatCurrency(amount));
+    const single = this._repeat(Constants.BORDERS.SINGLE_LINE, 51);
+    const [best, ...rest] = plan.recommendations;
+    const alternatives = rest.slice(0, Constants.TOP_ALTERNATIVES_COUNT);
+
+    this._renderHeader();
+    console.log('Heavenly Upgrades:');
+    console.log(`  Heavenly Chips: ${chips(plan.chips)}`);
+    console.log(`  Prestige: ${plan.prestige}`);
+    console.log('');
+
+    console.log(single);
+    console.log(`${Constants.ICONS.BEST} BEST HEAVENLY UPGRADE ${Constants.ICONS.BEST}`);
+    console.log(single);
+    console.log('');
+    if (best) {
+      console.log(`  ${Constants.ICONS.ARROW} ${best.name}`);
+      console.log(`    Cost: ${chips(best.cost)} chips`);
+      if (best.purchases.length > 1) {
+        console.log(`    Buy: ${best.purchases.map(p => p.name).join(` ${Constants.ICONS.ARROW} `)}`);
+      }
+      console.log(`    Benefit: ${this._describeHeavenlyBenefit(best)}`);
+      console.log(`    Chips Left: ${chips(best.chipsLeft)}`);
+    } else {
+      console.log('  Nothing worth planning for is affordable yet.');
+    }
+    console.log('');
+
+    if (alternatives.length > 0) {
+      console.log(single);
+      console.log(`${Constants.ICONS.ALTERNATIVES} THEN`);
+      console.log(single);
+      console.log('');
+      alternatives.forEach((goal, index) => {
+        const parents = goal.purchases.length > 1 ? ` (with ${goal.purchases.length - 1} parent${goal.purchases.length > 2 ? 's' : ''})` : '';
+        console.log(`${index + 1}. ${goal.name}${parents}`);
+        console.log(`   Cost: ${chips(goal.cost)} chips | ${this._describeHeavenlyBenefit(goal)}`);
+      });
+      if (rest.length > alternatives.length) {
+        console.log(`   ...and ${rest.length - alternatives.length} more`);
+      }
+      console.log('');
+    }
+
+    if (plan.saving) {
+      console.log(`Save for: ${plan.saving.name} (${chips(plan.saving.cost)} chips, ` +
+        `${chips(plan.saving.chipsNeeded)} more) | ${this._describeHeavenlyBenefit(plan.saving)}`);
+    }
+    console.log(this._repeat(Constants.BORDERS.THIN_LINE, 51));
+  }
+
+  /**
+   * Describes what a heavenly upgrade goal brings.
+   *
+   * @private
+   * @param {Object} goal - Goal from HeavenlyPlanner.rankGoals()
+   * @returns {string} Benefit text
+   */
+  _describeHeavenlyBenefit(goal) {
+    const percent = Number(goal.value.toFixed(2));
+    if (goal.category === 'cps') {
+      return `+${percent}% CPS, permanently`;
+    }
+    if (goal.category === 'offline') {
+      return `+${percent}% of CPS while the game is closed`;
+    }
+    return goal.note;
+  }
+
+  /**
+   * Renders timed purchases as a table (for plans and goal paths).
+   *
+   * @private
+   * @param {Array<Object>} purchases - { time, displayName, cost, cookiesPerSecond }
+   */
+  _renderPurchaseTable(purchases) {
+    console.log('#'.padEnd(5) + 'When'.padEnd(10) + 'Purchase'.padEnd(30) + 'Cost'.padEnd(12) + 'CPS After');
+    console.log(this._repeat(Constants.BORDERS.THIN_LINE, 51));
+    purchases.forEach((purchase, index) => {
+      const when = purchase.time > 0 ? `+${this._formatTime(purchase.time)}` : 'now';
+      console.log(
+        `${index + 1}.`.padEnd(5) +
+        when.padEnd(10) +
+        purchase.displayName.substring(0, 28).padEnd(30) +
+        this._formatCurrency(purchase.cost).padEnd(12) +
+        this._formatCurrency(purchase.cookiesPerSecond)
+      );
+    });
+  }
+
+  /**
+   * Renders a comparison of two snapshots (from Snapshot.diff).
+   *
+   * @param {Object} report - Diff report
+   */
+  renderSnapshotDiff(report) {
+    const line = this._repeat(Constants.BORDERS.DOUBLE_LINE, 51);
+    console.log(line);
+    console.log('  SNAPSHOT DIFF');
+    console.log(line);
+    console.log(`From: ${report.from}`);
+    console.log(`To:   ${report.to} (${this._formatTime(report.elapsedSeconds)} later)`);
+    console.log('');
+
+    console.log(`Cookies: ${this._formatCurrency(report.cookies.before)} ${Constants.ICONS.ARROW} ${this._formatCurrency(report.cookies.after)}`);
+    const percent = report.cps.percent !== null ? ` (${report.cps.percent >= 0 ? '+' : ''}${report.cps.percent.toFixed(1)}%)` : '';
+    console.log(`CPS: ${this._formatCurrency(report.cps.before)} ${Constants.ICONS.ARROW} ${this._formatCurrency(report.cps.after)}${percent}`);
+    console.log('');
+
+    console.log('Buildings Bought:');
+    if (report.buildings.length === 0) {
+      console.log('  (none)');
+    }
+    for (const building of report.buildings) {
+      const sign = building.change > 0 ? '+' : '';
+      console.log(`  ${building.name}: ${building.before} ${Constants.ICONS.ARROW} ${building.after} (${sign}${building.change})`);
+    }
+
+    console.log('Upgrades Bought:');
+    console.log(`  ${report.upgradesBought.length > 0 ? report.upgradesBought.join(', ') : '(none)'}`);
+    console.log('');
+
+    const rec = report.recommendation;
+    const describe = choice => choice ? `${choice.displayName} (ROI ${this._formatTime(choice.roiTime)})` : '(none)';
+    console.log('Recommendation:');
+    if (rec.strategyBefore !== rec.strategyAfter) {
+      console.log(`  Strategy: ${rec.strategyBefore} ${Constants.ICONS.ARROW} ${rec.strategyAfter}`);
+    }
+    console.log(`  Before: ${describe(rec.before)}`);
+    console.log(`  After:  ${describe(rec.after)}${rec.changed ? '' : ' (unchanged)'}`);
+    if (rec.added.length > 0) {
+      console.log(`  New In Top ${Constants.TOP_ALTERNATIVES_COUNT + 1}: ${rec.added.join(', ')}`);
+    }
+    if (rec.removed.length > 0) {
+      console.log(`  Dropped Out: ${rec.removed.join(', ')}`);
+    }
+    console.log(line);
+  }
 }
 
 // Export for use in other modules
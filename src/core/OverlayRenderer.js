@@ -0,0 +1,352 @@
+/**
+ * OverlayRenderer.js
+ *
+ * Draws recommendations in a collapsible panel over the Cookie Clicker page,
+ * so the advisor can be used without DevTools open.
+ *
+ * Implements the same interface as OutputRenderer and plugs in through
+ * CookieAdvisor.setRenderer() (CookieAdvisor.showOverlay() does this and
+ * keeps the panel refreshed). Console-only renderers (debug tables, snapshot
+ * diffs) are inherited unchanged.
+ *
+ * Text is set with textContent only: upgrade names can contain HTML.
+ */
+
+class OverlayRenderer extends OutputRenderer {
+  /**
+   * @param {Object} options - Configuration options
+   * @param {Function} [options.onClose] - Called when the panel's close button is clicked
+   * @param {Document} [options.document] - Document to draw in (defaults to the page's)
+   */
+  constructor(options = {}) {
+    super();
+    this.onClose = options.onClose || null;
+    this.document = options.document || (typeof document !== 'undefined' ? document : null);
+    this.collapsed = false;
+    this.panel = null;
+    this.body = null;
+    this.waitElements = [];
+    this.cookiesPerSecond = 0;
+  }
+
+  /**
+   * Draws the recommendation panel, replacing any previous content.
+   *
+   * @param {Object} topChoice - Best recommendation
+   * @param {Array<Object>} alternatives - Alternative recommendations
+   * @param {Object} gameState - Current game state
+   * @param {Object} [options] - Extra sections, as for OutputRenderer.renderRecommendation()
+   * @param {Object} [options.ascension] - Report from AscensionAnalyzer.analyze()
+   * @param {Array<Object>} [options.toggles] - Toggles from EconomicModel.getToggles()
+   */
+  renderRecommendation(topChoice, alternatives, gameState, options = {}) {
+    this._ensurePanel();
+    this._clearBody();
+    this.cookiesPerSecond = gameState.cookiesPerSecond;
+
+    this._appendStatus(gameState);
+
+    if (topChoice) {
+      this._appendBestChoice(topChoice, gameState);
+    } else {
+      this.renderMessage('No recommendations available.');
+      return;
+    }
+
+    if (options.ascension) {
+      this._appendAscension(options.ascension);
+    }
+
+    if (alternatives && alternatives.length > 0) {
+      this._appendAlternatives(alternatives, gameState);
+    }
+
+    if (options.toggles && options.toggles.length > 0) {
+      this._appendToggles(options.toggles);
+    }
+  }
+
+  /**
+   * Replaces the panel content with a short message (e.g. when nothing
+   * passes the strategy's filters).
+   *
+   * @param {string} message - Message to show
+   */
+  renderMessage(message) {
+    this._ensurePanel();
+    this._clearBody();
+    this._append(this.body, 'div', 'cca-message', message);
+  }
+
+  /**
+   * Updates the time-to-afford figures from the live cookie count,
+   * without re-running the analysis.
+   *
+   * @param {number} cookies - Cookies in bank
+   */
+  updateCookies(cookies) {
+    for (const { element, cost } of this.waitElements) {
+      element.textContent = this._formatWait(cost, cookies);
+    }
+  }
+
+  /**
+   * Removes the panel and its styles from the page.
+   */
+  destroy() {
+    if (!this.document) {
+      return;
+    }
+
+    for (const id of [Constants.OVERLAY_ELEMENT_ID, `${Constants.OVERLAY_ELEMENT_ID}-style`]) {
+      const element = this.document.getElementById(id);
+      if (element) {
+        element.remove();
+      }
+    }
+
+    this.panel = null;
+    this.body = null;
+    this.waitElements = [];
+  }
+
+  /**
+   * Creates the panel (header, collapse and close buttons, body) on first use.
+   *
+   * @private
+   * @throws {Error} If there is no document to draw in
+   */
+  _ensurePanel() {
+    if (this.panel && this.panel.isConnected) {
+      return;
+    }
+    if (!this.document) {
+      throw new Error('OverlayRenderer needs a browser document');
+    }
+
+    this._injectStyles();
+
+    const panel = this.document.createElement('div');
+    panel.id = Constants.OVERLAY_ELEMENT_ID;
+
+    const header = this._append(panel, 'div', 'cca-header');
+    this._append(header, 'span', 'cca-title', `${Constants.ICONS.COOKIE} ROI Advisor`);
+
+    const collapse = this._append(header, 'button', 'cca-button', this.collapsed ? '▸' : '▾');
+    collapse.title = 'Collapse';
+    collapse.addEventListener('click', () => {
+      this.collapsed = !this.collapsed;
+      collapse.textContent = this.collapsed ? '▸' : '▾';
+      this.body.style.display = this.collapsed ? 'none' : '';
+    });
+
+    const close = this._append(header, 'button', 'cca-button', '×');
+    close.title = 'Close';
+    close.addEventListener('click', () => {
+      if (this.onClose) {
+        this.onClose();
+      } else {
+        this.destroy();
+      }
+    });
+
+    this.body = this._append(panel, 'div', 'cca-body');
+    this.body.style.display = this.collapsed ? 'none' : '';
+
+    this.document.body.appendChild(panel);
+    this.panel = panel;
+  }
+
+  /**
+   * Adds the panel's stylesheet to the page once.
+   *
+   * @private
+   */
+  _injectStyles() {
+    const id = `${Constants.OVERLAY_ELEMENT_ID}-style`;
+    if (this.document.getElementById(id)) {
+      return;
+    }
+
+    const root = `#${Constants.OVERLAY_ELEMENT_ID}`;
+    const style = this.document.createElement('style');
+    style.id = id;
+    style.textContent = [
+      `${root} { position: fixed; top: 40px; right: 16px; z-index: 100000; width: 280px;`,
+      '  background: rgba(0, 0, 0, 0.85); color: #fff; border: 1px solid #c90; border-radius: 4px;',
+      '  font: 12px Tahoma, Arial, sans-serif; box-shadow: 0 0 8px #000; }',
+      `${root} .cca-header { display: flex; align-items: center; padding: 4px 6px; border-bottom: 1px solid #c90; }`,
+      `${root} .cca-title { flex: 1; font-weight: bold; }`,
+      `${root} .cca-button { background: none; border: none; color: #fff; cursor: pointer; font-size: 14px; }`,
+      `${root} .cca-body { padding: 6px; }`,
+      `${root} .cca-status, ${root} .cca-detail { color: #ccc; }`,
+      `${root} .cca-best { margin: 6px 0; padding: 4px; border: 1px solid #6c6; border-radius: 3px; }`,
+      `${root} .cca-name { font-weight: bold; color: #ff6; }`,
+      `${root} .cca-affordable { color: #6f6; }`,
+      `${root} .cca-warning { color: #fc6; }`,
+      `${root} .cca-section { margin-top: 6px; }`,
+      `${root} ol { margin: 4px 0 0 0; padding-left: 20px; }`,
+      `${root} li { margin-bottom: 3px; }`
+    ].join('\n');
+    this.document.head.appendChild(style);
+  }
+
+  /**
+   * Shows cookies and CPS at analysis time.
+   *
+   * @private
+   * @param {Object} gameState - Current game state
+   */
+  _appendStatus(gameState) {
+    let status = `Cookies: ${this._formatCurrency(gameState.cookies)} | CPS: ${this._formatCurrency(gameState.cookiesPerSecond)}/sec`;
+    if (gameState.buffs && gameState.buffs.length > 0) {
+      status += ` (buffs: ${gameState.buffs.map(b => b.name).join(', ')})`;
+    }
+    this._append(this.body, 'div', 'cca-status', status);
+  }
+
+  /**
+   * Shows the best investment.
+   *
+   * @private
+   * @param {Object} choice - Top recommendation
+   * @param {Object} gameState - Current game state
+   */
+  _appendBestChoice(choice, gameState) {
+    const best = this._append(this.body, 'div', 'cca-best');
+    this._append(best, 'div', null, `${Constants.ICONS.BEST} Best Investment`);
+    this._append(best, 'div', 'cca-name', choice.displayName || choice.name);
+    this._append(best, 'div', 'cca-detail',
+      `Cost: ${this._formatCurrency(choice.cost)} | +${this._formatCurrency(choice.deltaCPS)} CPS`);
+    this._append(best, 'div', 'cca-detail', `ROI: ${this._formatTime(choice.roiTime)}`);
+    this._appendWait(best, choice, gameState);
+    if (choice.bankWarning) {
+      this._append(best, 'div', 'cca-warning', `⚠️ ${this._describeBankWarning(choice.bankWarning)}`);
+    }
+  }
+
+  /**
+   * Shows prestige gained this run and when to ascend, in short.
+   *
+   * @private
+   * @param {Object} report - Report from AscensionAnalyzer.analyze()
+   */
+  _appendAscension(report) {
+    const section = this._append(this.body, 'div', 'cca-section');
+    this._append(section, 'div', null, `${Constants.ICONS.ASCENSION} Ascension`);
+    this._append(section, 'div', 'cca-detail',
+      `Prestige ${report.prestige} (+${report.levelsGained} now) | next level in ${this._formatTime(report.nextLevel.time)}`);
+
+    const peak = report.peak;
+    let advice = 'Best time to ascend: unknown';
+    if (peak && peak.levelsGained === 0) {
+      advice = 'Not worth ascending yet';
+    } else if (peak && peak.passed) {
+      advice = 'Ascend now: the average rate has peaked';
+    } else if (peak) {
+      advice = `Average rate peaks in ${this._formatTime(peak.seconds)} (+${peak.levelsGained} levels)`;
+    }
+    this._append(section, 'div', 'cca-detail', advice);
+  }
+
+  /**
+   * Shows the alternatives as a numbered list.
+   *
+   * @private
+   * @param {Array<Object>} alternatives - Alternative recommendations
+   * @param {Object} gameState - Current game state
+   */
+  _appendAlternatives(alternatives, gameState) {
+    this._append(this.body, 'div', null, `${Constants.ICONS.ALTERNATIVES} Alternatives`);
+    const list = this._append(this.body, 'ol');
+
+    for (const alt of alternatives) {
+      const item = this._append(list, 'li');
+      this._append(item, 'div', null, alt.displayName || alt.name);
+      this._append(item, 'div', 'cca-detail',
+        `${this._formatCurrency(alt.cost)} | +${this._formatCurrency(alt.deltaCPS)} CPS | ROI ${this._formatTime(alt.roiTime)}`);
+      this._appendWait(item, alt, gameState);
+    }
+  }
+
+  /**
+   * Lists the toggles in the store with what they do (not ranked).
+   *
+   * @private
+   * @param {Array<Object>} toggles - Toggles from EconomicModel.getToggles()
+   */
+  _appendToggles(toggles) {
+    const section = this._append(this.body, 'div', 'cca-section');
+    this._append(section, 'div', null, `${Constants.ICONS.TOGGLE} Toggles (not ranked)`);
+    for (const toggle of toggles) {
+      const note = toggle.note ? ` | ${toggle.note}` : '';
+      this._append(section, 'div', 'cca-detail', `${toggle.name}: ${this._formatCurrency(toggle.cost)}${note}`);
+    }
+  }
+
+  /**
+   * Adds a time-to-afford line that updateCookies() keeps current.
+   *
+   * @private
+   * @param {HTMLElement} parent - Element to add to
+   * @param {Object} candidate - Recommendation
+   * @param {Object} gameState - Current game state
+   */
+  _appendWait(parent, candidate, gameState) {
+    const element = this._append(parent, 'div', 'cca-detail', this._formatWait(candidate.cost, gameState.cookies));
+    this.waitElements.push({ element: element, cost: candidate.cost });
+  }
+
+  /**
+   * Formats the time until a cost is affordable at the analyzed CPS.
+   *
+   * @private
+   * @param {number} cost - Purchase cost
+   * @param {number} cookies - Cookies in bank
+   * @returns {string} "✓ Affordable now" or "Affordable in 1m 5s"
+   */
+  _formatWait(cost, cookies) {
+    if (Validators.isAffordable(cost, cookies)) {
+      return '✓ Affordable now';
+    }
+    const seconds = this.cookiesPerSecond > 0 ? (cost - cookies) / this.cookiesPerSecond : Infinity;
+    return `Affordable in ${this._formatTime(seconds)}`;
+  }
+
+  /**
+   * Empties the panel body.
+   *
+   * @private
+   */
+  _clearBody() {
+    this.body.textContent = '';
+    this.waitElements = [];
+  }
+
+  /**
+   * Creates an element and appends it to a parent.
+   *
+   * @private
+   * @param {HTMLElement} parent - Parent element
+   * @param {string} tag - Tag name
+   * @param {string|null} [className] - CSS class
+   * @param {string} [text] - Text content
+   * @returns {HTMLElement} New element
+   */
+  _append(parent, tag, className, text) {
+    const element = this.document.createElement(tag);
+    if (className) {
+      element.className = className;
+    }
+    if (text !== undefined) {
+      element.textContent = text;
+    }
+    parent.appendChild(element);
+    return element;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = OverlayRenderer;
+}
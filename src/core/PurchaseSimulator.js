@@ -0,0 +1,119 @@
+/**
+ * PurchaseSimulator.js
+ *
+ * Plays purchases forward in time on a copy of the game state: bake
+ * cookies at the current CPS, buy, repeat. Used by LookaheadStrategy to
+ * compare purchase sequences and by CookieAdvisor.plan() to build a
+ * shopping list for a time horizon.
+ *
+ * Purchases go through EconomicModel.simulatePurchase(), so the same
+ * limits apply: buildings get more expensive and produce more, bought
+ * upgrades leave the store, but upgrades the game would unlock along the
+ * way (e.g. at building milestones) do not appear.
+ */
+
+class PurchaseSimulator {
+  /**
+   * @param {Object} gameState - Starting game state (not modified)
+   */
+  constructor(gameState) {
+    this.state = gameState;
+    this.time = 0;          // Seconds simulated so far
+    this.cookiesBaked = 0;  // Cookies produced so far
+    this.purchases = [];    // [{ time, candidate, cookiesPerSecond, cookies }] in order
+  }
+
+  /**
+   * Candidates for the current simulated state.
+   *
+   * @returns {Array<Object>} Candidates from EconomicModel
+   */
+  getCandidates() {
+    return new EconomicModel(this.state).getAllCandidates();
+  }
+
+  /**
+   * How long until a cost is affordable in the current simulated state.
+   *
+   * @param {number} cost - Purchase cost
+   * @returns {number} Seconds (0 if affordable now, Infinity if never)
+   */
+  getTimeToAfford(cost) {
+    return new EconomicModel(this.state).getTimeToAfford(cost);
+  }
+
+  /**
+   * Bakes cookies at the current CPS for some time.
+   *
+   * @param {number} seconds - Time to advance (finite, 0 or more)
+   */
+  advance(seconds) {
+    const baked = this.state.cookiesPerSecond * seconds;
+    this.time += seconds;
+    this.cookiesBaked += baked;
+    this.state = { ...this.state, cookies: this.state.cookies + baked };
+  }
+
+  /**
+   * Buys a candidate now (the caller waits until it is affordable).
+   *
+   * @param {Object} candidate - Candidate for the current simulated state
+   */
+  buy(candidate) {
+    this.state = new EconomicModel(this.state).simulatePurchase(candidate);
+    this.purchases.push({
+      time: this.time,
+      candidate: candidate,
+      cookiesPerSecond: this.state.cookiesPerSecond,
+      cookies: this.state.cookies
+    });
+  }
+
+  /**
+   * Waits until a candidate is affordable, then buys it.
+   *
+   * @param {Object} candidate - Candidate for the current simulated state
+   * @param {number} [deadline] - Don't wait past this simulated time
+   * @returns {boolean} False (and nothing changes) if it is never affordable or not before the deadline
+   */
+  waitAndBuy(candidate, deadline = Infinity) {
+    const wait = this.getTimeToAfford(candidate.cost);
+    if (!isFinite(wait) || this.time + wait > deadline) {
+      return false;
+    }
+
+    this.advance(wait);
+    this.buy(candidate);
+    return true;
+  }
+
+  /**
+   * Buys rank()'s top choice each time it becomes affordable, re-ranking
+   * after every purchase. When the top choice cannot be afforded before the
+   * horizon, the best-ranked candidate that can is bought instead; once
+   * nothing ranked fits, bakes until the horizon.
+   *
+   * @param {Function} rank - rank(candidates, gameState) → ranked candidates, best first
+   * @param {number} horizonSeconds - Simulated time to plan for
+   * @param {number} [maxPurchases] - Stop after this many purchases (default: Constants.PLAN_MAX_PURCHASES)
+   * @returns {Array<Object>} Purchases made, in order
+   */
+  runPlan(rank, horizonSeconds, maxPurchases = Constants.PLAN_MAX_PURCHASES) {
+    while (this.purchases.length < maxPurchases) {
+      const ranked = rank(this.getCandidates(), this.state);
+      if (!ranked.some(candidate => this.waitAndBuy(candidate, horizonSeconds))) {
+        break;
+      }
+    }
+
+    if (this.time < horizonSeconds) {
+      this.advance(horizonSeconds - this.time);
+    }
+    return this.purchases;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PurchaseSimulator;
+}
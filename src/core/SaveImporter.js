@@ -0,0 +1,483 @@
+/**
+ * SaveImporter.js
+ *
+ * Decodes an exported Cookie Clicker save string into the same normalized
+ * game state GameStateAdapter.getGameState() produces, so EconomicModel and
+ * StrategyEngine can run without a browser (e.g. under Node).
+ *
+ * Save format (Options → Export save):
+ *   escape(base64(utf8(data)) + '!END!'), where data is split by '|':
+ *   [0] version  [2] run details  [4] misc stats  [5] buildings
+ *   [6] upgrades (two bits per upgrade id: unlocked, bought)
+ *   [7] achievements (one bit per achievement id)
+ *
+ * The save does not store CPS. It is rebuilt from Constants.BUILDING_STATS
+ * and the owned upgrades known to UpgradeDatabase, so it is an estimate:
+ * effects the database doesn't know (e.g. research, seasons, minigames) are
+ * missing. Upgrades are stored by numeric id only: UpgradeDatabase.IDS
+ * names the early ones; pass an upgrade catalogue to name the rest and to
+ * get prices and descriptions. Ids left unnamed are reported (a warning,
+ * and unknownUpgradeIds in the game state), since they make CPS low.
+ */
+
+class SaveImporter {
+  /**
+   * Creates a new SaveImporter.
+   *
+   * @param {string} saveString - Exported save string
+   * @param {Object} options - Import options
+   * @param {Array<string|Object>} options.upgradeCatalogue - Upgrades indexed by game id:
+   *   a name, or { name, price, desc, pool, parents } (e.g. Game.UpgradesById mapped to plain
+   *   objects; parents are names, needed for the heavenly upgrade tree)
+   * @throws {Error} If the save string is missing or cannot be decoded
+   */
+  constructor(saveString, options = {}) {
+    if (typeof saveString !== 'string' || saveString.trim().length === 0) {
+      throw new Error('Invalid save string provided to SaveImporter');
+    }
+
+    this.sections = SaveImporter.decode(saveString).split('|');
+    if (this.sections.length < 6) {
+      throw new Error('Save string is missing sections (expected at least 6)');
+    }
+
+    this.upgradeCatalogue = Array.isArray(options.upgradeCatalogue) ? options.upgradeCatalogue : null;
+  }
+
+  /**
+   * Decodes a save string into its raw '|'-separated text.
+   *
+   * @param {string} saveString - Exported save string
+   * @returns {string} Decoded save data
+   * @throws {Error} If the string is not valid base64
+   */
+  static decode(saveString) {
+    let data = unescape(saveString.replace(/\s+/g, ''));
+    const endIndex = data.indexOf('!END!');
+    if (endIndex !== -1) {
+      data = data.substring(0, endIndex);
+    }
+
+    try {
+      const binary = typeof atob === 'function'
+        ? atob(data)
+        : Buffer.from(data, 'base64').toString('binary');
+      // The game base64-encodes UTF-8 bytes (bakery names may contain any character)
+      return decodeURIComponent(escape(binary));
+    } catch (error) {
+      throw new Error(`Could not decode save string: ${error.message}`);
+    }
+  }
+
+  /**
+   * Builds the normalized game state from the save.
+   *
+   * @returns {Object} Normalized game state (same fields as GameStateAdapter.getGameState(),
+   *   plus version, bakeryName, savedDate, unlockedUpgradeIds, boughtUpgradeIds and
+   *   unknownUpgradeIds: { bought, store }, the ids left out for want of a name or price)
+   */
+  getGameState() {
+    const misc = this._parseMisc();
+    const upgradeFlags = this._parseUpgradeFlags();
+    const ownedUpgrades = this._getUpgradeNames(upgradeFlags.bought);
+    const unknownUpgradeIds = this._getUnknownUpgradeIds(upgradeFlags);
+    const milk = this._parseAchievementCount() / 25;
+    const run = (this.sections[2] || '').split(';'); // startDate;fullDate;lastDate;bakeryName;...
+
+    const owned = new Set(ownedUpgrades);
+    const buildings = this._extractBuildings(owned, misc.cookiesEarned);
+    const kittenMultiplier = this._getKittenMultiplier(owned, milk);
+    const globalMultiplier = this._getGlobalMultiplier(owned, kittenMultiplier, misc.prestige);
+
+    const buildingTotal = buildings.reduce((sum, b) => sum + b.totalCPS, 0);
+    const cookiesPerSecond = buildingTotal * globalMultiplier;
+
+    return {
+      cookies: misc.cookies,
+      cookiesPerSecond: cookiesPerSecond,
+      currentCPS: cookiesPerSecond,
+      buffs: [], // Buffs are excluded from estimates anyway
+      buffMultiplier: 1.0,
+      cookiesPerClick: this._getCookiesPerClick(owned, buildings, cookiesPerSecond),
+      milk: milk,
+      globalMultiplier: globalMultiplier,
+      kittenMultiplier: kittenMultiplier,
+      buildings: buildings,
+      upgrades: this._extractStoreUpgrades(upgradeFlags),
+      ownedUpgrades: ownedUpgrades,
+      cookiesEarned: misc.cookiesEarned,
+      cookiesReset: misc.cookiesReset,
+      prestige: misc.prestige,
+      heavenlyChips: misc.heavenlyChips,
+      startDate: parseInt(run[0], 10) || null,
+      heavenlyUpgrades: this._extractHeavenlyUpgrades(upgradeFlags),
+      // Save-only data
+      version: parseFloat(this.sections[0]) || 0,
+      bakeryName: run[3] || '',
+      savedDate: parseInt(run[2], 10) || null,
+      unlockedUpgradeIds: upgradeFlags.unlocked,
+      boughtUpgradeIds: upgradeFlags.bought,
+      unknownUpgradeIds: unknownUpgradeIds
+    };
+  }
+
+  /**
+   * Parses the misc stats section ([4], ';'-separated).
+   *
+   * @private
+   * @returns {Object} { cookies, cookiesEarned, cookieClicks, cookiesReset, prestige, heavenlyChips }
+   */
+  _parseMisc() {
+    const fields = (this.sections[4] || '').split(';');
+    const number = index => parseFloat(fields[index]) || 0;
+
+    return {
+      cookies: number(0),
+      cookiesEarned: number(1), // This ascension
+      cookieClicks: number(2),
+      cookiesReset: number(8), // Baked in previous ascensions
+      prestige: number(25),
+      heavenlyChips: number(26)
+    };
+  }
+
+  /**
+   * Parses the upgrade bit pairs ([6]) into id lists.
+   *
+   * @private
+   * @returns {Object} { unlocked: number[], bought: number[] }
+   */
+  _parseUpgradeFlags() {
+    const bits = this.sections[6] || '';
+    const unlocked = [];
+    const bought = [];
+
+    for (let id = 0; id * 2 < bits.length; id++) {
+      if (bits.charAt(id * 2) === '1') {
+        unlocked.push(id);
+      }
+      if (bits.charAt(id * 2 + 1) === '1') {
+        bought.push(id);
+      }
+    }
+
+    return { unlocked, bought };
+  }
+
+  /**
+   * Counts won achievements ([7], one bit per achievement).
+   * Shadow achievements can't be told apart without a catalogue, so
+   * milk may be slightly overestimated.
+   *
+   * @private
+   * @returns {number} Achievements won
+   */
+  _parseAchievementCount() {
+    const bits = this.sections[7] || '';
+    let count = 0;
+    for (const bit of bits) {
+      if (bit === '1') {
+        count++;
+      }
+    }
+    return count;
+  }
+
+  /**
+   * Looks up an upgrade by id: in the catalogue, else by name only in
+   * UpgradeDatabase.IDS (price 0: unknown).
+   *
+   * @private
+   * @param {number} id - Game upgrade id
+   * @returns {Object|null} { name, price, desc, pool, parents }, or null if unknown
+   */
+  _getCatalogueEntry(id) {
+    const entry = (this.upgradeCatalogue && this.upgradeCatalogue[id]) || UpgradeDatabase.nameForId(id);
+    if (typeof entry === 'string') {
+      return { name: entry, price: 0, desc: '', pool: '', parents: [] };
+    }
+    if (entry && typeof entry.name === 'string') {
+      return {
+        name: entry.name,
+        price: entry.price || entry.basePrice || 0,
+        desc: entry.desc || '',
+        pool: entry.pool || '',
+        parents: Array.isArray(entry.parents) ? entry.parents : []
+      };
+    }
+    return null;
+  }
+
+  /**
+   * Maps upgrade ids to names using the catalogue and UpgradeDatabase.IDS.
+   *
+   * @private
+   * @param {Array<number>} ids - Game upgrade ids
+   * @returns {Array<string>} Known names
+   */
+  _getUpgradeNames(ids) {
+    return ids
+      .map(id => this._getCatalogueEntry(id))
+      .filter(entry => entry !== null)
+      .map(entry => entry.name);
+  }
+
+  /**
+   * Lists the upgrade ids left out of the game state, and warns about them:
+   * bought upgrades without a name (their effect is missing from CPS) and
+   * store upgrades without a price (they cannot be ranked).
+   *
+   * @private
+   * @param {Object} upgradeFlags - Result of _parseUpgradeFlags()
+   * @returns {Object} { bought: number[], store: number[] }
+   */
+  _getUnknownUpgradeIds(upgradeFlags) {
+    const bought = new Set(upgradeFlags.bought);
+    const unknown = {
+      bought: upgradeFlags.bought.filter(id => this._getCatalogueEntry(id) === null),
+      store: upgradeFlags.unlocked
+        .filter(id => !bought.has(id))
+        .filter(id => {
+          const entry = this._getCatalogueEntry(id);
+          return entry === null || !(entry.price > 0);
+        })
+    };
+
+    if (unknown.bought.length > 0) {
+      console.warn(`⚠️ ${unknown.bought.length} bought upgrades have no name (ids ${unknown.bought.join(', ')}): ` +
+        'CPS is underestimated. Pass an upgrade catalogue from the game to include them.');
+    }
+    if (unknown.store.length > 0) {
+      console.warn(`⚠️ ${unknown.store.length} upgrades in the store have no price and are left out. ` +
+        'Pass an upgrade catalogue from the game to rank them.');
+    }
+    return unknown;
+  }
+
+  /**
+   * Builds the store: upgrades unlocked but not bought, cheapest first
+   * (the order the game shows them in). Upgrades without a price (not in
+   * the catalogue) are left out.
+   *
+   * @private
+   * @param {Object} upgradeFlags - Result of _parseUpgradeFlags()
+   * @returns {Array<Object>} Normalized upgrades (empty without a catalogue)
+   */
+  _extractStoreUpgrades(upgradeFlags) {
+    const bought = new Set(upgradeFlags.bought);
+
+    return upgradeFlags.unlocked
+      .filter(id => !bought.has(id))
+      .map(id => this._getCatalogueEntry(id))
+      .filter(entry => entry !== null && entry.price > 0)
+      .sort((a, b) => a.price - b.price)
+      .map((entry, index) => ({
+        id: `upgrade_${index}`,
+        name: entry.name,
+        cost: entry.price,
+        description: entry.desc,
+        descriptionDetail: '',
+        pool: entry.pool || 'standard',
+        unlocked: true
+      }));
+  }
+
+  /**
+   * Builds the heavenly upgrade tree from the catalogue's 'prestige' pool.
+   *
+   * @private
+   * @param {Object} upgradeFlags - Result of _parseUpgradeFlags()
+   * @returns {Array<Object>} Same shape as GameStateAdapter's heavenlyUpgrades (empty without a catalogue)
+   */
+  _extractHeavenlyUpgrades(upgradeFlags) {
+    const bought = new Set(upgradeFlags.bought);
+
+    return (this.upgradeCatalogue || [])
+      .map((item, id) => ({ id: id, entry: this._getCatalogueEntry(id) }))
+      .filter(({ entry }) => entry !== null && entry.pool === 'prestige')
+      .map(({ id, entry }) => ({
+        id: id,
+        name: entry.name,
+        cost: entry.price,
+        parents: entry.parents,
+        bought: bought.has(id),
+        description: entry.desc
+      }));
+  }
+
+  /**
+   * Parses the buildings section ([5]) and rebuilds each building's CPS.
+   * Entries are ';'-separated in building order: "amount,bought,...".
+   *
+   * @private
+   * @param {Set<string>} owned - Owned upgrade names
+   * @param {number} cookiesEarned - Cookies baked this ascension (unlocks buildings)
+   * @returns {Array<Object>} Normalized buildings
+   */
+  _extractBuildings(owned, cookiesEarned) {
+    const entries = (this.sections[5] || '').split(';');
+    const counts = {};
+    Constants.BUILDINGS.forEach((name, index) => {
+      const fields = (entries[index] || '').split(',');
+      counts[name] = {
+        amount: parseInt(fields[0], 10) || 0,
+        bought: parseInt(fields[1], 10) || 0
+      };
+    });
+
+    const fingerAdd = this._getFingerBonus(owned) * Constants.BUILDINGS
+      .filter(name => name !== 'Cursor')
+      .reduce((sum, name) => sum + counts[name].amount, 0);
+
+    return Constants.BUILDINGS.map(name => {
+      const stats = Constants.BUILDING_STATS[name];
+      const { amount, bought } = counts[name];
+      const multiplier = this._getBuildingMultiplier(name, owned, counts);
+      const perUnitCPS = stats.baseCPS * multiplier + (name === 'Cursor' ? fingerAdd : 0);
+
+      return {
+        id: name,
+        name: name,
+        owned: amount,
+        cost: stats.basePrice * Math.pow(Constants.BUILDING_PRICE_GROWTH, amount),
+        baseCPS: stats.baseCPS,
+        perUnitCPS: perUnitCPS,
+        totalCPS: perUnitCPS * amount,
+        multiplier: multiplier,
+        unlocked: amount > 0 || bought > 0 || cookiesEarned >= stats.basePrice,
+        bought: bought
+      };
+    });
+  }
+
+  /**
+   * Rebuilds a building's multiplier from owned upgrades:
+   * tiered ×2 each, grandma types (×2 for Grandmas, +1% per N grandmas for
+   * the partner) and synergies (+5% / +0.1% per partner building).
+   *
+   * @private
+   * @param {string} name - Building name
+   * @param {Set<string>} owned - Owned upgrade names
+   * @param {Object} counts - Building name → { amount, bought }
+   * @returns {number} Building multiplier
+   */
+  _getBuildingMultiplier(name, owned, counts) {
+    const amount = building => (counts[building] ? counts[building].amount : 0);
+    let multiplier = 1.0;
+
+    for (const upgradeName of owned) {
+      const effect = UpgradeDatabase.lookup(upgradeName);
+      if (!effect) {
+        continue;
+      }
+
+      if (effect.family === 'tiered' && effect.building === name) {
+        multiplier *= effect.multiplier;
+      } else if (effect.family === 'grandma') {
+        if (name === 'Grandma') {
+          multiplier *= 2;
+        } else if (effect.building === name) {
+          multiplier *= 1 + 0.01 * amount('Grandma') / effect.perGrandmas;
+        }
+      } else if (effect.family === 'synergy') {
+        const [low, high] = effect.buildings;
+        if (name === low) {
+          multiplier *= 1 + 0.05 * amount(high);
+        } else if (name === high) {
+          multiplier *= 1 + 0.001 * amount(low);
+        }
+      }
+    }
+
+    return multiplier;
+  }
+
+  /**
+   * Gets the finger bonus per non-cursor building from owned finger upgrades.
+   *
+   * @private
+   * @param {Set<string>} owned - Owned upgrade names
+   * @returns {number} Cookies per cursor (and click) per non-cursor building
+   */
+  _getFingerBonus(owned) {
+    return UpgradeDatabase.FINGERS.reduce((bonus, finger) => {
+      if (!owned.has(finger.name)) {
+        return bonus;
+      }
+      return finger.bonus ? finger.bonus : bonus * finger.multiplier;
+    }, 0);
+  }
+
+  /**
+   * Combines owned kitten upgrades at the given milk.
+   *
+   * @private
+   * @param {Set<string>} owned - Owned upgrade names
+   * @param {number} milk - Milk progress
+   * @returns {number} Kitten multiplier
+   */
+  _getKittenMultiplier(owned, milk) {
+    let multiplier = 1.0;
+    for (const name of owned) {
+      const effect = UpgradeDatabase.lookup(name);
+      if (effect && effect.family === 'kitten') {
+        multiplier *= 1 + milk * effect.factor;
+      }
+    }
+    return multiplier;
+  }
+
+  /**
+   * Rebuilds the global multiplier: flavoured cookies, kittens and the
+   * prestige bonus (+1% per level, scaled by owned heavenly power upgrades).
+   *
+   * @private
+   * @param {Set<string>} owned - Owned upgrade names
+   * @param {number} kittenMultiplier - From _getKittenMultiplier()
+   * @param {number} prestige - Prestige level
+   * @returns {number} Global multiplier
+   */
+  _getGlobalMultiplier(owned, kittenMultiplier, prestige) {
+    let multiplier = kittenMultiplier;
+    let heavenlyPower = 0;
+
+    for (const name of owned) {
+      const effect = UpgradeDatabase.lookup(name);
+      if (effect && effect.family === 'cookie') {
+        multiplier *= 1 + effect.percent / 100;
+      }
+      if (name in UpgradeDatabase.HEAVENLY_POWER) {
+        heavenlyPower += UpgradeDatabase.HEAVENLY_POWER[name];
+      }
+    }
+
+    return multiplier * (1 + prestige * 0.01 * heavenlyPower);
+  }
+
+  /**
+   * Rebuilds cookies per click: base 1 (doubled by the first Cursor tiers),
+   * plus fingers per non-cursor building, plus 1% of CPS per mouse upgrade.
+   *
+   * @private
+   * @param {Set<string>} owned - Owned upgrade names
+   * @param {Array<Object>} buildings - Normalized buildings
+   * @param {number} cookiesPerSecond - Rebuilt CPS
+   * @returns {number} Cookies per click
+   */
+  _getCookiesPerClick(owned, buildings, cookiesPerSecond) {
+    const doublings = UpgradeDatabase.TIERED.Cursor.filter(name => owned.has(name)).length;
+    const nonCursorOwned = buildings
+      .filter(b => b.name !== 'Cursor')
+      .reduce((sum, b) => sum + b.owned, 0);
+    const mousePercent = UpgradeDatabase.MOUSE.filter(name => owned.has(name)).length;
+
+    return Math.pow(2, doublings) +
+      this._getFingerBonus(owned) * nonCursorOwned +
+      cookiesPerSecond * mousePercent / 100;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SaveImporter;
+}
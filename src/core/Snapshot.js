@@ -0,0 +1,218 @@
+/**
+ * Snapshot.js
+ *
+ * Saves a normalized game state and its computed candidates as a versioned
+ * JSON document, so an exact state can be shared, re-analyzed later, or kept
+ * as a regression fixture. Also compares two snapshots.
+ *
+ * Document layout (version 1):
+ *   {
+ *     format: 'cookie-advisor-snapshot',
+ *     version: 1,
+ *     createdAt: '2024-01-01T12:00:00.000Z',
+ *     strategy: 'Greedy',
+ *     gameState: { ... },        // GameStateAdapter output
+ *     candidates: [ ... ],       // EconomicModel output
+ *     recommendations: [ ids ]   // Ranked candidate ids, best first
+ *   }
+ *
+ * JSON has no Infinity, so non-finite numbers (e.g. the ROI of a candidate
+ * with no CPS gain) are written as strings and restored by parse().
+ */
+
+class Snapshot {
+  /**
+   * Builds a snapshot document.
+   *
+   * @param {Object} gameState - Normalized game state
+   * @param {Array<Object>} candidates - Candidates from EconomicModel
+   * @param {Array<Object>} recommendations - Ranked candidates from StrategyEngine
+   * @param {string} strategyName - Name of the strategy that ranked them
+   * @returns {Object} Snapshot document
+   */
+  static create(gameState, candidates, recommendations, strategyName) {
+    return {
+      format: Constants.SNAPSHOT_FORMAT,
+      version: Constants.SNAPSHOT_VERSION,
+      createdAt: new Date().toISOString(),
+      strategy: strategyName,
+      gameState: gameState,
+      candidates: candidates,
+      recommendations: recommendations.map(r => r.id)
+    };
+  }
+
+  /**
+   * Serializes a snapshot document to JSON.
+   *
+   * @param {Object} snapshot - Snapshot document
+   * @returns {string} JSON text
+   */
+  static stringify(snapshot) {
+    return JSON.stringify(snapshot, (key, value) =>
+      typeof value === 'number' && !isFinite(value) ? String(value) : value
+    );
+  }
+
+  /**
+   * Parses and checks a snapshot.
+   *
+   * @param {string|Object} json - JSON text or an already parsed document
+   * @returns {Object} Snapshot document
+   * @throws {Error} If the input is not a snapshot or its version is unsupported
+   */
+  static parse(json) {
+    let snapshot = json;
+    if (typeof json === 'string') {
+      try {
+        snapshot = JSON.parse(json, (key, value) => Snapshot._reviveNumber(value));
+      } catch (error) {
+        throw new Error(`Not a Cookie Advisor snapshot (invalid JSON: ${error.message})`);
+      }
+    }
+
+    if (!snapshot || snapshot.format !== Constants.SNAPSHOT_FORMAT) {
+      throw new Error('Not a Cookie Advisor snapshot (missing format tag)');
+    }
+    if (typeof snapshot.version !== 'number' || snapshot.version > Constants.SNAPSHOT_VERSION) {
+      throw new Error(`Unsupported snapshot version ${snapshot.version} (supported: ${Constants.SNAPSHOT_VERSION})`);
+    }
+    if (!Validators.isValidGameState(snapshot.gameState)) {
+      throw new Error('Snapshot game state is missing or invalid');
+    }
+
+    return snapshot;
+  }
+
+  /**
+   * Compares two snapshots: buildings bought, upgrades bought, CPS change
+   * and how the recommendations changed.
+   *
+   * @param {string|Object} before - Earlier snapshot (JSON or document)
+   * @param {string|Object} after - Later snapshot (JSON or document)
+   * @returns {Object} Diff report
+   */
+  static diff(before, after) {
+    const a = Snapshot.parse(before);
+    const b = Snapshot.parse(after);
+
+    const ownedBefore = new Set(a.gameState.ownedUpgrades || []);
+    const topBefore = Snapshot._getRecommendations(a);
+    const topAfter = Snapshot._getRecommendations(b);
+    const keysBefore = new Set(topBefore.map(Snapshot._getPurchaseKey));
+    const keysAfter = new Set(topAfter.map(Snapshot._getPurchaseKey));
+    const keyOf = choice => choice ? Snapshot._getPurchaseKey(choice) : null;
+
+    return {
+      from: a.createdAt,
+      to: b.createdAt,
+      elapsedSeconds: (Date.parse(b.createdAt) - Date.parse(a.createdAt)) / 1000,
+      cookies: Snapshot._compareNumbers(a.gameState.cookies, b.gameState.cookies),
+      cps: Snapshot._compareNumbers(a.gameState.cookiesPerSecond, b.gameState.cookiesPerSecond),
+      buildings: Snapshot._diffBuildings(a.gameState.buildings, b.gameState.buildings),
+      upgradesBought: (b.gameState.ownedUpgrades || []).filter(name => !ownedBefore.has(name)),
+      recommendation: {
+        strategyBefore: a.strategy,
+        strategyAfter: b.strategy,
+        before: topBefore[0] || null,
+        after: topAfter[0] || null,
+        changed: keyOf(topBefore[0]) !== keyOf(topAfter[0]),
+        added: topAfter.filter(r => !keysBefore.has(Snapshot._getPurchaseKey(r))).map(r => r.displayName),
+        removed: topBefore.filter(r => !keysAfter.has(Snapshot._getPurchaseKey(r))).map(r => r.displayName)
+      }
+    };
+  }
+
+  /**
+   * Restores a non-finite number written by stringify().
+   *
+   * @private
+   * @param {*} value - Parsed JSON value
+   * @returns {*} Number for 'Infinity', '-Infinity' and 'NaN', otherwise the value
+   */
+  static _reviveNumber(value) {
+    if (value === 'Infinity' || value === '-Infinity' || value === 'NaN') {
+      return Number(value);
+    }
+    return value;
+  }
+
+  /**
+   * Looks up a snapshot's ranked recommendations (top few) by id.
+   *
+   * @private
+   * @param {Object} snapshot - Snapshot document
+   * @returns {Array<Object>} Recommended candidates, best first
+   */
+  static _getRecommendations(snapshot) {
+    const byId = new Map((snapshot.candidates || []).map(c => [c.id, c]));
+
+    return (snapshot.recommendations || [])
+      .slice(0, Constants.TOP_ALTERNATIVES_COUNT + 1)
+      .map(id => byId.get(id))
+      .filter(Boolean);
+  }
+
+  /**
+   * Identifies what a candidate buys, ignoring how many are already owned
+   * (display names include the count, e.g. "Cursor (#26)"). Buying up to a
+   * milestone counts as the same purchase whatever the quantity.
+   *
+   * @private
+   * @param {Object} candidate - Candidate
+   * @returns {string} Key such as "building:Cursor:10" or "building:Grandma:milestone 25"
+   */
+  static _getPurchaseKey(candidate) {
+    const amount = candidate.milestone ? `milestone ${candidate.milestone}` : candidate.quantity || 1;
+    return `${candidate.type}:${candidate.name}:${amount}`;
+  }
+
+  /**
+   * Compares owned counts per building, keeping only the ones that changed.
+   *
+   * @private
+   * @param {Array<Object>} before - Earlier buildings
+   * @param {Array<Object>} after - Later buildings
+   * @returns {Array<Object>} { name, before, after, change }
+   */
+  static _diffBuildings(before, after) {
+    const ownedBefore = new Map(before.map(b => [b.name, b.owned]));
+    const changes = [];
+
+    for (const building of after) {
+      const previous = ownedBefore.get(building.name) || 0;
+      if (building.owned !== previous) {
+        changes.push({
+          name: building.name,
+          before: previous,
+          after: building.owned,
+          change: building.owned - previous
+        });
+      }
+    }
+
+    return changes;
+  }
+
+  /**
+   * Compares two numbers.
+   *
+   * @private
+   * @param {number} before - Earlier value
+   * @param {number} after - Later value
+   * @returns {Object} { before, after, change, percent } (percent is null when before is 0)
+   */
+  static _compareNumbers(before, after) {
+    return {
+      before: before,
+      after: after,
+      change: after - before,
+      percent: before !== 0 ? ((after - before) / before) * 100 : null
+    };
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Snapshot;
+}
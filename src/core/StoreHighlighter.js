@@ -0,0 +1,237 @@
+/**
+ * StoreHighlighter.js
+ *
+ * Marks the recommended purchases directly in the game's store: an outline
+ * and a rank badge on the building row (#product{id}) or upgrade crate
+ * (#upgrade{index}), with ROI and payback time in the badge's tooltip.
+ *
+ * Implements the OutputRenderer interface, so CookieAdvisor can pass it the
+ * same recommendations it renders. The only changes made to the page are
+ * the highlight class, the badge elements and one stylesheet, and clear()
+ * removes all of them.
+ */
+
+class StoreHighlighter extends OutputRenderer {
+  /**
+   * @param {Object} options - Configuration options
+   * @param {Object} [options.game] - Cookie Clicker Game object (defaults to window.Game)
+   * @param {Document} [options.document] - Document to draw in (defaults to the page's)
+   */
+  constructor(options = {}) {
+    super();
+    this.game = options.game || (typeof window !== 'undefined' ? window.Game : null);
+    this.document = options.document || (typeof document !== 'undefined' ? document : null);
+    this.marks = []; // [{ rank, candidate }], mapped to store elements on each refresh()
+  }
+
+  /**
+   * Highlights the top choice and alternatives in the store, replacing
+   * earlier highlights.
+   *
+   * @param {Object} topChoice - Best recommendation
+   * @param {Array<Object>} alternatives - Alternative recommendations
+   * @param {Object} gameState - Current game state
+   */
+  renderRecommendation(topChoice, alternatives, gameState) {
+    this.clear();
+    if (!topChoice) {
+      return;
+    }
+
+    this.marks = [topChoice, ...(alternatives || [])].map((candidate, index) => ({ rank: index + 1, candidate: candidate }));
+    this.refresh();
+  }
+
+  /**
+   * Re-applies highlights the game has wiped. The game rebuilds the upgrade
+   * store when upgrades unlock, which shifts crate indices, so each mark is
+   * mapped to its element again; marks whose upgrade has left the store are
+   * skipped, and badges left on a crate that no longer matches are removed.
+   */
+  refresh() {
+    if (!this.document || this.marks.length === 0) {
+      return;
+    }
+
+    const byElement = new Map();
+    for (const mark of this.marks) {
+      const elementId = this.getElementId(mark.candidate);
+      if (!elementId) {
+        continue;
+      }
+      if (!byElement.has(elementId)) {
+        byElement.set(elementId, []);
+      }
+      byElement.get(elementId).push(mark);
+    }
+
+    for (const element of this.document.querySelectorAll(`.${Constants.HIGHLIGHT_CLASS}`)) {
+      if (!byElement.has(element.id)) {
+        this._unmarkElement(element);
+      }
+    }
+
+    this._injectStyles();
+    for (const [elementId, marks] of byElement) {
+      const element = this.document.getElementById(elementId);
+      if (element && !this._hasMarks(element, marks)) {
+        this._unmarkElement(element);
+        this._markElement(element, marks);
+      }
+    }
+  }
+
+  /**
+   * Removes every highlight, badge and the stylesheet.
+   */
+  clear() {
+    this.marks = [];
+    if (!this.document) {
+      return;
+    }
+
+    const badges = this.document.querySelectorAll(`.${Constants.HIGHLIGHT_CLASS}-badge`);
+    badges.forEach(badge => badge.remove());
+
+    const highlighted = this.document.querySelectorAll(`.${Constants.HIGHLIGHT_CLASS}`);
+    highlighted.forEach(element => element.classList.remove(Constants.HIGHLIGHT_CLASS));
+
+    const style = this.document.getElementById(`${Constants.HIGHLIGHT_CLASS}-style`);
+    if (style) {
+      style.remove();
+    }
+  }
+
+  /**
+   * Maps a candidate to its store element id.
+   * Buildings: Game.Objects[name].id → "product{id}".
+   * Upgrades: the index in candidate.id ("upgrade_{index}") if that store slot
+   * still holds the same upgrade, otherwise a lookup by name → "upgrade{index}".
+   *
+   * @param {Object} candidate - Candidate
+   * @returns {string|null} Element id, or null if it is not in the store
+   */
+  getElementId(candidate) {
+    if (!this.game) {
+      return null;
+    }
+
+    if (candidate.type === 'building') {
+      const building = this.game.Objects && this.game.Objects[candidate.name];
+      return building && typeof building.id === 'number' ? `product${building.id}` : null;
+    }
+
+    if (candidate.type === 'upgrade') {
+      const store = this.game.UpgradesInStore || [];
+      const match = /^upgrade_(\d+)$/.exec(candidate.id);
+      const index = match ? parseInt(match[1], 10) : -1;
+
+      if (store[index] && store[index].name === candidate.name) {
+        return `upgrade${index}`;
+      }
+      const found = store.findIndex(upgrade => upgrade.name === candidate.name);
+      return found >= 0 ? `upgrade${found}` : null;
+    }
+
+    return null;
+  }
+
+  /**
+   * Whether an element already carries the badge for these marks.
+   *
+   * @private
+   * @param {HTMLElement} element - Store element
+   * @param {Array<Object>} marks - { rank, candidate } entries for this element
+   * @returns {boolean} True if its badge is up to date
+   */
+  _hasMarks(element, marks) {
+    const badge = element.querySelector(`.${Constants.HIGHLIGHT_CLASS}-badge`);
+    return Boolean(badge) && badge.title === this._describeMarks(marks);
+  }
+
+  /**
+   * Removes the outline and badge from an element.
+   *
+   * @private
+   * @param {HTMLElement} element - Store element
+   */
+  _unmarkElement(element) {
+    element.querySelectorAll(`.${Constants.HIGHLIGHT_CLASS}-badge`).forEach(badge => badge.remove());
+    element.classList.remove(Constants.HIGHLIGHT_CLASS);
+  }
+
+  /**
+   * Outlines an element and adds a rank badge with a tooltip.
+   *
+   * @private
+   * @param {HTMLElement} element - Store element
+   * @param {Array<Object>} marks - { rank, candidate } entries for this element
+   */
+  _markElement(element, marks) {
+    element.classList.add(Constants.HIGHLIGHT_CLASS);
+
+    const badge = this.document.createElement('div');
+    badge.className = `${Constants.HIGHLIGHT_CLASS}-badge`;
+    if (marks[0].rank === 1) {
+      badge.className += ` ${Constants.HIGHLIGHT_CLASS}-best`;
+    }
+    badge.textContent = `#${marks[0].rank}`;
+    badge.title = this._describeMarks(marks);
+    element.appendChild(badge);
+  }
+
+  /**
+   * Tooltip for an element's badge.
+   *
+   * @private
+   * @param {Array<Object>} marks - { rank, candidate } entries for this element
+   * @returns {string} One _describe() line per mark
+   */
+  _describeMarks(marks) {
+    return marks.map(({ rank, candidate }) => this._describe(rank, candidate)).join('\n');
+  }
+
+  /**
+   * Tooltip line for one candidate.
+   *
+   * @private
+   * @param {number} rank - 1 for the best investment
+   * @param {Object} candidate - Candidate
+   * @returns {string} e.g. "#1 Farm (#13): ROI 3m 49s, payback from now 4m 2s"
+   */
+  _describe(rank, candidate) {
+    let text = `#${rank} ${candidate.displayName || candidate.name}: ROI ${this._formatTime(candidate.roiTime)}`;
+    if (typeof candidate.paybackFromNow === 'number') {
+      text += `, payback from now ${this._formatTime(candidate.paybackFromNow)}`;
+    }
+    return text;
+  }
+
+  /**
+   * Adds the highlight stylesheet to the page once.
+   *
+   * @private
+   */
+  _injectStyles() {
+    const id = `${Constants.HIGHLIGHT_CLASS}-style`;
+    if (this.document.getElementById(id)) {
+      return;
+    }
+
+    const cls = Constants.HIGHLIGHT_CLASS;
+    const style = this.document.createElement('style');
+    style.id = id;
+    style.textContent = [
+      `.${cls} { outline: 2px solid #6c6; outline-offset: -2px; position: relative; }`,
+      `.${cls}-badge { position: absolute; top: 0; right: 0; z-index: 10; padding: 0 3px;`,
+      '  background: #363; color: #fff; font: bold 11px Tahoma, Arial, sans-serif; border-radius: 2px; }',
+      `.${cls}-best { background: #c90; }`
+    ].join('\n');
+    this.document.head.appendChild(style);
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = StoreHighlighter;
+}
@@ -9,7 +9,10 @@
  * - StrategyEngine orchestrates strategy execution
  *
  * v1: GreedyStrategy (lowest ROI time first)
- * Future: LookaheadStrategy, SynergyStrategy, BalancedStrategy
+ * PaybackStrategy (lowest wait + ROI time first)
+ * LookaheadStrategy (simulates the next N purchases)
+ * SynergyStrategy (values building-upgrade combos)
+ * BalancedStrategy (blends short/long term, diversification, milestones)
  */
 
 /**
@@ -21,9 +24,10 @@ class Strategy {
    * Evaluates and ranks purchase candidates.
    *
    * @param {Array<Object>} candidates - Array of candidates with ROI data
+   * @param {Object} [gameState] - Normalized game state the candidates came from
    * @returns {Array<Object>} Sorted array of recommendations
    */
-  evaluate(candidates) {
+  evaluate(candidates, gameState) {
     throw new Error('Strategy.evaluate() must be implemented by subclass');
   }
 
@@ -42,6 +46,7 @@ class Strategy {
  *
  * Algorithm:
  * 1. Filter out invalid candidates (Infinity ROI, too expensive, locked)
+ *    and informational bulk buys
  * 2. Sort by ascending ROI time (lower = better)
  * 3. Return ordered recommendations
  *
@@ -60,12 +65,15 @@ class GreedyStrategy extends Strategy {
       // Filter 1: Valid ROI (finite, positive)
       .filter(c => Validators.isValidROI(c.roiTime))
 
-      // Filter 2: Reasonable timeframe (< 1 hour)
+      // Filter 2: Reasonable timeframe (MAX_REASONABLE_ROI, 1 hour by default)
       .filter(c => c.roiTime <= Constants.MAX_REASONABLE_ROI)
 
       // Filter 3: Valid candidate structure
       .filter(c => Validators.isValidCandidate(c))
 
+      // Filter 4: Not informational (bulk buys, see EconomicModel.calculateBulkBuildingROI)
+      .filter(c => !c.informational)
+
       // Sort: Ascending by ROI time (lowest first)
       .sort((a, b) => {
         // Primary: ROI time (lower is better)
@@ -80,67 +88,398 @@ class GreedyStrategy extends Strategy {
 }
 
 /**
- * Lookahead Strategy (Future implementation).
+ * Payback Strategy: Recommend purchase that pays for itself soonest from now.
  *
  * Algorithm:
- * 1. Simulate purchasing each candidate
- * 2. For each purchase, calculate next N best purchases
- * 3. Rank by cumulative CPS gain over sequence
+ * 1. Apply the same filters as GreedyStrategy
+ * 2. Sort by paybackFromNow = timeToAfford + roiTime (lower = better)
+ *
+ * Unlike GreedyStrategy, an item we must save up for is charged for the
+ * waiting time, so an affordable purchase can beat a slightly better ROI.
+ *
+ * Pros: Accounts for current cookies and CPS, standard calculator metric
+ * Cons: Still a single-purchase horizon
+ */
+class PaybackStrategy extends Strategy {
+  /**
+   * Evaluates candidates by payback time measured from now.
+   *
+   * @param {Array<Object>} candidates - Array of candidates with ROI data
+   * @returns {Array<Object>} Sorted recommendations (best first)
+   */
+  evaluate(candidates) {
+    const payback = c => (typeof c.paybackFromNow === 'number' ? c.paybackFromNow : c.roiTime);
+
+    return new GreedyStrategy().evaluate(candidates)
+      .sort((a, b) => {
+        // Primary: payback from now (lower is better)
+        if (payback(a) !== payback(b)) {
+          return payback(a) - payback(b);
+        }
+
+        // Tiebreaker: ROI time
+        return a.roiTime - b.roiTime;
+      });
+  }
+}
+
+/**
+ * Lookahead Strategy: Rank first moves by the sequence they lead to.
+ *
+ * Algorithm:
+ * 1. Simulate purchasing each candidate (waiting until it is affordable)
+ * 2. Continue greedily for the next (depth - 1) purchases, re-deriving
+ *    costs and CPS from the simulated game state after every purchase
+ * 3. Rank first moves by cookies baked over a common time horizon,
+ *    or by time to reach a target CPS when one is given
+ *
+ * Example: A cheap Cursor may have the best ROI, but saving 40 seconds
+ * for a Grandma upgrade can win the next five minutes.
  *
  * Pros: Considers multi-step optimization
- * Cons: More complex, computationally expensive
+ * Cons: More complex, computationally expensive (O(n² × depth))
  */
 class LookaheadStrategy extends Strategy {
-  constructor(depth = 3) {
+  /**
+   * Creates a new LookaheadStrategy.
+   *
+   * @param {number} depth - Number of purchases to simulate (including the first)
+   * @param {Object} [options] - Strategy options
+   * @param {number} [options.targetCPS] - Rank by time to reach this CPS instead of cookies baked
+   */
+  constructor(depth = 3, options = {}) {
     super();
+
+    if (!Number.isInteger(depth) || depth < 1) {
+      throw new Error('LookaheadStrategy depth must be a positive integer');
+    }
+
     this.depth = depth; // How many purchases to look ahead
+    this.targetCPS = options.targetCPS || null;
   }
 
-  evaluate(candidates) {
-    // TODO: Implement lookahead simulation
-    // For now, fall back to greedy
-    console.warn('LookaheadStrategy not yet implemented, using greedy fallback');
-    return new GreedyStrategy().evaluate(candidates);
+  /**
+   * Evaluates candidates by simulating purchase sequences.
+   * Falls back to greedy ranking when no game state is available.
+   *
+   * @param {Array<Object>} candidates - Array of candidates with ROI data
+   * @param {Object} gameState - Normalized game state the candidates came from
+   * @returns {Array<Object>} Sorted recommendations (best first)
+   */
+  evaluate(candidates, gameState) {
+    const greedy = new GreedyStrategy();
+    const firstMoves = greedy.evaluate(candidates);
+
+    if (!Validators.isValidGameState(gameState)) {
+      console.warn('LookaheadStrategy needs the game state, using greedy fallback');
+      return firstMoves;
+    }
+
+    const simulated = [];
+    const unreachable = [];
+
+    for (const candidate of firstMoves) {
+      const result = this._simulateSequence(candidate, gameState);
+      if (result) {
+        simulated.push({ candidate, result });
+      } else {
+        unreachable.push(candidate);
+      }
+    }
+
+    // Common horizon so sequences of different lengths are comparable
+    const horizon = Math.max(0, ...simulated.map(s => s.result.time));
+
+    const ranked = simulated
+      .map(({ candidate, result }) => {
+        const cookiesBaked = result.cookiesBaked +
+          result.finalCPS * (horizon - result.time);
+
+        return {
+          ...candidate,
+          lookahead: {
+            sequence: result.sequence.map(c => c.name),
+            simulatedTime: result.time,
+            finalCPS: result.finalCPS,
+            cookiesBaked: cookiesBaked,
+            timeToTarget: result.timeToTarget
+          }
+        };
+      })
+      .sort((a, b) => {
+        // Primary (target mode): reach the target CPS sooner
+        if (this.targetCPS && a.lookahead.timeToTarget !== b.lookahead.timeToTarget) {
+          return a.lookahead.timeToTarget - b.lookahead.timeToTarget;
+        }
+
+        // Primary: more cookies baked over the horizon
+        if (a.lookahead.cookiesBaked !== b.lookahead.cookiesBaked) {
+          return b.lookahead.cookiesBaked - a.lookahead.cookiesBaked;
+        }
+
+        // Tiebreaker: greedy ordering
+        return a.roiTime - b.roiTime;
+      });
+
+    // Candidates we could never afford keep their greedy order at the end
+    return ranked.concat(unreachable);
+  }
+
+  /**
+   * Simulates buying a first candidate followed by greedy purchases.
+   *
+   * @private
+   * @param {Object} first - First purchase to simulate
+   * @param {Object} gameState - Starting game state
+   * @returns {Object|null} Simulation result, or null if the first purchase is never affordable
+   */
+  _simulateSequence(first, gameState) {
+    const greedy = new GreedyStrategy();
+    const simulator = new PurchaseSimulator(gameState);
+    let timeToTarget = Infinity;
+    let next = first;
+
+    for (let step = 0; step < this.depth; step++) {
+      if (step > 0) {
+        next = greedy.evaluate(simulator.getCandidates())[0];
+        if (!next) {
+          break;
+        }
+      }
+
+      // Bake cookies while waiting, then buy
+      if (!simulator.waitAndBuy(next)) {
+        if (step === 0) {
+          return null;
+        }
+        break;
+      }
+
+      if (this.targetCPS && simulator.state.cookiesPerSecond >= this.targetCPS) {
+        timeToTarget = simulator.time;
+        break;
+      }
+    }
+
+    return {
+      sequence: simulator.purchases.map(p => p.candidate),
+      time: simulator.time,
+      cookiesBaked: simulator.cookiesBaked,
+      finalCPS: simulator.state.cookiesPerSecond,
+      timeToTarget: timeToTarget
+    };
   }
 }
 
 /**
- * Synergy Strategy (Future implementation).
+ * Synergy Strategy: Value upgrades by the building combos they unlock.
  *
  * Algorithm:
- * 1. Identify upgrades that combo with owned buildings
- * 2. Boost ROI for synergistic purchases
- * 3. Rank considering synergy multipliers
+ * 1. Identify upgrades that combo with owned buildings (SynergyAnalyzer)
+ * 2. Re-value each upgrade including knock-on CPS for partner buildings
+ * 3. Rank re-valued candidates greedily (lowest ROI time first)
  *
- * Example: If you own many grandmas, prioritize grandma upgrades
+ * Example: If you own many grandmas, "Farmer grandmas" is worth far more
+ * than doubling grandmas alone, because every farm gains +1% per grandma.
  *
  * Pros: Maximizes building-upgrade synergies
- * Cons: Requires synergy database/detection
+ * Cons: Only recognizes the upgrade families SynergyAnalyzer knows
  */
 class SynergyStrategy extends Strategy {
-  evaluate(candidates) {
-    // TODO: Implement synergy detection
-    console.warn('SynergyStrategy not yet implemented, using greedy fallback');
-    return new GreedyStrategy().evaluate(candidates);
+  /**
+   * Evaluates candidates after re-valuing synergistic upgrades.
+   * Falls back to greedy ranking when no game state is available.
+   *
+   * @param {Array<Object>} candidates - Array of candidates with ROI data
+   * @param {Object} gameState - Normalized game state the candidates came from
+   * @returns {Array<Object>} Sorted recommendations (best first)
+   */
+  evaluate(candidates, gameState) {
+    if (!Validators.isValidGameState(gameState)) {
+      console.warn('SynergyStrategy needs the game state, using greedy fallback');
+      return new GreedyStrategy().evaluate(candidates);
+    }
+
+    const analyzer = new SynergyAnalyzer(gameState);
+    return new GreedyStrategy().evaluate(analyzer.applySynergies(candidates));
   }
 }
 
 /**
- * Balanced Strategy (Future implementation).
+ * Balanced Strategy: Blend short-term ROI with long-term value.
  *
  * Algorithm:
- * 1. Mix ROI optimization with diversification
- * 2. Avoid over-investing in single building type
- * 3. Balance short-term and long-term gains
+ * 1. Rank candidates by ROI time (short term) and by net cookies gained
+ *    over a time horizon, including the wait to afford them (long term)
+ * 2. Penalize buildings that already dominate the building count
+ * 3. Reward buildings close to the next ownership milestone
+ * 4. Sort by weighted score (lower = better)
+ *
+ * Score = shortTermWeight × shortTermRank + longTermWeight × longTermRank
+ *       + diversificationWeight × concentration − milestoneWeight × milestoneBonus
  *
- * Pros: More robust, reduces variance
+ * Pros: More robust, reduces variance, aware of milestones
  * Cons: May not be pure optimal
  */
 class BalancedStrategy extends Strategy {
-  evaluate(candidates) {
-    // TODO: Implement balanced approach
-    console.warn('BalancedStrategy not yet implemented, using greedy fallback');
-    return new GreedyStrategy().evaluate(candidates);
+  /**
+   * Creates a new BalancedStrategy.
+   *
+   * @param {Object} [options] - Weights (non-negative numbers, defaults from Constants.BALANCED_STRATEGY)
+   * @param {number} [options.shortTermWeight] - Weight of the ROI time rank
+   * @param {number} [options.longTermWeight] - Weight of the horizon value rank
+   * @param {number} [options.diversificationWeight] - Penalty weight for over-concentration
+   * @param {number} [options.milestoneWeight] - Bonus weight for nearing an ownership milestone
+   * @param {number} [options.horizonSeconds] - Long-term horizon in seconds
+   * @throws {Error} If an option is not a valid number
+   */
+  constructor(options = {}) {
+    super();
+
+    const defaults = Constants.BALANCED_STRATEGY;
+    this.shortTermWeight = this._validateOption(options, 'shortTermWeight', defaults.SHORT_TERM_WEIGHT);
+    this.longTermWeight = this._validateOption(options, 'longTermWeight', defaults.LONG_TERM_WEIGHT);
+    this.diversificationWeight = this._validateOption(options, 'diversificationWeight', defaults.DIVERSIFICATION_WEIGHT);
+    this.milestoneWeight = this._validateOption(options, 'milestoneWeight', defaults.MILESTONE_WEIGHT);
+    this.horizonSeconds = this._validateOption(options, 'horizonSeconds', defaults.HORIZON_SECONDS);
+  }
+
+  /**
+   * Evaluates candidates using the blended score.
+   * Falls back to greedy ranking when no game state is available.
+   *
+   * @param {Array<Object>} candidates - Array of candidates with ROI data
+   * @param {Object} gameState - Normalized game state the candidates came from
+   * @returns {Array<Object>} Sorted recommendations (best first)
+   */
+  evaluate(candidates, gameState) {
+    const valid = new GreedyStrategy().evaluate(candidates);
+
+    if (!Validators.isValidGameState(gameState)) {
+      console.warn('BalancedStrategy needs the game state, using greedy fallback');
+      return valid;
+    }
+
+    const model = new EconomicModel(gameState);
+    const totalOwned = gameState.buildings.reduce((sum, b) => sum + b.owned, 0);
+
+    // Long-term value: net cookies gained within the horizon, after waiting to afford
+    const longTermValue = new Map(valid.map(c => {
+      const wait = model.getTimeToAfford(c.cost);
+      const producing = isFinite(wait) ? Math.max(0, this.horizonSeconds - wait) : 0;
+      return [c, c.deltaCPS * producing - c.cost];
+    }));
+
+    // Ranks normalized to 0 (best) .. 1 (worst); greedy order is already by ROI
+    const shortTermRank = this._normalizedRanks(valid);
+    const longTermRank = this._normalizedRanks(
+      [...valid].sort((a, b) => longTermValue.get(b) - longTermValue.get(a))
+    );
+
+    return valid
+      .map(c => {
+        const concentration = this._concentration(c, totalOwned);
+        const milestoneBonus = this._milestoneBonus(c);
+        const score =
+          this.shortTermWeight * shortTermRank.get(c) +
+          this.longTermWeight * longTermRank.get(c) +
+          this.diversificationWeight * concentration -
+          this.milestoneWeight * milestoneBonus;
+
+        return {
+          ...c,
+          balanced: {
+            score: score,
+            longTermValue: longTermValue.get(c),
+            concentration: concentration,
+            milestoneBonus: milestoneBonus
+          }
+        };
+      })
+      .sort((a, b) => {
+        // Primary: blended score (lower is better)
+        if (a.balanced.score !== b.balanced.score) {
+          return a.balanced.score - b.balanced.score;
+        }
+
+        // Tiebreaker: ROI time
+        return a.roiTime - b.roiTime;
+      });
+  }
+
+  /**
+   * Maps each candidate to its position in a sorted list, scaled to 0..1.
+   *
+   * @private
+   * @param {Array<Object>} sorted - Candidates, best first
+   * @returns {Map<Object, number>} Candidate → normalized rank
+   */
+  _normalizedRanks(sorted) {
+    const last = Math.max(1, sorted.length - 1);
+    return new Map(sorted.map((c, index) => [c, index / last]));
+  }
+
+  /**
+   * Share of all owned buildings this building would hold after the purchase.
+   * Upgrades are not penalized.
+   *
+   * @private
+   * @param {Object} candidate - Candidate
+   * @param {number} totalOwned - Total buildings owned
+   * @returns {number} Concentration (0..1)
+   */
+  _concentration(candidate, totalOwned) {
+    if (candidate.type !== 'building') {
+      return 0;
+    }
+
+    const quantity = candidate.quantity || 1;
+    return (candidate.currentOwned + quantity) / (totalOwned + quantity);
+  }
+
+  /**
+   * Bonus for buildings within MILESTONE_WINDOW purchases of the next milestone.
+   * Grows linearly to 1 as the milestone gets closer.
+   *
+   * @private
+   * @param {Object} candidate - Candidate
+   * @returns {number} Milestone bonus (0..1)
+   */
+  _milestoneBonus(candidate) {
+    if (candidate.type !== 'building') {
+      return 0;
+    }
+
+    const window = Constants.BALANCED_STRATEGY.MILESTONE_WINDOW;
+    const next = Constants.BUILDING_MILESTONES.find(m => m > candidate.currentOwned);
+    if (!next) {
+      return 0;
+    }
+
+    // Purchases still needed after this one
+    const quantity = candidate.quantity || 1;
+    const remaining = Math.max(1, next - candidate.currentOwned - quantity + 1);
+    return remaining <= window ? (window - remaining + 1) / window : 0;
+  }
+
+  /**
+   * Reads and validates a numeric option.
+   *
+   * @private
+   * @param {Object} options - Constructor options
+   * @param {string} key - Option name
+   * @param {number} fallback - Default value
+   * @returns {number} Validated value
+   * @throws {Error} If the value is not a non-negative finite number
+   */
+  _validateOption(options, key, fallback) {
+    const value = key in options ? options[key] : fallback;
+
+    if (typeof value !== 'number' || !isFinite(value) || value < 0) {
+      throw new Error(`BalancedStrategy option "${key}" must be a non-negative number`);
+    }
+
+    return value;
   }
 }
 
@@ -167,9 +506,10 @@ class StrategyEngine {
    * Gets recommendations using current strategy.
    *
    * @param {Array<Object>} candidates - Array of candidates with ROI data
+   * @param {Object} [gameState] - Normalized game state (needed by simulating strategies)
    * @returns {Array<Object>} Sorted recommendations
    */
-  recommend(candidates) {
+  recommend(candidates, gameState = null) {
     // Validate input
     if (!Array.isArray(candidates)) {
       throw new Error('Candidates must be an array');
@@ -177,7 +517,7 @@ class StrategyEngine {
 
     // Execute strategy
     try {
-      const recommendations = this.strategy.evaluate(candidates);
+      const recommendations = this.strategy.evaluate(candidates, gameState);
 
       // Validate output
       if (!Array.isArray(recommendations)) {
@@ -224,12 +564,58 @@ class StrategyEngine {
    *
    * @param {Array<Object>} candidates - Candidates to evaluate
    * @param {number} count - Number of recommendations to return
+   * @param {Object} [gameState] - Normalized game state
    * @returns {Array<Object>} Top N recommendations
    */
-  getTopRecommendations(candidates, count = Constants.TOP_ALTERNATIVES_COUNT) {
-    const all = this.recommend(candidates);
+  getTopRecommendations(candidates, count = Constants.TOP_ALTERNATIVES_COUNT, gameState = null) {
+    const all = this.recommend(candidates, gameState);
     return all.slice(0, count);
   }
+
+  /**
+   * Creates a strategy from its name, with default options.
+   * Names are case-insensitive and the "Strategy" suffix is optional
+   * ('lookahead', 'LookaheadStrategy').
+   *
+   * @param {string} name - Strategy name
+   * @returns {Strategy} New strategy instance
+   * @throws {Error} If the name is unknown
+   */
+  static createStrategy(name) {
+    const key = String(name).toLowerCase().replace(/strategy$/, '');
+    const factory = StrategyEngine._getRegistry()[key];
+
+    if (!factory) {
+      throw new Error(`Unknown strategy "${name}". Available: ${StrategyEngine.getStrategyNames().join(', ')}`);
+    }
+
+    return factory();
+  }
+
+  /**
+   * Lists the names accepted by createStrategy().
+   *
+   * @returns {Array<string>} Strategy names
+   */
+  static getStrategyNames() {
+    return Object.keys(StrategyEngine._getRegistry());
+  }
+
+  /**
+   * Maps strategy names to factories.
+   *
+   * @private
+   * @returns {Object} Name → function returning a new strategy
+   */
+  static _getRegistry() {
+    return {
+      greedy: () => new GreedyStrategy(),
+      payback: () => new PaybackStrategy(),
+      lookahead: () => new LookaheadStrategy(),
+      synergy: () => new SynergyStrategy(),
+      balanced: () => new BalancedStrategy()
+    };
+  }
 }
 
 // Export for use in other modules
@@ -237,6 +623,7 @@ if (typeof module !== 'undefined' && module.exports) {
   module.exports = {
     Strategy,
     GreedyStrategy,
+    PaybackStrategy,
     LookaheadStrategy,
     SynergyStrategy,
     BalancedStrategy,
@@ -0,0 +1,249 @@
+/**
+ * SynergyAnalyzer.js
+ *
+ * Detects upgrade-building combos and values their knock-on CPS.
+ *
+ * Recognized upgrade families:
+ * - Tiered: "Farms are twice as efficient" → boosts one building
+ * - Grandma types: "Grandmas are twice as efficient. Farms gain +1% CpS per grandma."
+ * - Synergies: "Farms gain +5% CpS per time machine. Time machines gain +0.1% CpS per farm."
+ * - Fingers: "The mouse and cursors gain +0.1 cookies for each non-cursor object owned."
+ *
+ * Knock-on CPS is what an upgrade adds through buildings OTHER than the one
+ * it names first (e.g. the farms boosted by a grandma-type upgrade).
+ *
+ * Like EconomicModel, effects come from UpgradeDatabase when the upgrade is
+ * known; descriptions are only parsed for upgrades missing from it.
+ */
+
+class SynergyAnalyzer {
+  /**
+   * Creates a new SynergyAnalyzer.
+   *
+   * @param {Object} gameState - Normalized game state from GameStateAdapter
+   */
+  constructor(gameState) {
+    this.model = new EconomicModel(gameState);
+    this.gameState = gameState;
+  }
+
+  /**
+   * Detects synergies for every upgrade candidate.
+   *
+   * @param {Array<Object>} candidates - Candidates from EconomicModel
+   * @returns {Array<Object>} Synergy reports ({ candidateId, kind, partners, directCPS, knockOnCPS })
+   */
+  detectSynergies(candidates) {
+    const synergies = [];
+
+    for (const candidate of candidates) {
+      if (candidate.type !== 'upgrade') {
+        continue;
+      }
+
+      const upgrade = this.gameState.upgrades.find(u => u.id === candidate.id);
+      const synergy = upgrade ? this.analyzeUpgrade(upgrade) : null;
+      if (synergy) {
+        synergies.push({ candidateId: candidate.id, ...synergy });
+      }
+    }
+
+    return synergies;
+  }
+
+  /**
+   * Returns candidates with deltaCPS and roiTime re-valued from detected synergies.
+   * Candidates without a recognized synergy are returned unchanged.
+   *
+   * @param {Array<Object>} candidates - Candidates from EconomicModel
+   * @returns {Array<Object>} New candidate array
+   */
+  applySynergies(candidates) {
+    const byId = new Map(
+      this.detectSynergies(candidates).map(s => [s.candidateId, s])
+    );
+
+    return candidates.map(candidate => {
+      const synergy = byId.get(candidate.id);
+      if (!synergy) {
+        return candidate;
+      }
+
+      const deltaCPS = synergy.directCPS + synergy.knockOnCPS;
+      const roiTime = deltaCPS < Constants.MIN_VALID_DELTA_CPS
+        ? Infinity
+        : candidate.cost / deltaCPS;
+
+      return {
+        ...candidate,
+        deltaCPS: deltaCPS,
+        roiTime: roiTime,
+        synergy: {
+          kind: synergy.kind,
+          partners: synergy.partners,
+          directCPS: synergy.directCPS,
+          knockOnCPS: synergy.knockOnCPS
+        }
+      };
+    });
+  }
+
+  /**
+   * Builds the synergy model of an upgrade: from UpgradeDatabase when it is
+   * known, otherwise parsed from its description.
+   *
+   * @param {Object} upgrade - Normalized upgrade object
+   * @returns {Object|null} { kind, partners, directCPS, knockOnCPS }, or null if no combo detected
+   */
+  analyzeUpgrade(upgrade) {
+    const effect = UpgradeDatabase.lookup(upgrade.name);
+    if (effect) {
+      return this._analyzeEffect(effect);
+    }
+    return this._analyzeDescription(upgrade);
+  }
+
+  /**
+   * Builds the synergy model of a known upgrade effect. The value comes from
+   * EconomicModel.estimateFromDatabase(); this only says which part of it
+   * comes through other buildings. Families that do not work through
+   * buildings (cookies, kittens, golden cookies...) have none.
+   *
+   * @private
+   * @param {Object} effect - Effect from UpgradeDatabase.lookup()
+   * @returns {Object|null} { kind, partners, directCPS, knockOnCPS }, or null
+   */
+  _analyzeEffect(effect) {
+    const total = this.model.estimateFromDatabase(effect);
+
+    switch (effect.family) {
+      case 'tiered':
+        return { kind: 'tiered', partners: [], directCPS: total, knockOnCPS: 0 };
+
+      case 'grandma': {
+        // Grandmas ×2 is direct; the partner's +1% per N grandmas is knock-on
+        const grandma = this.gameState.buildings.find(b => b.name === 'Grandma');
+        const directCPS = grandma ? this.model.getEffectiveBuildingCPS(grandma) : 0;
+        return { kind: 'grandma', partners: [effect.building, 'Grandma'], directCPS: directCPS, knockOnCPS: total - directCPS };
+      }
+
+      case 'synergy':
+        return { kind: 'synergy', partners: [...effect.buildings], directCPS: 0, knockOnCPS: total };
+
+      case 'fingers':
+        return { kind: 'fingers', partners: ['Cursor'], directCPS: 0, knockOnCPS: total };
+
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Parses an upgrade description into a synergy model (for upgrades
+   * missing from UpgradeDatabase).
+   *
+   * @private
+   * @param {Object} upgrade - Normalized upgrade object
+   * @returns {Object|null} { kind, partners, directCPS, knockOnCPS }, or null if no combo detected
+   */
+  _analyzeDescription(upgrade) {
+    const sentences = this._splitSentences(upgrade.descriptionDetail || upgrade.description || '');
+
+    let kind = null;
+    let directCPS = 0;
+    let knockOnCPS = 0;
+    const partners = [];
+
+    for (const sentence of sentences) {
+      // Tiered boost: "Grandmas are twice as efficient"
+      if (Constants.UPGRADE_PATTERNS.TWICE_EFFICIENT.test(sentence)) {
+        const target = this.model.findAffectedBuildings(sentence)[0];
+        if (target) {
+          directCPS += this.model.getEffectiveBuildingCPS(target);
+          kind = kind || 'tiered';
+        }
+        continue;
+      }
+
+      // Per-building boost: "Farms gain +1% CpS per grandma"
+      const perMatch = sentence.match(Constants.UPGRADE_PATTERNS.CPS_PER_BUILDING);
+      if (perMatch) {
+        const target = this.model.findAffectedBuildings(perMatch[1])[0];
+        const source = this.model.findAffectedBuildings(perMatch[4])[0];
+        if (target && source) {
+          const percent = parseFloat(perMatch[2]);
+          const perCount = perMatch[3] ? parseFloat(perMatch[3]) : 1;
+
+          knockOnCPS += this.model.getEffectiveBuildingCPS(target) * (percent / 100) * (source.owned / perCount);
+          this._addPartner(partners, target.name);
+          this._addPartner(partners, source.name);
+          kind = source.name === 'Grandma' && kind === 'tiered' ? 'grandma' : 'synergy';
+        }
+        continue;
+      }
+
+      // Fingers: cursors gain a flat bonus for each non-cursor building
+      const fingerMatch = sentence.match(Constants.UPGRADE_PATTERNS.NON_CURSOR_BONUS);
+      if (fingerMatch) {
+        const cursor = this.gameState.buildings.find(b => b.name === 'Cursor');
+        if (cursor) {
+          const bonus = parseFloat(fingerMatch[1]);
+          const nonCursorOwned = this.gameState.buildings
+            .filter(b => b.name !== 'Cursor')
+            .reduce((sum, b) => sum + b.owned, 0);
+
+          knockOnCPS += cursor.owned * bonus * nonCursorOwned * this.model.getGlobalMultiplier();
+          this._addPartner(partners, cursor.name);
+          kind = 'fingers';
+        }
+      }
+    }
+
+    // Nothing building-related recognized
+    if (!kind) {
+      return null;
+    }
+
+    return {
+      kind: kind,
+      partners: partners,
+      directCPS: directCPS,
+      knockOnCPS: knockOnCPS
+    };
+  }
+
+  /**
+   * Splits a description into plain-text sentences.
+   * Game descriptions contain HTML (<b>, <br>), which is stripped here.
+   *
+   * @private
+   * @param {string} description - Raw upgrade description
+   * @returns {Array<string>} Sentences
+   */
+  _splitSentences(description) {
+    return description
+      .replace(/<br\s*\/?>/gi, '. ')
+      .replace(/<[^>]*>/g, '')
+      .split(/\.(?:\s+|$)/)
+      .map(s => s.trim())
+      .filter(s => s.length > 0);
+  }
+
+  /**
+   * Adds a partner building name once.
+   *
+   * @private
+   * @param {Array<string>} partners - Partner list to extend
+   * @param {string} name - Building name
+   */
+  _addPartner(partners, name) {
+    if (!partners.includes(name)) {
+      partners.push(name);
+    }
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SynergyAnalyzer;
+}
@@ -0,0 +1,107 @@
+/**
+ * TickScheduler.js
+ *
+ * Runs the advisor's periodic tasks (overlay refresh, store highlight
+ * refresh, monitor checks). Tasks run on setInterval until the scheduler
+ * is attached to the game's logic hook (Game.registerHook, when loaded as
+ * a mod); from then on the game's own ticks drive them and nothing polls.
+ *
+ * The game calls the logic hook Game.fps times a second; each tick only
+ * runs the tasks whose interval has elapsed.
+ */
+
+class TickScheduler {
+  constructor() {
+    this.tasks = new Map(); // id → { fn, intervalMs, due, timer }
+    this.nextId = 1;
+    this.attached = false;
+  }
+
+  /**
+   * Runs fn every intervalMs.
+   *
+   * @param {number} intervalMs - Time between runs (milliseconds)
+   * @param {Function} fn - Task
+   * @returns {number} Task id for cancel()
+   */
+  every(intervalMs, fn) {
+    const id = this.nextId++;
+    const task = { fn: fn, intervalMs: intervalMs, due: Date.now() + intervalMs, timer: null };
+
+    if (!this.attached) {
+      task.timer = setInterval(fn, intervalMs);
+    }
+
+    this.tasks.set(id, task);
+    return id;
+  }
+
+  /**
+   * Stops a task.
+   *
+   * @param {number} id - Task id from every()
+   * @returns {boolean} False if there was no such task
+   */
+  cancel(id) {
+    const task = this.tasks.get(id);
+    if (!task) {
+      return false;
+    }
+
+    if (task.timer !== null) {
+      clearInterval(task.timer);
+    }
+    this.tasks.delete(id);
+    return true;
+  }
+
+  /**
+   * Moves every task, current and future, onto the game's logic hook.
+   * The game has no way to remove a hook, so this is done once.
+   *
+   * @param {Object} game - Cookie Clicker Game object with registerHook()
+   * @returns {boolean} False if already attached or the game has no hooks
+   */
+  attach(game) {
+    if (this.attached || !game || typeof game.registerHook !== 'function') {
+      return false;
+    }
+
+    game.registerHook('logic', () => this.tick());
+    this.attached = true;
+
+    for (const task of this.tasks.values()) {
+      if (task.timer !== null) {
+        clearInterval(task.timer);
+        task.timer = null;
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Runs the tasks that are due. A failing task is logged and does not
+   * stop the others (or the game's tick).
+   *
+   * @param {number} [now] - Current time in milliseconds (default: Date.now())
+   */
+  tick(now = Date.now()) {
+    for (const [id, task] of [...this.tasks]) {
+      if (now < task.due || !this.tasks.has(id)) { // Skip tasks cancelled by an earlier one
+        continue;
+      }
+
+      task.due = now + task.intervalMs;
+      try {
+        task.fn();
+      } catch (error) {
+        console.error('❌ Error in scheduled task:', error);
+      }
+    }
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TickScheduler;
+}
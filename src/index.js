@@ -0,0 +1,52 @@
+/**
+ * index.js
+ *
+ * Node.js entry point. Loads every module in dependency order and makes
+ * each one a global, because modules reference each other as globals
+ * (the same way they do when pasted into the browser console).
+ *
+ * Usage:
+ *   const Advisor = require('./src/index.js');
+ *   const gameState = new Advisor.SaveImporter(saveString).getGameState();
+ *   const candidates = new Advisor.EconomicModel(gameState).getAllCandidates();
+ *   const ranked = new Advisor.StrategyEngine().recommend(candidates, gameState);
+ *   Advisor.CookieAdvisor.analyze(gameState);  // Same report as in the browser
+ */
+
+// Same order as the browser load order (see README).
+// A null name means the file exports several named classes at once.
+const MODULES = [
+  ['Constants', './utils/Constants.js'],
+  ['Validators', './utils/Validators.js'],
+  ['UpgradeDatabase', './utils/UpgradeDatabase.js'],
+  ['Config', './core/Config.js'],
+  ['GameStateAdapter', './core/GameStateAdapter.js'],
+  ['SaveImporter', './core/SaveImporter.js'],
+  ['GoldenCookieAnalyzer', './core/GoldenCookieAnalyzer.js'],
+  ['AscensionAnalyzer', './core/AscensionAnalyzer.js'],
+  ['HeavenlyPlanner', './core/HeavenlyPlanner.js'],
+  ['EconomicModel', './core/EconomicModel.js'],
+  ['SynergyAnalyzer', './core/SynergyAnalyzer.js'],
+  ['PurchaseSimulator', './core/PurchaseSimulator.js'],
+  ['GoalPlanner', './core/GoalPlanner.js'],
+  ['Snapshot', './core/Snapshot.js'],
+  [null, './core/StrategyEngine.js'], // Strategy, GreedyStrategy, ..., StrategyEngine
+  ['OutputRenderer', './core/OutputRenderer.js'],
+  ['OverlayRenderer', './core/OverlayRenderer.js'],
+  ['StoreHighlighter', './core/StoreHighlighter.js'],
+  ['TickScheduler', './core/TickScheduler.js'],
+  ['AutoMonitor', './core/AutoMonitor.js'],
+  ['CookieAdvisor', './advisor.js']
+];
+
+const Advisor = {};
+
+for (const [name, path] of MODULES) {
+  const exported = require(path);
+  const values = name ? { [name]: exported } : exported;
+
+  Object.assign(global, values);
+  Object.assign(Advisor, values);
+}
+
+module.exports = Advisor;
@@ -3,9 +3,17 @@
  *
  * Central configuration for the Cookie Clicker ROI Advisor.
  * All magic numbers and thresholds are defined here with explanations.
+ *
+ * Values marked "Configurable" can be changed at runtime with
+ * CookieAdvisor.configure() (see Config.js).
  */
 
 const Constants = {
+  /**
+   * Advisor release, shown by CookieAdvisor.version().
+   */
+  VERSION: '2.0.0',
+
   // ═══════════════════════════════════════════════════════════════
   // ROI THRESHOLDS
   // ═══════════════════════════════════════════════════════════════
@@ -14,6 +22,7 @@ const Constants = {
    * Maximum reasonable ROI time (in seconds).
    * Investments with ROI time > 1 hour are considered too long-term
    * and filtered out of recommendations.
+   * Configurable (Infinity turns the filter off).
    */
   MAX_REASONABLE_ROI: 3600, // 1 hour
 
@@ -21,9 +30,133 @@ const Constants = {
    * Minimum meaningful CPS delta.
    * Purchases that increase CPS by less than this are considered
    * negligible and assigned Infinity ROI to filter them out.
+   * Configurable.
    */
   MIN_VALID_DELTA_CPS: 0.001,
 
+  // ═══════════════════════════════════════════════════════════════
+  // GAME MECHANICS
+  // ═══════════════════════════════════════════════════════════════
+
+  /**
+   * Building price growth per unit owned.
+   * Every purchase of a building raises its next price by 15%.
+   */
+  BUILDING_PRICE_GROWTH: 1.15,
+
+  /**
+   * Bulk purchase sizes offered as candidates (matches the in-game store buttons).
+   */
+  BULK_QUANTITIES: [10, 100],
+
+  /**
+   * Building counts that unlock tiered upgrades and achievements.
+   */
+  BUILDING_MILESTONES: [1, 5, 25, 50, 100, 150, 200, 250, 300, 350, 400, 450, 500, 550, 600, 650, 700],
+
+  // ═══════════════════════════════════════════════════════════════
+  // STRATEGY SETTINGS
+  // ═══════════════════════════════════════════════════════════════
+
+  /**
+   * Default weights for BalancedStrategy (overridable via constructor options).
+   * Lower blended score = better recommendation.
+   */
+  BALANCED_STRATEGY: {
+    SHORT_TERM_WEIGHT: 0.5,      // ROI time rank
+    LONG_TERM_WEIGHT: 0.3,       // Net cookies gained over the horizon
+    DIVERSIFICATION_WEIGHT: 0.2, // Penalty for dominating the building count
+    MILESTONE_WEIGHT: 0.3,       // Bonus for nearing an ownership milestone
+    HORIZON_SECONDS: 3600,       // Long-term horizon (1 hour)
+    MILESTONE_WINDOW: 10         // Purchases before a milestone that earn a bonus
+  },
+
+  // ═══════════════════════════════════════════════════════════════
+  // PURCHASE PLANS
+  // ═══════════════════════════════════════════════════════════════
+
+  /**
+   * Default horizon for CookieAdvisor.plan() (seconds).
+   */
+  PLAN_DEFAULT_HORIZON_SECONDS: 1800, // 30 minutes
+
+  /**
+   * Most purchases in one plan (or one path to a goal, see timeTo()).
+   * Early games can afford many cheap items quickly; this keeps a long
+   * horizon from simulating thousands.
+   */
+  PLAN_MAX_PURCHASES: 200,
+
+  // ═══════════════════════════════════════════════════════════════
+  // GOLDEN COOKIES
+  // ═══════════════════════════════════════════════════════════════
+
+  /**
+   * Golden cookie rules from the game (non-wrath cookies), used by
+   * GoldenCookieAnalyzer. Times are before golden cookie upgrades
+   * (UpgradeDatabase.GOLDEN_COOKIE) are applied.
+   *
+   * A golden cookie can spawn from MIN_SPAWN_SECONDS on; each frame after
+   * that the chance is ((t - min) / (max - min))^5, so it almost always
+   * appears well before MAX_SPAWN_SECONDS.
+   *
+   * OUTCOMES are approximate shares of each effect; the rest (building
+   * specials, cookie chains and storms) are not valued.
+   */
+  GOLDEN_COOKIE: {
+    MIN_SPAWN_SECONDS: 300,     // 5 minutes
+    MAX_SPAWN_SECONDS: 900,     // 15 minutes
+    FPS: 30,                    // Game frames per second (spawn chance is per frame)
+    OUTCOMES: {
+      FRENZY: 0.44,
+      LUCKY: 0.44,
+      CLICK_FRENZY: 0.03
+    },
+    FRENZY: { MULTIPLIER: 7, SECONDS: 77 },         // CPS ×7
+    CLICK_FRENZY: { MULTIPLIER: 777, SECONDS: 13 }, // Clicks ×777
+    LUCKY: {
+      BANK_SHARE: 0.15,   // Pays 15% of the bank...
+      CPS_SECONDS: 900,   // ...up to 15 minutes of CPS...
+      FLAT: 13            // ...plus 13 cookies
+    }
+  },
+
+  /**
+   * Bank to keep for golden cookies. Recommendations that would leave
+   * less in the bank are flagged.
+   * - 'lucky':  enough for a full Lucky payout (CPS × 6000)
+   * - 'frenzy': enough for a full Lucky during a Frenzy (CPS × 42000)
+   * - 'none':   no flags
+   * No flags either with the idle click profile (golden cookies are
+   * assumed not clicked).
+   * Configurable.
+   */
+  LUCKY_BANK_TARGET: 'lucky',
+
+  // ═══════════════════════════════════════════════════════════════
+  // ASCENSION
+  // ═══════════════════════════════════════════════════════════════
+
+  /**
+   * Cookies baked (all ascensions) for the first prestige level. As in the
+   * game, prestige level = floor(cbrt(cookies baked / PRESTIGE_COOKIES)),
+   * so level n needs n³ × PRESTIGE_COOKIES.
+   */
+  PRESTIGE_COOKIES: 1e12,
+
+  /**
+   * Search limit for AscensionAnalyzer's peak (seconds from now); a peak
+   * further away is reported as unknown.
+   */
+  ASCENSION_MAX_SECONDS: 365 * 86400, // 1 year
+
+  /**
+   * Order in which HeavenlyPlanner goes for heavenly upgrades: permanent
+   * CPS first, then offline production, then key unlocks. Within a
+   * category, the most value per chip (cheapest first for unlocks).
+   */
+  HEAVENLY_PRIORITY: ['cps', 'offline', 'unlock'],
+
   // ═══════════════════════════════════════════════════════════════
   // UPGRADE PATTERN RECOGNITION
   // ═══════════════════════════════════════════════════════════════
@@ -42,39 +175,106 @@ const Constants = {
     // Matches: "gains +10 cookies per click"
     FLAT_COOKIE_BONUS: /\+(\d+\.?\d*)\s+cookies?\s+per/i,
 
-    // Matches building names in descriptions
-    BUILDING_REFERENCE: /(cursor|grandma|farm|mine|factory|bank|temple|wizard tower|shipment|alchemy lab|portal|time machine|antimatter condenser|prism|chancemaker|fractal engine|javascript console|idleverse)/i
+    // Matches building names in descriptions (built from BUILDINGS, see below)
+    BUILDING_REFERENCE: null,
+
+    // Matches: "Grandmas are twice as efficient"
+    TWICE_EFFICIENT: /twice\s+as\s+efficient/i,
+
+    // Matches: "Farms gain +1% CpS per grandma", "Mines gain +1% CpS per 2 grandmas"
+    CPS_PER_BUILDING: /^(.+?)\s+gains?\s+\+(\d+\.?\d*)%\s+cps\s+per\s+(?:(\d+)\s+)?(.+)$/i,
+
+    // Matches: "The mouse and cursors gain +0.1 cookies for each non-cursor object owned"
+    NON_CURSOR_BONUS: /\+(\d+\.?\d*)\s+cookies?\s+for\s+each\s+non-cursor/i,
+
+    // Matches: "Clicking gains +1% of your CpS"
+    CLICK_CPS_PERCENT: /clicking\s+gains\s+\+?(\d+\.?\d*)%\s+of\s+your\s+cps/i,
+
+    // Matches: "Clicking is 10% more powerful"
+    CLICK_POWER: /clicking\s+is\s+(\d+\.?\d*)%\s+more\s+powerful/i,
+
+    // Matches: "Cookie production multiplier +2%"
+    COOKIE_PRODUCTION: /cookie\s+production\s+multiplier\s+\+(\d+\.?\d*)%/i
+  },
+
+  /**
+   * Upgrade pools (the game's upgrade.pool) that EconomicModel does not
+   * value like ordinary store upgrades.
+   * - SKIPPED: never purchase candidates (debug tools, heavenly upgrades
+   *   bought with chips, retired upgrades)
+   * - TOGGLE:  switches (seasons, Elder Pledge and Covenant, golden switch),
+   *   listed apart from the ranking with what they do
+   * - COOKIE:  cookies, always a permanent boost to all production
+   */
+  UPGRADE_POOLS: {
+    SKIPPED: ['debug', 'prestige', 'prestigeDecor', 'unused'],
+    TOGGLE: 'toggle',
+    COOKIE: 'cookie'
   },
 
   /**
    * Default CPS estimation multipliers for upgrades.
-   * Used when description doesn't match any pattern.
+   * Used when the upgrade isn't in UpgradeDatabase and its
+   * description doesn't match any pattern.
+   * Configurable (each field separately).
    */
   UPGRADE_ESTIMATES: {
     CONSERVATIVE_BOOST: 0.02,  // 2% of total CPS for unknown upgrades
-    CLICK_UPGRADE_WEIGHT: 0.01, // Click upgrades valued at 1% of CPS
+    CLICK_UPGRADE_WEIGHT: 0.1, // Unrecognized click upgrades add 10% to click income
     SYNERGY_MULTIPLIER: 0.5    // 50% boost for building-specific upgrades
   },
 
+  /**
+   * Clicking profiles: clicks per second on the big cookie.
+   * Click income (clicks/sec × cookies per click) is what mouse,
+   * "+N% of CpS per click" and finger upgrades are valued against.
+   */
+  CLICK_PROFILES: {
+    IDLE: 0,           // Never clicks
+    CASUAL: 1.5,       // Clicks now and then
+    ACTIVE: 6,         // Clicks steadily by hand
+    AUTOCLICKER: 20    // Clicks with a tool or macro
+  },
+
+  /**
+   * Profile used until the player picks one or measures their rate.
+   */
+  DEFAULT_CLICK_PROFILE: 'CASUAL',
+
+  /**
+   * Default sampling window for measuring the player's click rate (seconds).
+   */
+  CLICK_MEASUREMENT_SECONDS: 10,
+
   // ═══════════════════════════════════════════════════════════════
   // DISPLAY SETTINGS
   // ═══════════════════════════════════════════════════════════════
 
   /**
    * Number of alternative recommendations to show.
+   * Configurable.
    */
   TOP_ALTERNATIVES_COUNT: 5,
 
   /**
    * Decimal places for displaying numbers.
+   * Configurable.
    */
   NUMBER_PRECISION: 2,
 
   /**
    * Suffixes for formatting large numbers.
-   * K = thousand, M = million, B = billion, T = trillion, Qa = quadrillion
+   * K = thousand, M = million, B = billion, T = trillion, Qa = quadrillion,
+   * Qi = quintillion, Sx = sextillion, Sp = septillion, Oc = octillion,
+   * No = nonillion, Dc = decillion. Beyond 1000Dc, exponent notation.
    */
   NUMBER_SUFFIXES: [
+    { threshold: 1e33, suffix: 'Dc' },
+    { threshold: 1e30, suffix: 'No' },
+    { threshold: 1e27, suffix: 'Oc' },
+    { threshold: 1e24, suffix: 'Sp' },
+    { threshold: 1e21, suffix: 'Sx' },
+    { threshold: 1e18, suffix: 'Qi' },
     { threshold: 1e15, suffix: 'Qa' },
     { threshold: 1e12, suffix: 'T' },
     { threshold: 1e9, suffix: 'B' },
@@ -82,6 +282,26 @@ const Constants = {
     { threshold: 1e3, suffix: 'K' }
   ],
 
+  /**
+   * DOM id of the in-game overlay panel (its stylesheet uses id + '-style').
+   */
+  OVERLAY_ELEMENT_ID: 'cookie-advisor-overlay',
+
+  /**
+   * How often the overlay checks the game for changes (milliseconds).
+   */
+  OVERLAY_REFRESH_MS: 1000,
+
+  /**
+   * CSS class for store highlights (badges use class + '-badge').
+   */
+  HIGHLIGHT_CLASS: 'cookie-advisor-highlight',
+
+  /**
+   * How often store highlights are re-applied after the game redraws the store (milliseconds).
+   */
+  HIGHLIGHT_REFRESH_MS: 1000,
+
   // ═══════════════════════════════════════════════════════════════
   // COOKIE CLICKER BUILDING NAMES
   // ═══════════════════════════════════════════════════════════════
@@ -108,9 +328,104 @@ const Constants = {
     'Chancemaker',
     'Fractal engine',
     'Javascript console',
-    'Idleverse'
+    'Idleverse',
+    'Cortex baker',
+    'You'
   ],
 
+  /**
+   * Base price and base CPS per building, before any upgrades.
+   * Used to rebuild building state when no live Game object is available
+   * (e.g. SaveImporter). Current price = basePrice × BUILDING_PRICE_GROWTH^owned.
+   */
+  BUILDING_STATS: {
+    'Cursor': { basePrice: 15, baseCPS: 0.1 },
+    'Grandma': { basePrice: 100, baseCPS: 1 },
+    'Farm': { basePrice: 1100, baseCPS: 8 },
+    'Mine': { basePrice: 12000, baseCPS: 47 },
+    'Factory': { basePrice: 130000, baseCPS: 260 },
+    'Bank': { basePrice: 1.4e6, baseCPS: 1400 },
+    'Temple': { basePrice: 2e7, baseCPS: 7800 },
+    'Wizard tower': { basePrice: 3.3e8, baseCPS: 44000 },
+    'Shipment': { basePrice: 5.1e9, baseCPS: 260000 },
+    'Alchemy lab': { basePrice: 7.5e10, baseCPS: 1.6e6 },
+    'Portal': { basePrice: 1e12, baseCPS: 1e7 },
+    'Time machine': { basePrice: 1.4e13, baseCPS: 6.5e7 },
+    'Antimatter condenser': { basePrice: 1.7e14, baseCPS: 4.3e8 },
+    'Prism': { basePrice: 2.1e15, baseCPS: 2.9e9 },
+    'Chancemaker': { basePrice: 2.6e16, baseCPS: 2.1e10 },
+    'Fractal engine': { basePrice: 3.1e17, baseCPS: 1.5e11 },
+    'Javascript console': { basePrice: 7.1e19, baseCPS: 1.1e12 },
+    'Idleverse': { basePrice: 1.2e22, baseCPS: 8.3e12 },
+    'Cortex baker': { basePrice: 1.9e24, baseCPS: 6.4e13 },
+    'You': { basePrice: 5.4e26, baseCPS: 5.1e14 }
+  },
+
+  // ═══════════════════════════════════════════════════════════════
+  // AUTO MONITOR
+  // ═══════════════════════════════════════════════════════════════
+
+  /**
+   * Default time between monitor checks (milliseconds).
+   */
+  MONITOR_INTERVAL_MS: 5000,
+
+  /**
+   * Shortest allowed monitor interval (milliseconds); each check runs the full pipeline.
+   */
+  MONITOR_MIN_INTERVAL_MS: 500,
+
+  /**
+   * How long Game.Notify popups stay on screen (seconds).
+   */
+  MONITOR_NOTIFY_SECONDS: 6,
+
+  // ═══════════════════════════════════════════════════════════════
+  // SETTINGS
+  // ═══════════════════════════════════════════════════════════════
+
+  /**
+   * localStorage key under which CookieAdvisor.configure() overrides are saved.
+   */
+  CONFIG_STORAGE_KEY: 'cookieAdvisor.config',
+
+  // ═══════════════════════════════════════════════════════════════
+  // MOD INTEGRATION
+  // ═══════════════════════════════════════════════════════════════
+
+  /**
+   * Id passed to Game.registerMod(); the game keys the mod's save data by it.
+   * Word characters only (the game replaces anything else).
+   */
+  MOD_ID: 'cookieRoiAdvisor',
+
+  /**
+   * Version of the data stored in the game save. Bump when the layout
+   * changes; data from newer versions is ignored.
+   */
+  MOD_SAVE_VERSION: 1,
+
+  /**
+   * Number of past top recommendations kept by CookieAdvisor.getHistory()
+   * (and in the game save).
+   */
+  HISTORY_LIMIT: 50,
+
+  // ═══════════════════════════════════════════════════════════════
+  // SNAPSHOTS
+  // ═══════════════════════════════════════════════════════════════
+
+  /**
+   * Format tag written into every snapshot document.
+   */
+  SNAPSHOT_FORMAT: 'cookie-advisor-snapshot',
+
+  /**
+   * Snapshot document version. Bump when the layout changes;
+   * snapshots from newer versions are rejected.
+   */
+  SNAPSHOT_VERSION: 1,
+
   // ═══════════════════════════════════════════════════════════════
   // CONSOLE OUTPUT STYLING
   // ═══════════════════════════════════════════════════════════════
@@ -133,10 +448,19 @@ const Constants = {
     ALTERNATIVES: '📊',
     ARROW: '→',
     BUILDING: '🏢',
-    UPGRADE: '⬆️'
+    UPGRADE: '⬆️',
+    ASCENSION: '👼',
+    TOGGLE: '🔀'
   }
 };
 
+// Whole building names, singular or plural ("factories" is the only irregular
+// plural); group 1 is the name without a regular plural "s"
+Constants.UPGRADE_PATTERNS.BUILDING_REFERENCE = new RegExp(
+  `\\b(${Constants.BUILDINGS.map(name => name.toLowerCase().replace(/y$/, '(?:y|ies)')).join('|')})s?\\b`,
+  'i'
+);
+
 // Export for use in other modules
 // (In browser console, this becomes a global)
 if (typeof module !== 'undefined' && module.exports) {
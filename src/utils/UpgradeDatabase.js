@@ -0,0 +1,578 @@
+/**
+ * UpgradeDatabase.js
+ *
+ * Known upgrade effects keyed by upgrade name.
+ * EconomicModel consults this table first and only falls back to parsing
+ * descriptions (Constants.UPGRADE_PATTERNS) for upgrades not listed here.
+ *
+ * Effect families (returned by lookup()):
+ * - tiered:  { family, building, multiplier, tier } "Farms are twice as efficient"
+ * - cookie:  { family, percent }                 "Cookie production multiplier +2%"
+ * - kitten:  { family, factor }                  CPS × (1 + milk × factor)
+ * - grandma: { family, building, perGrandmas }   Grandmas ×2, building +1% per N grandmas
+ * - synergy: { family, buildings: [low, high] }  low +5% per high, high +0.1% per low
+ * - golden:  { family, spawn, duration, gain }   Golden cookie timing and payouts
+ * - mouse:   { family, percent }                 Clicking gains +N% of CPS
+ * - fingers: { family, bonus } or { family, multiplier, previous }
+ *            Cursors and clicks gain +bonus per non-cursor building
+ * - research: { family, percent } or { family, building, multiplier }
+ *            or { family, building, baseCps, per, note }
+ *            Grandmapocalypse research ('tech' pool), see RESEARCH
+ *
+ * Heavenly upgrades (bought with heavenly chips between ascensions) have
+ * their own table and lookupHeavenly(); toggles ('toggle' pool) are not
+ * valued, TOGGLES and lookupToggle() describe what they do.
+ *
+ * Saves store upgrades by game id: IDS and nameForId() name them.
+ */
+
+const UpgradeDatabase = {
+  /**
+   * Tiered "twice as efficient" upgrades, in unlock order per building.
+   * The Cursor entries also double the base value of a click.
+   */
+  TIERED: {
+    'Cursor': [
+      'Reinforced index finger', 'Carpal tunnel prevention cream', 'Ambidextrous'
+    ],
+    'Grandma': [
+      'Forwards from grandma', 'Steel-plated rolling pins', 'Lubricated dentures',
+      'Prune juice', 'Double-thick glasses', 'Aging agents', 'Xtreme walkers',
+      'The Unbridling', 'Reverse dementia', 'Timeproof hair dyes'
+    ],
+    'Farm': [
+      'Cheap hoes', 'Fertilizer', 'Cookie trees', 'Genetically-modified cookies',
+      'Gingerbread scarecrows', 'Pulsar sprinklers', 'Fudge fungus', 'Wheat triffids',
+      'Humane pesticides', 'Barnstars'
+    ],
+    'Mine': [
+      'Sugar gas', 'Megadrill', 'Ultradrill', 'Ultimadrill', 'H-bomb mining',
+      'Coreforge', 'Planetsplitters', 'Canola oil wells', 'Mole people', 'Mine canaries'
+    ],
+    'Factory': [
+      'Sturdier conveyor belts', 'Child labor', 'Sweatshop', 'Radium reactors',
+      'Recombobulators', 'Deep-bake process', 'Cyborg workforce', '78-hour days',
+      'Machine learning', 'Brownie point system'
+    ],
+    'Bank': [
+      'Taller tellers', 'Scissor-resistant credit cards', 'Acid-proof vaults',
+      'Chocolate coins', 'Exponential interest rates', 'Financial zen',
+      'Way of the wallet', 'The stuff rationale', 'Edible money', 'Grand supercycle'
+    ],
+    'Temple': [
+      'Golden idols', 'Sacrifices', 'Delicious blessing', 'Sun festival',
+      'Enlarged pantheon', 'Great Baker in the sky', 'Creation myth', 'Theocracy',
+      'Sick rap prayers', 'Psalm-reading'
+    ],
+    'Wizard tower': [
+      'Pointier hats', 'Beardlier beards', 'Ancient grimoires', 'Kitchen curses',
+      'School of sorcery', 'Dark formulas', 'Cookiemancy', 'Rabbit trick',
+      'Deluxe tailored wands', 'Immobile spellcasting'
+    ],
+    'Shipment': [
+      'Vanilla nebulae', 'Wormholes', 'Frequent flyer', 'Warp drive',
+      'Chocolate monoliths', 'Generation ship', 'Dyson sphere', 'The final frontier',
+      'Autopilot', 'Restaurants at the end of the universe'
+    ],
+    'Alchemy lab': [
+      'Antimony', 'Essence of dough', 'True chocolate', 'Ambrosia', 'Aqua crustulae',
+      'Origin crucible', 'Theory of atomic fluidity', 'Beige goo',
+      'The advent of chemistry', 'On second thought'
+    ],
+    'Portal': [
+      'Ancient tablet', 'Insane oatling workers', 'Soul bond', 'Sanity dance',
+      'Brane transplant', 'Deity-sized portals', 'End of times back-up plan',
+      'Maddening chants', 'The real world', 'Dimensional garbage gulper'
+    ],
+    'Time machine': [
+      'Flux capacitors', 'Time paradox resolver', 'Quantum conundrum',
+      'Causality enforcer', 'Yestermorrow comparators', 'Far future enactment',
+      'Great loop hypothesis', 'Cookietopian moments of maybe', 'Second seconds',
+      'Additional clock hands'
+    ],
+    'Antimatter condenser': [
+      'Sugar bosons', 'String theory', 'Large macaron collider', 'Big bang bake',
+      'Reverse cyclotrons', 'Nanocosmics', 'The Pulse',
+      'Some other super-tiny fundamental particle? Probably?', 'Quantum comb',
+      'Baking Nobel prize'
+    ],
+    'Prism': [
+      'Gem polish', '9th color', 'Chocolate light', 'Grainbow', 'Pure cosmic light',
+      'Glow-in-the-dark', 'Lux sanctorum', 'Reverse shadows', 'Crystal mirrors',
+      'Reverse theory of light'
+    ],
+    'Chancemaker': [
+      'Your lucky cookie', '"All Bets Are Off" magic coin', 'Winning lottery ticket',
+      'Four-leaf clover field', 'A recipe book about books', 'Leprechaun village',
+      'Improbability drive', 'Antisuperstistronics', 'Bunnypedes',
+      'Revised probabilistics'
+    ],
+    'Fractal engine': [
+      'Metabakeries', 'Mandelbrown sugar', 'Fractoids', 'Nested universe theory',
+      'Menger sponge cake', 'One particularly good-humored cow', 'Chocolate ouroboros',
+      'Nested', 'Space-filling fibers', 'Endless book of prose'
+    ],
+    'Javascript console': [
+      'The JavaScript console for dummies', '64bit arrays', 'Stack overflow',
+      'Enterprise compiler', 'Syntactic sugar', 'A nice cup of coffee',
+      'Just-in-time baking', 'cookies++', 'Software updates', 'Game.Loop'
+    ],
+    'Idleverse': [
+      'Manifest destiny', 'The multiverse in a nutshell', 'All-conversion',
+      'Multiverse agents', 'Escape plan', 'Game design', 'Sandbox universes',
+      'Multiverse wars', 'Mobile ports', 'Encapsulated realities'
+    ]
+  },
+
+  /**
+   * Grandma-type upgrades: Grandmas ×2, and the named building gains
+   * +1% CpS per N grandmas, where N = building position - 1 (Farm: 1, Mine: 2...).
+   */
+  GRANDMA_TYPES: {
+    'Farmer grandmas': 'Farm',
+    'Miner grandmas': 'Mine',
+    'Worker grandmas': 'Factory',
+    'Banker grandmas': 'Bank',
+    'Priestess grandmas': 'Temple',
+    'Witch grandmas': 'Wizard tower',
+    'Cosmic grandmas': 'Shipment',
+    'Transmuted grandmas': 'Alchemy lab',
+    'Altered grandmas': 'Portal',
+    'Grandmas\' grandmas': 'Time machine',
+    'Antigrandmas': 'Antimatter condenser',
+    'Rainbow grandmas': 'Prism',
+    'Lucky grandmas': 'Chancemaker',
+    'Metagrandmas': 'Fractal engine',
+    'Binary grandmas': 'Javascript console',
+    'Alternate grandmas': 'Idleverse'
+  },
+
+  /**
+   * Synergy upgrades between two buildings.
+   * The lower-tier building gains +5% CpS per higher-tier building,
+   * the higher-tier building gains +0.1% CpS per lower-tier building.
+   */
+  SYNERGIES: {
+    'Future almanacs': ['Farm', 'Time machine'],
+    'Rain prayer': ['Farm', 'Temple'],
+    'Seismic magic': ['Mine', 'Wizard tower'],
+    'Asteroid mining': ['Mine', 'Shipment'],
+    'Quantum electronics': ['Factory', 'Antimatter condenser'],
+    'Temporal overclocking': ['Factory', 'Time machine'],
+    'Contracts from beyond': ['Bank', 'Portal'],
+    'Printing presses': ['Factory', 'Bank'],
+    'Paganism': ['Temple', 'Portal'],
+    'God particle': ['Temple', 'Antimatter condenser'],
+    'Arcane knowledge': ['Wizard tower', 'Alchemy lab'],
+    'Magical botany': ['Farm', 'Wizard tower'],
+    'Fossil fuels': ['Mine', 'Shipment'],
+    'Shipyards': ['Factory', 'Shipment'],
+    'Primordial ores': ['Mine', 'Alchemy lab'],
+    'Gold fund': ['Bank', 'Alchemy lab'],
+    'Infernal crops': ['Farm', 'Portal'],
+    'Abysmal glimmer': ['Portal', 'Prism'],
+    'Relativistic parsec-skipping': ['Shipment', 'Time machine'],
+    'Primeval glow': ['Time machine', 'Prism'],
+    'Extra physics funding': ['Bank', 'Antimatter condenser'],
+    'Chemical proficiency': ['Alchemy lab', 'Antimatter condenser'],
+    'Light magic': ['Wizard tower', 'Prism'],
+    'Mystical energies': ['Temple', 'Prism']
+  },
+
+  /**
+   * Flavoured cookies: permanent +N% cookie production.
+   */
+  FLAVOURED_COOKIES: {
+    'Plain cookies': 1,
+    'Sugar cookies': 1,
+    'Oatmeal raisin cookies': 1,
+    'Peanut butter cookies': 1,
+    'Coconut cookies': 2,
+    'White chocolate cookies': 2,
+    'Macadamia nut cookies': 2,
+    'Double-chip cookies': 2,
+    'White chocolate macadamia nut cookies': 2,
+    'All-chocolate cookies': 2,
+    'Dark chocolate-coated cookies': 5,
+    'White chocolate-coated cookies': 5,
+    'Eclipse cookies': 2,
+    'Zebra cookies': 2,
+    'Snickerdoodles': 2,
+    'Stroopwafels': 2,
+    'Macaroons': 2,
+    'Empire biscuits': 2,
+    'Madeleines': 2,
+    'Palmiers': 2,
+    'Palets': 2,
+    'Sablés': 2,
+    'Gingerbread men': 2,
+    'Gingerbread trees': 2,
+    'Ladyfingers': 3,
+    'Tuiles': 3,
+    'Chocolate-stuffed biscuits': 3,
+    'Checker cookies': 3,
+    'Butter cookies': 3,
+    'Cream cookies': 3,
+    'Gingersnaps': 4,
+    'Cinnamon cookies': 4,
+    'Vanity cookies': 4,
+    'Cigars': 4,
+    'Pinwheel cookies': 4,
+    'Fudge squares': 4,
+    'Shortbread biscuits': 4,
+    'Millionaires\' shortbreads': 4,
+    'Caramel cookies': 4,
+    'Pecan sandies': 4,
+    'Moravian spice cookies': 4,
+    'Anzac biscuits': 4,
+    'Buttercakes': 4,
+    'Ice cream sandwiches': 4
+  },
+
+  /**
+   * Kitten upgrades: CPS × (1 + milk × factor), milk = achievements / 25.
+   */
+  KITTENS: {
+    'Kitten helpers': 0.1,
+    'Kitten workers': 0.125,
+    'Kitten engineers': 0.15,
+    'Kitten overseers': 0.175,
+    'Kitten managers': 0.2,
+    'Kitten accountants': 0.2,
+    'Kitten specialists': 0.2,
+    'Kitten experts': 0.2,
+    'Kitten consultants': 0.2,
+    'Kitten assistants to the regional manager': 0.175,
+    'Kitten marketeers': 0.15,
+    'Kitten analysts': 0.125,
+    'Kitten executives': 0.115
+  },
+
+  /**
+   * Grandmapocalypse research, in the order the Bingo center unlocks it:
+   * - percent:    cookie production +N%
+   * - multiplier: grandmas are N times as efficient
+   * - baseCps:    each grandma gains +baseCps base CPS per building of the
+   *               'per' type (before grandma upgrades and the global multiplier)
+   * Notes flag the steps that anger the grandmas.
+   */
+  RESEARCH: {
+    'Bingo center/Research facility': { building: 'Grandma', multiplier: 4 },
+    'Specialized chocolate chips': { percent: 1 },
+    'Designer cocoa beans': { percent: 2 },
+    'Ritual rolling pins': { building: 'Grandma', multiplier: 2 },
+    'Underworld ovens': { percent: 3 },
+    'One mind': { building: 'Grandma', baseCps: 0.02, per: 'Grandma', note: 'Starts the Grandmapocalypse' },
+    'Exotic nuts': { percent: 4 },
+    'Communal brainsweep': { building: 'Grandma', baseCps: 0.02, per: 'Grandma', note: 'The grandmas grow angrier' },
+    'Arcane sugar': { percent: 5 },
+    'Elder Pact': { building: 'Grandma', baseCps: 0.05, per: 'Portal', note: 'The grandmas at their angriest' }
+  },
+
+  /**
+   * Toggles: switches that change how the game plays rather than adding
+   * CPS. Never ranked; listed with what they do.
+   */
+  TOGGLES: {
+    'Elder Pledge': 'Calms the grandmas for a while: no wrath cookies',
+    'Elder Covenant': 'Ends the Grandmapocalypse for good, at -5% CPS',
+    'Revoke Elder Covenant': 'Brings the Grandmapocalypse back (and the 5% CPS)',
+    'Festive biscuit': 'Switches to Christmas',
+    'Ghostly biscuit': 'Switches to Halloween',
+    'Lovesick biscuit': 'Switches to Valentine\'s day',
+    'Fool\'s biscuit': 'Switches to Business day',
+    'Bunny biscuit': 'Switches to Easter',
+    'Golden switch [off]': '+50% CPS, but no golden cookies',
+    'Golden switch [on]': 'Golden cookies come back, the +50% CPS goes',
+    'Shimmering veil [off]': '+50% CPS until the veil breaks',
+    'Shimmering veil [on]': 'Takes the veil down',
+    'Sugar frenzy': 'CPS ×3 for an hour, for a sugar lump'
+  },
+
+  /**
+   * Heavenly upgrades that unlock prestige's CPS bonus (+1% per prestige level).
+   * Values are the share of that bonus each one unlocks; they add up to 100%.
+   */
+  HEAVENLY_POWER: {
+    'Heavenly chip secret': 0.05,
+    'Heavenly cookie stand': 0.20,
+    'Heavenly bakery': 0.25,
+    'Heavenly confectionery': 0.25,
+    'Heavenly key': 0.25
+  },
+
+  /**
+   * Heavenly upgrades worth planning for, by what they bring:
+   * - cps:     permanent CPS, as a flat percent or a kitten factor (milk × factor);
+   *            HEAVENLY_POWER upgrades are added by lookupHeavenly()
+   * - offline: percent of CPS earned while the game is closed
+   * - unlock:  a mechanic or shortcut, described by note
+   * Heavenly upgrades not listed here are cosmetic or minor.
+   */
+  HEAVENLY: {
+    'Heavenly cookies': { category: 'cps', percent: 10 },
+    'Kitten angels': { category: 'cps', kitten: 0.1 },
+    'Twin Gates of Transcendence': { category: 'offline', percent: 5 },
+    'Angels': { category: 'offline', percent: 10 },
+    'Archangels': { category: 'offline', percent: 10 },
+    'Virtues': { category: 'offline', percent: 10 },
+    'Dominions': { category: 'offline', percent: 10 },
+    'Cherubim': { category: 'offline', percent: 10 },
+    'Seraphim': { category: 'offline', percent: 10 },
+    'God': { category: 'offline', percent: 10 },
+    'Chimera': { category: 'offline', percent: 5 },
+    'Persistent memory': { category: 'unlock', note: 'Research is 10 times as fast' },
+    'Permanent upgrade slot I': { category: 'unlock', note: 'Keep an upgrade across ascensions' },
+    'Permanent upgrade slot II': { category: 'unlock', note: 'Keep a second upgrade across ascensions' },
+    'Permanent upgrade slot III': { category: 'unlock', note: 'Keep a third upgrade across ascensions' },
+    'Permanent upgrade slot IV': { category: 'unlock', note: 'Keep a fourth upgrade across ascensions' },
+    'Permanent upgrade slot V': { category: 'unlock', note: 'Keep a fifth upgrade across ascensions' },
+    'Synergies Vol. I': { category: 'unlock', note: 'Unlocks the first synergy upgrades' },
+    'Synergies Vol. II': { category: 'unlock', note: 'Unlocks the second synergy upgrades' },
+    'Season switcher': { category: 'unlock', note: 'Switch seasons at will' },
+    'How to bake your dragon': { category: 'unlock', note: 'Unlocks the dragon' },
+    'Starter kit': { category: 'unlock', note: 'Start each run with 10 cursors' },
+    'Starter kitchen': { category: 'unlock', note: 'Start each run with 5 grandmas' },
+    'Inspired checklist': { category: 'unlock', note: 'Buy all store upgrades at once' }
+  },
+
+  /**
+   * Golden cookie upgrades, as factors on the time between golden cookies
+   * (spawn), on how long their effects last (duration) and on Lucky
+   * payouts (gain).
+   */
+  GOLDEN_COOKIE: {
+    'Lucky day': { spawn: 0.5 },
+    'Serendipity': { spawn: 0.5 },
+    'Get lucky': { duration: 2 },
+    'Golden goose egg': { spawn: 0.95 },
+    'Heavenly luck': { spawn: 0.95 },
+    'Lasting fortune': { duration: 1.1 },
+    'Green yeast digestives': { spawn: 0.99, duration: 1.01, gain: 1.01 }
+  },
+
+  /**
+   * Mouse upgrades: clicking gains +1% of CPS each.
+   */
+  MOUSE: [
+    'Plastic mouse', 'Iron mouse', 'Titanium mouse', 'Adamantium mouse',
+    'Unobtainium mouse', 'Eludium mouse', 'Wishalloy mouse', 'Fantasteel mouse',
+    'Nevercrack mouse', 'Armythril mouse', 'Technobsidian mouse', 'Plasmarble mouse'
+  ],
+
+  /**
+   * Finger upgrades, in unlock order. Thousand fingers grants the base
+   * bonus per non-cursor building; each later one multiplies it.
+   */
+  FINGERS: [
+    { name: 'Thousand fingers', bonus: 0.1 },
+    { name: 'Million fingers', multiplier: 5 },
+    { name: 'Billion fingers', multiplier: 10 },
+    { name: 'Trillion fingers', multiplier: 20 },
+    { name: 'Quadrillion fingers', multiplier: 20 },
+    { name: 'Quintillion fingers', multiplier: 20 },
+    { name: 'Sextillion fingers', multiplier: 20 },
+    { name: 'Septillion fingers', multiplier: 20 },
+    { name: 'Octillion fingers', multiplier: 20 },
+    { name: 'Nonillion fingers', multiplier: 20 }
+  ],
+
+  /**
+   * Upgrade names by game id (Game.UpgradesById), in the order the game
+   * declares them. Covers ids 0-201: tiers 1-6 of the first fourteen
+   * buildings, fingers, mice, kittens, grandma types, flavoured cookies,
+   * the Grandmapocalypse and heavenly power up to there. Later ids
+   * (higher tiers, newer buildings) need a catalogue from the game.
+   */
+  IDS: [
+    // 0
+    'Reinforced index finger', 'Carpal tunnel prevention cream', 'Ambidextrous',
+    'Thousand fingers', 'Million fingers', 'Billion fingers', 'Trillion fingers',
+    'Forwards from grandma', 'Steel-plated rolling pins', 'Lubricated dentures',
+    // 10
+    'Cheap hoes', 'Fertilizer', 'Cookie trees',
+    'Sturdier conveyor belts', 'Child labor', 'Sweatshop',
+    'Sugar gas', 'Megadrill', 'Ultradrill',
+    'Vanilla nebulae',
+    // 20
+    'Wormholes', 'Frequent flyer',
+    'Antimony', 'Essence of dough', 'True chocolate',
+    'Ancient tablet', 'Insane oatling workers', 'Soul bond',
+    'Flux capacitors', 'Time paradox resolver',
+    // 30
+    'Quantum conundrum',
+    'Kitten helpers', 'Kitten workers',
+    'Plain cookies', 'Sugar cookies', 'Oatmeal raisin cookies', 'Peanut butter cookies',
+    'Coconut cookies', 'White chocolate cookies', 'Macadamia nut cookies',
+    // 40
+    'Double-chip cookies', 'White chocolate macadamia nut cookies', 'All-chocolate cookies',
+    'Quadrillion fingers', 'Prune juice', 'Genetically-modified cookies', 'Radium reactors',
+    'Ultimadrill', 'Warp drive', 'Ambrosia',
+    // 50
+    'Sanity dance', 'Causality enforcer',
+    'Lucky day', 'Serendipity', 'Kitten engineers',
+    'Dark chocolate-coated cookies', 'White chocolate-coated cookies',
+    'Farmer grandmas', 'Worker grandmas', 'Miner grandmas',
+    // 60
+    'Cosmic grandmas', 'Transmuted grandmas', 'Altered grandmas', 'Grandmas\' grandmas',
+    'Bingo center/Research facility', 'Specialized chocolate chips', 'Designer cocoa beans',
+    'Ritual rolling pins', 'Underworld ovens', 'One mind',
+    // 70
+    'Exotic nuts', 'Communal brainsweep', 'Arcane sugar', 'Elder Pact', 'Elder Pledge',
+    'Plastic mouse', 'Iron mouse', 'Titanium mouse', 'Adamantium mouse',
+    'Ultrascience',
+    // 80
+    'Eclipse cookies', 'Zebra cookies', 'Quintillion fingers', 'Gold hoard',
+    'Elder Covenant', 'Revoke Elder Covenant', 'Get lucky', 'Sacrificial rolling pins',
+    'Snickerdoodles', 'Stroopwafels',
+    // 90
+    'Macaroons', 'Neuromancy', 'Empire biscuits', 'British tea biscuits',
+    'Chocolate british tea biscuits', 'Round british tea biscuits',
+    'Round chocolate british tea biscuits', 'Round british tea biscuits with heart motif',
+    'Round chocolate british tea biscuits with heart motif', 'Sugar bosons',
+    // 100
+    'String theory', 'Large macaron collider', 'Big bang bake', 'Antigrandmas',
+    'Madeleines', 'Palmiers', 'Palets', 'Sablés', 'Kitten overseers', 'Sextillion fingers',
+    // 110
+    'Double-thick glasses', 'Gingerbread scarecrows', 'Recombobulators', 'H-bomb mining',
+    'Chocolate monoliths', 'Aqua crustulae', 'Brane transplant', 'Yestermorrow comparators',
+    'Reverse cyclotrons', 'Unobtainium mouse',
+    // 120
+    'Caramoas', 'Sagalongs', 'Shortfoils', 'Win mints', 'Perfect idling',
+    'Fig gluttons', 'Loreols', 'Jaffa cakes', 'Grease\'s cups', 'Heavenly chip secret',
+    // 130
+    'Heavenly cookie stand', 'Heavenly bakery', 'Heavenly confectionery', 'Heavenly key',
+    'Skull cookies', 'Ghost cookies', 'Bat cookies', 'Slime cookies', 'Pumpkin cookies',
+    'Eyeball cookies',
+    // 140
+    'Spider cookies', 'Persistent memory', 'Wrinkler doormat',
+    'Christmas tree biscuits', 'Snowflake biscuits', 'Snowman biscuits', 'Holly biscuits',
+    'Candy cane biscuits', 'Bell biscuits', 'Present biscuits',
+    // 150
+    'Gingerbread men', 'Gingerbread trees',
+    'A festive hat', 'Increased merriness', 'Improved jolliness', 'A lump of coal',
+    'An itchy sweater', 'Reindeer baking grounds', 'Weighted sleighs',
+    'Ho ho ho-flavored frosting',
+    // 160
+    'Season savings', 'Toy workshop', 'Naughty list', 'Santa\'s bottomless bag',
+    'Santa\'s helpers', 'Santa\'s legacy', 'Santa\'s milk and cookies', 'Reindeer season',
+    'Santa\'s dominion', 'Pure heart biscuits',
+    // 170
+    'Ardent heart biscuits', 'Sour heart biscuits', 'Weeping heart biscuits',
+    'Golden heart biscuits', 'Eternal heart biscuits',
+    'Gem polish', '9th color', 'Chocolate light', 'Grainbow', 'Pure cosmic light',
+    // 180
+    'Rainbow grandmas', 'Season switcher', 'Festive biscuit', 'Ghostly biscuit',
+    'Lovesick biscuit', 'Fool\'s biscuit', 'Eternal seasons', 'Kitten managers',
+    'Septillion fingers', 'Octillion fingers',
+    // 190
+    'Eludium mouse', 'Wishalloy mouse', 'Aging agents', 'Pulsar sprinklers',
+    'Deep-bake process', 'Coreforge', 'Generation ship', 'Origin crucible',
+    'Deity-sized portals', 'Far future enactment',
+    // 200
+    'Nanocosmics', 'Glow-in-the-dark'
+  ],
+
+  /**
+   * Names an upgrade by game id.
+   *
+   * @param {number} id - Game upgrade id
+   * @returns {string|null} Upgrade name, or null if the id is not in IDS
+   */
+  nameForId(id) {
+    return this.IDS[id] || null;
+  },
+
+  /**
+   * Looks up the known effect of an upgrade.
+   *
+   * @param {string} name - Upgrade name as shown in game
+   * @returns {Object|null} Effect description (see file header), or null if unknown
+   */
+  lookup(name) {
+    for (const building in this.TIERED) {
+      const tier = this.TIERED[building].indexOf(name);
+      if (tier !== -1) {
+        return { family: 'tiered', building: building, multiplier: 2, tier: tier + 1 };
+      }
+    }
+
+    if (name in this.GRANDMA_TYPES) {
+      const building = this.GRANDMA_TYPES[name];
+      return {
+        family: 'grandma',
+        building: building,
+        perGrandmas: Constants.BUILDINGS.indexOf(building) - 1
+      };
+    }
+
+    if (name in this.SYNERGIES) {
+      return { family: 'synergy', buildings: this.SYNERGIES[name] };
+    }
+
+    if (name in this.FLAVOURED_COOKIES) {
+      return { family: 'cookie', percent: this.FLAVOURED_COOKIES[name] };
+    }
+
+    if (name in this.KITTENS) {
+      return { family: 'kitten', factor: this.KITTENS[name] };
+    }
+
+    if (name in this.GOLDEN_COOKIE) {
+      return { family: 'golden', spawn: 1, duration: 1, gain: 1, ...this.GOLDEN_COOKIE[name] };
+    }
+
+    if (this.MOUSE.includes(name)) {
+      return { family: 'mouse', percent: 1 };
+    }
+
+    const fingerIndex = this.FINGERS.findIndex(f => f.name === name);
+    if (fingerIndex !== -1) {
+      const finger = this.FINGERS[fingerIndex];
+      if (finger.bonus) {
+        return { family: 'fingers', bonus: finger.bonus };
+      }
+
+      // Bonus already granted by the earlier finger upgrades (assumed owned)
+      const previous = this.FINGERS
+        .slice(0, fingerIndex)
+        .reduce((bonus, f) => (f.bonus ? f.bonus : bonus * f.multiplier), 0);
+      return { family: 'fingers', multiplier: finger.multiplier, previous: previous };
+    }
+
+    if (name in this.RESEARCH) {
+      return { family: 'research', ...this.RESEARCH[name] };
+    }
+
+    return null;
+  },
+
+  /**
+   * Looks up what a toggle does.
+   *
+   * @param {string} name - Toggle name as shown in game
+   * @returns {string|null} Description, or null if unknown
+   */
+  lookupToggle(name) {
+    return name in this.TOGGLES ? this.TOGGLES[name] : null;
+  },
+
+  /**
+   * Looks up what a heavenly upgrade is worth planning for.
+   *
+   * @param {string} name - Heavenly upgrade name
+   * @returns {Object|null} { category, ... } (see HEAVENLY; prestige power upgrades
+   *   are { category: 'cps', prestigeShare }), or null if not worth planning for
+   */
+  lookupHeavenly(name) {
+    if (name in this.HEAVENLY_POWER) {
+      return { category: 'cps', prestigeShare: this.HEAVENLY_POWER[name] };
+    }
+    return name in this.HEAVENLY ? { ...this.HEAVENLY[name] } : null;
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = UpgradeDatabase;
+}
@@ -0,0 +1,136 @@
+/**
+ * ascension.test.js
+ *
+ * Checks AscensionAnalyzer, the prestige fields of GameStateAdapter and the
+ * Ascension section of analyze() on mock games.
+ *
+ * Run: node --test tests/
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { quietly, gameStateFor } = require('./helpers/testUtils.js');
+
+const NOW = Date.UTC(2024, 0, 1);
+const HOUR = 3600;
+
+/**
+ * Mid-game run: prestige 100 (1e18 baked before), 5 hours in.
+ *
+ * @param {number} cookiesEarned - Cookies baked this run
+ * @param {number} cookiesPerSecond - CPS from now on
+ * @returns {Object} Game state
+ */
+function runState(cookiesEarned, cookiesPerSecond) {
+  const gameState = gameStateFor({
+    cookies: 1e9,
+    buildings: { Cursor: 10, Grandma: 5 },
+    cookiesEarned: cookiesEarned,
+    cookiesReset: 1e18,
+    prestige: 100,
+    heavenlyChips: 20,
+    startDate: NOW - 5 * HOUR * 1000
+  });
+  return { ...gameState, cookiesPerSecond: cookiesPerSecond };
+}
+
+test('the adapter reads prestige stats from the game', () => {
+  const gameState = runState(1e17, 0);
+
+  assert.strictEqual(gameState.cookiesEarned, 1e17);
+  assert.strictEqual(gameState.cookiesReset, 1e18);
+  assert.strictEqual(gameState.prestige, 100);
+  assert.strictEqual(gameState.heavenlyChips, 20);
+  assert.strictEqual(gameState.startDate, NOW - 5 * HOUR * 1000);
+
+  const fresh = gameStateFor({ cookies: 0 });
+  assert.strictEqual(fresh.cookiesEarned, 0);
+  assert.strictEqual(fresh.prestige, 0);
+  assert.strictEqual(fresh.startDate, null);
+});
+
+test('levels gained and the next level follow the cube root of cookies baked', () => {
+  const report = new AscensionAnalyzer(runState(1e17, 1e12), NOW).analyze();
+
+  // cbrt(1.1e18 / 1e12) = 103.2
+  assert.strictEqual(report.prestige, 100);
+  assert.strictEqual(report.levelsGained, 3);
+  assert.strictEqual(report.nextLevel.level, 104);
+  assert.strictEqual(report.nextLevel.cookies, Math.pow(104, 3) * 1e12 - 1.1e18);
+  assert.strictEqual(report.nextLevel.time, report.nextLevel.cookies / 1e12);
+  assert.strictEqual(report.runSeconds, 5 * HOUR);
+});
+
+test('rates are the derivative and the run average of prestige', () => {
+  const analyzer = new AscensionAnalyzer(runState(1e17, 1e12), NOW);
+  const prestige = cookies => Math.cbrt(cookies / 1e12);
+
+  const step = 1;
+  const derivative = (prestige(1.1e18 + 1e12 * step) - prestige(1.1e18)) / step;
+  assert.ok(Math.abs(analyzer.getCurrentRate() - derivative) / derivative < 1e-6);
+  assert.strictEqual(analyzer.getAverageRate(), (prestige(1.1e18) - 100) / (5 * HOUR));
+});
+
+test('the average rate peaks where it meets the current rate', () => {
+  // Little baked so far for the current CPS: the average is still rising
+  const analyzer = new AscensionAnalyzer(runState(2e16, 5e12), NOW);
+  const peak = analyzer.findPeak();
+
+  assert.strictEqual(peak.passed, false);
+  assert.ok(peak.seconds > 0);
+  assert.strictEqual(peak.runSeconds, 5 * HOUR + peak.seconds);
+  assert.ok(analyzer.getCurrentRate() > analyzer.getAverageRate());
+  assert.ok(Math.abs(analyzer.getCurrentRate(peak.seconds) - peak.averageRate) / peak.averageRate < 1e-3);
+  assert.ok(peak.averageRate > analyzer.getAverageRate());
+  assert.ok(peak.averageRate > analyzer.getAverageRate(peak.seconds * 2));
+  assert.strictEqual(peak.levelsGained, analyzer.getLevelsGained(peak.seconds));
+
+  // CPS has fallen behind the run's pace: the peak is behind us
+  const late = new AscensionAnalyzer(runState(1e17, 1e12), NOW).findPeak();
+  assert.strictEqual(late.passed, true);
+  assert.strictEqual(late.seconds, 0);
+  assert.strictEqual(late.levelsGained, 3);
+});
+
+test('without a run start or prestige data there is no peak or report', () => {
+  const noStart = new AscensionAnalyzer({ ...runState(1e17, 1e12), startDate: null }, NOW).analyze();
+  assert.strictEqual(noStart.levelsGained, 3);
+  assert.strictEqual(noStart.averageRate, null);
+  assert.strictEqual(noStart.peak, null);
+
+  const handMade = { cookies: 0, cookiesPerSecond: 6, buildings: [], upgrades: [] };
+  assert.strictEqual(new AscensionAnalyzer(handMade, NOW).analyze(), null);
+  assert.strictEqual(quietly(() => CookieAdvisor.ascension(handMade)), null);
+});
+
+test('analyze() passes the ascension report to the renderer', (t) => {
+  const rendered = [];
+  class RecordingRenderer extends OutputRenderer {
+    renderRecommendation(topChoice, alternatives, gameState, options) {
+      rendered.push(options.ascension);
+    }
+  }
+  CookieAdvisor.setRenderer(new RecordingRenderer());
+  t.after(() => CookieAdvisor.setRenderer(new OutputRenderer()));
+
+  quietly(() => CookieAdvisor.analyze(runState(1e17, 1e12)));
+  assert.strictEqual(rendered.length, 1);
+  assert.strictEqual(rendered[0].prestige, 100);
+  assert.strictEqual(rendered[0].levelsGained, 3);
+
+  const report = quietly(() => CookieAdvisor.ascension(runState(1e17, 1e12)));
+  assert.strictEqual(report.levelsGained, 3);
+});
+
+test('prestige-scale amounts and times stay readable', () => {
+  const renderer = new OutputRenderer();
+
+  assert.strictEqual(renderer._formatCurrency(1.003003e21), '1.00Sx');
+  assert.strictEqual(renderer._formatCurrency(5e35), '500.00Dc');
+  assert.strictEqual(renderer._formatCurrency(2e36), '2.00e+36');
+
+  assert.strictEqual(renderer._formatTime(3725), '1h 2m');
+  assert.strictEqual(renderer._formatTime(90061), '1d 1h');
+  assert.strictEqual(renderer._formatTime(2 * 365 * 86400 + 40 * 86400), '2y 40d');
+  assert.strictEqual(renderer._formatTime(1.5e3 * 365 * 86400), '1.50K years');
+});
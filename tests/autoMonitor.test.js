@@ -0,0 +1,92 @@
+/**
+ * autoMonitor.test.js
+ *
+ * Checks when the monitor notifies, and the startMonitor() loop on a mock game.
+ *
+ * Run: node --test tests/
+ */
+
+const { test, mock } = require('node:test');
+const assert = require('node:assert');
+const { createMockGame } = require('./helpers/mockGame.js');
+
+const farm = (id, cost) => ({ id: id, type: 'building', name: 'Farm', displayName: 'Farm', cost: cost, deltaCPS: 8, roiTime: 100 });
+
+test('no notification on the first check or while nothing changes', () => {
+  const monitor = new AutoMonitor({ game: null });
+
+  assert.deepStrictEqual(monitor.check(null, farm('Farm', 1100), 0), []);
+  assert.deepStrictEqual(monitor.check(farm('Farm', 1100), farm('Farm', 1100), 500), []);
+  assert.deepStrictEqual(monitor.check(farm('Farm', 1100), null, 500), []);
+});
+
+test('notifies when the top recommendation changes', () => {
+  const monitor = new AutoMonitor({ game: null });
+  const events = monitor.check(farm('Farm', 1100), farm('Mine', 12000), 500);
+
+  assert.deepStrictEqual(events.map(e => e.type), ['recommendationChanged']);
+  assert.strictEqual(events[0].recommendation.id, 'Mine');
+});
+
+test('notifies once when the same recommendation becomes affordable', () => {
+  const monitor = new AutoMonitor({ game: null });
+  const top = farm('Farm', 1100);
+
+  monitor.check(top, top, 500);
+  assert.deepStrictEqual(monitor.check(top, top, 1200).map(e => e.type), ['becameAffordable']);
+  assert.deepStrictEqual(monitor.check(top, top, 1300), []);
+});
+
+test('uses Game.Notify when the game has it', () => {
+  const calls = [];
+  const monitor = new AutoMonitor({ game: { Notify: (...args) => calls.push(args) } });
+  monitor.notify({ title: 'New best investment', message: 'Farm' });
+
+  assert.deepStrictEqual(calls, [['New best investment', 'Farm', '', Constants.MONITOR_NOTIFY_SECONDS]]);
+});
+
+test('startMonitor re-analyzes on a timer and notifies on change', (t) => {
+  mock.timers.enable({ apis: ['setInterval'] });
+  const notes = [];
+  const game = createMockGame({ cookies: 0, buildings: { Cursor: 10, Grandma: 5 } });
+  game.Notify = (title, message) => notes.push(title);
+  global.window = { Game: game };
+
+  const log = console.log;
+  console.log = () => {};
+  t.after(() => {
+    CookieAdvisor.stopMonitor(true);
+    console.log = log;
+    delete global.window;
+    mock.timers.reset();
+  });
+
+  CookieAdvisor.startMonitor({ intervalMs: 1000 });
+  assert.strictEqual(CookieAdvisor.getLastRecommendation().name, 'Farm');
+
+  mock.timers.tick(1000);
+  assert.deepStrictEqual(notes, []);
+
+  // A big Mine multiplier makes Mine the best investment
+  game.Objects.Mine.cps = () => 47 * 100;
+  game.Objects.Mine.storedCps = 47 * 100;
+  mock.timers.tick(1000);
+
+  assert.strictEqual(CookieAdvisor.getLastRecommendation().name, 'Mine');
+  assert.deepStrictEqual(notes, ['New best investment']);
+});
+
+test('startMonitor rejects intervals that are too short', () => {
+  global.window = { Game: createMockGame({}) };
+  const errors = [];
+  const error = console.error;
+  console.error = message => errors.push(message);
+  try {
+    CookieAdvisor.startMonitor({ intervalMs: 10 });
+  } finally {
+    console.error = error;
+    delete global.window;
+  }
+
+  assert.strictEqual(errors.length, 1);
+});
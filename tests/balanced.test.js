@@ -0,0 +1,75 @@
+/**
+ * balanced.test.js
+ *
+ * Checks BalancedStrategy's score terms one weight at a time: the blend of
+ * ROI and horizon ranks, the concentration penalty and the milestone bonus.
+ *
+ * Run: node --test tests/
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { gameStateFor } = require('./helpers/testUtils.js');
+
+// 24 grandmas: one short of milestone 25; 10 cursors: 15 short of it; one farm: 4 short of 5
+const gameState = gameStateFor({
+  cookies: 1000,
+  buildings: { Cursor: 10, Grandma: 24, Farm: 1 },
+  store: [{ name: 'Forwards from grandma', price: 1000, desc: '' }]
+});
+const candidates = new EconomicModel(gameState).getAllCandidates();
+const greedy = new GreedyStrategy().evaluate(candidates);
+
+const NONE = { shortTermWeight: 0, longTermWeight: 0, diversificationWeight: 0, milestoneWeight: 0 };
+const balanced = options => new BalancedStrategy({ ...NONE, ...options }).evaluate(candidates, gameState);
+const ids = list => list.map(c => c.id);
+
+test('the score blends the ROI rank and the horizon rank', () => {
+  // ROI rank alone is the greedy order
+  assert.deepStrictEqual(ids(balanced({ shortTermWeight: 1 })), ids(greedy));
+
+  // Horizon rank alone: most net cookies within the hour first
+  const longTerm = balanced({ longTermWeight: 1 });
+  const values = longTerm.map(c => c.balanced.longTermValue);
+  assert.deepStrictEqual(values, [...values].sort((a, b) => b - a));
+  const farm = longTerm.find(c => c.id === 'Farm');
+  const wait = new EconomicModel(gameState).getTimeToAfford(farm.cost);
+  assert.strictEqual(farm.balanced.longTermValue, farm.deltaCPS * (3600 - wait) - farm.cost);
+
+  // Both: weighted sum of the two ranks, scaled to 0 (best) .. 1 (worst)
+  const last = greedy.length - 1;
+  const longTermIds = ids(longTerm);
+  for (const c of balanced({ shortTermWeight: 0.5, longTermWeight: 0.3 })) {
+    const expected = 0.5 * ids(greedy).indexOf(c.id) / last + 0.3 * longTermIds.indexOf(c.id) / last;
+    assert.ok(Math.abs(c.balanced.score - expected) < 1e-12, c.id);
+  }
+});
+
+test('buildings that dominate the count are penalized, upgrades are not', () => {
+  const ranked = balanced({ diversificationWeight: 1 });
+  const concentration = id => ranked.find(c => c.id === id).balanced.concentration;
+
+  assert.strictEqual(concentration('Grandma'), 25 / 36);
+  assert.strictEqual(concentration('Cursor'), 11 / 36);
+  assert.strictEqual(concentration('Farm'), 2 / 36);
+  assert.strictEqual(concentration('Mine'), 1 / 36);
+  assert.strictEqual(ranked.find(c => c.type === 'upgrade').balanced.concentration, 0);
+  assert.strictEqual(ranked[ranked.length - 1].id, 'Grandma');
+});
+
+test('buildings near their next milestone get a bonus', () => {
+  const ranked = balanced({ milestoneWeight: 1 });
+  const bonus = id => ranked.find(c => c.id === id).balanced.milestoneBonus;
+
+  assert.strictEqual(bonus('Grandma'), 1); // The 25th
+  assert.strictEqual(bonus('Mine'), 1);    // The first is milestone 1
+  assert.strictEqual(bonus('Farm'), 0.7);  // Three more after this one
+  assert.strictEqual(bonus('Cursor'), 0);  // 14 more: outside the window
+  assert.strictEqual(ranked.find(c => c.type === 'upgrade').balanced.milestoneBonus, 0);
+
+  // The Grandma overtakes the Farm, which pays back sooner
+  const position = (list, id) => list.findIndex(c => c.id === id);
+  assert.ok(position(greedy, 'Farm') < position(greedy, 'Grandma'));
+  assert.ok(position(ranked, 'Grandma') < position(ranked, 'Farm'));
+  assert.ok(position(ranked, 'Farm') < position(ranked, 'Cursor'));
+});
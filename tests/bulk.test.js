@@ -0,0 +1,62 @@
+/**
+ * bulk.test.js
+ *
+ * Checks bulk and milestone building candidates: their cost and gain, and
+ * that no strategy ranks them.
+ *
+ * Run: node --test tests/
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { gameStateFor, EARLY } = require('./helpers/testUtils.js');
+
+test('bulk buys grow in cost faster than in gain', () => {
+  const candidates = new EconomicModel(EARLY).getAllCandidates();
+  const grandmas = candidates.filter(c => c.name === 'Grandma');
+  const single = grandmas.find(c => c.quantity === 1);
+
+  assert.deepStrictEqual(grandmas.map(c => c.quantity), [1, 10, 100, 20]); // 5 owned: up to milestone 25
+  for (const bulk of grandmas.filter(c => c.quantity > 1)) {
+    assert.strictEqual(bulk.informational, true);
+    assert.strictEqual(bulk.deltaCPS, single.deltaCPS * bulk.quantity);
+    assert.ok(bulk.roiTime > single.roiTime);
+  }
+  assert.strictEqual(grandmas[3].milestone, 25);
+  assert.strictEqual(single.informational, undefined);
+});
+
+test('no strategy ranks bulk buys', () => {
+  // Grandmas two short of milestone 50: the cheapest bulk buy, and it reaches a milestone
+  const gameState = gameStateFor({ cookies: 1e6, buildings: { Cursor: 10, Grandma: 48 } });
+  const candidates = new EconomicModel(gameState).getAllCandidates();
+  assert.ok(candidates.some(c => c.milestone === 50));
+
+  for (const name of ['greedy', 'payback', 'lookahead', 'synergy', 'balanced']) {
+    const ranked = StrategyEngine.createStrategy(name).evaluate(candidates, gameState);
+    assert.ok(ranked.length > 0, name);
+    assert.ok(ranked.every(c => !c.informational), name);
+  }
+  assert.ok(CookieAdvisor.getAllRecommendations(Infinity, gameState).every(c => c.quantity === 1 || c.type === 'upgrade'));
+});
+
+test('debug counts only ranked candidates and lists bulk buys by their range', () => {
+  const lines = [];
+  const original = console.log;
+  console.log = (...args) => lines.push(args.join(' '));
+  let result;
+  try {
+    result = CookieAdvisor.debug(EARLY);
+  } finally {
+    console.log = original;
+  }
+
+  assert.ok(result.validCandidates.every(c => !c.informational));
+  assert.deepStrictEqual(new EconomicModel(EARLY).getValidCandidates().map(c => c.id), result.validCandidates.map(c => c.id));
+  assert.ok(lines.includes(`Valid Recommendations: ${result.validCandidates.length}`));
+
+  const milestoneRow = lines.find(line => line.includes('Grandma ×20 (#6-#25, milestone 25)'));
+  assert.ok(milestoneRow);
+  assert.ok(milestoneRow.trimEnd().endsWith('—')); // What the milestone unlocks is not valued
+  assert.ok(lines.some(line => line.includes('Grandma ×10 (#6-#15)')));
+});
@@ -0,0 +1,104 @@
+/**
+ * cli.test.js
+ *
+ * Runs bin/cookie-advisor.js against a fixture save: argument parsing,
+ * JSON output, and how bad commands and bad input are reported.
+ *
+ * Run: node --test tests/
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const CLI = path.join(__dirname, '..', 'bin', 'cookie-advisor.js');
+
+// 500K cookies; 20 cursors, 15 grandmas, 10 farms, 5 mines; a few upgrades
+const SAVE = path.join(__dirname, 'fixtures', 'save.txt');
+
+/**
+ * Runs the CLI and waits for it to exit.
+ *
+ * @param {Array<string>} args - Command-line arguments
+ * @param {string} [input] - Text for stdin
+ * @returns {Object} { status, stdout, stderr }
+ */
+function run(args, input) {
+  const result = spawnSync(process.execPath, [CLI, ...args], { encoding: 'utf8', input: input, timeout: 60000 });
+  return { status: result.status, stdout: result.stdout, stderr: result.stderr };
+}
+
+test('analyze is the default command and prints the best investment', () => {
+  const { status, stdout } = run([SAVE]);
+  assert.strictEqual(status, 0);
+  assert.ok(stdout.includes('Factory'));
+});
+
+test('--json prints only the result on stdout', () => {
+  const { status, stdout, stderr } = run(['analyze', SAVE, '--json', '--strategy', 'payback']);
+  assert.strictEqual(status, 0);
+
+  const result = JSON.parse(stdout);
+  assert.strictEqual(result.command, 'analyze');
+  assert.strictEqual(result.strategy, 'PaybackStrategy');
+  assert.strictEqual(result.recommendation.displayName, 'Factory (#1)');
+  assert.ok(Array.isArray(result.alternatives));
+  assert.ok(stderr.includes('no price')); // Warnings go to stderr
+});
+
+test('command options reach the advisor', () => {
+  const plan = JSON.parse(run(['plan', SAVE, '--horizon', '600', '--json']).stdout);
+  assert.strictEqual(plan.command, 'plan');
+  assert.strictEqual(plan.horizonSeconds, 600);
+  assert.ok(plan.purchases.every(p => p.time <= 600));
+
+  const goal = JSON.parse(run(['time-to', SAVE, '--cps', '1000', '--json']).stdout);
+  assert.strictEqual(goal.command, 'time-to');
+  assert.ok(goal.time > 0 && isFinite(goal.time));
+
+  // "-" reads the save from stdin
+  const piped = run(['-', '--json'], fs.readFileSync(SAVE, 'utf8'));
+  assert.strictEqual(piped.status, 0);
+  assert.strictEqual(JSON.parse(piped.stdout).recommendation.name, 'Factory');
+});
+
+test('--help prints the usage', () => {
+  const { status, stdout } = run(['--help']);
+  assert.strictEqual(status, 0);
+  assert.ok(stdout.startsWith('Usage: cookie-advisor'));
+});
+
+test('unknown commands, unknown options and missing arguments are usage errors', () => {
+  const cases = [
+    [['frobnicate', SAVE], /Unknown command: frobnicate/],
+    [['analyze', SAVE, '--bogus'], /Unknown option '--bogus'/],
+    [['time-to', SAVE], /time-to needs one goal/],
+    [['diff', SAVE], /diff needs two snapshot files/],
+    [['analyze', '--json'], /No input/]
+  ];
+
+  for (const [args, message] of cases) {
+    const { status, stdout, stderr } = run(args);
+    assert.strictEqual(status, 2, args.join(' '));
+    assert.match(stderr, message);
+    assert.ok(stderr.includes('Usage: cookie-advisor'));
+    assert.strictEqual(stdout, '');
+  }
+});
+
+test('bad input fails with a message and no result', () => {
+  const cases = [
+    [['--save', 'not a save'], /Could not decode save string/],
+    [[path.join(__dirname, 'fixtures', 'missing.txt')], /ENOENT/],
+    [[SAVE, '--strategy', 'random'], /strategy/i]
+  ];
+
+  for (const [args, message] of cases) {
+    const { status, stdout, stderr } = run([...args, '--json']);
+    assert.strictEqual(status, 1, args.join(' '));
+    assert.match(stderr, message);
+    assert.strictEqual(stdout, '');
+  }
+});
@@ -0,0 +1,88 @@
+/**
+ * clickProfile.test.js
+ *
+ * Checks the click profile and measured click rate, and that they carry
+ * through to click upgrade and golden cookie values.
+ *
+ * Run: node --test tests/
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createMockGame } = require('./helpers/mockGame.js');
+const { quietly, gameStateFor } = require('./helpers/testUtils.js');
+
+// 1 CPS from cursors, 6 from grandmas; click upgrades valued by database and by description
+const gameState = gameStateFor({
+  cookies: 0,
+  buildings: { Cursor: 10, Grandma: 5 },
+  store: [
+    { name: 'Reinforced index finger', price: 100, desc: '' },
+    { name: 'Plastic mouse', price: 50000, desc: '' }
+  ]
+});
+
+const DEFAULT_PROFILE = Constants.DEFAULT_CLICK_PROFILE.toLowerCase();
+const deltaFor = name => quietly(() => CookieAdvisor.debug(gameState)).candidates.find(c => c.name === name).deltaCPS;
+const clickFrenzy = () => quietly(() => CookieAdvisor.goldenCookies(gameState)).perCookie.clickFrenzy;
+
+test('the click profile sets the click rate used to value clicks', t => {
+  t.after(() => quietly(() => CookieAdvisor.setClickProfile(DEFAULT_PROFILE)));
+
+  quietly(() => CookieAdvisor.setClickProfile('idle'));
+  assert.deepStrictEqual(CookieAdvisor.getClickRate(), { profile: 'idle', clicksPerSecond: 0 });
+  assert.strictEqual(deltaFor('Reinforced index finger'), 1); // Cursors only
+  assert.strictEqual(clickFrenzy(), 0); // Golden cookies are not clicked
+
+  quietly(() => CookieAdvisor.setClickProfile('active'));
+  assert.deepStrictEqual(CookieAdvisor.getClickRate(), { profile: 'active', clicksPerSecond: 6 });
+  assert.strictEqual(deltaFor('Reinforced index finger'), 1 + 6); // The click doubles too
+  assert.strictEqual(deltaFor('Plastic mouse'), 6 * 0.01 * 6); // +1% of CPS per click
+
+  const active = clickFrenzy();
+  quietly(() => CookieAdvisor.setClickProfile('casual'));
+  assert.ok(active > 0);
+  assert.ok(Math.abs(clickFrenzy() - active * 1.5 / 6) < 1e-9);
+
+  // A rate in the game state wins over the profile
+  const idle = { ...gameState, clicksPerSecond: 0 };
+  assert.strictEqual(quietly(() => CookieAdvisor.goldenCookies(idle)).perCookie.clickFrenzy, 0);
+});
+
+test('an unknown profile changes nothing', t => {
+  t.after(() => quietly(() => CookieAdvisor.setClickProfile(DEFAULT_PROFILE)));
+
+  quietly(() => CookieAdvisor.setClickProfile('autoclicker'));
+  quietly(() => CookieAdvisor.setClickProfile('turbo'));
+  assert.deepStrictEqual(CookieAdvisor.getClickRate(), { profile: 'autoclicker', clicksPerSecond: 20 });
+});
+
+test('measureClickRate samples the game\'s click count over the window', async t => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'] });
+  t.after(() => {
+    delete global.window;
+    quietly(() => CookieAdvisor.setClickProfile(DEFAULT_PROFILE));
+  });
+  global.window = { Game: { ...createMockGame({ cookies: 0 }), cookieClicks: 100 } };
+
+  const measuring = quietly(() => CookieAdvisor.measureClickRate(10));
+  window.Game.cookieClicks += 45;
+  t.mock.timers.tick(10000);
+
+  assert.strictEqual(await measuring, 4.5);
+  assert.deepStrictEqual(CookieAdvisor.getClickRate(), { profile: 'measured', clicksPerSecond: 4.5 });
+  assert.strictEqual(deltaFor('Reinforced index finger'), 1 + 4.5);
+});
+
+test('measureClickRate needs the game and a positive window', async () => {
+  const before = CookieAdvisor.getClickRate();
+  assert.strictEqual(await quietly(() => CookieAdvisor.measureClickRate(10)), null);
+
+  global.window = { Game: { ...createMockGame({ cookies: 0 }), cookieClicks: 0 } };
+  try {
+    assert.strictEqual(await quietly(() => CookieAdvisor.measureClickRate(0)), null);
+  } finally {
+    delete global.window;
+  }
+  assert.deepStrictEqual(CookieAdvisor.getClickRate(), before);
+});
@@ -0,0 +1,121 @@
+/**
+ * config.test.js
+ *
+ * Checks settings validation, persistence and CookieAdvisor.configure().
+ *
+ * Run: node --test tests/
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createMockGame } = require('./helpers/mockGame.js');
+const { quietly } = require('./helpers/testUtils.js');
+
+/**
+ * In-memory stand-in for localStorage.
+ *
+ * @returns {Object} getItem / setItem / removeItem backed by a Map
+ */
+function createStorage() {
+  const items = new Map();
+  return {
+    items: items,
+    getItem: key => items.has(key) ? items.get(key) : null,
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: key => items.delete(key)
+  };
+}
+
+/**
+ * A private copy of the configurable Constants to write into.
+ *
+ * @returns {Object} Target object
+ */
+function createTarget() {
+  return {
+    MAX_REASONABLE_ROI: 3600,
+    MIN_VALID_DELTA_CPS: 0.001,
+    TOP_ALTERNATIVES_COUNT: 5,
+    NUMBER_PRECISION: 2,
+    LUCKY_BANK_TARGET: 'lucky',
+    UPGRADE_ESTIMATES: { CONSERVATIVE_BOOST: 0.02, CLICK_UPGRADE_WEIGHT: 0.1, SYNERGY_MULTIPLIER: 0.5 }
+  };
+}
+
+test('validate reports every problem and set changes nothing when one is invalid', () => {
+  const target = createTarget();
+  const config = new Config({ storage: null, target: target });
+
+  assert.throws(
+    () => config.set({ MAX_REASONABLE_ROI: 7200, TOP_ALTERNATIVES_COUNT: 2.5, NOPE: 1, UPGRADE_ESTIMATES: { CONSERVATIVE_BOOST: -1 } }),
+    error => /TOP_ALTERNATIVES_COUNT/.test(error.message) &&
+      /"NOPE"/.test(error.message) &&
+      /UPGRADE_ESTIMATES\.CONSERVATIVE_BOOST/.test(error.message) &&
+      !/MAX_REASONABLE_ROI/.test(error.message)
+  );
+  assert.strictEqual(target.MAX_REASONABLE_ROI, 3600);
+  assert.throws(() => Config.validate(null), /must be an object/);
+  assert.throws(() => Config.validate({ MAX_REASONABLE_ROI: NaN }), /MAX_REASONABLE_ROI/);
+});
+
+test('set merges object settings and keeps the other fields', () => {
+  const target = createTarget();
+  const estimates = target.UPGRADE_ESTIMATES;
+  const config = new Config({ storage: null, target: target });
+
+  config.set({ UPGRADE_ESTIMATES: { CONSERVATIVE_BOOST: 0.05 } });
+  config.set({ UPGRADE_ESTIMATES: { SYNERGY_MULTIPLIER: 1 } });
+
+  assert.strictEqual(target.UPGRADE_ESTIMATES, estimates); // Updated in place
+  assert.deepStrictEqual(target.UPGRADE_ESTIMATES, { CONSERVATIVE_BOOST: 0.05, CLICK_UPGRADE_WEIGHT: 0.1, SYNERGY_MULTIPLIER: 1 });
+  assert.deepStrictEqual(config.getOverrides(), { UPGRADE_ESTIMATES: { CONSERVATIVE_BOOST: 0.05, SYNERGY_MULTIPLIER: 1 } });
+});
+
+test('overrides are saved and restored by the next session, Infinity included', () => {
+  const storage = createStorage();
+  new Config({ storage: storage, target: createTarget() }).set({ MAX_REASONABLE_ROI: Infinity, NUMBER_PRECISION: 0 });
+
+  const target = createTarget();
+  const restored = new Config({ storage: storage, target: target }).load();
+
+  assert.deepStrictEqual(restored.sort(), ['MAX_REASONABLE_ROI', 'NUMBER_PRECISION']);
+  assert.strictEqual(target.MAX_REASONABLE_ROI, Infinity);
+  assert.strictEqual(target.NUMBER_PRECISION, 0);
+});
+
+test('reset restores the defaults and deletes the saved settings', () => {
+  const storage = createStorage();
+  const target = createTarget();
+  const config = new Config({ storage: storage, target: target });
+
+  config.set({ TOP_ALTERNATIVES_COUNT: 1, UPGRADE_ESTIMATES: { CLICK_UPGRADE_WEIGHT: 0 } });
+  const values = config.reset();
+
+  assert.deepStrictEqual(values, createTarget());
+  assert.deepStrictEqual(target, createTarget());
+  assert.strictEqual(storage.items.size, 0);
+});
+
+test('invalid saved settings are ignored', () => {
+  const storage = createStorage();
+  const target = createTarget();
+  storage.setItem(Constants.CONFIG_STORAGE_KEY, '{"TOP_ALTERNATIVES_COUNT": -3}');
+
+  const restored = quietly(() => new Config({ storage: storage, target: target }).load());
+
+  assert.deepStrictEqual(restored, []);
+  assert.strictEqual(target.TOP_ALTERNATIVES_COUNT, 5);
+});
+
+test('configure applies to the next analysis and resetConfig undoes it', () => {
+  const gameState = new GameStateAdapter(createMockGame({ cookies: 0, buildings: { Cursor: 10, Grandma: 5 } })).getGameState();
+
+  assert.strictEqual(quietly(() => CookieAdvisor.configure({ MAX_REASONABLE_ROI: 1 })).MAX_REASONABLE_ROI, 1);
+  assert.strictEqual(CookieAdvisor.getRecommendation(gameState), null);
+  assert.strictEqual(quietly(() => CookieAdvisor.configure({ MAX_REASONABLE_ROI: 'soon' })), null);
+  assert.strictEqual(CookieAdvisor.getConfig().MAX_REASONABLE_ROI, 1);
+
+  quietly(() => CookieAdvisor.resetConfig());
+  assert.strictEqual(CookieAdvisor.getConfig().MAX_REASONABLE_ROI, 3600);
+  assert.strictEqual(CookieAdvisor.getRecommendation(gameState).name, 'Farm');
+});
@@ -0,0 +1,122 @@
+/**
+ * events.test.js
+ *
+ * Checks CookieAdvisor events (on/off) and candidate hooks.
+ *
+ * Run: node --test tests/
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createMockGame } = require('./helpers/mockGame.js');
+const { quietly, gameStateFor, EARLY } = require('./helpers/testUtils.js');
+
+const MINES = gameStateFor({ cookies: 0, buildings: { Cursor: 10, Grandma: 5, Mine: { amount: 1, multiplier: 100 } } });
+
+test('analysisComplete fires for every entry point with the ranked candidates', () => {
+  const payloads = [];
+  const handler = payload => payloads.push(payload);
+  CookieAdvisor.on('analysisComplete', handler);
+
+  quietly(() => CookieAdvisor.analyze(EARLY));
+  CookieAdvisor.getRecommendation(EARLY);
+  CookieAdvisor.getAllRecommendations(5, EARLY);
+  CookieAdvisor.off('analysisComplete', handler);
+  CookieAdvisor.getRecommendation(EARLY);
+
+  assert.strictEqual(payloads.length, 3);
+  assert.strictEqual(payloads[0].recommendations[0].name, 'Farm');
+  assert.ok(payloads[0].candidates.length >= payloads[0].recommendations.length);
+  assert.strictEqual(payloads[0].gameState.cookies, 0);
+});
+
+test('recommendationChanged fires when analyze picks a different purchase', (t) => {
+  const changes = [];
+  const handler = change => changes.push(change);
+  t.after(() => { delete global.window; });
+
+  global.window = { Game: createMockGame({ cookies: 0, buildings: { Cursor: 10, Grandma: 5 } }) };
+  quietly(() => CookieAdvisor.analyze());
+  CookieAdvisor.on('recommendationChanged', handler);
+  quietly(() => CookieAdvisor.analyze());
+  global.window = { Game: createMockGame({ cookies: 0, buildings: { Cursor: 10, Grandma: 5, Mine: { amount: 1, multiplier: 100 } } }) };
+  quietly(() => CookieAdvisor.analyze());
+  CookieAdvisor.off('recommendationChanged', handler);
+
+  assert.strictEqual(changes.length, 1);
+  assert.strictEqual(changes[0].previous.name, 'Farm');
+  assert.strictEqual(changes[0].current.name, 'Mine');
+});
+
+test('analyzing a given game state leaves the live recommendation alone', () => {
+  const changes = [];
+  const handler = change => changes.push(change);
+  const last = CookieAdvisor.getLastRecommendation();
+  const history = CookieAdvisor.getHistory();
+
+  CookieAdvisor.on('recommendationChanged', handler);
+  quietly(() => CookieAdvisor.analyze(EARLY));
+  quietly(() => CookieAdvisor.showAll(MINES));
+  CookieAdvisor.off('recommendationChanged', handler);
+
+  assert.deepStrictEqual(changes, []);
+  assert.strictEqual(CookieAdvisor.getLastRecommendation(), last);
+  assert.deepStrictEqual(CookieAdvisor.getHistory(), history);
+});
+
+test('candidate hooks post-process candidates before ranking', () => {
+  const noFarms = candidates => candidates.filter(c => c.name !== 'Farm');
+  CookieAdvisor.addCandidateHook(noFarms);
+  const withHook = CookieAdvisor.getRecommendation(EARLY);
+  CookieAdvisor.removeCandidateHook(noFarms);
+
+  assert.notStrictEqual(withHook.name, 'Farm');
+  assert.strictEqual(CookieAdvisor.getRecommendation(EARLY).name, 'Farm');
+});
+
+test('a hook that returns nothing keeps the candidates it was given', () => {
+  const seen = [];
+  const observe = (candidates, gameState) => { seen.push(gameState.cookies); };
+  CookieAdvisor.addCandidateHook(observe);
+  const top = CookieAdvisor.getRecommendation(EARLY);
+  CookieAdvisor.removeCandidateHook(observe);
+
+  assert.deepStrictEqual(seen, [0]);
+  assert.strictEqual(top.name, 'Farm');
+});
+
+test('error fires when the pipeline throws, and a failing listener does not break analysis', () => {
+  const errors = [];
+  const onError = payload => errors.push(payload);
+  const broken = () => { throw new Error('hook failed'); };
+  const badListener = () => { throw new Error('listener failed'); };
+
+  CookieAdvisor.on('error', onError);
+  CookieAdvisor.on('analysisComplete', badListener);
+  CookieAdvisor.addCandidateHook(broken);
+  const result = quietly(() => CookieAdvisor.analyze(EARLY));
+  CookieAdvisor.removeCandidateHook(broken);
+  const recovered = quietly(() => CookieAdvisor.analyze(EARLY));
+  CookieAdvisor.off('analysisComplete', badListener);
+  CookieAdvisor.off('error', onError);
+
+  assert.strictEqual(result, null);
+  assert.strictEqual(errors.length, 1);
+  assert.strictEqual(errors[0].source, 'analyze');
+  assert.strictEqual(errors[0].error.message, 'hook failed');
+  assert.strictEqual(recovered.name, 'Farm');
+});
+
+test('on rejects unknown events', () => {
+  const errors = [];
+  const original = { log: console.log, error: console.error };
+  console.log = () => {};
+  console.error = message => errors.push(message);
+  try {
+    CookieAdvisor.on('nope', () => {});
+  } finally {
+    Object.assign(console, original);
+  }
+
+  assert.strictEqual(errors.length, 1);
+});
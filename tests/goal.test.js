@@ -0,0 +1,101 @@
+/**
+ * goal.test.js
+ *
+ * Checks GoalPlanner and CookieAdvisor.timeTo() on mock games.
+ *
+ * Run: node --test tests/
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { quietly, gameStateFor, EARLY } = require('./helpers/testUtils.js');
+
+test('targets resolve to goals', () => {
+  const planner = new GoalPlanner(EARLY);
+
+  assert.deepStrictEqual(planner.resolveTarget(1e6), { type: 'cookies', amount: 1e6 });
+  assert.deepStrictEqual(planner.resolveTarget({ cps: 500 }), { type: 'cps', amount: 500 });
+  assert.deepStrictEqual(planner.resolveTarget(' mine '), { type: 'purchase', purchaseType: 'building', id: 'Mine', name: 'Mine' });
+  assert.throws(() => planner.resolveTarget('Nothing'), /not a building or an upgrade in the store/);
+  assert.throws(() => planner.resolveTarget({ cookies: -1 }), /cookies must be a positive number/);
+  assert.throws(() => planner.resolveTarget(null), /Target must be/);
+});
+
+test('investing first beats saving for a distant cookie goal', () => {
+  const result = quietly(() => CookieAdvisor.timeTo(1e5, EARLY));
+
+  assert.strictEqual(result.reached, true);
+  assert.strictEqual(result.waitTime, 1e5 / 6);
+  assert.ok(result.purchases.length > 0);
+  assert.ok(result.time < result.waitTime);
+  assert.strictEqual(result.savedSeconds, result.waitTime - result.time);
+  assert.ok(Math.abs(result.end.cookies - 1e5) < 1e-6 * 1e5);
+
+  result.purchases.forEach((purchase, index) => {
+    assert.ok(purchase.time <= result.time);
+    if (index > 0) {
+      assert.ok(purchase.time >= result.purchases[index - 1].time);
+    }
+  });
+});
+
+test('saving wins when the goal is close', () => {
+  const result = quietly(() => CookieAdvisor.timeTo('Farm', EARLY));
+
+  assert.deepStrictEqual(result.purchases, []);
+  assert.strictEqual(result.time, 1100 / 6);
+  assert.strictEqual(result.savedSeconds, 0);
+  assert.strictEqual(result.target.cost, 1100);
+});
+
+test('the path to a building does not buy that building on the way', () => {
+  const result = quietly(() => CookieAdvisor.timeTo('Mine', EARLY));
+
+  assert.ok(result.time < result.waitTime);
+  assert.ok(result.purchases.every(p => p.name !== 'Mine'));
+  assert.ok(result.end.cookies >= result.target.cost - 1e-6);
+});
+
+test('a CPS goal is reached by buying, never by waiting', () => {
+  const result = quietly(() => CookieAdvisor.timeTo({ cps: 100 }, EARLY));
+
+  assert.strictEqual(result.waitTime, Infinity);
+  assert.strictEqual(result.savedSeconds, null);
+  assert.ok(result.end.cookiesPerSecond >= 100);
+
+  const last = result.purchases[result.purchases.length - 1];
+  assert.strictEqual(result.time, last.time);
+  assert.ok(last.cookiesPerSecond - last.deltaCPS < 100);
+});
+
+test('goals already reached take no time', () => {
+  const rich = gameStateFor({ cookies: 5000, buildings: { Cursor: 10, Grandma: 5 } });
+
+  for (const target of [1000, 'Farm', { cps: 5 }]) {
+    const result = quietly(() => CookieAdvisor.timeTo(target, rich));
+    assert.strictEqual(result.time, 0);
+    assert.deepStrictEqual(result.purchases, []);
+  }
+});
+
+test('unreachable goals are reported, not looped on', () => {
+  const result = new GoalPlanner(EARLY).findPath({ type: 'cps', amount: 1e30 }, 20);
+
+  assert.strictEqual(result.reached, false);
+  assert.strictEqual(result.time, Infinity);
+  assert.strictEqual(result.purchases.length, 20);
+});
+
+test('timeTo applies candidate hooks and rejects invalid targets', () => {
+  const noFarms = candidates => candidates.filter(c => c.name !== 'Farm');
+  CookieAdvisor.addCandidateHook(noFarms);
+  const result = quietly(() => CookieAdvisor.timeTo(1e5, EARLY));
+  CookieAdvisor.removeCandidateHook(noFarms);
+
+  assert.ok(result.purchases.length > 0);
+  assert.ok(result.purchases.every(p => p.name !== 'Farm'));
+
+  for (const target of ['Nothing', -1, { cps: 'lots' }, undefined]) {
+    assert.strictEqual(quietly(() => CookieAdvisor.timeTo(target, EARLY)), null);
+  }
+});
@@ -0,0 +1,115 @@
+/**
+ * golden.test.js
+ *
+ * Checks GoldenCookieAnalyzer, golden upgrade values and Lucky bank flags
+ * on mock games.
+ *
+ * Run: node --test tests/
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { quietly, gameStateFor, EARLY } = require('./helpers/testUtils.js');
+
+test('golden cookie upgrades owned speed up spawns and lengthen effects', () => {
+  const base = new GoldenCookieAnalyzer(EARLY);
+  const lucky = new GoldenCookieAnalyzer({ ...EARLY, ownedUpgrades: ['Lucky day', 'Serendipity', 'Get lucky'] });
+
+  assert.deepStrictEqual(base.getModifiers(), { spawn: 1, duration: 1, gain: 1 });
+  assert.deepStrictEqual(lucky.getModifiers(), { spawn: 0.25, duration: 2, gain: 1 });
+
+  // Mean of the game's spawn chance: about 7.4 minutes, a quarter of it with both spawn upgrades
+  const spawn = base.getAverageSpawnSeconds();
+  assert.ok(spawn > 440 && spawn < 450);
+  const faster = lucky.getAverageSpawnSeconds();
+  assert.ok(faster > 75 && faster < spawn / 3);
+});
+
+test('Lucky pays 15% of the bank up to 15 minutes of CPS', () => {
+  const analyzer = new GoldenCookieAnalyzer(EARLY);
+
+  assert.deepStrictEqual(analyzer.getBankTargets(), { lucky: 6 * 6000, frenzy: 6 * 42000 });
+  assert.strictEqual(analyzer.getLuckyPayout(10000), 1500 + 13);
+  assert.strictEqual(analyzer.getLuckyPayout(1e9), 6 * 900 + 13);
+});
+
+test('income is the expected value per golden cookie over the time between them', () => {
+  const analyzer = new GoldenCookieAnalyzer(EARLY);
+  const value = analyzer.getExpectedValue();
+
+  assert.strictEqual(value.frenzy, 0.44 * 6 * 6 * 77);
+  assert.strictEqual(value.total, value.frenzy + value.lucky + value.clickFrenzy);
+  assert.strictEqual(analyzer.getIncome(), value.total / analyzer.getAverageSpawnSeconds());
+
+  const idle = new GoldenCookieAnalyzer({ ...EARLY, clicksPerSecond: 0 });
+  assert.strictEqual(idle.getIncome(), 0);
+});
+
+test('golden cookie upgrades are valued by the income they add', () => {
+  const gameState = gameStateFor({
+    cookies: 0,
+    buildings: { Cursor: 10, Grandma: 5 },
+    store: [{ name: 'Lucky day', price: 777777, desc: 'Golden cookies appear twice as often.' }]
+  });
+  const candidate = new EconomicModel(gameState).getAllCandidates().find(c => c.name === 'Lucky day');
+  const analyzer = new GoldenCookieAnalyzer(gameState);
+
+  assert.strictEqual(candidate.estimationMethod, 'database');
+  assert.ok(candidate.deltaCPS > 0);
+  assert.strictEqual(candidate.deltaCPS, analyzer.getIncome(analyzer.getModifiers({ spawn: 0.5 })) - analyzer.getIncome());
+});
+
+test('recommendations that drop the bank below the Lucky bank are flagged', (t) => {
+  t.after(() => quietly(() => CookieAdvisor.resetConfig()));
+
+  // 40K in the bank, Lucky bank 36K: anything over 4K dips into it
+  const banked = gameStateFor({ cookies: 40000, buildings: { Cursor: 10, Grandma: 5 } });
+  const recommendations = quietly(() => CookieAdvisor.getAllRecommendations(10, banked));
+  const flagged = recommendations.filter(r => r.bankWarning);
+  assert.ok(flagged.length > 0);
+  assert.ok(recommendations.some(r => !r.bankWarning));
+  for (const recommendation of recommendations) {
+    const warning = recommendation.bankWarning;
+    if (recommendation.cost <= 4000) {
+      assert.strictEqual(warning, undefined, recommendation.displayName);
+      continue;
+    }
+    assert.strictEqual(warning.target, 'lucky');
+    assert.strictEqual(warning.bank, 36000);
+    assert.strictEqual(warning.bankAfter, Math.max(0, 40000 - recommendation.cost));
+    assert.strictEqual(warning.timeToKeepBank, (recommendation.cost + 36000 - 40000) / 6);
+  }
+
+  // Below the Lucky bank already: nothing to keep, nothing flagged
+  const poor = quietly(() => CookieAdvisor.getAllRecommendations(5, EARLY));
+  assert.ok(poor.length > 0);
+  assert.ok(poor.every(r => r.bankWarning === undefined));
+
+  const rich = gameStateFor({ cookies: 1e6, buildings: { Cursor: 10, Grandma: 5 } });
+  const top = quietly(() => CookieAdvisor.getRecommendation(rich));
+  assert.strictEqual(top.bankWarning, undefined);
+
+  const idle = quietly(() => CookieAdvisor.getRecommendation({ ...EARLY, clicksPerSecond: 0 }));
+  assert.strictEqual(idle.bankWarning, undefined);
+
+  quietly(() => CookieAdvisor.configure({ LUCKY_BANK_TARGET: 'frenzy' }));
+  const frenzyBanked = { ...banked, cookies: 6 * 42000 };
+  assert.strictEqual(quietly(() => CookieAdvisor.getRecommendation(frenzyBanked)).bankWarning.bank, 6 * 42000);
+
+  quietly(() => CookieAdvisor.configure({ LUCKY_BANK_TARGET: 'none' }));
+  assert.ok(quietly(() => CookieAdvisor.getAllRecommendations(10, banked)).every(r => r.bankWarning === undefined));
+
+  assert.strictEqual(quietly(() => CookieAdvisor.configure({ LUCKY_BANK_TARGET: 'huge' })), null);
+});
+
+test('goldenCookies reports income and banks', () => {
+  const report = quietly(() => CookieAdvisor.goldenCookies(EARLY));
+
+  assert.deepStrictEqual(report.upgrades, []);
+  assert.strictEqual(report.clicking, true);
+  assert.strictEqual(report.bank.lucky, 36000);
+  assert.strictEqual(report.bank.frenzy, 252000);
+  assert.strictEqual(report.lucky.payout, 13);
+  assert.strictEqual(report.lucky.maxPayout, 6 * 900 + 13);
+  assert.strictEqual(report.percentOfCps, report.perSecond / 6 * 100);
+});
@@ -0,0 +1,105 @@
+/**
+ * heavenly.test.js
+ *
+ * Checks the heavenly upgrade tree from GameStateAdapter, HeavenlyPlanner
+ * and CookieAdvisor.heavenlyUpgrades() on mock games.
+ *
+ * Run: node --test tests/
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { quietly, gameStateFor } = require('./helpers/testUtils.js');
+
+// A corner of the game's tree (prices in heavenly chips)
+const TREE = [
+  { name: 'Legacy', price: 1, parents: [] },
+  { name: 'Heavenly cookies', price: 3, parents: ['Legacy'] },
+  { name: 'Persistent memory', price: 5, parents: ['Legacy'] },
+  { name: 'How to bake your dragon', price: 9, parents: ['Legacy'] },
+  { name: 'Heavenly chip secret', price: 11, parents: ['Legacy'] },
+  { name: 'Heavenly cookie stand', price: 1111, parents: ['Heavenly chip secret'] },
+  { name: 'Twin Gates of Transcendence', price: 7, parents: ['Legacy'] },
+  { name: 'Angels', price: 77, parents: ['Twin Gates of Transcendence'] },
+  { name: 'Box of brand biscuits', price: 25, parents: ['Legacy'] }
+];
+
+/**
+ * @param {Object} spec - { chips, prestige, bought: names }
+ * @returns {Object} Game state with TREE
+ */
+function stateFor({ chips = 0, prestige = 100, bought = [] }) {
+  const heavenly = TREE.map(upgrade => ({ ...upgrade, bought: bought.includes(upgrade.name) }));
+  return gameStateFor({
+    cookies: 0,
+    buildings: { Cursor: 10 },
+    prestige: prestige,
+    heavenlyChips: chips,
+    heavenly: heavenly
+  });
+}
+
+test('the adapter reads the heavenly upgrade tree', () => {
+  const gameState = stateFor({ chips: 50, bought: ['Legacy'] });
+  const gates = gameState.heavenlyUpgrades.find(u => u.name === 'Angels');
+
+  assert.strictEqual(gameState.heavenlyUpgrades.length, TREE.length);
+  assert.deepStrictEqual(gates.parents, ['Twin Gates of Transcendence']);
+  assert.strictEqual(gates.cost, 77);
+  assert.strictEqual(gates.bought, false);
+  assert.ok(gameState.ownedUpgrades.includes('Legacy'));
+  assert.deepStrictEqual(gameStateFor({ cookies: 0 }).heavenlyUpgrades, []);
+});
+
+test('paths buy the missing parents first', () => {
+  const planner = new HeavenlyPlanner(stateFor({}));
+
+  assert.deepStrictEqual(planner.getPath('Angels').map(u => u.name), ['Legacy', 'Twin Gates of Transcendence', 'Angels']);
+  assert.deepStrictEqual(planner.getPath('Angels', new Set(['Legacy'])).map(u => u.name), ['Twin Gates of Transcendence', 'Angels']);
+  assert.strictEqual(planner.getPath('Nothing'), null);
+});
+
+test('goals rank permanent CPS, then offline production, then unlocks', () => {
+  const planner = new HeavenlyPlanner(stateFor({ bought: ['Legacy'] }));
+  const goals = planner.rankGoals();
+
+  assert.deepStrictEqual(goals.map(goal => goal.name), [
+    'Heavenly cookies',            // +10% for 3 chips
+    'Heavenly chip secret',        // +5% (5% of prestige 100 × 1%) for 11
+    'Heavenly cookie stand',       // +20% for 1122 (with its parent)
+    'Twin Gates of Transcendence',
+    'Angels',
+    'Persistent memory',           // Unlocks: cheapest first
+    'How to bake your dragon'
+  ]);
+  assert.strictEqual(goals[2].cost, 11 + 1111);
+  assert.strictEqual(goals[1].value, 5);
+
+  // Prestige bonus upgrades are worth nothing without prestige
+  const fresh = new HeavenlyPlanner(stateFor({ prestige: 0 })).rankGoals();
+  assert.ok(!fresh.some(goal => goal.name === 'Heavenly chip secret'));
+});
+
+test('the plan spends chips in order and names the next goal to save for', () => {
+  const plan = new HeavenlyPlanner(stateFor({ chips: 40 })).plan();
+
+  assert.deepStrictEqual(plan.recommendations.map(r => r.name), [
+    'Heavenly cookies', 'Heavenly chip secret', 'Twin Gates of Transcendence', 'Persistent memory', 'How to bake your dragon'
+  ]);
+  assert.deepStrictEqual(plan.recommendations[0].purchases, [{ name: 'Legacy', cost: 1 }, { name: 'Heavenly cookies', cost: 3 }]);
+  assert.strictEqual(plan.recommendations[0].chipsLeft, 36);
+  assert.strictEqual(plan.recommendations[4].chipsLeft, 4);
+
+  // Angels (77) is out of reach after that; the cookie stand still ranks first
+  assert.strictEqual(plan.saving.name, 'Heavenly cookie stand');
+  assert.strictEqual(plan.saving.chipsNeeded, 1111 - 4);
+});
+
+test('heavenlyUpgrades plans from the game state', () => {
+  const plan = quietly(() => CookieAdvisor.heavenlyUpgrades(stateFor({ chips: 4 })));
+  assert.strictEqual(plan.chips, 4);
+  assert.deepStrictEqual(plan.recommendations.map(r => r.name), ['Heavenly cookies']);
+
+  const none = gameStateFor({ cookies: 0 });
+  assert.strictEqual(quietly(() => CookieAdvisor.heavenlyUpgrades(none)), null);
+});
@@ -0,0 +1,117 @@
+/**
+ * fakeDocument.js
+ *
+ * A minimal stand-in for the browser document, enough for the renderers
+ * that draw in the page (StoreHighlighter, OverlayRenderer): elements with
+ * ids, classes, text, children, click listeners and removal, and lookups by
+ * id or by a single class selector ('.name').
+ *
+ * Usage:
+ *   const document = createFakeDocument();
+ *   document.body.appendChild(document.createElement('div'));
+ */
+
+class FakeElement {
+  /**
+   * @param {string} tagName - Tag name
+   * @param {Object} document - Owning fake document
+   */
+  constructor(tagName, document) {
+    this.tagName = tagName.toUpperCase();
+    this.ownerDocument = document;
+    this.parentNode = null;
+    this.children = [];
+    this.id = '';
+    this.className = '';
+    this.title = '';
+    this.style = {};
+    this.listeners = {};
+    this.text = '';
+  }
+
+  get textContent() {
+    return this.text + this.children.map(child => child.textContent).join('');
+  }
+
+  // Like the DOM: setting text replaces the children
+  set textContent(text) {
+    this.children.forEach(child => { child.parentNode = null; });
+    this.children = [];
+    this.text = String(text);
+  }
+
+  get classList() {
+    const classes = () => this.className.split(' ').filter(Boolean);
+    return {
+      add: name => { this.className = [...new Set([...classes(), name])].join(' '); },
+      remove: name => { this.className = classes().filter(c => c !== name).join(' '); },
+      contains: name => classes().includes(name)
+    };
+  }
+
+  get isConnected() {
+    let node = this;
+    while (node.parentNode) {
+      node = node.parentNode;
+    }
+    return node === this.ownerDocument.documentElement;
+  }
+
+  appendChild(child) {
+    child.remove();
+    child.parentNode = this;
+    this.children.push(child);
+    return child;
+  }
+
+  remove() {
+    if (this.parentNode) {
+      this.parentNode.children = this.parentNode.children.filter(child => child !== this);
+      this.parentNode = null;
+    }
+  }
+
+  addEventListener(type, listener) {
+    (this.listeners[type] = this.listeners[type] || []).push(listener);
+  }
+
+  click() {
+    (this.listeners.click || []).forEach(listener => listener({ type: 'click', target: this }));
+  }
+
+  /**
+   * @param {string} selector - '.className' (the only selector supported)
+   * @returns {Array<FakeElement>} Descendants with that class, in document order
+   */
+  querySelectorAll(selector) {
+    const name = selector.replace(/^\./, '');
+    return this.descendants().filter(element => element.classList.contains(name));
+  }
+
+  querySelector(selector) {
+    return this.querySelectorAll(selector)[0] || null;
+  }
+
+  descendants() {
+    return this.children.flatMap(child => [child, ...child.descendants()]);
+  }
+}
+
+/**
+ * Creates an empty fake document with head and body.
+ *
+ * @returns {Object} { documentElement, head, body, createElement, getElementById, querySelectorAll, querySelector }
+ */
+function createFakeDocument() {
+  const document = {};
+  document.documentElement = new FakeElement('html', document);
+  document.head = document.documentElement.appendChild(new FakeElement('head', document));
+  document.body = document.documentElement.appendChild(new FakeElement('body', document));
+  document.createElement = tagName => new FakeElement(tagName, document);
+  document.getElementById = id => document.documentElement.descendants().find(element => element.id === id) || null;
+  document.querySelectorAll = selector => document.documentElement.querySelectorAll(selector);
+  document.querySelector = selector => document.documentElement.querySelector(selector);
+  return document;
+}
+
+module.exports = { createFakeDocument };
@@ -0,0 +1,183 @@
+/**
+ * mockGame.js
+ *
+ * Builds mock Cookie Clicker Game objects for tests. The result has the
+ * parts of window.Game the advisor reads, in the same shape:
+ * Objects with cps() functions, storedCps (per building) and storedTotalCps,
+ * UpgradesInStore with getPrice(), UpgradesById, buffs, click stats,
+ * prestige stats and heavenly upgrades (parents linked as objects).
+ *
+ * Spec (every field optional):
+ *   {
+ *     cookies: 1000,
+ *     buildings: { Cursor: 10, Grandma: { amount: 5, multiplier: 2 } },
+ *     store: [{ name: 'Cheap hoes', price: 11000, desc: 'Farms are twice as efficient.' }],
+ *     owned: ['Forwards from grandma'],     // Bought upgrade names
+ *     globalCpsMult: 1,                     // Multiplier on every building
+ *     milk: 0,                              // Game.milkProgress
+ *     buffs: { Frenzy: { multCpS: 7, time: 30 * 77 } },
+ *     cookieClicks: 0,
+ *     computedMouseCps: 1,
+ *     cookiesEarned: 0,                     // This ascension
+ *     cookiesReset: 0,                      // Previous ascensions
+ *     prestige: 0,
+ *     heavenlyChips: 0,
+ *     startDate: undefined,                 // Game.startDate (ms timestamp)
+ *     heavenly: [{ name: 'Legacy', price: 1, parents: [], bought: true }],  // 'prestige' pool
+ *     legacy: false,                        // Old shape: storedCps holds the total
+ *     modApi: false,                        // Add registerMod/registerHook (see below)
+ *     modSaveData: {}                       // Mod id → saved text, loaded on registerMod
+ *   }
+ *
+ * Building multipliers are given explicitly; they are not derived from
+ * owned upgrades, so tests control exactly what the game would report.
+ *
+ * With modApi, registerMod(id, mod) behaves like the game's once it has
+ * loaded: it calls mod.init(), then mod.load(data) if the save has data for
+ * the id. Hooks are collected in game.modHooks[name]; tests call them.
+ */
+
+require('../../src/index.js');
+
+/**
+ * Builds one Game.Objects entry.
+ *
+ * @param {string} name - Building name
+ * @param {number} id - Building id (position in Constants.BUILDINGS)
+ * @param {number|Object} spec - Amount, or { amount, multiplier }
+ * @param {Object} options - { cookies, legacy }
+ * @returns {Object} Mock building
+ */
+function createMockBuilding(name, id, spec, options) {
+  const { amount = 0, multiplier = 1 } = typeof spec === 'number' ? { amount: spec } : (spec || {});
+  const stats = Constants.BUILDING_STATS[name];
+  const perUnit = stats.baseCPS * multiplier;
+
+  const building = {
+    id: id,
+    name: name,
+    amount: amount,
+    bought: amount,
+    price: stats.basePrice * Math.pow(Constants.BUILDING_PRICE_GROWTH, amount),
+    basePrice: stats.basePrice,
+    cps: () => perUnit,
+    unlocked: amount > 0 || options.cookies >= stats.basePrice ? 1 : 0
+  };
+
+  if (options.legacy) {
+    building.storedCps = perUnit * amount;
+  } else {
+    building.baseCps = stats.baseCPS;
+    building.storedCps = perUnit;
+    building.storedTotalCps = perUnit * amount;
+  }
+
+  return building;
+}
+
+/**
+ * Adds the modding API parts of Game: registerMod, registerHook, mods and
+ * modSaveData.
+ *
+ * @param {Object} game - Mock game
+ * @param {Object} modSaveData - Mod id → saved text
+ */
+function addModApi(game, modSaveData) {
+  game.mods = {};
+  game.modSaveData = modSaveData;
+  game.modHooks = {};
+  game.registerHook = (name, fn) => {
+    (game.modHooks[name] = game.modHooks[name] || []).push(fn);
+  };
+  game.registerMod = (id, mod) => {
+    if (game.mods[id]) {
+      return false;
+    }
+    game.mods[id] = mod;
+    mod.init();
+    if (game.modSaveData[id]) {
+      mod.load(game.modSaveData[id]);
+    }
+    return true;
+  };
+}
+
+/**
+ * Builds a mock Game object from a spec (see file header).
+ *
+ * @param {Object} spec - Mock game description
+ * @returns {Object} Mock Game object accepted by Validators.isValidGameObject
+ */
+function createMockGame(spec = {}) {
+  const cookies = spec.cookies || 0;
+  const globalCpsMult = spec.globalCpsMult || 1;
+  const buildingSpecs = spec.buildings || {};
+
+  const Objects = {};
+  Constants.BUILDINGS.forEach((name, id) => {
+    Objects[name] = createMockBuilding(name, id, buildingSpecs[name], { cookies, legacy: spec.legacy });
+  });
+
+  const buffs = {};
+  let buffMultiplier = 1;
+  for (const [name, buff] of Object.entries(spec.buffs || {})) {
+    buffs[name] = { name: name, multCpS: 1, multClick: 1, time: 0, ...buff };
+    buffMultiplier *= buffs[name].multCpS;
+  }
+
+  const buildingTotal = Object.values(Objects)
+    .reduce((sum, b) => sum + (spec.legacy ? b.storedCps : b.storedTotalCps), 0);
+
+  const game = {
+    cookies: cookies,
+    cookiesPs: buildingTotal * globalCpsMult * buffMultiplier,
+    cookieClicks: spec.cookieClicks || 0,
+    computedMouseCps: spec.computedMouseCps || 1,
+    milkProgress: spec.milk || 0,
+    cookiesEarned: spec.cookiesEarned || 0,
+    cookiesReset: spec.cookiesReset || 0,
+    prestige: spec.prestige || 0,
+    heavenlyChips: spec.heavenlyChips || 0,
+    startDate: spec.startDate,
+    fps: 30,
+    buffs: buffs,
+    Objects: Objects,
+    UpgradesInStore: (spec.store || []).map(upgrade => ({
+      name: upgrade.name,
+      getPrice: () => upgrade.price,
+      desc: upgrade.desc || '',
+      ddesc: upgrade.desc || '',
+      pool: upgrade.pool || '',
+      unlocked: 1,
+      bought: 0
+    })),
+    UpgradesById: (spec.owned || []).map((name, id) => ({ id: id, name: name, bought: 1, unlocked: 1 }))
+  };
+
+  const heavenly = (spec.heavenly || []).map(upgrade => ({
+    name: upgrade.name,
+    basePrice: upgrade.price,
+    getPrice: () => upgrade.price,
+    desc: upgrade.desc || '',
+    pool: 'prestige',
+    parents: upgrade.parents || [],
+    bought: upgrade.bought ? 1 : 0,
+    unlocked: 1
+  }));
+  for (const upgrade of heavenly) {
+    upgrade.id = game.UpgradesById.push(upgrade) - 1;
+    upgrade.parents = upgrade.parents.map(name => heavenly.find(parent => parent.name === name));
+  }
+
+  if (!spec.legacy) {
+    game.globalCpsMult = globalCpsMult * buffMultiplier;
+  }
+
+  if (spec.modApi) {
+    addModApi(game, spec.modSaveData || {});
+  }
+
+  return game;
+}
+
+module.exports = { createMockGame, createMockBuilding };
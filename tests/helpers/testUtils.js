@@ -0,0 +1,43 @@
+/**
+ * testUtils.js
+ *
+ * Small helpers shared by the test files: silencing the advisor's console
+ * output, and normalized game states built from createMockGame() specs.
+ *
+ * Usage:
+ *   const { quietly, gameStateFor, EARLY } = require('./helpers/testUtils.js');
+ *   const top = quietly(() => CookieAdvisor.analyze(EARLY));
+ */
+
+const { createMockGame } = require('./mockGame.js');
+
+/**
+ * Runs fn with console output silenced.
+ *
+ * @param {Function} fn - Code to run
+ * @returns {*} fn's return value
+ */
+function quietly(fn) {
+  const original = { log: console.log, warn: console.warn, error: console.error };
+  console.log = console.warn = console.error = () => {};
+  try {
+    return fn();
+  } finally {
+    Object.assign(console, original);
+  }
+}
+
+/**
+ * Reads a mock game the way the advisor reads window.Game.
+ *
+ * @param {Object} spec - createMockGame() spec
+ * @returns {Object} Normalized game state
+ */
+function gameStateFor(spec) {
+  return new GameStateAdapter(createMockGame(spec)).getGameState();
+}
+
+// 6 CPS: 10 cursors (1) and 5 grandmas (5), no cookies; Farm is the best investment
+const EARLY = gameStateFor({ cookies: 0, buildings: { Cursor: 10, Grandma: 5 } });
+
+module.exports = { quietly, gameStateFor, EARLY };
@@ -0,0 +1,55 @@
+/**
+ * lookahead.test.js
+ *
+ * Checks LookaheadStrategy against greedy ranking on a mock game, and the
+ * common horizon its purchase sequences are compared over.
+ *
+ * Run: node --test tests/
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { EARLY } = require('./helpers/testUtils.js');
+
+// Early game, buildings up to the Farm: no cookies, 6 CPS
+const candidates = new EconomicModel(EARLY).getAllCandidates()
+  .filter(c => ['Cursor', 'Grandma', 'Farm'].includes(c.name));
+const greedy = StrategyEngine.createStrategy('greedy').evaluate(candidates, EARLY);
+const lookahead = new LookaheadStrategy(3).evaluate(candidates, EARLY);
+
+test('lookahead buys the Grandma first where greedy saves up for the Farm', () => {
+  assert.deepStrictEqual(greedy.map(c => c.displayName), ['Farm (#1)', 'Grandma (#6)', 'Cursor (#11)']);
+  assert.deepStrictEqual(lookahead.map(c => c.displayName), ['Grandma (#6)', 'Farm (#1)', 'Cursor (#11)']);
+
+  // The Grandma is affordable sooner and pays for part of the Farm
+  const [grandma, farm] = lookahead;
+  assert.deepStrictEqual(grandma.lookahead.sequence, ['Grandma', 'Farm', 'Farm']);
+  assert.deepStrictEqual(farm.lookahead.sequence, ['Farm', 'Farm', 'Farm']);
+  assert.ok(grandma.lookahead.simulatedTime < farm.lookahead.simulatedTime);
+  assert.ok(grandma.lookahead.cookiesBaked > farm.lookahead.cookiesBaked);
+});
+
+test('sequences are compared over the longest one, baking at their final CPS after it ends', () => {
+  const horizon = Math.max(...lookahead.map(c => c.lookahead.simulatedTime));
+  assert.strictEqual(horizon, lookahead.find(c => c.name === 'Farm').lookahead.simulatedTime);
+
+  for (const candidate of lookahead) {
+    // Replay the sequence, then bake until the horizon
+    const simulator = new PurchaseSimulator(EARLY);
+    for (const name of candidate.lookahead.sequence) {
+      const next = simulator.getCandidates().find(c => c.name === name && !c.informational);
+      assert.ok(simulator.waitAndBuy(next), name);
+    }
+    assert.ok(Math.abs(simulator.time - candidate.lookahead.simulatedTime) < 1e-9);
+    assert.strictEqual(simulator.state.cookiesPerSecond, candidate.lookahead.finalCPS);
+
+    simulator.advance(horizon - simulator.time);
+    assert.ok(Math.abs(simulator.cookiesBaked - candidate.lookahead.cookiesBaked) < 1e-6, candidate.name);
+  }
+});
+
+test('depth 1 looks no further than the first purchase', () => {
+  const single = new LookaheadStrategy(1).evaluate(candidates, EARLY);
+  assert.ok(single.every(c => c.lookahead.sequence.length === 1));
+  assert.throws(() => new LookaheadStrategy(0), /positive integer/);
+});
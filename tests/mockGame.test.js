@@ -0,0 +1,80 @@
+/**
+ * mockGame.test.js
+ *
+ * Checks that mock games look like the real Game object to the validators
+ * and the GameStateAdapter.
+ *
+ * Run: node --test tests/
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createMockGame } = require('./helpers/mockGame.js');
+
+test('mock game passes the validators', () => {
+  const game = createMockGame({
+    cookies: 1000,
+    buildings: { Cursor: 10, Grandma: 5 },
+    store: [{ name: 'Cheap hoes', price: 11000, desc: 'Farms are <b>twice</b> as efficient.' }]
+  });
+
+  assert.ok(Validators.isValidGameObject(game));
+  Object.values(game.Objects).forEach(building => assert.ok(Validators.isValidBuilding(building), building.name));
+  game.UpgradesInStore.forEach(upgrade => assert.ok(Validators.isValidUpgrade(upgrade), upgrade.name));
+});
+
+test('mock game has every building, locked until affordable', () => {
+  const game = createMockGame({ cookies: 120, buildings: { Cursor: 1 } });
+
+  assert.deepStrictEqual(Object.keys(game.Objects), Constants.BUILDINGS);
+  assert.strictEqual(game.Objects.Cursor.unlocked, 1);
+  assert.strictEqual(game.Objects.Grandma.unlocked, 1);
+  assert.strictEqual(game.Objects.Farm.unlocked, 0);
+});
+
+test('adapter reads per-unit CPS, global multiplier and click power', () => {
+  const game = createMockGame({
+    buildings: { Grandma: { amount: 10, multiplier: 4 } },
+    globalCpsMult: 1.5,
+    computedMouseCps: 3
+  });
+  const gameState = new GameStateAdapter(game).getGameState();
+  const grandma = gameState.buildings.find(b => b.name === 'Grandma');
+
+  assert.strictEqual(grandma.perUnitCPS, 4);
+  assert.strictEqual(grandma.totalCPS, 40);
+  assert.strictEqual(grandma.multiplier, 4);
+  assert.strictEqual(gameState.globalMultiplier, 1.5);
+  assert.strictEqual(gameState.cookiesPerSecond, 60);
+  assert.strictEqual(gameState.cookiesPerClick, 3);
+});
+
+test('adapter removes active buffs from the baseline', () => {
+  const game = createMockGame({
+    buildings: { Cursor: 10 },
+    buffs: { Frenzy: { multCpS: 7, time: 30 * 77 } }
+  });
+  const gameState = new GameStateAdapter(game).getGameState();
+
+  assert.strictEqual(gameState.buffMultiplier, 7);
+  assert.strictEqual(gameState.globalMultiplier, 1);
+  assert.ok(Math.abs(gameState.cookiesPerSecond - 1) < 1e-9);
+  assert.ok(Math.abs(gameState.currentCPS - 7) < 1e-9);
+  assert.strictEqual(gameState.buffs[0].timeLeft, 77);
+});
+
+test('adapter reads the legacy storedCps shape', () => {
+  const game = createMockGame({ buildings: { Farm: { amount: 4, multiplier: 2 } }, legacy: true });
+  const gameState = new GameStateAdapter(game).getGameState();
+  const farm = gameState.buildings.find(b => b.name === 'Farm');
+
+  assert.strictEqual(farm.totalCPS, 64);
+  assert.strictEqual(farm.perUnitCPS, 16);
+});
+
+test('owned upgrades come from UpgradesById', () => {
+  const game = createMockGame({ owned: ['Forwards from grandma'] });
+  const gameState = new GameStateAdapter(game).getGameState();
+
+  assert.deepStrictEqual(gameState.ownedUpgrades, ['Forwards from grandma']);
+});
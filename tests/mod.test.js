@@ -0,0 +1,137 @@
+/**
+ * mod.test.js
+ *
+ * Checks the tick scheduler and registration as a Cookie Clicker mod
+ * (save/load hooks, logic hook) on a mock game with the modding API.
+ *
+ * Run: node --test tests/
+ */
+
+const { test, mock } = require('node:test');
+const assert = require('node:assert');
+const { createMockGame } = require('./helpers/mockGame.js');
+const { quietly } = require('./helpers/testUtils.js');
+
+test('the scheduler uses setInterval until attached to the logic hook', (t) => {
+  mock.timers.enable({ apis: ['setInterval'] });
+  t.after(() => mock.timers.reset());
+
+  const scheduler = new TickScheduler();
+  let runs = 0;
+  scheduler.every(1000, () => runs++);
+
+  mock.timers.tick(1000);
+  assert.strictEqual(runs, 1);
+
+  const game = createMockGame({ modApi: true });
+  assert.strictEqual(scheduler.attach(game), true);
+  assert.strictEqual(scheduler.attach(game), false);
+  assert.strictEqual(game.modHooks.logic.length, 1);
+
+  mock.timers.tick(5000); // Timers no longer run the task
+  assert.strictEqual(runs, 1);
+});
+
+test('ticks run only the tasks that are due', (t) => {
+  mock.timers.enable({ apis: ['Date'] }); // every() and the ticks below must see the same clock
+  t.after(() => mock.timers.reset());
+  const scheduler = new TickScheduler();
+  const runs = [];
+  const start = Date.now();
+  scheduler.every(1000, () => runs.push('fast'));
+  const slow = scheduler.every(5000, () => runs.push('slow'));
+  scheduler.attach(createMockGame({ modApi: true }));
+
+  scheduler.tick(start + 500);
+  scheduler.tick(start + 1000);
+  scheduler.tick(start + 1500);
+  scheduler.tick(start + 5000);
+  scheduler.cancel(slow);
+  scheduler.tick(start + 10000);
+
+  assert.deepStrictEqual(runs, ['fast', 'fast', 'slow', 'fast']);
+});
+
+// One game for the whole file: the advisor registers once, with the first game it sees
+const game = createMockGame({ cookies: 0, buildings: { Cursor: 10, Grandma: 5 }, modApi: true });
+
+test('the advisor registers as a mod and keeps its state in the save', (t) => {
+  global.window = { Game: game };
+  t.after(() => {
+    quietly(() => {
+      CookieAdvisor.stopMonitor();
+      CookieAdvisor.resetConfig();
+    });
+    delete global.window;
+  });
+
+  assert.strictEqual(quietly(() => CookieAdvisor.registerMod()), true);
+  assert.strictEqual(quietly(() => CookieAdvisor.registerMod()), true); // Only once
+  assert.strictEqual(game.modHooks.logic.length, 1);
+  const mod = game.mods[Constants.MOD_ID];
+
+  quietly(() => {
+    CookieAdvisor.configure({ MAX_REASONABLE_ROI: Infinity, TOP_ALTERNATIVES_COUNT: 2 });
+    CookieAdvisor.analyze();
+    CookieAdvisor.startMonitor({ intervalMs: 2000 });
+  });
+  const saved = mod.save();
+  assert.strictEqual(CookieAdvisor.getHistory().length, 1);
+  assert.strictEqual(CookieAdvisor.getHistory()[0].id, 'Farm');
+
+  // Another save with default settings and no monitor, then back to the first one
+  quietly(() => mod.load(JSON.stringify({ version: Constants.MOD_SAVE_VERSION, settings: '{}', history: [], monitor: { running: false } })));
+  assert.strictEqual(CookieAdvisor.getConfig().MAX_REASONABLE_ROI, 3600);
+  assert.strictEqual(CookieAdvisor.getHistory().length, 0);
+  assert.deepStrictEqual(JSON.parse(mod.save()).monitor, { running: false });
+
+  quietly(() => mod.load(saved));
+  assert.strictEqual(CookieAdvisor.getConfig().MAX_REASONABLE_ROI, Infinity);
+  assert.strictEqual(CookieAdvisor.getConfig().TOP_ALTERNATIVES_COUNT, 2);
+  assert.deepStrictEqual(CookieAdvisor.getHistory().map(entry => entry.id), ['Farm']); // Not repeated by the monitor's first check
+  assert.deepStrictEqual(JSON.parse(mod.save()).monitor, { running: true, intervalMs: 2000 });
+
+  // Data from a newer version, or not JSON: warn and keep the current state
+  for (const data of [JSON.stringify({ version: Constants.MOD_SAVE_VERSION + 1 }), 'not json']) {
+    const warnings = [];
+    const warn = console.warn;
+    console.warn = message => warnings.push(message);
+    try {
+      mod.load(data);
+    } finally {
+      console.warn = warn;
+    }
+    assert.strictEqual(warnings.length, 1);
+    assert.strictEqual(CookieAdvisor.getConfig().TOP_ALTERNATIVES_COUNT, 2);
+  }
+});
+
+test('the game\'s logic hook drives the monitor', (t) => {
+  mock.timers.enable({ apis: ['Date'] });
+  const notes = [];
+  game.Notify = title => notes.push(title);
+  global.window = { Game: game };
+  t.after(() => {
+    quietly(() => CookieAdvisor.stopMonitor());
+    mock.timers.reset();
+    delete global.window;
+  });
+  const runLogicHooks = () => quietly(() => game.modHooks.logic.forEach(hook => hook()));
+
+  quietly(() => CookieAdvisor.startMonitor({ intervalMs: 1000 }));
+  assert.strictEqual(CookieAdvisor.getLastRecommendation().name, 'Farm');
+
+  // A big Mine multiplier makes Mine the best investment
+  game.Objects.Mine.cps = () => 47 * 100;
+  game.Objects.Mine.storedCps = 47 * 100;
+
+  mock.timers.tick(500);
+  runLogicHooks();
+  assert.deepStrictEqual(notes, []); // Not due yet
+
+  mock.timers.tick(500);
+  runLogicHooks();
+  assert.strictEqual(CookieAdvisor.getLastRecommendation().name, 'Mine');
+  assert.deepStrictEqual(notes, ['New best investment']);
+  assert.deepStrictEqual(CookieAdvisor.getHistory().map(entry => entry.id), ['Farm', 'Mine']);
+});
@@ -0,0 +1,87 @@
+/**
+ * overlayRenderer.test.js
+ *
+ * Checks the overlay panel's life cycle in a fake document: drawing,
+ * redrawing, the close button and removal.
+ *
+ * Run: node --test tests/
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createFakeDocument } = require('./helpers/fakeDocument.js');
+const { EARLY } = require('./helpers/testUtils.js');
+
+const PANEL_ID = Constants.OVERLAY_ELEMENT_ID;
+const STYLE_ID = `${Constants.OVERLAY_ELEMENT_ID}-style`;
+
+const recommendations = CookieAdvisor.getAllRecommendations(4, EARLY);
+const [farm, ...alternatives] = recommendations;
+
+test('render creates the panel and its styles', () => {
+  const document = createFakeDocument();
+  const overlay = new OverlayRenderer({ document: document });
+  overlay.renderRecommendation(farm, alternatives, EARLY, {
+    toggles: [{ name: 'Elder Pledge', type: 'toggle', cost: 10, note: UpgradeDatabase.TOGGLES['Elder Pledge'] }]
+  });
+
+  const panel = document.getElementById(PANEL_ID);
+  assert.ok(panel);
+  assert.strictEqual(panel.parentNode, document.body);
+  assert.ok(document.getElementById(STYLE_ID));
+  assert.strictEqual(farm.name, 'Farm');
+  assert.ok(panel.querySelector('.cca-body').textContent.includes('Farm (#1)'));
+  assert.ok(panel.textContent.includes('Elder Pledge: 10.00'));
+});
+
+test('re-rendering replaces the content of the same panel', () => {
+  const document = createFakeDocument();
+  const overlay = new OverlayRenderer({ document: document });
+  overlay.renderRecommendation(farm, alternatives, EARLY);
+  const panel = document.getElementById(PANEL_ID);
+
+  overlay.renderRecommendation(alternatives[0], [], EARLY);
+  assert.strictEqual(document.getElementById(PANEL_ID), panel);
+  assert.strictEqual(document.body.children.filter(child => child.id === PANEL_ID).length, 1);
+  assert.strictEqual(document.head.children.length + document.body.children.length, 2); // One style, one panel
+  const body = panel.querySelector('.cca-body').textContent;
+  assert.ok(body.includes(alternatives[0].name));
+  assert.ok(!body.includes('Farm'));
+
+  overlay.renderMessage('Nothing to buy.');
+  assert.strictEqual(panel.querySelector('.cca-body').textContent, 'Nothing to buy.');
+});
+
+test('the close button calls onClose, or removes the panel without one', () => {
+  const closeButton = document => document.getElementById(PANEL_ID).querySelectorAll('.cca-button')
+    .find(button => button.textContent === '×');
+
+  const document = createFakeDocument();
+  let closed = 0;
+  const overlay = new OverlayRenderer({ document: document, onClose: () => { closed++; } });
+  overlay.renderRecommendation(farm, alternatives, EARLY);
+  closeButton(document).click();
+  assert.strictEqual(closed, 1);
+  assert.ok(document.getElementById(PANEL_ID)); // onClose decides what to do
+
+  const plain = createFakeDocument();
+  new OverlayRenderer({ document: plain }).renderRecommendation(farm, alternatives, EARLY);
+  closeButton(plain).click();
+  assert.strictEqual(plain.getElementById(PANEL_ID), null);
+  assert.strictEqual(plain.getElementById(STYLE_ID), null);
+});
+
+test('destroy removes the panel and styles, and a later render draws them again', () => {
+  const document = createFakeDocument();
+  const overlay = new OverlayRenderer({ document: document });
+  overlay.renderRecommendation(farm, alternatives, EARLY);
+
+  overlay.destroy();
+  assert.strictEqual(document.getElementById(PANEL_ID), null);
+  assert.strictEqual(document.getElementById(STYLE_ID), null);
+  assert.deepStrictEqual(document.body.children, []);
+
+  overlay.renderRecommendation(farm, alternatives, EARLY);
+  assert.ok(document.getElementById(PANEL_ID));
+  assert.ok(document.getElementById(STYLE_ID));
+});
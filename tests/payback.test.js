@@ -0,0 +1,67 @@
+/**
+ * payback.test.js
+ *
+ * Checks paybackFromNow and PaybackStrategy's ranking: saving up counts
+ * against a purchase, and what can never be afforded goes last.
+ *
+ * Run: node --test tests/
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { gameStateFor, EARLY } = require('./helpers/testUtils.js');
+
+const payback = new PaybackStrategy();
+
+test('payback from now is the wait to afford plus the ROI time', () => {
+  const model = new EconomicModel(EARLY);
+  for (const c of model.getAllCandidates()) {
+    assert.strictEqual(c.timeToAfford, model.getTimeToAfford(c.cost), c.id);
+    assert.strictEqual(c.paybackFromNow, c.timeToAfford + c.roiTime, c.id);
+  }
+
+  const farm = model.calculateBuildingROI(EARLY.buildings.find(b => b.name === 'Farm'));
+  assert.strictEqual(farm.timeToAfford, 1100 / 6);
+  assert.strictEqual(farm.roiTime, 1100 / 8);
+});
+
+test('an affordable purchase beats a better ROI that has to be saved for', () => {
+  // 250 cookies buy a Grandma now; the Farm takes 142 more seconds
+  const gameState = gameStateFor({ cookies: 250, buildings: { Cursor: 10, Grandma: 5 } });
+  const candidates = new EconomicModel(gameState).getAllCandidates();
+  const greedy = new GreedyStrategy().evaluate(candidates);
+  const ranked = payback.evaluate(candidates, gameState);
+
+  assert.strictEqual(greedy[0].id, 'Farm');
+  assert.strictEqual(ranked[0].id, 'Grandma');
+  assert.strictEqual(ranked[0].timeToAfford, 0);
+  assert.strictEqual(ranked[0].paybackFromNow, ranked[0].roiTime);
+  const times = ranked.map(c => c.paybackFromNow);
+  assert.deepStrictEqual(times, [...times].sort((a, b) => a - b));
+});
+
+test('with no CPS, only what the bank covers has a finite payback', () => {
+  const gameState = gameStateFor({ cookies: 15 });
+  assert.strictEqual(gameState.cookiesPerSecond, 0);
+  const candidates = new EconomicModel(gameState).getAllCandidates();
+  const ranked = payback.evaluate(candidates, gameState);
+
+  assert.strictEqual(ranked[0].id, 'Cursor');
+  assert.strictEqual(ranked[0].paybackFromNow, ranked[0].roiTime);
+  for (const c of ranked.slice(1)) {
+    assert.strictEqual(c.timeToAfford, Infinity, c.id);
+    assert.strictEqual(c.paybackFromNow, Infinity, c.id);
+  }
+
+  // Never affordable: still listed, in ROI order (greedy's tiebreaker)
+  const rest = ranked.slice(1).map(c => c.roiTime);
+  assert.deepStrictEqual(rest, [...rest].sort((a, b) => a - b));
+});
+
+test('candidates without a payback time rank by ROI time', () => {
+  const candidates = [
+    { id: 'a', type: 'building', name: 'A', cost: 10, deltaCPS: 1, roiTime: 10, paybackFromNow: 100 },
+    { id: 'b', type: 'building', name: 'B', cost: 50, deltaCPS: 1, roiTime: 50 }
+  ];
+  assert.deepStrictEqual(payback.evaluate(candidates).map(c => c.id), ['b', 'a']);
+});
@@ -0,0 +1,84 @@
+/**
+ * plan.test.js
+ *
+ * Checks PurchaseSimulator and CookieAdvisor.plan() on mock games.
+ *
+ * Run: node --test tests/
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { quietly, gameStateFor, EARLY } = require('./helpers/testUtils.js');
+
+test('the simulator bakes while waiting, then buys', () => {
+  const simulator = new PurchaseSimulator(EARLY);
+  const farm = simulator.getCandidates().find(c => c.id === 'Farm');
+
+  assert.strictEqual(simulator.waitAndBuy(farm, 100), false); // 1100 cookies take 183s
+  assert.strictEqual(simulator.time, 0);
+
+  assert.strictEqual(simulator.waitAndBuy(farm), true);
+  assert.ok(Math.abs(simulator.time - 1100 / 6) < 1e-9);
+  assert.ok(Math.abs(simulator.state.cookies) < 1e-9);
+  assert.strictEqual(simulator.state.cookiesPerSecond, 6 + 8);
+  assert.strictEqual(simulator.purchases[0].candidate, farm);
+  assert.strictEqual(EARLY.cookies, 0); // Starting state untouched
+});
+
+test('plan buys the strategy\'s top choice in order until the horizon', () => {
+  const plan = quietly(() => CookieAdvisor.plan({ horizonSeconds: 1800 }, EARLY));
+
+  assert.strictEqual(plan.horizonSeconds, 1800);
+  assert.strictEqual(plan.strategy, CookieAdvisor.getStrategyName());
+  assert.strictEqual(plan.purchases[0].displayName, 'Farm (#1)');
+  assert.ok(Math.abs(plan.purchases[0].time - 1100 / 6) < 1e-9);
+
+  plan.purchases.forEach((purchase, index) => {
+    assert.ok(purchase.time <= 1800);
+    if (index > 0) {
+      assert.ok(purchase.time >= plan.purchases[index - 1].time);
+    }
+  });
+
+  // Cookies at the end = baked - spent, with CPS stepping up at each purchase
+  const last = plan.purchases[plan.purchases.length - 1];
+  assert.strictEqual(plan.end.cookiesPerSecond, last.cookiesPerSecond);
+  const expected = last.cookies + last.cookiesPerSecond * (1800 - last.time);
+  assert.ok(Math.abs(plan.end.cookies - expected) < 1e-6 * expected);
+  assert.strictEqual(plan.truncated, false);
+});
+
+test('plan buys the best-ranked purchase that fits when the top choice does not', () => {
+  // The Farm (1100 cookies, 183s) ranks first but is out of reach within a minute
+  const plan = quietly(() => CookieAdvisor.plan({ horizonSeconds: 60 }, EARLY));
+  const grandmaCost = 100 * Math.pow(Constants.BUILDING_PRICE_GROWTH, 5);
+
+  assert.strictEqual(plan.purchases[0].displayName, 'Grandma (#6)');
+  assert.ok(Math.abs(plan.purchases[0].time - grandmaCost / 6) < 1e-9);
+  assert.ok(plan.purchases.every(p => p.name !== 'Farm' && p.time <= 60));
+  assert.ok(plan.end.cookiesPerSecond > 6);
+});
+
+test('plan with no purchase before the horizon only bakes', () => {
+  const plan = quietly(() => CookieAdvisor.plan({ horizonSeconds: 5 }, EARLY));
+
+  assert.deepStrictEqual(plan.purchases, []);
+  assert.strictEqual(plan.end.cookies, 6 * 5);
+  assert.strictEqual(plan.end.cookiesPerSecond, 6);
+});
+
+test('plan applies candidate hooks at every step', () => {
+  const noFarms = candidates => candidates.filter(c => c.name !== 'Farm');
+  CookieAdvisor.addCandidateHook(noFarms);
+  const plan = quietly(() => CookieAdvisor.plan({ horizonSeconds: 1800 }, EARLY));
+  CookieAdvisor.removeCandidateHook(noFarms);
+
+  assert.ok(plan.purchases.length > 0);
+  assert.ok(plan.purchases.every(p => p.name !== 'Farm'));
+});
+
+test('plan rejects invalid horizons', () => {
+  for (const horizonSeconds of [0, -5, Infinity, '1800']) {
+    assert.strictEqual(quietly(() => CookieAdvisor.plan({ horizonSeconds }, EARLY)), null);
+  }
+});
@@ -0,0 +1,112 @@
+/**
+ * pools.test.js
+ *
+ * Checks how EconomicModel treats upgrade pools (toggles, debug and
+ * heavenly upgrades, cookies, Grandmapocalypse research) on mock games.
+ *
+ * Run: node --test tests/
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { quietly, gameStateFor } = require('./helpers/testUtils.js');
+
+// 6 CPS: 10 cursors (1) and 5 grandmas (5); nothing in the store is known by
+// name, so the description heuristics would make each of these a cheap CPS boost
+const STORE = [
+  { name: 'Elder Pledge', price: 10, pool: 'toggle', desc: 'Contains the wrath of the elders, at least for a while.' },
+  { name: 'Golden switch [off]', price: 10, pool: 'toggle', desc: 'Turning this on will give you a passive +50% CpS.' },
+  { name: 'Milk selector', price: 10, pool: 'toggle', desc: 'Lets you pick what flavor of milk to display.' },
+  { name: 'Neuromancy', price: 1, pool: 'debug', desc: 'Can toggle upgrades on and off at will.' },
+  { name: 'Legacy', price: 1, pool: 'prestige', desc: 'This is the first heavenly upgrade.' }
+];
+
+const stateWith = store => gameStateFor({ cookies: 0, buildings: { Cursor: 10, Grandma: 5 }, store: store });
+
+test('toggles, debug and heavenly upgrades are never purchase candidates', () => {
+  const model = new EconomicModel(stateWith(STORE));
+  const candidates = model.getAllCandidates();
+
+  assert.ok(candidates.length > 0);
+  assert.ok(candidates.every(c => c.type === 'building'));
+  assert.ok(STORE.every(upgrade => !model.isPurchasable(model.gameState.upgrades.find(u => u.name === upgrade.name))));
+
+  // Without their pools, they would be valued as CPS boosts and pay back fastest
+  const unpooled = STORE.map(upgrade => ({ ...upgrade, pool: '' }));
+  const fallback = new EconomicModel(stateWith(unpooled)).getAllCandidates();
+  const fastest = fallback.reduce((best, c) => (c.roiTime < best.roiTime ? c : best));
+  assert.strictEqual(fallback.filter(c => c.type === 'upgrade').length, STORE.length);
+  assert.strictEqual(fastest.type, 'upgrade');
+});
+
+test('toggles are listed apart with what they do', () => {
+  const toggles = new EconomicModel(stateWith(STORE)).getToggles();
+
+  assert.deepStrictEqual(toggles.map(t => t.name), ['Elder Pledge', 'Golden switch [off]', 'Milk selector']);
+  assert.strictEqual(toggles[0].type, 'toggle');
+  assert.strictEqual(toggles[0].cost, 10);
+  assert.strictEqual(toggles[0].note, UpgradeDatabase.TOGGLES['Elder Pledge']);
+  assert.strictEqual(toggles[2].note, ''); // Cosmetic, not described
+});
+
+test('cookies are valued as a permanent boost to all production', () => {
+  // The description mentions grandmas, but the boost is global
+  const cookie = { name: 'Grandma\'s cookies', price: 100, pool: 'cookie', desc: 'Cookie production multiplier <b>+3%</b>. Grandmas love these.' };
+  const model = new EconomicModel(stateWith([cookie]));
+  const candidate = model.getAllCandidates().find(c => c.type === 'upgrade');
+
+  assert.strictEqual(candidate.deltaCPS, 6 * 0.03);
+  assert.strictEqual(candidate.estimationMethod, 'pattern');
+  assert.strictEqual(candidate.affectedBuilding, null);
+
+  const vague = new EconomicModel(stateWith([{ ...cookie, desc: 'Grandmas love these.' }]));
+  const fallback = vague.getAllCandidates().find(c => c.type === 'upgrade');
+  assert.strictEqual(fallback.deltaCPS, 6 * Constants.UPGRADE_ESTIMATES.CONSERVATIVE_BOOST);
+  assert.strictEqual(fallback.affectedBuilding, null);
+});
+
+test('Grandmapocalypse research gets its own valuations', () => {
+  const research = [
+    { name: 'Bingo center/Research facility', price: 1e15, pool: 'tech' },
+    { name: 'Specialized chocolate chips', price: 1e15, pool: 'tech' },
+    { name: 'One mind', price: 1e15, pool: 'tech' },
+    { name: 'Elder Pact', price: 1e15, pool: 'tech' }
+  ];
+  const candidates = new EconomicModel(stateWith(research)).getAllCandidates();
+  const deltaFor = name => candidates.find(c => c.name === name).deltaCPS;
+
+  assert.ok(candidates.filter(c => c.type === 'upgrade').every(c => c.estimationMethod === 'database'));
+  assert.strictEqual(deltaFor('Bingo center/Research facility'), 5 * 3); // Grandmas ×4
+  assert.strictEqual(deltaFor('Specialized chocolate chips'), 6 * 0.01);
+  assert.strictEqual(deltaFor('One mind'), 0.02 * 5 * 5); // +0.02 per grandma, for each grandma
+  assert.strictEqual(deltaFor('Elder Pact'), 0); // No portals
+  assert.strictEqual(UpgradeDatabase.lookup('One mind').note, 'Starts the Grandmapocalypse');
+});
+
+test('analyze() passes the toggles to the renderer', (t) => {
+  const rendered = [];
+  class RecordingRenderer extends OutputRenderer {
+    renderRecommendation(topChoice, alternatives, gameState, options) {
+      rendered.push({ topChoice, toggles: options.toggles });
+    }
+  }
+  CookieAdvisor.setRenderer(new RecordingRenderer());
+  t.after(() => CookieAdvisor.setRenderer(new OutputRenderer()));
+
+  quietly(() => CookieAdvisor.analyze(stateWith(STORE)));
+  assert.strictEqual(rendered.length, 1);
+  assert.strictEqual(rendered[0].topChoice.type, 'building');
+  assert.deepStrictEqual(rendered[0].toggles.map(t => t.name), ['Elder Pledge', 'Golden switch [off]', 'Milk selector']);
+
+  // The default renderer prints them
+  const lines = [];
+  const log = console.log;
+  console.log = line => lines.push(String(line));
+  try {
+    new OutputRenderer().renderRecommendation(null, [], stateWith(STORE), { toggles: rendered[0].toggles });
+  } finally {
+    console.log = log;
+  }
+  assert.ok(lines.some(line => line.includes('TOGGLES')));
+  assert.ok(lines.some(line => line.includes(UpgradeDatabase.TOGGLES['Golden switch [off]'])));
+});
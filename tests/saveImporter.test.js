@@ -0,0 +1,123 @@
+/**
+ * saveImporter.test.js
+ *
+ * Checks SaveImporter's building table, the building state it rebuilds
+ * from a save string and how it names upgrades.
+ *
+ * Run: node --test tests/
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+require('../src/index.js');
+
+// Base prices as the game defines them (Game.Objects[name].basePrice)
+const GAME_BASE_PRICES = {
+  'Cursor': 15,
+  'Grandma': 100,
+  'Farm': 1100,
+  'Mine': 12000,
+  'Factory': 130000,
+  'Bank': 1.4e6,
+  'Temple': 2e7,
+  'Wizard tower': 3.3e8,
+  'Shipment': 5.1e9,
+  'Alchemy lab': 7.5e10,
+  'Portal': 1e12,
+  'Time machine': 1.4e13,
+  'Antimatter condenser': 1.7e14,
+  'Prism': 2.1e15,
+  'Chancemaker': 2.6e16,
+  'Fractal engine': 3.1e17,
+  'Javascript console': 7.1e19,
+  'Idleverse': 1.2e22,
+  'Cortex baker': 1.9e24,
+  'You': 5.4e26
+};
+
+/**
+ * Encodes save data the way the game exports it.
+ *
+ * @param {Object} amounts - Building name → amount owned
+ * @param {Object} [upgrades] - { unlocked, bought }: upgrade ids (bought ones count as unlocked)
+ * @returns {string} Save string
+ */
+function saveFor(amounts, upgrades = {}) {
+  const buildings = Constants.BUILDINGS.map(name => `${amounts[name] || 0},${amounts[name] || 0},0,0,,0,0`).join(';');
+  const bought = upgrades.bought || [];
+  const unlocked = [...(upgrades.unlocked || []), ...bought];
+  const size = Math.max(0, ...unlocked) + 1;
+  const flags = Array.from({ length: size }, (_, id) => `${unlocked.includes(id) ? 1 : 0}${bought.includes(id) ? 1 : 0}`).join('');
+  const data = ['2.052', '', '0;0;0;Test bakery', '', '1e30;1e30;0', buildings, flags, ''].join('|');
+  return escape(Buffer.from(unescape(encodeURIComponent(data)), 'binary').toString('base64') + '!END!');
+}
+
+test('building stats match the game\'s base prices', () => {
+  assert.deepStrictEqual(Object.keys(Constants.BUILDING_STATS), Constants.BUILDINGS);
+  for (const [name, price] of Object.entries(GAME_BASE_PRICES)) {
+    assert.strictEqual(Constants.BUILDING_STATS[name].basePrice, price, name);
+  }
+});
+
+test('imported building costs grow from the base price', () => {
+  const gameState = new SaveImporter(saveFor({ 'Javascript console': 3, 'Idleverse': 1 })).getGameState();
+  const cost = name => gameState.buildings.find(b => b.name === name).cost;
+
+  assert.strictEqual(cost('Javascript console'), 7.1e19 * Math.pow(Constants.BUILDING_PRICE_GROWTH, 3));
+  assert.strictEqual(cost('Idleverse'), 1.2e22 * Constants.BUILDING_PRICE_GROWTH);
+  assert.strictEqual(cost('Cortex baker'), 1.9e24);
+});
+
+/**
+ * Imports a save, collecting the warnings instead of printing them.
+ *
+ * @param {string} save - Save string
+ * @param {Object} [options] - SaveImporter options
+ * @returns {Object} { gameState, warnings }
+ */
+function importSave(save, options) {
+  const warnings = [];
+  const warn = console.warn;
+  console.warn = message => warnings.push(message);
+  try {
+    return { gameState: new SaveImporter(save, options).getGameState(), warnings: warnings };
+  } finally {
+    console.warn = warn;
+  }
+}
+
+test('bought upgrades are named from the built-in id table', () => {
+  // 10 Cheap hoes, 3 Thousand fingers, 33 Plain cookies, 57 Farmer grandmas
+  const { gameState, warnings } = importSave(saveFor({ Cursor: 1, Grandma: 1, Farm: 2 }, { bought: [10, 3, 33, 57] }));
+  const farm = gameState.buildings.find(b => b.name === 'Farm');
+
+  assert.deepStrictEqual(warnings, []);
+  assert.deepStrictEqual(gameState.ownedUpgrades, ['Thousand fingers', 'Cheap hoes', 'Plain cookies', 'Farmer grandmas']);
+  assert.deepStrictEqual(gameState.unknownUpgradeIds, { bought: [], store: [] });
+  assert.strictEqual(farm.multiplier, 2 * 1.01); // Cheap hoes, +1% per grandma
+  assert.strictEqual(gameState.globalMultiplier, 1.01); // Plain cookies
+
+  assert.strictEqual(new Set(UpgradeDatabase.IDS).size, UpgradeDatabase.IDS.length);
+  assert.strictEqual(UpgradeDatabase.nameForId(74), 'Elder Pledge');
+  assert.strictEqual(UpgradeDatabase.nameForId(UpgradeDatabase.IDS.length), null);
+});
+
+test('upgrades without a name or price are reported, not dropped quietly', () => {
+  const save = saveFor({ Farm: 2 }, { bought: [10, 600], unlocked: [11] }); // 11 Fertilizer: no price
+  const { gameState, warnings } = importSave(save);
+
+  assert.deepStrictEqual(gameState.ownedUpgrades, ['Cheap hoes']);
+  assert.deepStrictEqual(gameState.unknownUpgradeIds, { bought: [600], store: [11] });
+  assert.deepStrictEqual(gameState.upgrades, []);
+  assert.strictEqual(warnings.length, 2);
+  assert.ok(warnings[0].includes('600'));
+
+  // A catalogue names and prices them
+  const catalogue = [];
+  catalogue[11] = { name: 'Fertilizer', price: 55000 };
+  catalogue[600] = 'Some later upgrade';
+  const named = importSave(save, { upgradeCatalogue: catalogue });
+  assert.deepStrictEqual(named.warnings, []);
+  assert.deepStrictEqual(named.gameState.ownedUpgrades, ['Cheap hoes', 'Some later upgrade']);
+  assert.deepStrictEqual(named.gameState.upgrades.map(u => [u.name, u.cost]), [['Fertilizer', 55000]]);
+});
@@ -0,0 +1,102 @@
+/**
+ * snapshot.test.js
+ *
+ * Checks snapshot round trips, validation and diffs.
+ *
+ * Run: node --test tests/
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { quietly, gameStateFor } = require('./helpers/testUtils.js');
+
+const BEFORE = {
+  cookies: 2e5,
+  buildings: { Cursor: { amount: 25, multiplier: 4 }, Grandma: { amount: 20, multiplier: 4 }, Farm: 12 },
+  store: [{ name: 'Cheap hoes', price: 11000, desc: 'Farms are <b>twice</b> as efficient.' }]
+};
+
+const AFTER = {
+  cookies: 1e4,
+  buildings: { Cursor: { amount: 25, multiplier: 4 }, Grandma: { amount: 22, multiplier: 4 }, Farm: { amount: 15, multiplier: 2 } },
+  owned: ['Cheap hoes']
+};
+
+test('snapshot round trip keeps the game state and non-finite numbers', () => {
+  const gameState = gameStateFor(BEFORE);
+  const json = quietly(() => CookieAdvisor.snapshot(gameState));
+  const snapshot = Snapshot.parse(json);
+
+  assert.strictEqual(snapshot.format, Constants.SNAPSHOT_FORMAT);
+  assert.strictEqual(snapshot.version, Constants.SNAPSHOT_VERSION);
+  assert.strictEqual(snapshot.gameState.cookies, gameState.cookies);
+  assert.strictEqual(snapshot.gameState.buildings.length, gameState.buildings.length);
+  assert.ok(snapshot.recommendations.length > 0);
+
+  const withInfinity = Snapshot.create(gameState, [{ id: 'x', roiTime: Infinity }], [], 'Test');
+  assert.strictEqual(Snapshot.parse(Snapshot.stringify(withInfinity)).candidates[0].roiTime, Infinity);
+});
+
+test('loadSnapshot recommends what analyze recommends for the same state', () => {
+  const gameState = gameStateFor(BEFORE);
+  const json = quietly(() => CookieAdvisor.snapshot(gameState));
+
+  const live = quietly(() => CookieAdvisor.analyze(gameState));
+  const loaded = quietly(() => CookieAdvisor.loadSnapshot(json));
+
+  assert.strictEqual(loaded.id, live.id);
+  assert.strictEqual(loaded.roiTime, live.roiTime);
+});
+
+test('parse rejects other documents and newer versions', () => {
+  const json = quietly(() => CookieAdvisor.snapshot(gameStateFor(BEFORE)));
+  const newer = { ...JSON.parse(json), version: Constants.SNAPSHOT_VERSION + 1 };
+
+  assert.throws(() => Snapshot.parse('not json'), /invalid JSON/);
+  assert.throws(() => Snapshot.parse({ cookies: 1 }), /missing format tag/);
+  assert.throws(() => Snapshot.parse(newer), /Unsupported snapshot version/);
+  assert.strictEqual(quietly(() => CookieAdvisor.loadSnapshot('{}')), null);
+});
+
+test('diff reports buildings, upgrades, CPS and recommendation changes', () => {
+  const before = quietly(() => CookieAdvisor.snapshot(gameStateFor(BEFORE)));
+  const after = quietly(() => CookieAdvisor.snapshot(gameStateFor(AFTER)));
+  const report = quietly(() => CookieAdvisor.diff(before, after));
+
+  assert.deepStrictEqual(report.buildings, [
+    { name: 'Grandma', before: 20, after: 22, change: 2 },
+    { name: 'Farm', before: 12, after: 15, change: 3 }
+  ]);
+  assert.deepStrictEqual(report.upgradesBought, ['Cheap hoes']);
+  assert.strictEqual(report.cps.before, 186);
+  assert.strictEqual(report.cps.after, 338); // 25 × 0.4 + 22 × 4 + 15 × 16
+  assert.strictEqual(report.recommendation.before.name, 'Cheap hoes');
+  assert.ok(report.recommendation.changed);
+  assert.ok(report.recommendation.removed.includes('[Upgrade] Cheap hoes'));
+});
+
+test('diff of a snapshot with itself shows no changes', () => {
+  const json = quietly(() => CookieAdvisor.snapshot(gameStateFor(BEFORE)));
+  const report = Snapshot.diff(json, json);
+
+  assert.deepStrictEqual(report.buildings, []);
+  assert.deepStrictEqual(report.upgradesBought, []);
+  assert.strictEqual(report.cps.change, 0);
+  assert.strictEqual(report.recommendation.changed, false);
+  assert.deepStrictEqual(report.recommendation.added, []);
+});
+
+test('diff reports a bad snapshot as an error event', () => {
+  const errors = [];
+  const onError = payload => errors.push(payload);
+  const json = quietly(() => CookieAdvisor.snapshot(gameStateFor(BEFORE)));
+
+  CookieAdvisor.on('error', onError);
+  const report = quietly(() => CookieAdvisor.diff(json, '{"format": "something else"}'));
+  CookieAdvisor.off('error', onError);
+
+  assert.strictEqual(report, null);
+  assert.strictEqual(errors.length, 1);
+  assert.strictEqual(errors[0].source, 'diff');
+  assert.ok(errors[0].error instanceof Error);
+});
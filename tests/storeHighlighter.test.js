@@ -0,0 +1,112 @@
+/**
+ * storeHighlighter.test.js
+ *
+ * Checks how candidates map back to store element ids, and that marks
+ * follow their upgrade when the store is rebuilt.
+ *
+ * Run: node --test tests/
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createMockGame } = require('./helpers/mockGame.js');
+const { createFakeDocument } = require('./helpers/fakeDocument.js');
+
+const game = createMockGame({
+  buildings: { Cursor: 5, Farm: 2 },
+  store: [
+    { name: 'Cheap hoes', price: 11000 },
+    { name: 'Plain cookies', price: 999999 }
+  ]
+});
+const highlighter = new StoreHighlighter({ game: game, document: null });
+
+test('buildings map to their product row, bulk buys included', () => {
+  assert.strictEqual(highlighter.getElementId({ type: 'building', id: 'Farm', name: 'Farm' }), 'product2');
+  assert.strictEqual(highlighter.getElementId({ type: 'building', id: 'Cursor_x10', name: 'Cursor' }), 'product0');
+  assert.strictEqual(highlighter.getElementId({ type: 'building', id: 'Nope', name: 'Nope' }), null);
+});
+
+test('upgrades map to their store crate, by index or by name', () => {
+  assert.strictEqual(highlighter.getElementId({ type: 'upgrade', id: 'upgrade_1', name: 'Plain cookies' }), 'upgrade1');
+  // Store order changed since analysis: fall back to the name
+  assert.strictEqual(highlighter.getElementId({ type: 'upgrade', id: 'upgrade_0', name: 'Plain cookies' }), 'upgrade1');
+  assert.strictEqual(highlighter.getElementId({ type: 'upgrade', id: 'upgrade_3', name: 'Sold out' }), null);
+});
+
+test('without a document, rendering and clearing do nothing', () => {
+  highlighter.renderRecommendation({ type: 'building', id: 'Farm', name: 'Farm', roiTime: 60 }, [], {});
+  highlighter.clear();
+  assert.deepStrictEqual(highlighter.marks, []);
+});
+
+/**
+ * Fills the store elements the game would draw: one row per building,
+ * one crate per upgrade in store (rebuilt from scratch, as the game does).
+ *
+ * @param {Object} document - Fake document
+ * @param {Object} storeGame - Mock game
+ */
+function drawStore(document, storeGame) {
+  document.body.textContent = '';
+  for (const building of Object.values(storeGame.Objects)) {
+    const row = document.body.appendChild(document.createElement('div'));
+    row.id = `product${building.id}`;
+  }
+  storeGame.UpgradesInStore.forEach((upgrade, index) => {
+    const crate = document.body.appendChild(document.createElement('div'));
+    crate.id = `upgrade${index}`;
+  });
+}
+
+test('refresh re-maps marks after the store is rebuilt', () => {
+  const storeGame = createMockGame({
+    buildings: { Cursor: 5, Farm: 2 },
+    store: [
+      { name: 'Cheap hoes', price: 11000 },
+      { name: 'Plain cookies', price: 999999 },
+      { name: 'Sugar cookies', price: 5e6 }
+    ]
+  });
+  const document = createFakeDocument();
+  drawStore(document, storeGame);
+  const page = new StoreHighlighter({ game: storeGame, document: document });
+  const badgeOn = id => {
+    const badge = document.getElementById(id).querySelector(`.${Constants.HIGHLIGHT_CLASS}-badge`);
+    return badge ? badge.textContent : null;
+  };
+
+  page.renderRecommendation(
+    { type: 'upgrade', id: 'upgrade_1', name: 'Plain cookies', roiTime: 60 },
+    [{ type: 'building', id: 'Farm', name: 'Farm', roiTime: 90 }],
+    {}
+  );
+  assert.strictEqual(badgeOn('upgrade1'), '#1');
+  assert.strictEqual(badgeOn('product2'), '#2');
+
+  // Cheap hoes bought: the game rebuilds the store and every crate shifts
+  storeGame.UpgradesInStore.shift();
+  drawStore(document, storeGame);
+  page.refresh();
+  assert.strictEqual(badgeOn('upgrade0'), '#1');
+  assert.strictEqual(badgeOn('upgrade1'), null);
+  assert.strictEqual(badgeOn('product2'), '#2');
+
+  // Shifted without a redraw: the stale badge moves with its upgrade
+  storeGame.UpgradesInStore.unshift(storeGame.UpgradesInStore.pop());
+  page.refresh();
+  assert.strictEqual(badgeOn('upgrade0'), null);
+  assert.strictEqual(badgeOn('upgrade1'), '#1');
+  assert.strictEqual(document.querySelectorAll(`.${Constants.HIGHLIGHT_CLASS}-badge`).length, 2);
+
+  // Plain cookies bought: its mark is skipped
+  storeGame.UpgradesInStore.splice(1, 1);
+  drawStore(document, storeGame);
+  page.refresh();
+  assert.deepStrictEqual(storeGame.UpgradesInStore.map((u, i) => badgeOn(`upgrade${i}`)), [null]);
+  assert.strictEqual(badgeOn('product2'), '#2');
+
+  page.clear();
+  assert.strictEqual(document.querySelectorAll(`.${Constants.HIGHLIGHT_CLASS}-badge`).length, 0);
+  assert.strictEqual(document.getElementById(`${Constants.HIGHLIGHT_CLASS}-style`), null);
+});
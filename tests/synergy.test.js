@@ -0,0 +1,102 @@
+/**
+ * synergy.test.js
+ *
+ * Checks SynergyAnalyzer's combo models, from UpgradeDatabase and from
+ * descriptions, on a mock game.
+ *
+ * Run: node --test tests/
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { gameStateFor } = require('./helpers/testUtils.js');
+
+// Known upgrades have no description here: only the database can value them.
+// Nobody clicks, so the values below are building income only.
+const store = {
+  cookies: 0,
+  buildings: { Cursor: 10, Grandma: 5, Farm: 3, 'Time machine': 2 },
+  store: [
+    { name: 'Cheap hoes', price: 11000, desc: '' },
+    { name: 'Reinforced index finger', price: 100, desc: '' },
+    { name: 'Farmer grandmas', price: 55000, desc: '' },
+    { name: 'Future almanacs', price: 1e9, desc: '' },
+    { name: 'Thousand fingers', price: 1e5, desc: '' },
+    { name: 'Grandma\'s garden', price: 1e5, desc: 'Farms gain <b>+2%</b> CpS per grandma.' },
+    { name: 'Plain cookies', price: 999999, desc: '' }
+  ]
+};
+const gameState = { ...gameStateFor(store), clicksPerSecond: 0 };
+const analyzer = new SynergyAnalyzer(gameState);
+const model = new EconomicModel(gameState);
+const cps = name => model.getEffectiveBuildingCPS(gameState.buildings.find(b => b.name === name));
+const synergyOf = name => analyzer.analyzeUpgrade(gameState.upgrades.find(u => u.name === name));
+
+test('known upgrades are modelled from the upgrade database', () => {
+  assert.deepStrictEqual(synergyOf('Cheap hoes'), { kind: 'tiered', partners: [], directCPS: cps('Farm'), knockOnCPS: 0 });
+  const grandmas = synergyOf('Farmer grandmas');
+  assert.deepStrictEqual(grandmas.partners, ['Farm', 'Grandma']);
+  assert.strictEqual(grandmas.kind, 'grandma');
+  assert.strictEqual(grandmas.directCPS, cps('Grandma'));
+  assert.ok(Math.abs(grandmas.knockOnCPS - cps('Farm') * 0.01 * 5) < 1e-9); // +1% per grandma
+  assert.deepStrictEqual(synergyOf('Future almanacs'), {
+    kind: 'synergy',
+    partners: ['Farm', 'Time machine'],
+    directCPS: 0,
+    knockOnCPS: cps('Farm') * 0.05 * 2 + cps('Time machine') * 0.001 * 3
+  });
+  assert.deepStrictEqual(synergyOf('Thousand fingers'), {
+    kind: 'fingers',
+    partners: ['Cursor'],
+    directCPS: 0,
+    knockOnCPS: 10 * 0.1 * 10 * model.getGlobalMultiplier()
+  });
+
+  // Known, but not a building combo
+  assert.strictEqual(UpgradeDatabase.lookup('Plain cookies').family, 'cookie');
+  assert.strictEqual(synergyOf('Plain cookies'), null);
+});
+
+test('unknown upgrades fall back to their description', () => {
+  assert.strictEqual(UpgradeDatabase.lookup('Grandma\'s garden'), null);
+  assert.deepStrictEqual(synergyOf('Grandma\'s garden'), {
+    kind: 'synergy',
+    partners: ['Farm', 'Grandma'],
+    directCPS: 0,
+    knockOnCPS: cps('Farm') * 0.02 * 5
+  });
+
+  const candidates = model.getAllCandidates();
+  const revalued = analyzer.applySynergies(candidates).find(c => c.name === 'Grandma\'s garden');
+  assert.strictEqual(revalued.deltaCPS, cps('Farm') * 0.02 * 5);
+  assert.strictEqual(revalued.synergy.kind, 'synergy');
+});
+
+test('click income counts the same as in the base valuation', () => {
+  const clicking = { ...gameStateFor(store), clicksPerSecond: 6 };
+  const candidates = new EconomicModel(clicking).getAllCandidates();
+  const revalued = new SynergyAnalyzer(clicking).applySynergies(candidates);
+  const deltaFor = (list, name) => list.find(c => c.name === name).deltaCPS;
+
+  // Cursor tiers double the click, fingers add to every click
+  for (const name of ['Reinforced index finger', 'Thousand fingers', 'Cheap hoes', 'Farmer grandmas', 'Future almanacs']) {
+    assert.strictEqual(deltaFor(revalued, name), deltaFor(candidates, name), name);
+  }
+  assert.strictEqual(deltaFor(revalued, 'Reinforced index finger'), cps('Cursor') + 6);
+  assert.strictEqual(deltaFor(revalued, 'Thousand fingers'), 0.1 * 10 * (10 * model.getGlobalMultiplier() + 6));
+});
+
+test('descriptions name buildings by whole word, up to Cortex baker and You', () => {
+  const late = new EconomicModel(gameStateFor({
+    cookies: 0,
+    buildings: { Mine: 1, Factory: 1, Prism: 1, 'Cortex baker': 1, You: 1 }
+  }));
+  const named = description => late.findAffectedBuildings(description).map(b => b.name);
+
+  assert.deepStrictEqual(named('Cortex bakers gain <b>+1%</b> CpS per 10 yous.'), ['Cortex baker', 'You']);
+  assert.deepStrictEqual(named('Factories and prisms are <b>twice</b> as efficient.'), ['Factory', 'Prism']);
+  assert.deepStrictEqual(named('Mines are twice as efficient.'), ['Mine']);
+
+  // Inside other words: "determines", "bankruptcy", "your"
+  assert.deepStrictEqual(named('Clicking determines your bankruptcy.'), []);
+});